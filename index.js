@@ -1,4 +1,6 @@
 // src/app.js
+// Load and validate configuration first so a bad environment fails at boot
+const config = require("./src/config");
 const express = require("express");
 const cors = require("cors");
 const packageRoutes = require("./src/routes/adminPackageRoutes");
@@ -33,13 +35,14 @@ const chooseUsRoutes= require('./src/routes/chooseUsRoutes');
 const faqRoutes = require('./src/routes/faqRoutes');
 const userRoutes = require('./src/routes/userRoutes');
 const boardRoutes = require('./src/routes/boardRoutes');
+const academicCalendarRoutes = require('./src/routes/academicCalendarRoutes');
+const sessionRoutes = require('./src/routes/sessionRoutes');
 const paymentRoutes= require('./src/routes/paymentRoutes');
-const bodyParser = require('body-parser');
 const refreshTokenRoutes = require('./src/routes/refreshTokenRoutes');
 const adminDasboardRoutes = require('./src/routes/adminDashboardRoutes');
 const teacherDashboardRoutes = require('./src/routes/teacherDashboardRoutes');
 const rescheduleMeetingRoutes = require('./src/routes/rescheduleMeetingRoutes');
-// const schedulePackageExpiryJob = require("./src/Jobs/packageExpiryJob");
+const { startScheduler } = require("./src/services/jobService");
 const typeOfBatchRoutes= require("./src/routes/typeOfBatchRoutes");
 const blogRoutes = require("./src/routes/blogRoutes");
 const assignmentRoutes= require("./src/routes/assignmentRoutes")
@@ -48,8 +51,8 @@ const notificationRoutes= require("./src/routes/notificationRoutes")
 const mailRoutes= require("./src/routes/mailRoutes")
 const pricingRoutes=require("./src/routes/pricingRoutes")
 const invoiceRoutes= require("./src/routes/invoiceRoutes")
-
-require("dotenv").config();
+const couponRoutes = require("./src/routes/couponRoutes")
+const subscriptionRoutes = require("./src/routes/subscriptionRoutes")
 
 const app = express();
 
@@ -62,13 +65,18 @@ app.use(cors());
 //   origin: 'http://localhost:5173', // Replace with your frontend URL
 //   credentials: true,
 // }));
+// Razorpay signs the exact bytes it sends, so the webhook needs the raw body.
+// Mounted before express.json(), which then leaves the request alone.
+app.use(
+  "/api/payments/verify-payment-webhook",
+  express.raw({ type: "application/json" })
+);
 app.use(express.json());
 app.use(helmet());
 
 // Routes
 app.use("/auth", authRoutes);
 const teacherApplicationRoutes = require("./src/routes/teacherApplicationRoutes");
-// const scheduleBatchExpiryJob = require("./src/Jobs/completeBatchExpiryJob");
 
 
 // Error Handling
@@ -106,8 +114,8 @@ app.use('/chooseUs', chooseUsRoutes);
 app.use('/faqs', faqRoutes);
 app.use('/users', userRoutes);
 app.use('/boards', boardRoutes);
-// Body parser for webhook to get raw body
-app.use('/api/payments/webhook', bodyParser.raw({ type: 'application/json' }));
+app.use('/academicCalendar', academicCalendarRoutes);
+app.use('/sessions', sessionRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use("/refreshToken",refreshTokenRoutes);
 app.use("/adminDashboard",adminDasboardRoutes);
@@ -121,6 +129,8 @@ app.use("/notifications",notificationRoutes);
 app.use("/mail",mailRoutes);
 app.use("/pricing",pricingRoutes)
 app.use('/api/invoices', invoiceRoutes);
+app.use("/coupons", couponRoutes);
+app.use("/subscriptions", subscriptionRoutes);
 // Start Server
 // const PORT = process.env.PORT || 5000;
 // app.listen(PORT, () => {
@@ -131,13 +141,14 @@ connectDB()
   .then(() => {
     console.log("Connected to MongoDB");
 
-    // Start the Cron Job
-    // schedulePackageExpiryJob();
-    // scheduleBatchExpiryJob();
+    // On Vercel the jobs are triggered through /cron/run/:job instead
+    if (config.jobs.runInProcess) {
+      startScheduler();
+    }
 
 
     // Start the Server
-    const PORT = process.env.PORT || 5000;
+    const PORT = config.port;
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
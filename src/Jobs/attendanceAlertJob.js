@@ -0,0 +1,14 @@
+// src/Jobs/attendanceAlertJob.js
+
+const { checkAttendanceAlerts } = require("../services/attendancePolicyService");
+
+// Alerts guardians and admins about students whose attendance has dropped
+const attendanceAlertJob = async () => {
+    const stats = await checkAttendanceAlerts();
+    console.log(
+        `Attendance alerts: ${stats.alerted} sent, ${stats.resolved} resolved, ${stats.failed} failed.`
+    );
+    return stats;
+};
+
+module.exports = attendanceAlertJob;
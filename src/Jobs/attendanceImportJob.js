@@ -0,0 +1,12 @@
+// src/Jobs/attendanceImportJob.js
+
+const { importDueAttendance } = require("../services/attendanceService");
+
+// Writes attendance for finished sessions from their participant reports
+const attendanceImportJob = async () => {
+    const stats = await importDueAttendance();
+    console.log(`Attendance import: ${stats.imported} sessions imported, ${stats.failed} failed.`);
+    return stats;
+};
+
+module.exports = attendanceImportJob;
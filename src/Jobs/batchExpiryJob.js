@@ -1,63 +1,88 @@
 // src/jobs/batchExpiryJob.js
 
-const cron = require("node-cron");
-const mongoose = require("mongoose");
 const Student = require("../models/studentModel");
+const config = require("../config");
+const { localParts, zonedTime } = require("../services/schedulingService");
 
-// Example: Daily at midnight
-// * Adjust schedule as desired: e.g., "0 0 * * *" => daily at 00:00
-const scheduleBatchExpiryJob = async () => {
-    //     const schedule= async () => {
-
-    // //     }
-    // cron.schedule("0 0 * * *", async () => {
-    //     console.log("Running batch expiry check job...");
+// Students read and updated per round trip
+const BATCH_SIZE = 500;
 
-        try {
-            // Get today's date truncated to midnight (optional: you may want exact Date() instead)
-            const now = new Date();
-            now.setHours(0, 0, 0, 0);
+// "suspended" entries (overdue installments) expire too, or they would never lapse
+const EXPIRABLE_STATUSES = ["active", "suspended"];
 
-            // Fetch all students
-            const students = await Student.find().select("subject_id");
+/**
+ * Marks every subject entry whose batch_expiry_date has passed as "expired".
+ * Only matching students are read, through the subject_id expiry index, and
+ * they are updated with one bulkWrite per cursor batch.
+ *
+ * @returns {Promise<{studentsUpdated: number, subjectsExpired: number,
+ *   expired: Array<{student_id: Object, subject_ids: Object[]}>}>}
+ *   `expired` lists what lapsed, for notifications downstream
+ */
+const scheduleBatchExpiryJob = async () => {
+    try {
+        // Anything that expired before today in the academy's timezone
+        const timeZone = config.scheduling.timezone;
+        const now = zonedTime(localParts(new Date(), timeZone).date, "00:00", timeZone);
 
-            let totalUpdated = 0;
+        const lapsed = {
+            batch_status: { $in: EXPIRABLE_STATUSES },
+            batch_expiry_date: { $lt: now },
+        };
+        const cursor = Student.find({ subject_id: { $elemMatch: lapsed } })
+            .select("subject_id._id subject_id.batch_status subject_id.batch_expiry_date")
+            .lean()
+            .cursor({ batchSize: BATCH_SIZE });
 
-            // Iterate each student
-            for (const student of students) {
-                let updated = false;
+        const expired = [];
+        let operations = [];
+        const flush = async () => {
+            if (operations.length === 0) return;
+            await Student.bulkWrite(operations, { ordered: false });
+            operations = [];
+        };
 
-                // Iterate each subdocument in subject_id array
-                student.subject_id.forEach((sub) => {
-                    // Only expire if there's a valid date, it's past 'now', 
-                    // and the status is currently "active".
-                    if (
+        for await (const student of cursor) {
+            const subjectIds = student.subject_id
+                .filter(
+                    (sub) =>
                         sub.batch_expiry_date &&
                         sub.batch_expiry_date < now &&
-                        sub.batch_status === "active"
-                    ) {
-                        sub.batch_status = "expired";
-                        updated = true;
-                    }
-                });
-
-                // If we changed at least one subdoc, save
-                if (updated) {
-                    await student.save();
-                    totalUpdated++;
-                }
-            }
+                        EXPIRABLE_STATUSES.includes(sub.batch_status)
+                )
+                .map((sub) => sub._id);
+            if (subjectIds.length === 0) continue;
 
-            console.log(
-                `Batch expiry job completed. ${totalUpdated} student record(s) updated.`
-            );
-        } catch (error) {
-            console.error("Error updating batch expirations:", error);
+            operations.push({
+                updateOne: {
+                    filter: { _id: student._id },
+                    update: { $set: { "subject_id.$[entry].batch_status": "expired" } },
+                    arrayFilters: [
+                        {
+                            "entry.batch_status": { $in: EXPIRABLE_STATUSES },
+                            "entry.batch_expiry_date": { $lt: now },
+                        },
+                    ],
+                },
+            });
+            expired.push({ student_id: student._id, subject_ids: subjectIds });
+
+            if (operations.length >= BATCH_SIZE) {
+                await flush();
+            }
         }
-    }
+        await flush();
 
-    // );
-    // schedule();
-// };
+        const subjectsExpired = expired.reduce((sum, entry) => sum + entry.subject_ids.length, 0);
+        console.log(
+            `Batch expiry job completed. ${subjectsExpired} subject(s) expired across ${expired.length} student record(s).`
+        );
+        return { studentsUpdated: expired.length, subjectsExpired, expired };
+    } catch (error) {
+        console.error("Error updating batch expirations:", error);
+        // Let the job runner record the failure
+        throw error;
+    }
+};
 
 module.exports = scheduleBatchExpiryJob;
@@ -6,20 +6,21 @@ const Student = require("../models/studentModel");
 const Subject = require("../models/subjectModel");
 const TypeOfBatch = require("../models/typeOfBatchModel");
 const User = require("../models/userModel");
+const config = require("../config");
 
 const sendEmail = async (emailContent,toMail) => {
     const transporterAdmin = nodemailer.createTransport({
-        host: "smtpout.secureserver.net",
-        port: 465,
-        secure: true,
+        host: config.smtp.host,
+        port: config.smtp.port,
+        secure: config.smtp.secure,
         auth: {
-            user: "info@thetopperacademy.com",
-            pass: "Mousumeeray1!",
+            user: config.smtp.user,
+            pass: config.smtp.pass,
         },
     });
 
     const mailOptions = {
-        from: "info@thetopperacademy.com",
+        from: config.smtp.from,
         to: toMail, // Replace with the recipient's email
         subject: "Batch Expiry Notification",
         html: emailContent,
@@ -33,10 +34,13 @@ const manageExpiredBatches = async () => {
 
     try {
         const today = new Date();
+        const stats = { batchesCompleted: 0, batchesFailed: 0, notificationsFailed: 0 };
 
-        // Find expired batches
+        // Running batches whose term is over (batches saved before statuses
+        // existed have none)
         const expiredBatches = await Batch.find({
-            date: { $lte: today }, // Expired batches
+            date: { $lte: today },
+            status: { $nin: ["planned", "completed", "archived"] },
         }).populate(["subject_id", "type_of_batch", "students"]);
         console.log("Expired Batches:", expiredBatches);
         for (const batch of expiredBatches) {
@@ -52,7 +56,7 @@ const manageExpiredBatches = async () => {
             <li><strong>Subject:</strong> ${subject?.subject_name || "N/A"}</li>
             <li><strong>Type of Batch:</strong> ${typeOfBatch?.title || "N/A"}</li>
           </ul>
-          <p>Student Details with Remaining Days for the Subject:</p>
+          <p>Student Details with Remaining Days for the Subject. Students with days remaining stay enrolled until the batch is rolled over into a successor:</p>
           <table border="1" style="border-collapse: collapse; width: 100%;">
             <thead>
               <tr>
@@ -94,6 +98,10 @@ const manageExpiredBatches = async () => {
                   <td>${remainingYears < 0 ? 0 : remainingYears} years</td>
                 </tr>
               `;
+                        // Still entitled: keep the subject for the rollover
+                        if (remainingDays > 0) {
+                            updatedSubjectArray.push(subj);
+                        }
                     } else {
                         updatedSubjectArray.push(subj); // Keep other subjects
                     }
@@ -113,7 +121,7 @@ const manageExpiredBatches = async () => {
                     student.is_paid = false;
                     student.custom_package_status = "no_package";
                     student.custom_package_id = [];
-                } else {
+                } else if (!updatedSubjectArray.some((subj) => subj._id.equals(subject._id))) {
                     // Process `batch_creation` array
                     student.batch_creation = student.batch_creation.filter(
                         (bc) => !bc.subject_id.equals(subject._id)
@@ -129,18 +137,34 @@ const manageExpiredBatches = async () => {
           </table>
         `;
 
-         const users = await User.find({ role: "admin" });
-         users.map(async (user) => {
+            const users = await User.find({ role: "admin" });
+            const results = await Promise.allSettled(
+                users.map((user) => sendEmail(emailContent, user.email))
+            );
+            const failed = results.filter((result) => result.status === "rejected");
+            failed.forEach((result) =>
+                console.error(`Error emailing batch expiry for "${batch.batch_name}":`, result.reason)
+            );
+            stats.notificationsFailed += failed.length;
+
+            // Nobody was told: leave the batch running so the next run retries
+            if (users.length > 0 && failed.length === users.length) {
+                stats.batchesFailed++;
+                continue;
+            }
 
-            // Send email
-            await sendEmail(emailContent,user.email);
-         });
-            // Delete expired batch
-            await Batch.findByIdAndDelete(batch._id);
-            console.log(`Batch "${batch.batch_name}" deleted successfully.`);
+            // Keep the batch for its history and rollover
+            await Batch.updateOne(
+                { _id: batch._id },
+                { status: "completed", completed_at: new Date() }
+            );
+            stats.batchesCompleted++;
+            console.log(`Batch "${batch.batch_name}" completed.`);
         }
+        return stats;
     } catch (err) {
         console.error("Error managing expired batches:", err);
+        throw err;
     }
     // );
 };
@@ -0,0 +1,15 @@
+// src/Jobs/installmentJob.js
+
+const { runInstallmentJob } = require("../services/installmentService");
+
+// Sends upcoming installment links and suspends access on overdue plans.
+// Returns { linksSent, suspended, cancelled } for the job history.
+const installmentJob = async () => {
+    const stats = await runInstallmentJob();
+    console.log(
+        `Installment job: ${stats.linksSent} link(s) sent, ${stats.suspended} plan(s) suspended, ${stats.cancelled} plan(s) cancelled.`
+    );
+    return stats;
+};
+
+module.exports = installmentJob;
@@ -0,0 +1,39 @@
+// src/Jobs/jobRegistry.js
+
+const scheduleBatchExpiryJob = require("./batchExpiryJob");
+const manageExpiredBatches = require("./completeBatchExpiryJob");
+const checkAndUpdateExpiredPackages = require("./packageExpiryJob");
+const installmentJob = require("./installmentJob");
+const renewalReminderJob = require("./renewalReminderJob");
+const makeupPollJob = require("./makeupPollJob");
+const attendanceImportJob = require("./attendanceImportJob");
+const attendanceAlertJob = require("./attendanceAlertJob");
+const { activateStartedBatches } = require("../services/batchLifecycleService");
+
+/**
+ * Every scheduled job. `schedule` is a cron expression used when jobs run
+ * in-process (JOBS_RUN_IN_PROCESS=true); on Vercel the matching entries in
+ * vercel.json call /cron/run/<name> instead, so keep the two in step.
+ * Handlers return counts for the job history and throw on failure.
+ */
+const jobs = [
+  {
+    name: "batch-expiry",
+    schedule: "0 0 * * *",
+    // The per-student list can be large; the run history keeps the totals
+    handler: async () => {
+      const { expired, ...counts } = await scheduleBatchExpiryJob();
+      return counts;
+    },
+  },
+  { name: "batch-activation", schedule: "5 0 * * *", handler: activateStartedBatches },
+  { name: "complete-batch-expiry", schedule: "10 0 * * *", handler: manageExpiredBatches },
+  { name: "package-expiry", schedule: "20 0 * * *", handler: checkAndUpdateExpiredPackages },
+  { name: "installments", schedule: "30 0 * * *", handler: installmentJob },
+  { name: "renewal-reminders", schedule: "30 3 * * *", handler: renewalReminderJob },
+  { name: "makeup-polls", schedule: "15 * * * *", handler: makeupPollJob },
+  { name: "attendance-import", schedule: "45 * * * *", handler: attendanceImportJob },
+  { name: "attendance-alerts", schedule: "0 4 * * *", handler: attendanceAlertJob },
+];
+
+module.exports = jobs;
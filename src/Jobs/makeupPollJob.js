@@ -0,0 +1,14 @@
+// src/Jobs/makeupPollJob.js
+
+const { closeDuePolls } = require("../services/makeupService");
+
+// Schedules the winning slot of every make-up poll past its deadline
+const makeupPollJob = async () => {
+    const stats = await closeDuePolls();
+    console.log(
+        `Make-up polls: ${stats.scheduled} scheduled, ${stats.expired} expired, ${stats.failed} failed.`
+    );
+    return stats;
+};
+
+module.exports = makeupPollJob;
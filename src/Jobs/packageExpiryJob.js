@@ -1,9 +1,13 @@
 // src/jobs/packageExpiryJob.js
 
-const cron = require("node-cron");
 const mongoose = require("mongoose");
 const Student = require("../models/studentModel");
 const Batch = require("../models/batchModel");
+const { promoteFromWaitlists } = require("../services/batchCapacityService");
+
+// Ids of the batches a student is about to be pulled from
+const batchesOf = async (studentId) =>
+  (await Batch.find({ students: studentId }).select("_id")).map((batch) => batch._id);
 
 /**
  * Function to check for expired standard packages and update student records.
@@ -22,6 +26,7 @@ const handleStandardPackageExpiry = async () => {
       subscribed_Package: { $ne: null },
     });
 
+    const freedBatchIds = [];
     if (expiredStandardStudents.length === 0) {
       console.log("No expired standard packages found.");
     } else {
@@ -47,6 +52,7 @@ const handleStandardPackageExpiry = async () => {
         await student.save();
 
         // Remove student from all batches they are part of
+        freedBatchIds.push(...(await batchesOf(student._id)));
         await Batch.updateMany(
           { students: student._id },
           { $pull: { students: student._id } }
@@ -55,8 +61,12 @@ const handleStandardPackageExpiry = async () => {
         console.log(`Updated and removed student ${student._id} from batches.`);
       }
     }
+    // Seats freed above go to waitlisted students
+    await promoteFromWaitlists(freedBatchIds);
+    return expiredStandardStudents.length;
   } catch (error) {
     console.error("Error handling standard package expiries:", error);
+    throw error;
   }
 };
 
@@ -77,6 +87,7 @@ const handleCustomPackageExpiry = async () => {
       custom_package_status: "approved",
     });
 
+    const freedBatchIds = [];
     if (expiredCustomStudents.length === 0) {
       console.log("No expired custom packages found.");
     } else {
@@ -108,6 +119,7 @@ const handleCustomPackageExpiry = async () => {
         await student.save();
 
         // Remove student from all batches they are part of
+        freedBatchIds.push(...(await batchesOf(student._id)));
         await Batch.updateMany(
           { students: student._id },
           { $pull: { students: student._id } }
@@ -116,31 +128,23 @@ const handleCustomPackageExpiry = async () => {
         console.log(`Updated and removed student ${student._id} from batches.`);
       }
     }
+    // Seats freed above go to waitlisted students
+    await promoteFromWaitlists(freedBatchIds);
+    return expiredCustomStudents.length;
   } catch (error) {
     console.error("Error handling custom package expiries:", error);
+    throw error;
   }
 };
 
 /**
- * Main function to run all expiry handlers.
+ * Main function to run all expiry handlers. Scheduled by the job runner
+ * (src/Jobs/jobRegistry.js).
  */
 const checkAndUpdateExpiredPackages = async () => {
-  await handleStandardPackageExpiry();
-  await handleCustomPackageExpiry();
-};
-
-/**
- * Function to schedule the package expiry job.
- */
-const schedulePackageExpiryJob = () => {
-  // Schedule the task to run daily at midnight (00:00)
-  console.log("Starting package expiry job...");
-  cron.schedule("0 0 * * *", () => {
-    console.log("Running scheduled package expiry job...");
-    checkAndUpdateExpiredPackages();
-  });
-  // checkAndUpdateExpiredPackages();
-  console.log("Package expiry job scheduled to run daily at midnight.");
+  const standardExpired = await handleStandardPackageExpiry();
+  const customExpired = await handleCustomPackageExpiry();
+  return { standardExpired, customExpired };
 };
 
-module.exports = schedulePackageExpiryJob;
+module.exports = checkAndUpdateExpiredPackages;
@@ -0,0 +1,12 @@
+// src/Jobs/renewalReminderJob.js
+
+const { runRenewalReminders } = require("../services/renewalReminderService");
+
+// Emails and notifies students whose subjects are about to expire
+const renewalReminderJob = async () => {
+    const stats = await runRenewalReminders();
+    console.log(`Renewal reminders: ${stats.sent} sent, ${stats.failed} failed.`);
+    return stats;
+};
+
+module.exports = renewalReminderJob;
@@ -1,32 +1,24 @@
 const nodemailer = require("nodemailer");
 const bodyParser = require("body-parser");
-const { getInvoice, getInvoicePDF } = require("../controllers/invoiceController");
+const config = require("../config");
 
-// From Digi9
-// const transporterAdmin = nodemailer.createTransport({
-//   host: "smtp.hostinger.com",
-//   port: 465,
-//   secure: true,
-//   auth: {
-//     user: "Info@gully2global.com",
-//     pass: "Shasudigi@217",
-//   },
-// });
-const transporterAdmin = nodemailer.createTransport({
-  host: "smtpout.secureserver.net",
-  port: 465,
-  secure: true,
+const smtpTransportOptions = {
+  host: config.smtp.host,
+  port: config.smtp.port,
+  secure: config.smtp.secure,
   auth: {
-    user: "info@thetopperacademy.com",
-    pass: "Mousumeeray1!",
+    user: config.smtp.user,
+    pass: config.smtp.pass,
   },
-});
+};
+
+const transporterAdmin = nodemailer.createTransport(smtpTransportOptions);
 
 const sendMailFunctionAdmin = async (email, sub, html, pdfPath = "") => {
   try {
 
     const mailOptions = {
-      from: "info@thetopperacademy.com",
+      from: config.smtp.from,
       to: email,//email
       subject: sub,
       html: html,
@@ -56,22 +48,14 @@ const sendMailFunctionAdmin = async (email, sub, html, pdfPath = "") => {
 };
 
 // From Toppers Academy
-const transporterTA = nodemailer.createTransport({
-  host: "smtpout.secureserver.net",
-  port: 465,
-  secure: true,
-  auth: {
-    user: "info@thetopperacademy.com",
-    pass: "Mousumeeray1!",
-  },
-});
+const transporterTA = nodemailer.createTransport(smtpTransportOptions);
 
 const sendMailFunctionTA = async (email, sub, html, pdfPath = "") => {
   try {
     //  const pdfPath1 = await getInvoicePDF("67812e52cb1d90e19f16f422")
     //  console.log(pdfPath1);
     const mailOptions = {
-      from: "info@thetopperacademy.com",
+      from: config.smtp.from,
       to: email,
       subject: sub,
       html: html,
@@ -0,0 +1,312 @@
+// src/config/index.js
+// Single source of configuration and secrets. Everything is read from the
+// environment (or a local .env file), checked against the schema below at
+// boot, and the process fails fast listing every missing or invalid variable.
+require("dotenv").config();
+
+/**
+ * Each entry maps an environment variable to its type and whether it is
+ * required. Variables with a default are always optional, and `oneOf`
+ * limits a variable to the values listed.
+ */
+const schema = {
+  NODE_ENV: { type: "string", default: "development" },
+  PORT: { type: "number", default: 5000 },
+
+  MONGODB_URI: { type: "string", required: true },
+
+  FIREBASE_SERVICE_ACCOUNT_BASE64: { type: "string", required: true },
+  FIREBASE_STORAGE_BUCKET: { type: "string", required: true },
+  FIREBASE_WEB_API_KEY: { type: "string", required: true },
+
+  SMTP_HOST: { type: "string", required: true },
+  SMTP_PORT: { type: "number", default: 465 },
+  SMTP_SECURE: { type: "boolean", default: true },
+  SMTP_USER: { type: "string", required: true },
+  SMTP_PASS: { type: "string", required: true },
+  MAIL_FROM: { type: "string", required: true },
+
+  RAZORPAY_KEY_ID: { type: "string", required: true },
+  RAZORPAY_KEY_SECRET: { type: "string", required: true },
+  RAZORPAY_WEBHOOK_SECRET: { type: "string", required: true },
+  RAZORPAY_CALLBACK_URL: {
+    type: "string",
+    default: "https://www.thetopperacademy.com/",
+  },
+
+  // Signs the quote ids handed to clients at checkout
+  QUOTE_SIGNING_SECRET: { type: "string", required: true },
+  QUOTE_TTL_MINUTES: { type: "number", default: 15 },
+
+  // "razorpay" for Razorpay Subscriptions, "local" for an offline stand-in
+  // whose charges are simulated by an admin endpoint. Keep the list in step
+  // with the gateways in services/subscriptionGateway.js
+  SUBSCRIPTION_GATEWAY: { type: "string", default: "razorpay", oneOf: ["razorpay", "local"] },
+
+  // Installment plans: days an unpaid due may run late before access is
+  // suspended, and how many days before a due its payment link is sent
+  INSTALLMENT_GRACE_DAYS: { type: "number", default: 7 },
+  INSTALLMENT_LINK_LEAD_DAYS: { type: "number", default: 5 },
+
+  // Days before a subject's batch_expiry_date the student is reminded to renew
+  RENEWAL_REMINDER_DAYS: { type: "number list", default: [7, 3, 1] },
+
+  // Automatic batch formation: students per batch when the batch type has no
+  // max_capacity, and the most planned or active batches a teacher may hold
+  AUTO_BATCH_DEFAULT_SIZE: { type: "number", default: 10 },
+  TEACHER_MAX_ACTIVE_BATCHES: { type: "number", default: 8 },
+
+  // Timezone teacher availability is read in when a teacher hasn't set one,
+  // and the length assumed for booked sessions that don't record theirs
+  SCHEDULING_TIMEZONE: { type: "timezone", default: "Asia/Kolkata" },
+  DEFAULT_SESSION_MINUTES: { type: "number", default: 60 },
+  // Hours students have to vote on make-up slots for a cancelled class
+  MAKEUP_POLL_HOURS: { type: "number", default: 48 },
+
+  // Attendance is imported from provider participant reports this many
+  // minutes after a session ends, once reports are available
+  ATTENDANCE_IMPORT_DELAY_MINUTES: { type: "number", default: 30 },
+  // Attendance policy: joining more than ATTENDANCE_GRACE_MINUTES after the
+  // start is late (leaving that early before the end is an early leave),
+  // and under ATTENDANCE_PRESENT_PERCENT of the session is partial
+  ATTENDANCE_GRACE_MINUTES: { type: "number", default: 10 },
+  ATTENDANCE_PRESENT_PERCENT: { type: "number", default: 75 },
+  // Guardians and admins are alerted when a subject's attendance falls
+  // below this, once at least ATTENDANCE_ALERT_MIN_SESSIONS were held
+  ATTENDANCE_ALERT_PERCENT: { type: "number", default: 75 },
+  ATTENDANCE_ALERT_MIN_SESSIONS: { type: "number", default: 4 },
+
+  // Scheduled jobs: bearer token Vercel cron sends to /cron/run/:job, whether
+  // this process also schedules them itself with node-cron, and how long a
+  // job's lock is held before another run may assume it crashed
+  CRON_SECRET: { type: "string", required: true },
+  JOBS_RUN_IN_PROCESS: { type: "boolean", default: false },
+  JOB_LOCK_TTL_MINUTES: { type: "number", default: 30 },
+
+  // "teams", "zoom" or "local" (in-memory, for development). Batches may
+  // pick their own with Batch.meeting_provider. Keep the list in step with
+  // the providers in services/meetingProviders.js
+  MEETING_PROVIDER: { type: "string", default: "teams", oneOf: ["teams", "zoom", "local"] },
+  // Zoom Server-to-Server OAuth app; meetings are hosted by each teacher's
+  // own Zoom user (Teacher.zoom_user_id)
+  ZOOM_ACCOUNT_ID: { type: "string" },
+  ZOOM_CLIENT_ID: { type: "string" },
+  ZOOM_CLIENT_SECRET: { type: "string" },
+
+  ZOOM_SDK_KEY: { type: "string" },
+  ZOOM_SDK_SECRET: { type: "string" },
+  ZOOM_API_KEY: { type: "string" },
+  ZOOM_API_SECRET: { type: "string" },
+
+  // Seller block printed on invoices and credit notes
+  SELLER_NAME: { type: "string", default: "Roy Career Solution (Parent company)" },
+  SELLER_GSTIN: { type: "string", default: "29AAOCR0214J1Z8" },
+  SELLER_ADDRESS: {
+    type: "string",
+    default:
+      "ClayWorks MiniForest, 3rd Floor, Mass Complex, 15th Cross Rd, Sarakki Industrial Layout, RBI Layout, 3rd Phase, J. P. Nagar, Bengaluru, Karnataka - 560078",
+  },
+  SELLER_STATE_CODE: { type: "string", default: "29" },
+  SELLER_EMAIL: { type: "string", default: "info@thetopperacademy.com" },
+  SELLER_PHONE: { type: "string", default: "+91 7667840906" },
+  INVOICE_PREFIX: { type: "string", default: "TA" },
+  CREDIT_NOTE_PREFIX: { type: "string", default: "TA/CN" },
+  // SAC for commercial training and coaching services
+  INVOICE_SAC_CODE: { type: "string", default: "999293" },
+
+  // Invoice branding. A local logo file is preferred; a logo URL is
+  // downloaded once into BRAND_CACHE_DIR and reused from there.
+  BRAND_NAME: { type: "string", default: "The Topper Academy" },
+  BRAND_LOGO_PATH: { type: "string" },
+  BRAND_LOGO_URL: {
+    type: "string",
+    default:
+      "https://firebasestorage.googleapis.com/v0/b/demoproject-6d5cd.appspot.com/o/image%20(4).png?alt=media&token=29dfa005-15a7-4d7c-a0d9-410a149ebeee",
+  },
+  // Defaults to a folder in the OS temp directory
+  BRAND_CACHE_DIR: { type: "string" },
+  // Paragraphs separated by newlines
+  INVOICE_TERMS: {
+    type: "string",
+    default: [
+      "The Topper Academy operates under a strict no-refund policy for all courses, subscriptions, and educational services provided on our platform. Once a student enrols and payment has been made, fees are generally non-refundable.",
+      "Refunds are not available for cancellations initiated due to personal reasons, including but not limited to changes in schedule, personal preferences, or alternate study plans.",
+    ].join("\n"),
+  },
+  INVOICE_FOOTER_TEXT: { type: "string", default: "" },
+
+  MS_GRAPH_TENANT_ID: { type: "string", required: true },
+  MS_GRAPH_CLIENT_ID: { type: "string", required: true },
+  MS_GRAPH_CLIENT_SECRET: { type: "string", required: true },
+};
+
+const parsers = {
+  string: (value) => value,
+  number: (value) => {
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? parsed : undefined;
+  },
+  boolean: (value) => {
+    if (["true", "1", "yes"].includes(value.toLowerCase())) return true;
+    if (["false", "0", "no"].includes(value.toLowerCase())) return false;
+    return undefined;
+  },
+  // Comma separated, e.g. "7,3,1"
+  "number list": (value) => {
+    const parsed = value.split(",").map((item) => Number(item.trim()));
+    return parsed.every(Number.isFinite) ? parsed : undefined;
+  },
+  // IANA name, e.g. "Asia/Kolkata"
+  timezone: (value) => {
+    try {
+      new Intl.DateTimeFormat("en", { timeZone: value });
+      return value;
+    } catch (error) {
+      return undefined;
+    }
+  },
+};
+
+/**
+ * Validates `env` against the schema.
+ * @param {Object} env - Usually process.env
+ * @returns {Object} Parsed values keyed by variable name
+ * @throws {Error} Listing every missing or malformed variable
+ */
+const loadEnv = (env) => {
+  const values = {};
+  const problems = [];
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const raw = env[name];
+
+    if (raw === undefined || raw === "") {
+      if (rule.default !== undefined) {
+        values[name] = rule.default;
+      } else if (rule.required) {
+        problems.push(`${name} is required`);
+      }
+      continue;
+    }
+
+    const parsed = parsers[rule.type](raw.trim());
+    if (parsed === undefined) {
+      problems.push(`${name} must be a ${rule.type}`);
+      continue;
+    }
+    if (rule.oneOf && !rule.oneOf.includes(parsed)) {
+      problems.push(`${name} must be one of ${rule.oneOf.join(", ")}`);
+      continue;
+    }
+    values[name] = parsed;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid configuration, check your environment or .env file:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+
+  return values;
+};
+
+const env = loadEnv(process.env);
+
+module.exports = {
+  env: env.NODE_ENV,
+  isProduction: env.NODE_ENV === "production",
+  port: env.PORT,
+  mongodbUri: env.MONGODB_URI,
+  firebase: {
+    serviceAccountBase64: env.FIREBASE_SERVICE_ACCOUNT_BASE64,
+    storageBucket: env.FIREBASE_STORAGE_BUCKET,
+    webApiKey: env.FIREBASE_WEB_API_KEY,
+  },
+  smtp: {
+    host: env.SMTP_HOST,
+    port: env.SMTP_PORT,
+    secure: env.SMTP_SECURE,
+    user: env.SMTP_USER,
+    pass: env.SMTP_PASS,
+    from: env.MAIL_FROM,
+  },
+  razorpay: {
+    keyId: env.RAZORPAY_KEY_ID,
+    keySecret: env.RAZORPAY_KEY_SECRET,
+    webhookSecret: env.RAZORPAY_WEBHOOK_SECRET,
+    callbackUrl: env.RAZORPAY_CALLBACK_URL,
+  },
+  quote: {
+    signingSecret: env.QUOTE_SIGNING_SECRET,
+    ttlMinutes: env.QUOTE_TTL_MINUTES,
+  },
+  subscriptions: {
+    gateway: env.SUBSCRIPTION_GATEWAY,
+  },
+  installments: {
+    graceDays: env.INSTALLMENT_GRACE_DAYS,
+    linkLeadDays: env.INSTALLMENT_LINK_LEAD_DAYS,
+  },
+  renewalReminders: {
+    days: env.RENEWAL_REMINDER_DAYS,
+  },
+  autoBatching: {
+    defaultSize: env.AUTO_BATCH_DEFAULT_SIZE,
+    teacherMaxBatches: env.TEACHER_MAX_ACTIVE_BATCHES,
+  },
+  scheduling: {
+    timezone: env.SCHEDULING_TIMEZONE,
+    defaultSessionMinutes: env.DEFAULT_SESSION_MINUTES,
+    makeupPollHours: env.MAKEUP_POLL_HOURS,
+  },
+  attendance: {
+    importDelayMinutes: env.ATTENDANCE_IMPORT_DELAY_MINUTES,
+    graceMinutes: env.ATTENDANCE_GRACE_MINUTES,
+    presentPercent: env.ATTENDANCE_PRESENT_PERCENT,
+    alertPercent: env.ATTENDANCE_ALERT_PERCENT,
+    alertMinSessions: env.ATTENDANCE_ALERT_MIN_SESSIONS,
+  },
+  jobs: {
+    cronSecret: env.CRON_SECRET,
+    runInProcess: env.JOBS_RUN_IN_PROCESS,
+    lockTtlMinutes: env.JOB_LOCK_TTL_MINUTES,
+  },
+  meetings: {
+    provider: env.MEETING_PROVIDER,
+  },
+  zoom: {
+    accountId: env.ZOOM_ACCOUNT_ID,
+    clientId: env.ZOOM_CLIENT_ID,
+    clientSecret: env.ZOOM_CLIENT_SECRET,
+    sdkKey: env.ZOOM_SDK_KEY,
+    sdkSecret: env.ZOOM_SDK_SECRET,
+    apiKey: env.ZOOM_API_KEY,
+    apiSecret: env.ZOOM_API_SECRET,
+  },
+  invoice: {
+    prefix: env.INVOICE_PREFIX,
+    creditNotePrefix: env.CREDIT_NOTE_PREFIX,
+    sacCode: env.INVOICE_SAC_CODE,
+    seller: {
+      name: env.SELLER_NAME,
+      gstin: env.SELLER_GSTIN,
+      address: env.SELLER_ADDRESS,
+      state_code: env.SELLER_STATE_CODE,
+      email: env.SELLER_EMAIL,
+      phone: env.SELLER_PHONE,
+    },
+  },
+  branding: {
+    name: env.BRAND_NAME,
+    logoPath: env.BRAND_LOGO_PATH,
+    logoUrl: env.BRAND_LOGO_URL,
+    cacheDir: env.BRAND_CACHE_DIR,
+    terms: env.INVOICE_TERMS.split(/\\n|\n/).map((term) => term.trim()).filter(Boolean),
+    footerText: env.INVOICE_FOOTER_TEXT,
+  },
+  msGraph: {
+    tenantId: env.MS_GRAPH_TENANT_ID,
+    clientId: env.MS_GRAPH_CLIENT_ID,
+    clientSecret: env.MS_GRAPH_CLIENT_SECRET,
+  },
+};
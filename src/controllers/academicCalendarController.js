@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+const AcademicCalendar = require("../models/academicCalendarModel");
+const Class = require("../models/classModel");
+
+/**
+ * Admin: add an academic year for a board, or for one of its classes.
+ * Body: `board_id`, optional `class_id`, `academic_year`, `start_date`,
+ * `end_date`. New batches end on the `end_date` of the year they start in.
+ */
+exports.createAcademicCalendar = async (req, res) => {
+  const { board_id, class_id, academic_year, start_date, end_date } = req.body;
+
+  if (!board_id || !academic_year || !start_date || !end_date) {
+    return res.status(400).json({
+      error: "Missing required fields: board_id, academic_year, start_date, end_date",
+    });
+  }
+  if (!mongoose.Types.ObjectId.isValid(board_id)) {
+    return res.status(400).json({ error: "Invalid board ID" });
+  }
+  if (new Date(end_date) <= new Date(start_date)) {
+    return res.status(400).json({ error: "end_date must be after start_date" });
+  }
+
+  try {
+    if (class_id) {
+      const cls = await Class.findById(class_id).select("curriculum");
+      if (!cls || !cls.curriculum.equals(board_id)) {
+        return res.status(400).json({ error: "Class does not belong to this board" });
+      }
+    }
+
+    const calendar = await AcademicCalendar.create({
+      board_id,
+      class_id: class_id || null,
+      academic_year,
+      start_date,
+      end_date,
+    });
+    res.status(201).json({ message: "Academic year created", calendar });
+  } catch (error) {
+    console.error("Error creating academic year:", error);
+    if (error.code === 11000) {
+      return res.status(409).json({ error: "This academic year already exists" });
+    }
+    res.status(500).json({ error: "Failed to create academic year" });
+  }
+};
+
+// Academic years, optionally for one board or class (?board_id=&class_id=)
+exports.getAcademicCalendars = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.board_id) filter.board_id = req.query.board_id;
+    if (req.query.class_id) filter.class_id = req.query.class_id;
+
+    const calendars = await AcademicCalendar.find(filter)
+      .sort({ start_date: -1 })
+      .populate("board_id", "name")
+      .populate("class_id", "className");
+    res.status(200).json(calendars);
+  } catch (error) {
+    console.error("Error fetching academic years:", error);
+    res.status(500).json({ error: "Failed to fetch academic years" });
+  }
+};
+
+// Admin: change an academic year's dates. Existing batches keep their end date.
+exports.updateAcademicCalendar = async (req, res) => {
+  const { id } = req.params;
+  const { academic_year, start_date, end_date } = req.body;
+
+  try {
+    const calendar = await AcademicCalendar.findById(id);
+    if (!calendar) {
+      return res.status(404).json({ error: "Academic year not found" });
+    }
+
+    if (academic_year) calendar.academic_year = academic_year;
+    if (start_date) calendar.start_date = start_date;
+    if (end_date) calendar.end_date = end_date;
+    if (calendar.end_date <= calendar.start_date) {
+      return res.status(400).json({ error: "end_date must be after start_date" });
+    }
+
+    await calendar.save();
+    res.status(200).json({ message: "Academic year updated", calendar });
+  } catch (error) {
+    console.error("Error updating academic year:", error);
+    res.status(500).json({ error: "Failed to update academic year" });
+  }
+};
+
+exports.deleteAcademicCalendar = async (req, res) => {
+  try {
+    const calendar = await AcademicCalendar.findByIdAndDelete(req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ error: "Academic year not found" });
+    }
+    res.status(200).json({ message: "Academic year deleted" });
+  } catch (error) {
+    console.error("Error deleting academic year:", error);
+    res.status(500).json({ error: "Failed to delete academic year" });
+  }
+};
@@ -350,7 +350,7 @@ const getAssignmentById = async (req, res) => {
 */
 const getAllAssignments = async (req, res) => {
     try {
-      const assignments = await Assignment.find()
+      const assignments = await Assignment.find({ is_archived: { $ne: true } })
         .populate('batch_id', 'batch_name')
         .populate({
             path: "teacher_id",
@@ -389,7 +389,7 @@ const getAssignmentsByTeacherId = async (req, res) => {
       }
   
       // Find Assignments associated with the teacher
-      const assignments = await Assignment.find({ teacher_id: teacherId })
+      const assignments = await Assignment.find({ teacher_id: teacherId, is_archived: { $ne: true } })
         .populate('batch_id', 'batch_name')
         .populate({
             path: "teacher_id",
@@ -427,7 +427,7 @@ const getAssignmentsByBatchId = async (req, res) => {
       }
   
       // Find Assignments associated with the batch
-      const assignments = await Assignment.find({ batch_id: batchId })
+      const assignments = await Assignment.find({ batch_id: batchId, is_archived: { $ne: true } })
         .populate('batch_id', 'batch_name')
         .populate({
             path: "teacher_id",
@@ -3,6 +3,7 @@ const { admin } = require("../services/firebaseService");
 const mongoose = require("mongoose");
 const Student = require("../models/studentModel");
 const User = require("../models/userModel");
+const { syncRoleClaims } = require("../services/roleService");
 
 /**
  * Handles signup process for users.
@@ -20,9 +21,10 @@ const User = require("../models/userModel");
  * 4. Check if a user with the same Firebase UID already exists in the database.
  *    a. If yes, return a 400 error with "User already exists" message.
  * 5. If no user with the same Firebase UID exists, create a new user document.
- * 6. Set the user's role to "student" by default, unless a valid role is provided in the request body.
+ * 6. Always create the user as a "student"; the role in the request body is only used to
+ *    flag teacher applicants, who are promoted by an admin once their application is approved.
  * 7. Set the user's approval status to "pending".
- * 8. Save the user document to the database.
+ * 8. Save the user (and student) documents, then sync the role to the Firebase custom claims.
  * 9. Return a 201 response with a success message and the user document.
  */
 exports.signup = async (req, res) => {
@@ -46,10 +48,10 @@ exports.signup = async (req, res) => {
       return res.status(400).json({ error: "User already exists" });
     }
 
-    // Set user role
-    const userRole = ["student", "teacher", "admin"].includes(role)
-      ? role
-      : "student";
+    // Never trust a client-supplied role: everyone starts as a student and
+    // teacher applicants wait for an admin to approve their application
+    const userRole = "student";
+    const isTeacherApplicant = role === "teacher";
 
     // Create new user
     user = new User({
@@ -64,9 +66,9 @@ exports.signup = async (req, res) => {
 
     const createdUser = await user.save();
 
-    // If the role is 'student', create a Student document
+    // Teacher applicants get no Student document
     let student;
-    if (userRole === "student") {
+    if (!isTeacherApplicant) {
       // Correctly format the subject_id array
     // const formattedSubjects = subject_id.map(subject => ({
     //   subject_id: mongoose.Types.ObjectId(subject.subject_id), // Ensure it's an ObjectId
@@ -106,6 +108,13 @@ exports.signup = async (req, res) => {
       await student.save();
     }
 
+    // Not fatal: authMiddleware backfills missing claims on the next request
+    try {
+      await syncRoleClaims(createdUser);
+    } catch (error) {
+      console.error("Error syncing role claims:", error);
+    }
+
     res.status(201).json({
       message: "User account created successfully",
       user,
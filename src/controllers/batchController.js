@@ -4,6 +4,21 @@ const { error } = require("winston");
 const Batch = require("../models/batchModel");
 const Student = require("../models/studentModel");
 const TypeOfBatch = require("../models/typeOfBatchModel"); // Adjust path as needed
+const {
+  initialStatus,
+  resolveTermEnd,
+  setBatchStatus,
+  rolloverBatch,
+} = require("../services/batchLifecycleService");
+const {
+  capacityOf,
+  allocateSeats,
+  enrolmentOperations,
+  promoteFromWaitlist,
+} = require("../services/batchCapacityService");
+const { previewAutoBatches, confirmAutoBatches } = require("../services/autoBatchService");
+const { assignBatchTeachers } = require("../services/schedulingService");
+const { providerNames } = require("../services/meetingProviders");
 
 // exports.createBatch = async (req, res) => {
 //   const session = await mongoose.startSession();
@@ -117,6 +132,9 @@ exports.createBatch = async (req, res) => {
       students,      // Array of student _ids
       date,
       type_of_batch, // e.g. a TypeOfBatch reference
+      max_capacity,  // Optional, overrides the batch type's capacity
+      overflow = "reject", // or "waitlist" when there are more students than seats
+      meeting_provider, // Optional, overrides MEETING_PROVIDER for this batch
     } = req.body;
 
     // Validate required fields
@@ -150,10 +168,20 @@ exports.createBatch = async (req, res) => {
     if (validStudentsCount !== students.length) {
       throw new Error("One or more student IDs are invalid.");
     }
-    const currentDate = new Date();
-    const nextYear = currentDate.getFullYear() + 1;
-    // monthIndex = 1 => February (0-based month in JS), day = 1 => Feb 1.
-    const nextFeb = new Date(nextYear, 1, 1);
+    // The term ends with the class's academic year
+    const startDate = date ? new Date(date) : new Date();
+    const term = await resolveTermEnd(class_id, startDate);
+
+    // Seat whoever fits; the rest are rejected or waitlisted
+    const capacity = await capacityOf({ max_capacity, type_of_batch });
+    const { admitted, overflow: extra } = allocateSeats([], students, capacity);
+    if (extra.length > 0 && overflow !== "waitlist") {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        error: `Batch capacity is ${capacity}, got ${students.length} students.`,
+      });
+    }
 
     // Create and save the new Batch
     const newBatch = new Batch({
@@ -162,16 +190,21 @@ exports.createBatch = async (req, res) => {
       subject_id,
       class_id,
       teacher_id,
-      students,
+      students: admitted,
+      waitlist: extra.map((studentId) => ({ student_id: studentId })),
+      max_capacity,
       start_date:date,
-      date:nextFeb,
+      date:term.endDate,
+      academic_year: term.academicYear,
+      status: initialStatus(startDate),
       type_of_batch,
+      meeting_provider,
     });
 
     await newBatch.save({ session });
 
     // For each student, update their subject array subdoc + batch_creation
-    for (const studentId of students) {
+    for (const studentId of admitted) {
       // 1) Find the student document
       const studentDoc = await Student.findOne({ _id: studentId }).session(
         session
@@ -228,7 +261,7 @@ exports.createBatch = async (req, res) => {
     await session.commitTransaction();
     session.endSession();
 
-    res.status(201).json({ message: "Batch created successfully." });
+    res.status(201).json({ message: "Batch created successfully.", waitlisted: extra });
   } catch (error) {
     // Abort transaction on error
     await session.abortTransaction();
@@ -241,7 +274,7 @@ exports.createBatch = async (req, res) => {
       return res.status(400).json({ error: "Invalid ID format." });
     }
 
-    res.status(500).json({ error: error.message || "Server error." });
+    res.status(error.statusCode || 500).json({ error: error.message || "Server error." });
   }
 };
 // src/controllers/batchController.js
@@ -253,6 +286,7 @@ exports.getAllBatches = async (req, res) => {
       end_date,
       teacher_id,
       students,
+      status,
       sort_by,
       page = 1,
       limit = 100,
@@ -280,6 +314,10 @@ exports.getAllBatches = async (req, res) => {
     if (students) {
       query.students = students;
     }
+    // planned, active, completed or archived
+    if (status) {
+      query.status = status;
+    }
 
     // Build sort object
     let sort = {};
@@ -485,19 +523,6 @@ exports.getBatchesByStudentId = async (req, res) => {
   }
 };
 
-/**
- * Utility function to add months to a date
- *
- * @param {Date} date - The original date
- * @param {Number} months - Number of months to add
- * @returns {Date} - The new date
- */
-function addMonths(date, months) {
-  const newDate = new Date(date);
-  newDate.setMonth(newDate.getMonth() + months);
-  return newDate;
-}
-
 /**
  * Add one or multiple students to an existing batch
  * and update their student.subject_id and batch_creation accordingly.
@@ -512,7 +537,9 @@ exports.addStudentsToBatch = async (req, res) => {
 
   try {
     const { batchId } = req.params; // Extract batchId from URL parameters
-    const { studentIds, subjectId } = req.body; // Extract studentIds and subjectId from request body
+    // overflow: "reject" (default) fails when the batch lacks seats for
+    // everyone, "waitlist" seats who fits and waitlists the rest
+    const { studentIds, subjectId, overflow = "reject" } = req.body;
  console.log(studentIds,subjectId);
     // ----------------------- Validation -----------------------
     if (!mongoose.Types.ObjectId.isValid(batchId)) {
@@ -573,87 +600,27 @@ exports.addStudentsToBatch = async (req, res) => {
       });
     }
 
-    // ----------------------- Determine batch_expiry_date -----------------------
-    const now = new Date();
-    const useStartDate = batch.start_date && batch.start_date > now;
-    // If batch.start_date is in the future, we base calculations off that
-    // otherwise use current date
-
-    // We'll build an array of bulk operations
-    const bulkStudentOps = [];
-
-    for (const student of existingStudents) {
-      // 1) Attempt to find an existing subdocument for subjectId
-      const subjectSubdoc = student.subject_id.find(
-        (sub) => sub._id.toString() === subjectId
-      );
-
-      // 2) Decide the duration
-      //    If the subdoc has a .duration, use it, else default to 1 (for 1 month)
-      const duration = subjectSubdoc?.duration || 1;
-
-      // 3) Calculate expiry based on either batch.start_date or now
-      const baseDate = useStartDate ? batch.start_date : now;
-      const expiry = addMonths(baseDate, duration);
-
-      // 4) Create the update operation
-      if (subjectSubdoc) {
-        // The student already has subjectId in subject_id[]: update it
-        bulkStudentOps.push({
-          updateOne: {
-            filter: {
-              _id: student._id,
-              "subject_id._id": subjectId,
-            },
-            update: {
-              $set: {
-                "subject_id.$.batch_id": batchId,
-                "subject_id.$.batch_status": "active",
-                "subject_id.$.batch_expiry_date": expiry,
-                "subject_id.$.batch_assigned": true,
-              },
-            },
-          },
-        });
-      } else {
-        // The student does not have subjectId; push a new subdocument
-        bulkStudentOps.push({
-          updateOne: {
-            filter: { _id: student._id },
-            update: {
-              $push: {
-                subject_id: {
-                  _id: subjectId,
-                  batch_id: batchId,
-                  batch_assigned: true,
-                  batch_expiry_date: expiry,
-                  batch_status: "active",
-                  duration,
-                },
-              },
-            },
-          },
-        });
-      }
-
-      // 5) Also update batch_creation for the student
-      //    We'll add { subject_id, status: true } if not already present
-      //    That might require an update with `$addToSet`
-      bulkStudentOps.push({
-        updateOne: {
-          filter: { _id: student._id },
-          update: {
-            $addToSet: {
-              batch_creation: {
-                subject_id: subjectId,
-                status: true, // or some custom logic
-              },
-            },
-          },
-        },
+    // ----------------------- Check capacity -----------------------
+    const capacity = await capacityOf(batch);
+    const { admitted, overflow: extra, seatsLeft } = allocateSeats(
+      batch.students,
+      studentIds,
+      capacity
+    );
+    if (extra.length > 0 && overflow !== "waitlist") {
+      await session.abortTransaction();
+      session.endSession();
+      return res.status(409).json({
+        error: `Batch is full: ${seatsLeft} seat(s) left for ${studentIds.length} student(s).`,
+        seatsLeft,
       });
     }
 
+    // We'll build an array of bulk operations
+    const bulkStudentOps = existingStudents
+      .filter((student) => admitted.includes(student._id.toString()))
+      .flatMap((student) => enrolmentOperations(student, batch));
+
     // ----------------------- Perform Bulk Updates -----------------------
     if (bulkStudentOps.length > 0) {
       await Student.bulkWrite(bulkStudentOps, { session });
@@ -662,13 +629,19 @@ exports.addStudentsToBatch = async (req, res) => {
     // ----------------------- Update Batch Document -----------------------
     // Add these students to batch.students if not already present
     const existingBatchStudentSet = new Set(batch.students.map((id) => id.toString()));
-    for (const sId of studentIds) {
+    for (const sId of admitted) {
       existingBatchStudentSet.add(sId);
     }
     batch.students = Array.from(existingBatchStudentSet).map(
       (id) => new mongoose.Types.ObjectId(id)
     );
 
+    // Queue the rest, skipping anyone already waiting
+    const waiting = new Set(batch.waitlist.map((entry) => entry.student_id.toString()));
+    for (const sId of extra) {
+      if (!waiting.has(sId)) batch.waitlist.push({ student_id: sId });
+    }
+
     // Save the updated batch
     await batch.save({ session });
 
@@ -681,8 +654,11 @@ exports.addStudentsToBatch = async (req, res) => {
     // or any other fields you need
 
     return res.status(200).json({
-      message: "Student(s) added to the batch successfully.",
+      message: extra.length > 0
+        ? `${admitted.length} student(s) added, ${extra.length} waitlisted.`
+        : "Student(s) added to the batch successfully.",
       batch,
+      waitlisted: extra,
     });
   } catch (error) {
     await session.abortTransaction();
@@ -692,4 +668,280 @@ exports.addStudentsToBatch = async (req, res) => {
       .status(500)
       .json({ error: "An error occurred while adding students to the batch." });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Admin: move a batch along its lifecycle. Body: `status`. Allowed moves are
+ * planned -> active or archived, active -> completed, completed -> archived.
+ */
+exports.updateBatchStatus = async (req, res) => {
+  const { id } = req.params;
+  const { status } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+  if (!status) {
+    return res.status(400).json({ error: "Missing required field: status" });
+  }
+
+  try {
+    const batch = await setBatchStatus(id, status);
+    res.status(200).json({ message: `Batch ${status}`, batch });
+  } catch (error) {
+    console.error("Error updating batch status:", error);
+    res.status(error.statusCode || 500).json({ error: error.message || "Server error" });
+  }
+};
+
+/**
+ * Admin: roll a batch over into a successor for the next term. Body, all
+ * optional: `batch_name`, `start_date`, `teacher_id` (array). Students still
+ * entitled on the start date move to the successor; the old batch and its
+ * meetings, content and assignments are archived, and its upcoming
+ * sessions cancelled.
+ */
+exports.rolloverBatch = async (req, res) => {
+  const { id } = req.params;
+  const { batch_name, start_date, teacher_id } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+  if (teacher_id !== undefined && !Array.isArray(teacher_id)) {
+    return res.status(400).json({ error: "teacher_id must be an array of teacher IDs" });
+  }
+
+  try {
+    const { successor, moved, leftBehind, cancelledSessions } = await rolloverBatch({
+      batchId: id,
+      batchName: batch_name,
+      startDate: start_date,
+      teacherIds: teacher_id,
+    });
+    res.status(201).json({
+      message: "Batch rolled over successfully",
+      successor,
+      moved,
+      leftBehind,
+      cancelledSessions,
+    });
+  } catch (error) {
+    console.error("Error rolling over batch:", error);
+    res.status(error.statusCode || 500).json({ error: error.message || "Server error" });
+  }
+};
+
+// Admin: the batch's waitlist in order, with seats taken and available
+exports.getBatchWaitlist = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+
+  try {
+    const batch = await Batch.findById(id)
+      .select("batch_name students waitlist max_capacity type_of_batch")
+      .populate({
+        path: "waitlist.student_id",
+        select: "user_id phone_number",
+        populate: { path: "user_id", select: "name email" },
+      });
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+
+    res.status(200).json({
+      batch_name: batch.batch_name,
+      capacity: await capacityOf(batch),
+      enrolled: batch.students.length,
+      waitlist: batch.waitlist,
+    });
+  } catch (error) {
+    console.error("Error fetching waitlist:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+// Admin: take a student off the batch's waitlist
+exports.removeFromWaitlist = async (req, res) => {
+  const { id, studentId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id) || !mongoose.Types.ObjectId.isValid(studentId)) {
+    return res.status(400).json({ error: "Invalid batch or student ID" });
+  }
+
+  try {
+    const batch = await Batch.findOneAndUpdate(
+      { _id: id, "waitlist.student_id": studentId },
+      { $pull: { waitlist: { student_id: studentId } } },
+      { new: true }
+    );
+    if (!batch) {
+      return res.status(404).json({ error: "Student is not on this batch's waitlist" });
+    }
+    res.status(200).json({ message: "Student removed from the waitlist", waitlist: batch.waitlist });
+  } catch (error) {
+    console.error("Error removing student from waitlist:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Admin: set or clear the batch's own capacity. Body: `max_capacity` (null
+ * falls back to the batch type's). Extra seats are filled from the waitlist.
+ */
+exports.updateBatchCapacity = async (req, res) => {
+  const { id } = req.params;
+  const { max_capacity } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+  if (max_capacity !== null && !(Number.isInteger(max_capacity) && max_capacity > 0)) {
+    return res.status(400).json({ error: "max_capacity must be a positive whole number or null" });
+  }
+
+  try {
+    const batch = await Batch.findByIdAndUpdate(
+      id,
+      max_capacity === null ? { $unset: { max_capacity: 1 } } : { max_capacity },
+      { new: true }
+    );
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+
+    const promoted = await promoteFromWaitlist(batch._id);
+    res.status(200).json({ message: "Batch capacity updated", batch, promoted });
+  } catch (error) {
+    console.error("Error updating batch capacity:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Admin: choose the video provider for the batch's new meetings. Body:
+ * `meeting_provider` ("teams", "zoom" or "local"; null for the default).
+ * Meetings already created stay with their provider.
+ */
+exports.updateMeetingProvider = async (req, res) => {
+  const { id } = req.params;
+  const { meeting_provider } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+  if (meeting_provider !== null && !providerNames.includes(meeting_provider)) {
+    return res
+      .status(400)
+      .json({ error: `meeting_provider must be one of ${providerNames.join(", ")} or null` });
+  }
+
+  try {
+    const batch = await Batch.findByIdAndUpdate(
+      id,
+      meeting_provider === null ? { $unset: { meeting_provider: 1 } } : { meeting_provider },
+      { new: true }
+    );
+    if (!batch) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+    res.status(200).json({ message: "Meeting provider updated", batch });
+  } catch (error) {
+    console.error("Error updating meeting provider:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Admin: replace the batch's teachers. Body: `teacher_id` (array). Refused
+ * with the conflicts when an incoming teacher is unavailable or already
+ * booked for one of the batch's upcoming sessions.
+ */
+exports.assignBatchTeachers = async (req, res) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+
+  try {
+    const batch = await assignBatchTeachers({ batchId: id, teacherIds: req.body.teacher_id });
+    res.status(200).json({ message: "Batch teachers updated", batch });
+  } catch (error) {
+    console.error("Error assigning batch teachers:", error);
+    res
+      .status(error.statusCode || 500)
+      .json({ error: error.message || "Server error", conflicts: error.conflicts });
+  }
+};
+
+/**
+ * Admin: propose batches for every eligible student of a subject, grouped by
+ * class, board, batch type and preferred time slot, each with a suggested
+ * teacher. Body: `subject_id`, optional `type_of_batch` and `class_id`.
+ * Returns a draft plan to confirm within a day.
+ */
+exports.previewAutoBatches = async (req, res) => {
+  const { subject_id, type_of_batch, class_id } = req.body;
+
+  for (const [field, value] of Object.entries({ subject_id, type_of_batch, class_id })) {
+    if ((field === "subject_id" || value) && !mongoose.Types.ObjectId.isValid(value)) {
+      return res.status(400).json({ error: `Invalid or missing ${field}` });
+    }
+  }
+
+  try {
+    const plan = await previewAutoBatches({
+      subjectId: subject_id,
+      typeOfBatchId: type_of_batch,
+      classId: class_id,
+      createdBy: req.user.uid,
+    });
+    await plan.populate([
+      { path: "batches.students", select: "user_id", populate: { path: "user_id", select: "name email" } },
+      { path: "batches.teacher_id", select: "user_id", populate: { path: "user_id", select: "name" } },
+      { path: "batches.preferred_time_slot", select: "time_slot" },
+    ]);
+    res.status(201).json({ message: "Batch plan prepared", plan });
+  } catch (error) {
+    console.error("Error preparing batch plan:", error);
+    res.status(error.statusCode || 500).json({ error: error.message || "Server error" });
+  }
+};
+
+/**
+ * Admin: create the batches of a previewed plan in one transaction. Body,
+ * optional: `start_date`, `overrides` ([{ index, teacher_id, batch_name }]).
+ */
+exports.confirmAutoBatches = async (req, res) => {
+  const { planId } = req.params;
+  const { start_date, overrides = [] } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(planId)) {
+    return res.status(400).json({ error: "Invalid plan ID" });
+  }
+  if (!Array.isArray(overrides)) {
+    return res.status(400).json({ error: "overrides must be an array" });
+  }
+
+  try {
+    const { plan, batches } = await confirmAutoBatches({
+      planId,
+      startDate: start_date,
+      overrides,
+    });
+    res.status(201).json({
+      message: `${batches.length} batch(es) created`,
+      planId: plan._id,
+      batches,
+    });
+  } catch (error) {
+    console.error("Error confirming batch plan:", error);
+    res
+      .status(error.statusCode || 500)
+      .json({ error: error.message || "Server error", conflicts: error.conflicts });
+  }
+};
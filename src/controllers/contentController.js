@@ -62,7 +62,7 @@ const uploadContent = async (req, res) => {
  */
 const getAllContent = async (req, res) => {
     try {
-        const contentList = await Content.find().populate('batch._id');
+        const contentList = await Content.find({ is_archived: { $ne: true } }).populate('batch._id');
         res.status(200).json(contentList);
     } catch (error) {
         console.error('Error fetching content:', error);
@@ -79,7 +79,7 @@ const getContentByTeacherId = async (req, res) => {
         const { teacherId } = req.params;
 
         // Find content where teacher_id matches the given teacherId
-        const contentList = await Content.find({ teacher_id: teacherId });
+        const contentList = await Content.find({ teacher_id: teacherId, is_archived: { $ne: true } });
 
         if (contentList.length === 0) {
             return res.status(404).json({ error: 'No content found for this teacher' });
@@ -100,7 +100,7 @@ const getContentByBatchId = async (req, res) => {
         const { batchId } = req.params;
 
         // Find content where batch._id matches the given batchId
-        const contentList = await Content.find({ 'batch._id': batchId });
+        const contentList = await Content.find({ 'batch._id': batchId, is_archived: { $ne: true } });
 
         if (contentList.length === 0) {
             return res.status(404).json({ error: 'No content found for this batch' });
@@ -0,0 +1,176 @@
+// controllers/couponController.js
+const mongoose = require("mongoose");
+const Coupon = require("../models/couponModel");
+const CouponRedemption = require("../models/couponRedemptionModel");
+const Student = require("../models/studentModel");
+const {
+  linesForNewOrder,
+  linesForRenewal,
+  priceOrder,
+} = require("../services/pricingService");
+
+// Fields an admin may set on a coupon; usage counters are never client-set
+const COUPON_FIELDS = [
+  "code",
+  "description",
+  "discount_type",
+  "discount_value",
+  "max_discount",
+  "min_order_value",
+  "valid_from",
+  "valid_until",
+  "usage_limit",
+  "per_user_limit",
+  "class_ids",
+  "subject_ids",
+  "type_of_batch_ids",
+  "is_active",
+];
+
+const pickCouponFields = (body) =>
+  COUPON_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) fields[key] = body[key];
+    return fields;
+  }, {});
+
+const validationMessage = (error) => {
+  if (error.code === 11000) return "A coupon with this code already exists";
+  if (error.name === "ValidationError" || error.name === "CastError") return error.message;
+  return null;
+};
+
+// Create a new coupon
+exports.createCoupon = async (req, res) => {
+  try {
+    const fields = pickCouponFields(req.body);
+    if (fields.discount_type === "percentage" && fields.discount_value > 100) {
+      return res.status(400).json({ error: "A percentage discount cannot exceed 100" });
+    }
+
+    const coupon = await Coupon.create({ ...fields, created_by: req.user._id });
+    res.status(201).json({ message: "Coupon created", data: coupon });
+  } catch (error) {
+    console.error("Error creating coupon:", error);
+    const message = validationMessage(error);
+    if (message) return res.status(400).json({ error: message });
+    res.status(500).json({ error: "Unable to create coupon" });
+  }
+};
+
+// Get all coupons, optionally only active ones (?active=true)
+exports.getAllCoupons = async (req, res) => {
+  try {
+    const filter = req.query.active === "true" ? { is_active: true } : {};
+    const coupons = await Coupon.find(filter).sort({ createdAt: -1 });
+    res.status(200).json(coupons);
+  } catch (error) {
+    console.error("Error fetching coupons:", error);
+    res.status(500).json({ error: "Unable to fetch coupons" });
+  }
+};
+
+// Get a coupon with its redemptions
+exports.getCouponById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid coupon ID" });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+
+    const redemptions = await CouponRedemption.find({ coupon_id: id, status: "redeemed" })
+      .sort({ redeemed_at: -1 })
+      .populate({ path: "student_id", select: "user_id", populate: { path: "user_id", select: "name email" } });
+    res.status(200).json({ coupon, redemptions });
+  } catch (error) {
+    console.error("Error fetching coupon:", error);
+    res.status(500).json({ error: "Unable to fetch coupon" });
+  }
+};
+
+// Update a coupon by ID
+exports.updateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid coupon ID" });
+    }
+
+    const coupon = await Coupon.findById(id);
+    if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+
+    coupon.set(pickCouponFields(req.body));
+    if (coupon.discount_type === "percentage" && coupon.discount_value > 100) {
+      return res.status(400).json({ error: "A percentage discount cannot exceed 100" });
+    }
+    await coupon.save();
+    res.status(200).json({ message: "Coupon updated", data: coupon });
+  } catch (error) {
+    console.error("Error updating coupon:", error);
+    const message = validationMessage(error);
+    if (message) return res.status(400).json({ error: message });
+    res.status(500).json({ error: "Unable to update coupon" });
+  }
+};
+
+// Deactivate a coupon. Coupons are kept because payments refer to them.
+exports.deactivateCoupon = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid coupon ID" });
+    }
+
+    const coupon = await Coupon.findByIdAndUpdate(id, { is_active: false }, { new: true });
+    if (!coupon) return res.status(404).json({ error: "Coupon not found" });
+    res.status(200).json({ message: "Coupon deactivated", data: coupon });
+  } catch (error) {
+    console.error("Error deactivating coupon:", error);
+    res.status(500).json({ error: "Unable to deactivate coupon" });
+  }
+};
+
+/**
+ * Checks a coupon before checkout and returns the price the order would be
+ * created at. Body: `code`, `studentId`, and for a renewal `subjectId`,
+ * `batchId` and `duration`. Nothing is reserved until the order is created.
+ */
+exports.validateCoupon = async (req, res) => {
+  const { code, studentId, subjectId, batchId, duration } = req.body;
+
+  if (!code || !studentId) {
+    return res.status(400).json({ error: "Missing required fields: code, studentId" });
+  }
+
+  try {
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+
+    const lines =
+      subjectId && batchId && duration
+        ? linesForRenewal(student, { subjectId, batchId, duration })
+        : linesForNewOrder(student);
+    const { couponDoc, ...pricing } = await priceOrder({ student, lines, couponCode: code });
+
+    res.status(200).json({
+      valid: true,
+      coupon: {
+        code: couponDoc.code,
+        description: couponDoc.description,
+        discount_type: couponDoc.discount_type,
+        discount_value: couponDoc.discount_value,
+      },
+      pricing,
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ valid: false, error: error.message });
+    }
+    console.error("Error validating coupon:", error);
+    res.status(500).json({ error: "Unable to validate coupon" });
+  }
+};
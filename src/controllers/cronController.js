@@ -1,21 +1,86 @@
-const connectDB = require("../config/database");
-const manageExpiredBatches = require("../Jobs/completeBatchExpiryJob.js");
-const scheduleBatchExpiryJob = require("../Jobs/batchExpiryJob.js");
-
 const mongoose = require("mongoose");
+const JobRun = require("../models/jobRunModel");
+const { runJob, listJobs } = require("../services/jobService");
+
+const sendJobResult = (res, run) => {
+  // A failed run answers 500 so Vercel's cron log shows it as failed
+  const status = run.status === "failed" ? 500 : 200;
+  res.status(status).json({ message: `Job ${run.job} ${run.status}`, data: run });
+};
+
+const sendJobError = (res, error) => {
+  console.error("Error running job:", error);
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: "Unable to run job" });
+};
+
+// Vercel cron: run one job (GET /cron/run/:job)
+exports.runScheduledJob = async (req, res) => {
+  try {
+    const run = await runJob(req.params.job, { trigger: "cron" });
+    sendJobResult(res, run);
+  } catch (error) {
+    sendJobError(res, error);
+  }
+};
+
+// Admin: run a job now, outside its schedule
+exports.triggerJob = async (req, res) => {
+  try {
+    const run = await runJob(req.params.job, { trigger: "manual", triggeredBy: req.user.uid });
+    sendJobResult(res, run);
+  } catch (error) {
+    sendJobError(res, error);
+  }
+};
+
+// Admin: registered jobs with their schedule, lock state and last run
+exports.getJobs = async (req, res) => {
+  try {
+    const jobs = await listJobs();
+    res.status(200).json(jobs);
+  } catch (error) {
+    console.error("Error fetching jobs:", error);
+    res.status(500).json({ error: "Unable to fetch jobs" });
+  }
+};
+
+/**
+ * Admin: run history, newest first. Query: `job`, `status`, `limit`
+ * (default 50, at most 200).
+ */
+exports.getJobRuns = async (req, res) => {
+  try {
+    const { job, status } = req.query;
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
 
-exports.cron = async () => {
+    const filter = {};
+    if (job) filter.job = job;
+    if (status) filter.status = status;
 
-    try {
+    const runs = await JobRun.find(filter).sort({ started_at: -1 }).limit(limit);
+    res.status(200).json(runs);
+  } catch (error) {
+    console.error("Error fetching job runs:", error);
+    res.status(500).json({ error: "Unable to fetch job runs" });
+  }
+};
 
-        connectDB();
-        await scheduleBatchExpiryJob();
-        await manageExpiredBatches();
-        console.log("Batch expiry job executed successfully.");
-        // process.exit(1); // Exit after completion
-    } catch (error) {
-        console.error("Error during batch expiry job:", error);
-        // process.exit(0); // Exit with error
+// Admin: one run, including the error stack of a failed run
+exports.getJobRunById = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid job run ID" });
     }
 
-};
\ No newline at end of file
+    const run = await JobRun.findById(id);
+    if (!run) return res.status(404).json({ error: "Job run not found" });
+    res.status(200).json(run);
+  } catch (error) {
+    console.error("Error fetching job run:", error);
+    res.status(500).json({ error: "Unable to fetch job run" });
+  }
+};
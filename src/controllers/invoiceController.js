@@ -1,84 +1,46 @@
 // controllers/invoice.controller.js
 
-const { generateInvoicePDF } = require("../utils/pdfGenerator");
-const Pricing = require("../models/pricingModel");
 const Invoice = require("../models/invoiceModel");
 const mongoose = require("mongoose");
+const {
+  createInvoiceDocument,
+  getInvoicePdf,
+  regenerateInvoicePdfs,
+  findStudentInvoice,
+} = require("../services/invoiceService");
+const Student = require("../models/studentModel");
+const { sendMailFunctionTA } = require("../Mail/sendMail");
+const { invoiceCopyStudent } = require("../mailTemplate/mailTemplates");
 
 // In-memory storage for invoices (not persisted!)
 // let invoices = [];
 
+const sendPdf = (res, invoice, pdfBuffer) => {
+  // Sanitize invoice number so it doesn't contain invalid characters (e.g., ₹)
+  const safeInvoiceNumber = (invoice.invoiceNumber || "unknown").replace(/[^\w.-]/g, "");
+  const prefix = invoice.document_type === "credit_note" ? "credit-note" : "invoice";
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename=${prefix}-${safeInvoiceNumber}.pdf`
+  );
+  return res.send(pdfBuffer);
+};
+
 /**
- * Create and store a new invoice in the in-memory array
- */exports.createInvoice = async (req, res) => {
+ * Create a tax invoice (admin). Numbering, GST split and the seller block are
+ * handled by invoiceService; the body only carries the bill-to and items.
+ */
+exports.createInvoice = async (req, res) => {
   try {
-    const gst= await  Pricing.findOne();
-    console.log(gst);
-    const {
-      invoiceNumber,
-      invoiceDate,
-      from,       // { name, email, phone, address }
-      billTo,     // { name, email, phone }
-      items,      // [ { description, product, quantity, price, gst }, ... ]
-      discount = 0 // Discount field (default to 0 if not provided)
-    } = req.body;
-
-    // Calculate subtotal & gst amounts
-    let subtotal = 0;
-    let totalGst = 0;
-    console.log(items);
-
-
-    items.forEach((item) => {
-      const itemSubtotal = item.price * item.quantity;
-      const itemGstAmount = itemSubtotal * (gst.gst || 0) / 100;
-
-      subtotal += itemSubtotal;
-      // totalGst += itemGstAmount;
-    });
-
-    const discountPer= (discount/subtotal)*100;
-    console.log(discountPer);
-
-    items.forEach((item) => {
-      const itemSubtotal = item.price * item.quantity;
-      const itemGstAmount =( itemSubtotal-(itemSubtotal*(discountPer/100))) * (gst.gst || 0) / 100;
-      // console.log(itemGstAmount);
-
-      // subtotal += itemSubtotal;
-      totalGst += itemGstAmount;
-    });
-
-    // Calculate total after applying discount
-    const total = subtotal + totalGst - discount;
-  console.log(total);
-    if (total < 0) {
-      return res.status(400).json({ message: "Total cannot be negative after discount" });
-    }
-
-    // Build invoice object
-    const newInvoice = new Invoice( {
-      // id: invoices.length + 1, // simplistic ID assignment for in-memory usage
-      invoiceNumber,
-      invoiceDate: invoiceDate || new Date().toISOString().split("T")[0],
-      from,
-      billTo,
-      items,
-      discount, // Include discount in the invoice object
-      subtotal,
-      gst: totalGst,
-      total,
-      createdAt: new Date()
-    });
-
-    // Store in array
-   newInvoice.save();
-    console.log(newInvoice);
-     return newInvoice;
-    // Return newly created invoice
-  //  res.status(201).json(newInvoice);
+    const { invoiceDate, billTo, items, discount = 0 } = req.body;
+    const invoice = await createInvoiceDocument({ invoiceDate, billTo, items, discount });
+    res.status(201).json(invoice);
   } catch (error) {
-    console.error(error);
+    console.error("Error creating invoice:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     res.status(500).json({ message: "Error creating invoice" });
   }
 };
@@ -86,10 +48,10 @@ const mongoose = require("mongoose");
 /**
  * Get a single invoice by its ID
  */
-exports.getInvoice = (req, res) => {
+exports.getInvoice = async (req, res) => {
   try {
     const id = req.params.id;
-    const invoice = Invoice.findById(id);
+    const invoice = await Invoice.findById(id);
 
     if (!invoice) {
       return res.status(404).json({ message: "Invoice not found" });
@@ -105,42 +67,116 @@ exports.getInvoice = (req, res) => {
 /**
  * Generate and serve a PDF of the invoice
  */
-exports.getInvoicePDF = async (req,res) => {
+exports.getInvoicePDF = async (req, res) => {
   try {
-    // const id = req.params.id;
-    console.log(req);
-    const{id,mode} = req.body;
-    // const id= new mongoose.Types.ObjectId(req.body.id) ;
-    // const mode= req.body.mode;
-    const invoice = await Invoice.findById(id);
-    console.log("invoiceFound",invoice);
+    const { id } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid invoice ID" });
+    }
 
+    const invoice = await Invoice.findById(id);
     if (!invoice) {
-      // return res.status(404).json({ message: "Invoice not found" });
+      return res.status(404).json({ message: "Invoice not found" });
     }
 
-    // Generate PDF in memory
-    const pdfBuffer = await generateInvoicePDF(invoice);
-
-    // Sanitize invoice number so it doesn't contain invalid characters (e.g., ₹)
-    const safeInvoiceNumber = (invoice.invoiceNumber || "unknown").replace(/[^\w.-]/g, "");
-    if(mode=="api"){
-       // Set headers to download
-    res.setHeader("Content-Type", "application/pdf");
-    res.setHeader(
-      "Content-Disposition",
-      `attachment; filename=invoice-${safeInvoiceNumber}.pdf`
-    );
-    // console.log(pdfBuffer);
-    // return pdfBuffer;
-    return res.send(pdfBuffer);
-    }else{
-      return pdfBuffer;
+    // Served from the stored copy; rendered only the first time
+    const pdfBuffer = await getInvoicePdf(invoice);
+
+    return sendPdf(res, invoice, pdfBuffer);
+  } catch (error) {
+    console.error("Error generating PDF:", error);
+    res.status(500).json({ message: "Error generating PDF" });
+  }
+};
+
+/**
+ * Re-render stored PDFs after the branding changed (admin). With an `id`
+ * param only that invoice is regenerated, otherwise every PDF rendered with
+ * outdated branding is dropped and regenerated on its next download.
+ */
+exports.regenerateInvoicePDF = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (id && !mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ message: "Invalid invoice ID" });
     }
-   
+
+    const result = await regenerateInvoicePdfs({ invoiceId: id });
+    res.status(200).json({ message: "Invoice PDFs regenerated", ...result });
   } catch (error) {
-    console.error(error);
-    console.log("Error generating PDF",error);
-    res.status(200).json({ message: "Error generating PDF" });
+    console.error("Error regenerating invoice PDFs:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Error regenerating invoice PDFs" });
+  }
+};
+
+const documentLabel = (invoice) =>
+  invoice.document_type === "credit_note" ? "Credit Note" : "Invoice";
+
+// Resolves the caller's own invoice from the token, never from the request
+const loadOwnInvoice = async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    res.status(400).json({ message: "Invalid invoice ID" });
+    return null;
+  }
+
+  const student = await Student.findOne({ auth_id: req.user.uid }).populate("user_id", "name email");
+  if (!student) {
+    res.status(404).json({ message: "Student not found" });
+    return null;
+  }
+
+  const invoice = await findStudentInvoice(student._id, id);
+  if (!invoice) {
+    res.status(404).json({ message: "Invoice not found" });
+    return null;
+  }
+  return { student, invoice };
+};
+
+/**
+ * Student: download one of their own invoices or credit notes
+ */
+exports.downloadMyInvoicePDF = async (req, res) => {
+  try {
+    const owned = await loadOwnInvoice(req, res);
+    if (!owned) return;
+
+    const { invoice } = owned;
+    const pdfBuffer = await getInvoicePdf(invoice);
+    sendPdf(res, invoice, pdfBuffer);
+  } catch (error) {
+    console.error("Error downloading invoice:", error);
+    res.status(500).json({ message: "Error generating PDF" });
+  }
+};
+
+/**
+ * Student: email a copy of one of their own invoices to their account email
+ */
+exports.resendMyInvoice = async (req, res) => {
+  try {
+    const owned = await loadOwnInvoice(req, res);
+    if (!owned) return;
+
+    const { student, invoice } = owned;
+    const pdfBuffer = await getInvoicePdf(invoice);
+    const label = documentLabel(invoice);
+    const html = invoiceCopyStudent(
+      student.user_id.name,
+      label,
+      invoice.invoiceNumber,
+      invoice.invoiceDate,
+      invoice.total
+    );
+    await sendMailFunctionTA(student.user_id.email, `Your ${label} ${invoice.invoiceNumber}`, html, pdfBuffer);
+
+    res.status(200).json({ message: `${label} sent to ${student.user_id.email}` });
+  } catch (error) {
+    console.error("Error resending invoice:", error);
+    res.status(500).json({ message: "Error sending invoice" });
   }
 };
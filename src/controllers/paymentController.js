@@ -1,5 +1,6 @@
 const razorpayInstance = require("../services/razorpayService");
 const crypto = require("crypto");
+const mongoose = require("mongoose");
 const Payment = require("../models/paymentModel");
 const Student = require("../models/studentModel");
 const Package = require("../models/packagesModel");
@@ -7,83 +8,159 @@ const CustomPackage = require("../models/customPackageModels");
 const nodemailer = require("nodemailer");
 const axios = require("axios");
 const Subject = require("../models/subjectModel");
-const Notification = require('../models/notificationModel');
-const User = require('../models/userModel');
-const UserNotification = require('../models/userNotificationModel');
-const { studentPaymentRecievedAdmin, studentPaymentRecievedStudent } = require("../mailTemplate/mailTemplates");
-const { sendMailFunctionAdmin, sendMailFunctionTA } = require("../Mail/sendMail");
-const { getInvoicePDF, createInvoice } = require("./invoiceController");
-const { body } = require("express-validator");
-const TypeOfBatch = require("../models/typeOfBatchModel");
-
+const WebhookEvent = require("../models/webhookEventModel");
+const Invoice = require("../models/invoiceModel");
+const {
+  createOrderFromQuote,
+  createPaymentLink,
+  fulfilOrderPayment,
+  fulfilPaymentLink,
+  markPaymentFailed,
+  recordRefund,
+  refundPayment,
+} = require("../services/paymentService");
+const {
+  linesForNewOrder,
+  linesForRenewal,
+  priceOrder,
+  priceCustomPackage,
+} = require("../services/pricingService");
+const { createQuote } = require("../services/quoteService");
+const {
+  isInstallmentReference,
+  createInstallmentPlan,
+  recordInstallmentPayment,
+} = require("../services/installmentService");
+const InstallmentPlan = require("../models/installmentPlanModel");
+const {
+  activateSubscription,
+  recordSubscriptionCharge,
+  recordSubscriptionFailure,
+  haltSubscription,
+  syncSubscriptionStatus,
+} = require("../services/subscriptionService");
+const config = require("../config");
+
+
+const sendOrderError = (res, error) => {
+  console.error("Error creating order:", error);
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  res.status(500).json({ error: "Unable to create order" });
+};
 
-// Create Razorpay Order
-exports.createOrder = async (req, res) => {
-  const { studentId, amount, description, subjectIds, subjectId } = req.body;
+/**
+ * Price quote for checkout. Body: `studentId`, optional `couponCode`, and for
+ * a renewal `subjectId`, `batchId` and `duration`. Without those the quote
+ * covers every subject the student signed up for. The returned `quoteId` is
+ * what the order endpoints accept.
+ */
+exports.createQuote = async (req, res) => {
+  const { studentId, couponCode, subjectId, batchId, duration } = req.body;
 
-  // Validate input
-  if (!studentId || !amount) {
-    return res
-      .status(400)
-      .json({ error: "Missing required fields: studentId, amount" });
+  if (!studentId) {
+    return res.status(400).json({ error: "Missing required field: studentId" });
   }
 
   try {
-    // Check if student exists
     const student = await Student.findById(studentId);
     if (!student) {
       return res.status(404).json({ error: "Student not found" });
     }
 
-    // Check if package exists
-    // const package = await Package.findById(packageId);
-    // if (!package) {
-    //   return res.status(404).json({ error: 'Package not found' });
-    // }
-
-    // Create Razorpay order
-    const orderOptions = {
-      amount: (Math.ceil(amount)) * 100, // Amount in paise
-      currency: "INR",
-      receipt: `receipt_${Date.now()}`,
-      payment_capture: 1, // Auto-capture
-      notes: {
-        student_id: studentId,
-        // package_id: packageId,
-        description: description || "Payment for course package",
-        subjectIds,
-        subjectId
-      },
-    };
-
-    const order = await razorpayInstance.orders.create(orderOptions);
-    // console.log("order", order.notes);
-
-    // Save order details in Payment model
-    const payment = new Payment({
-      amount: (Math.ceil(amount)),
-      currency: order.currency,
-      status: "created",
-      order_id: order.id,
-      student_id: studentId,
-      // package_id: packageId,
-      description: description || "Payment for course package",
-      receipt: order.receipt,
-      razorpay_signature: order.razorpay_signature,
+    const isRenewal = Boolean(subjectId || batchId || duration);
+    if (isRenewal && !(subjectId && batchId && duration)) {
+      return res.status(400).json({
+        error: "A renewal quote needs subjectId, batchId and duration",
+      });
+    }
+
+    const lines = isRenewal
+      ? linesForRenewal(student, { subjectId, batchId, duration })
+      : linesForNewOrder(student);
+    const pricing = await priceOrder({ student, lines, couponCode });
+    const quote = await createQuote({
+      student,
+      kind: isRenewal ? "renewal" : "new",
+      pricing,
+      renewal: isRenewal
+        ? { subject_id: subjectId, batch_id: batchId, duration: lines[0].duration }
+        : undefined,
     });
 
-    await payment.save();
+    res.status(201).json(quote);
+  } catch (error) {
+    console.error("Error creating quote:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: "Unable to create quote" });
+  }
+};
+
+/**
+ * Admin: quote for a custom package at its finalised price. Body:
+ * `customPackageId`, optional `couponCode`.
+ */
+exports.createCustomPackageQuote = async (req, res) => {
+  const { customPackageId, couponCode } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(customPackageId)) {
+    return res.status(400).json({ error: "Invalid custom package ID" });
+  }
 
-    res.status(200).json(order);
+  try {
+    const customPackage = await CustomPackage.findById(customPackageId);
+    if (!customPackage) {
+      return res.status(404).json({ error: "Custom package not found" });
+    }
+    const student = await Student.findById(customPackage.student_id);
+    if (!student) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+
+    const pricing = await priceCustomPackage({ student, customPackage, couponCode });
+    const quote = await createQuote({
+      student,
+      kind: "custom_package",
+      pricing,
+      customPackageId: customPackage._id,
+    });
+
+    res.status(201).json(quote);
   } catch (error) {
-    console.error("Error creating order:", error);
-    res.status(500).json({ error: "Unable to create order" });
+    console.error("Error creating custom package quote:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: "Unable to create quote" });
+  }
+};
+
+/**
+ * Create Razorpay Order for a first purchase. Body: `quoteId` from
+ * createQuote and an optional `description`; the amount always comes from
+ * the quote.
+ */
+exports.createOrder = async (req, res) => {
+  const { quoteId, description } = req.body;
+
+  if (!quoteId) {
+    return res.status(400).json({ error: "Missing required field: quoteId" });
+  }
+
+  try {
+    const { order, quote } = await createOrderFromQuote({ quoteId, kind: "new", description });
+    res.status(200).json({ ...order, pricing: quote.pricing });
+  } catch (error) {
+    sendOrderError(res, error);
   }
 };
 
 // exports.verifyPayment = async (req, res) => {
 //   const signature = req.headers['x-razorpay-signature']; // Signature sent by Razorpay
-//   const secrete = 'FPs-kRnkuFXq8tG-course-Payment'
+//   const secrete = config.razorpay.webhookSecret
 //   const generated_signature = crypto.createHmac('sha256', secrete);
 //   generated_signature.update(JSON.stringify(req.body));
 //   const digested_signature = generated_signature.digest('hex');
@@ -178,476 +255,172 @@ exports.createOrder = async (req, res) => {
 //   res.json({ status: "ok" });
 // }
 
-exports.verifyPayment = async (req, res) => {
-  const signature = req.headers["x-razorpay-signature"];
-  const secrete = "FPs-kRnkuFXq8tG-course-Payment";
-  const generated_signature = crypto.createHmac("sha256", secrete);
-  generated_signature.update(JSON.stringify(req.body));
-  const digested_signature = generated_signature.digest("hex");
-  console.log("body", req.body);
-
-  if (digested_signature === signature) {
-  if (req.body.event == "payment.captured") {
-    console.log("Valid signature inside payment.captured", req.body);
-    console.log("request", req.body.payload.payment);
-
-    // Payment is valaid
-    const payment = await Payment.findOne({
-      order_id: req.body.payload.payment.entity.order_id,
-    });
-    if (!payment) {
-      return res.status(400).json({ error: "Payment not found" });
-    }
-
-    // Update payment details
-    payment.payment_id = req.body.payload.payment.entity.id;
-    payment.status = "paid";
-    await payment.save();
-    if (
-      req.body.payload.payment.entity.notes?.batchId &&
-      req.body.payload.payment.entity.notes?.subjectId &&
-      req.body.payload.payment.entity.notes?.duration
-    ) {
-      const { batchId, subjectId, duration } =
-        req.body.payload.payment.entity.notes || {};
-      const durationInt = parseInt(
-        req.body.payload.payment.entity.notes.duration,
-        10
-      );
-      if (isNaN(durationInt) || durationInt <= 0) {
-        console.error("Invalid duration provided:", duration);
-        return res.status(400).json({ error: "Invalid duration provided" });
-      }
-      // Find the student document
-      const student = await Student.findById(payment.student_id);
-      if (!student) {
-        console.error("Student not found with ID:", payment.student_id);
-        return res.status(404).json({ error: "Student not found" });
-      }
-      // Find the matching subject subdocument
-      const subjectSubdoc = student.subject_id.find(
-        (sub) =>
-          sub._id.toString() === subjectId.toString() &&
-          sub.batch_id &&
-          sub.batch_id.toString() === batchId.toString()
-      );
-      if (!subjectSubdoc) {
-        console.error(
-          `Subject subdocument not found for subjectId: ${subjectId} and batchId: ${batchId} in student: ${student._id}`
-        );
-        return res.status(404).json({
-          error:
-            "Subject and Batch combination not found in student's subject array",
-        });
-      }
-      // Update the subdocument fields
-      subjectSubdoc.duration = durationInt;
-
-      // Calculate new batch_expiry_date: current date + duration months
-      const currentDate = new Date();
-      const newExpiryDate = new Date(currentDate);
-      newExpiryDate.setMonth(newExpiryDate.getMonth() + durationInt);
-
-      subjectSubdoc.batch_expiry_date = newExpiryDate;
-      subjectSubdoc.batch_status = "active";
-
-      // Optionally, set batch_assigned to true if required
-      subjectSubdoc.batch_assigned = true;
-
-      // Save the updated student document
-      await student.save();
-      console.log(`Updated subject_id subdoc for student ${student._id}:`, {
-        subjectId,
-        batchId,
-        duration: durationInt,
-        batch_expiry_date: newExpiryDate,
-        batch_status: "active",
-      });
-      let items = [];
-      const subject = await Subject.findById(subjectId);
-      const batchType = await TypeOfBatch.findById(subjectSubdoc.type_of_batch);
-      const itemData =
-      {
-        description: subject.subject_name,
-        price: (batchType.price) * duration,
-        quantity: 1
-      }
-      items.push(itemData)
-      const studentOne = await Student.findById(payment.student_id)
-      .populate("user_id")
-      .populate("class")
-      .populate("board_id")
-      .populate("type_of_batch");
-      console.log("studentOne", studentOne);
-      let billTo = {
-        name: studentOne.user_id.name,
-        email: studentOne.user_id.email,
-        phone: studentOne.phone_number,
-      }
-      let invoiceDate = new Date();
-      let invoiceNumber = payment.payment_id;
-      let discount = req.body.payload.payment.entity.notes?.discount || 0;
-      const invoiceData = await createInvoice({
-        body: {
-          invoiceNumber,
-          invoiceDate,
-          billTo,
-          items,
-          discount
-        }
-      })
-      const paymentOne = await Payment.findOne({
-        order_id: req.body.payload.payment.entity.order_id,
-      });
-      paymentOne.invoice_id = invoiceData._id;
-      paymentOne.save();
-      const searchId = invoiceData._id;
-      // Update student: set is_paid, push payment_id, etc.
-      await Student.findByIdAndUpdate(payment.student_id, {
-        $push: { payment_id: { _id: payment._id, invoice_id: invoiceData._id } },
-        is_paid: true,
-      });
-      const pdfData = await getInvoicePDF({ body: { id: searchId, mode: "function" } });
-      const subjets = [subject.subject_name];
-      const typeofBatchs = [batchType.mode];
-
-      const html = studentPaymentRecievedStudent(studentOne.user_id.name, studentOne.user_id.email, payment.amount, payment.payment_id, studentOne.board_id.name, studentOne.class.classLevel, subjets, typeofBatchs);
-      await sendMailFunctionTA(studentOne.user_id.email, 'Subscription Done', html,pdfData);
-
-      const users = await User.find({ role: "admin" });
-      users.map(async (user) => {
-
-        const notification = new Notification({
-          user_id: user._id,
-          message: 'Student Payment Recieved',
-          title: "Amount Recieved",
-          is_all: false,
-        });
-        const savedNotification = await notification.save();
-        const userNotifications = new UserNotification({
-          user_id: user._id,
-          notification_id: savedNotification._id
-        })
-        userNotifications.save();
-        const html = studentPaymentRecievedAdmin(studentOne.user_id.name, studentOne.user_id.email, payment.amount, payment.payment_id, studentOne.board_id.name, studentOne.class.classLevel, subjets, typeofBatchs);
-        await sendMailFunctionAdmin(user.email, 'Subscription Done', html, pdfData);
-      })
-
-
-
-
-    } else {
-      const studentOne = await Student.findById(payment.student_id)
-        .populate({
-          path: 'subject_id._id',      // The field you want to populate
-          model: 'Subject',            // The model name for the reference
-          select: 'subject_name',      // (optional) which fields to select from Subject
-        })
-        .populate({
-          path: 'subject_id.type_of_batch',
-          model: 'TypeOfBatch',
-          select: 'mode price',        // (optional)
-        })
-        .populate("user_id")
-        .populate("class")
-        .populate("board_id")
-        .populate("type_of_batch");
-      let items = [];
-      // studentOne.map((student) => {
-      studentOne.subject_id.map((data) => {
-        const itemData =
-        {
-          description: data._id.subject_name,
-          price: (data.type_of_batch.price) * data.duration,
-          quantity: 1
-        }
-        items.push(itemData)
-      })
-
-      // })
-      let billTo = {
-        name: studentOne.user_id.name,
-        email: studentOne.user_id.email,
-        phone: studentOne.phone_number,
-      }
-      let invoiceDate = new Date();
-      let invoiceNumber = payment.payment_id;
-      let discount = studentOne?.discountAmount || 0;
-      const invoiceData = await createInvoice({
-        body: {
-          invoiceNumber,
-          invoiceDate,
-          billTo,
-          items,
-          discount
-        }
-      })
-      console.log("invoiceData", invoiceData._id);
-      const paymentOne = await Payment.findOne({
-        order_id: req.body.payload.payment.entity.order_id,
-      });
-      paymentOne.invoice_id = invoiceData._id;
-      paymentOne.save();
-      // Update student: set is_paid, push payment_id, etc.
-      await Student.findByIdAndUpdate(payment.student_id, {
-        $push: { payment_id: { _id: payment._id, invoice_id: invoiceData._id } },
-        is_paid: true,
-      });
-      const subjets = studentOne.subject_id.map((data) => {
-        return data._id.subject_name
-      })
-      const typeofBatchs = studentOne.subject_id.map((data) => {
-        return data.type_of_batch.mode
-      })
-      // payment.invoice_id = invoiceData._id;
-      // payment.save();
-      const searchId = invoiceData._id;
-      const pdfData = await getInvoicePDF({ body: { id: searchId, mode: "function" } });
-
-      const html = studentPaymentRecievedStudent(studentOne.user_id.name, studentOne.user_id.email, payment.amount, payment.payment_id, studentOne.board_id.name, studentOne.class.classLevel, subjets, typeofBatchs);
-      await sendMailFunctionTA(studentOne.user_id.email, 'Subscription Done', html,pdfData);
-
-      const users = await User.find({ role: "admin" });
-      users.map(async (user) => {
-
-        const notification = new Notification({
-          user_id: user._id,
-          message: 'Student Payment Recieved',
-          title: "Amount Recieved",
-          is_all: false,
-        });
-        const savedNotification = await notification.save();
-        const userNotifications = new UserNotification({
-          user_id: user._id,
-          notification_id: savedNotification._id
-        })
-        userNotifications.save();
-        const html = studentPaymentRecievedAdmin(studentOne.user_id.name, studentOne.user_id.email, payment.amount, payment.payment_id, studentOne.board_id.name, studentOne.class.classLevel, subjets, typeofBatchs);
-        await sendMailFunctionAdmin(user.email, 'Subscription Done', html, pdfData);
-      })
-
-
-
-
-    }
-
-  } else if (req.body.event == "payment_link.paid") {
-    console.log("Valid signature inside payment.link.paid", req.body);
-    console.log("request", req.body.payload.order.entity);
-
-    // Payment is valid
-    const payment = await Payment.findOne({
-      receipt: req.body.payload.order.entity.receipt,
-    });
-    console.log("payment", payment);
-
-    // if (!payment) {
-    //   return res.status(400).json({ error: "Payment not found" });
-    // }
+// Webhook deliveries stuck in "processing" longer than this are assumed to
+// have crashed and may be picked up again by a Razorpay retry
+const WEBHOOK_PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const webhookHandlers = {
+  "payment.captured": (payload) => fulfilOrderPayment(payload.payment.entity),
+  "payment_link.paid": (payload) =>
+    isInstallmentReference(payload.payment_link.entity.reference_id)
+      ? recordInstallmentPayment(payload)
+      : fulfilPaymentLink(payload),
+  "payment.failed": (payload) => markPaymentFailed(payload.payment.entity),
+  "refund.processed": (payload) => recordRefund(payload.refund.entity),
+  "subscription.activated": activateSubscription,
+  "subscription.charged": recordSubscriptionCharge,
+  "subscription.pending": recordSubscriptionFailure,
+  "subscription.halted": haltSubscription,
+  "subscription.paused": syncSubscriptionStatus("paused"),
+  "subscription.resumed": syncSubscriptionStatus("active"),
+  "subscription.cancelled": syncSubscriptionStatus("cancelled"),
+  "subscription.completed": syncSubscriptionStatus("completed"),
+};
 
-    // Update payment details
-    payment.payment_id = req.body.payload.payment.entity.id;
-    payment.status = "paid";
-    await payment.save();
-    const studentOne = await Student.findById(payment.student_id)
-      .populate({
-        path: 'subject_id._id',      // The field you want to populate
-        model: 'Subject',            // The model name for the reference
-        select: 'subject_name',      // (optional) which fields to select from Subject
-      })
-      .populate({
-        path: 'subject_id.type_of_batch',
-        model: 'TypeOfBatch',
-        select: 'mode price',        // (optional)
-      })
-      .populate("user_id")
-      .populate("class")
-      .populate("board_id")
-      .populate("type_of_batch");
-    let items = [];
-    // studentOne.map((student) => {
-    studentOne.subject_id.map((data) => {
-      const itemData =
-      {
-        description: data._id.subject_name,
-        price: (data.type_of_batch.price) * data.duration,
-        quantity: 1
-      }
-      items.push(itemData)
-    })
+/**
+ * Checks the x-razorpay-signature header against an HMAC of the exact bytes
+ * Razorpay sent. Re-serialising the parsed JSON does not reproduce them.
+ */
+const isValidWebhookSignature = (rawBody, signature) => {
+  if (!signature) return false;
+  const expected = crypto
+    .createHmac("sha256", config.razorpay.webhookSecret)
+    .update(rawBody)
+    .digest("hex");
+  const received = Buffer.from(signature, "utf8");
+  const computed = Buffer.from(expected, "utf8");
+  return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+};
 
-    // })
-    let billTo = {
-      name: studentOne.user_id.name,
-      email: studentOne.user_id.email,
-      phone: studentOne.phone_number,
-    }
-    let invoiceDate = new Date();
-    let invoiceNumber = payment.payment_id;
-    let discount = studentOne?.discountAmount || 0;
-    const invoiceData = await createInvoice({
-      body: {
-        invoiceNumber,
-        invoiceDate,
-        billTo,
-        items,
-        discount
-      }
-    })
-    console.log("invoiceData", invoiceData._id);
-    const paymentOne = await Payment.findOne({
-      order_id: req.body.payload.payment.entity.order_id,
-    });
-    paymentOne.invoice_id = invoiceData._id;
-    paymentOne.save();
-    // Update student: set is_paid, push payment_id, etc.
-    await Student.findByIdAndUpdate(payment.student_id, {
-      $push: { payment_id: { _id: payment._id, invoice_id: invoiceData._id } },
-      is_paid: true,
-      paymentLink_status: "approved",
+/**
+ * Records the delivery in the webhook event store. Returns null when the
+ * event was already handled or is being handled by another delivery right now.
+ */
+const claimWebhookEvent = async (eventId, event) => {
+  try {
+    return await WebhookEvent.create({
+      event_id: eventId,
+      event: event.event,
+      payload: event,
     });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
 
-    const subjets = studentOne.subject_id.map((data) => {
-      return data._id.subject_name
-    })
-    const typeofBatchs = studentOne.subject_id.map((data) => {
-      return data.type_of_batch.mode
-    })
-    // payment.invoice_id = invoiceData._id;
-    // payment.save();
-    const searchId = invoiceData._id;
-    const pdfData = await getInvoicePDF({ body: { id: searchId, mode: "function" } });
-
-    const html = studentPaymentRecievedStudent(studentOne.user_id.name, studentOne.user_id.email, payment.amount, payment.payment_id, studentOne.board_id.name, studentOne.class.classLevel, subjets, typeofBatchs);
-    await sendMailFunctionTA(studentOne.user_id.email, 'Subscription Done', html,pdfData);
-
-    const users = await User.find({ role: "admin" });
-    users.map(async (user) => {
-
-      const notification = new Notification({
-        user_id: user._id,
-        message: 'Student Payment Recieved',
-        title: "Amount Recieved",
-        is_all: false,
-      });
-      const savedNotification = await notification.save();
-      const userNotifications = new UserNotification({
-        user_id: user._id,
-        notification_id: savedNotification._id
-      })
-      userNotifications.save();
-      const html = studentPaymentRecievedAdmin(studentOne.user_id.name, studentOne.user_id.email, payment.amount, payment.payment_id, studentOne.board_id.name, studentOne.class.classLevel, subjets, typeofBatchs);
-      await sendMailFunctionAdmin(user.email, 'Subscription Done', html, pdfData);
-    })
-
+  // Seen before: only a failed or abandoned delivery may be retried
+  const staleBefore = new Date(Date.now() - WEBHOOK_PROCESSING_TIMEOUT_MS);
+  return WebhookEvent.findOneAndUpdate(
+    {
+      event_id: eventId,
+      $or: [
+        { status: "failed" },
+        { status: "processing", updatedAt: { $lt: staleBefore } },
+      ],
+    },
+    { status: "processing", $inc: { attempts: 1 }, error: null },
+    { new: true }
+  );
+};
 
+/**
+ * Razorpay webhook. Expects the raw request body (see index.js). Every event
+ * is stored by its x-razorpay-event-id and processed at most once; a failure
+ * answers 500 so Razorpay redelivers it.
+ */
+exports.verifyPayment = async (req, res) => {
+  if (!Buffer.isBuffer(req.body)) {
+    console.error("Razorpay webhook received without a raw body");
+    return res.status(400).json({ error: "Raw request body required" });
+  }
 
+  if (!isValidWebhookSignature(req.body, req.headers["x-razorpay-signature"])) {
+    console.log("Invalid signature");
+    return res.status(400).json({ error: "Invalid signature" });
+  }
 
-    // Update student details
-    // await Student.findByIdAndUpdate(payment.student_id, {
-    //   $push: {
-    //     payment_id: payment._id,
-    //   },
-    //   is_paid: true,
+  let event;
+  try {
+    event = JSON.parse(req.body.toString("utf8"));
+  } catch (error) {
+    return res.status(400).json({ error: "Invalid JSON payload" });
+  }
 
-    // });
-    // -------------- END OF NEW CODE -----------------------------------------------
+  const eventId =
+    req.headers["x-razorpay-event-id"] ||
+    crypto.createHash("sha256").update(req.body).digest("hex");
 
-    console.log("Payment link paid, custom package updated successfully");
+  let record;
+  try {
+    record = await claimWebhookEvent(eventId, event);
+  } catch (error) {
+    console.error("Error storing webhook event:", error);
+    return res.status(500).json({ error: "Unable to store webhook event" });
   }
-  } else {
-    console.log("Invalid signature");
+  if (!record) {
+    return res.json({ status: "duplicate" });
   }
 
-  res.json({ status: "ok" });
+  const handler = webhookHandlers[event.event];
+  try {
+    const outcome = handler ? await handler(event.payload) : "ignored";
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      { status: outcome, processed_at: new Date() }
+    );
+    res.json({ status: "ok" });
+  } catch (error) {
+    console.error(`Error processing Razorpay event ${event.event} (${eventId}):`, error);
+    await WebhookEvent.updateOne(
+      { _id: record._id },
+      { status: "failed", error: error.message }
+    ).catch((updateError) => console.error("Error updating webhook event:", updateError));
+    res.status(500).json({ error: "Unable to process webhook event" });
+  }
 };
 
+/**
+ * Admin: create the order for a custom package and send the student a
+ * payment link for it. Body: `quoteId` from createCustomPackageQuote.
+ */
 exports.createCustomPackageOrder = async (req, res) => {
-  const { amount, student_id } = req.body;
+  const { quoteId } = req.body;
   try {
-    // Create Razorpay order
     // Validate input
-    if (!student_id || !amount) {
-      return res.status(400).json({
-        error: "Missing required fields: studentId, packageId, amount",
-      });
-    }
-    // Check if student exists
-    const student = await Student.findById(student_id).populate("user_id");
-    if (!student) {
-      return res.status(404).json({ error: "Student not found" });
+    if (!quoteId) {
+      return res.status(400).json({ error: "Missing required field: quoteId" });
     }
 
-
-    const orderOptions = {
-      amount: (Math.ceil(amount)) * 100, // Amount in paise
-      currency: "INR",
-      receipt: `receipt_${Date.now()}`,
-      payment_capture: 1, // Auto-capture
-      notes: {
-        student_id: student_id,
-        description: "Payment for course package",
-      },
-    };
-    const order = await razorpayInstance.orders.create(orderOptions);
-    // Save order details in Payment model
-    const payment = new Payment({
-      amount: (Math.ceil(amount)),
-      currency: order.currency,
-      status: "created",
-      order_id: order.id,
-      student_id: student_id,
-      description: "Payment for course package",
-      receipt: order.receipt,
+    const { order, payment } = await createOrderFromQuote({
+      quoteId,
+      kind: "custom_package",
+      description: "Payment for custom package",
+    });
+    const student = await Student.findById(payment.student_id).populate("user_id");
+
+    // Partial payments stay allowed; the link is fulfilled once fully paid
+    const paymentLink = await createPaymentLink({
+      amount: payment.amount,
+      referenceId: order.receipt,
+      description: "Payment for Custom Package",
+      student,
+      expireBy: new Date(Date.now() + 60 * 60 * 1000), // 1 hour from now
+      acceptPartial: true,
     });
-    // // callback_url: 'https://example-callback-url.com/',
-    await payment.save();
-    const paymentLinkResponse = await axios.post(
-      "https://api.razorpay.com/v1/payment_links",
-      {
-        amount: (Math.ceil(amount)) * 100, // Amount in paise (1 INR = 100 paise)
-        currency: "INR",
-        accept_partial: true,
-        first_min_partial_amount: 100, // Optional, for partial payments
-        expire_by: Math.floor(Date.now() / 1000) + 3600, // Set expiry to 1 hour from now
-        reference_id: order.receipt, // Reference ID for tracking
-        description: `Payment for Custom Package `,
-        customer: {
-          name: student.user_id.name, // You can replace this with dynamic name if needed
-          contact: student.phone_number, // You can replace with dynamic contact if needed
-          email: student.user_id.email, // Student's email
-        },
-        notify: {
-          sms: true,
-          email: true,
-        },
-        reminder_enable: true,
-        notes: {
-          policy_name: "Topper Academy Payament", // Add your custom notes here
-        },
-        callback_url:
-          "https://www.thetopperacademy.com/", // Callback URL
-        callback_method: "get", // HTTP method for the callback
-      },
-      {
-        auth: {
-          username: razorpayInstance.key_id, // Razorpay Key ID
-          password: razorpayInstance.key_secret, // Razorpay Key Secret
-        },
-      }
-    );
-    const paymentLink = paymentLinkResponse.data.short_url;
     // Respond with success
     res.json({
       success: true,
       message: "Payment link sent to the student email.",
-      paymentLink: paymentLink,
+      paymentLink: paymentLink.short_url,
+      pricing: payment.pricing,
     });
   } catch (error) {
     console.error(
       "Error creating Razorpay payment link or sending email:",
       error
     );
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, message: error.message });
+    }
     res.status(500).json({ success: false, message: error.message });
   }
 };
@@ -673,68 +446,26 @@ exports.getAllPayments = async (req, res) => {
   }
 };
 
+/**
+ * Create Razorpay Order renewing one subject. Body: `quoteId` from a renewal
+ * quote and an optional `description`.
+ */
 exports.createOrderRenewal = async (req, res) => {
-  const { studentId, amount, description, batchId, subjectId, duration } =
-    req.body;
-
-  // Validate input
-  if (!studentId || !amount) {
-    return res
-      .status(400)
-      .json({ error: "Missing required fields: studentId, amount" });
+  const { quoteId, description } = req.body;
+
+  if (!quoteId) {
+    return res.status(400).json({ error: "Missing required field: quoteId" });
   }
 
   try {
-    // Check if student exists
-    const student = await Student.findById(studentId);
-    if (!student) {
-      return res.status(404).json({ error: "Student not found" });
-    }
-
-    // Check if package exists
-    // const package = await Package.findById(packageId);
-    // if (!package) {
-    //   return res.status(404).json({ error: 'Package not found' });
-    // }
-
-    // Create Razorpay order
-    const orderOptions = {
-      amount: amount * 100, // Amount in paise
-      currency: "INR",
-      receipt: `receipt_${Date.now()}`,
-      payment_capture: 1, // Auto-capture
-      notes: {
-        student_id: studentId,
-        // package_id: packageId,
-        description: description || "Payment for course package",
-        batchId,
-        subjectId,
-        duration,
-      },
-    };
-
-    const order = await razorpayInstance.orders.create(orderOptions);
-
-    // Save order details in Payment model
-    const payment = new Payment({
-      amount: amount,
-      currency: order.currency,
-      status: "created",
-      order_id: order.id,
-      student_id: studentId,
-      // package_id: packageId,
-      description: description || "Payment for course package",
-      receipt: order.receipt,
-      razorpay_signature: order.razorpay_signature,
+    const { order, quote } = await createOrderFromQuote({
+      quoteId,
+      kind: "renewal",
+      description,
     });
-
-    await payment.save();
-    console.log("rrr", order)
-
-    res.status(200).json(order);
+    res.status(200).json({ ...order, pricing: quote.pricing });
   } catch (error) {
-    console.error("Error creating order:", error);
-    res.status(500).json({ error: "Unable to create order" });
+    sendOrderError(res, error);
   }
 };
 
@@ -775,3 +506,170 @@ exports.getPaymentsByStudentId = async (req, res) => {
     });
   }
 };
+
+/**
+ * Admin: refund a payment in full or in part. Body: `amount` (rupees,
+ * defaults to the remaining balance), `reason`, and optionally `subjectIds`
+ * to revoke on a partial refund.
+ */
+exports.refundPayment = async (req, res) => {
+  const { paymentId } = req.params;
+  const { amount, reason, subjectIds = [] } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) {
+    return res.status(400).json({ error: "Invalid payment ID" });
+  }
+  if (!Array.isArray(subjectIds)) {
+    return res.status(400).json({ error: "subjectIds must be an array" });
+  }
+
+  try {
+    const payment = await refundPayment({ paymentId, amount, reason, subjectIds });
+    res.status(200).json({ message: "Refund issued successfully", payment });
+  } catch (error) {
+    console.error("Error refunding payment:", error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    // Razorpay rejects refunds it cannot honour with a descriptive error
+    if (error.error && error.error.description) {
+      return res.status(400).json({ error: error.error.description });
+    }
+    res.status(500).json({ error: "Unable to issue refund" });
+  }
+};
+
+/**
+ * Student: their own payment history, newest first, with what each payment
+ * bought and the invoice and credit notes issued for it. The student is taken
+ * from the token. Abandoned checkouts (status "created") are left out.
+ */
+exports.getMyPayments = async (req, res) => {
+  try {
+    const student = await Student.findOne({ auth_id: req.user.uid }).select("_id");
+    if (!student) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+
+    const payments = await Payment.find({
+      student_id: student._id,
+      status: { $ne: "created" },
+    })
+      .sort({ createdAt: -1 })
+      .populate("purchased_subjects.subject_id", "subject_name")
+      .populate("purchased_subjects.type_of_batch", "mode title")
+      .populate("invoice_id", "invoiceNumber invoiceDate total items.description")
+      .lean();
+
+    const invoiceIds = payments
+      .filter((payment) => payment.invoice_id)
+      .map((payment) => payment.invoice_id._id);
+    const creditNotes = await Invoice.find({ original_invoice_id: { $in: invoiceIds } })
+      .select("invoiceNumber invoiceDate total reason original_invoice_id")
+      .lean();
+
+    const history = payments.map((payment) => {
+      const invoice = payment.invoice_id;
+      const purchased = payment.purchased_subjects || [];
+      // Payments made before purchases were recorded only have invoice lines
+      const items =
+        purchased.length > 0
+          ? purchased.map((item) => ({
+              subject: item.subject_id,
+              type_of_batch: item.type_of_batch,
+              duration: item.duration,
+            }))
+          : ((invoice && invoice.items) || []).map((item) => ({ description: item.description }));
+
+      return {
+        _id: payment._id,
+        amount: payment.amount,
+        currency: payment.currency,
+        status: payment.status,
+        payment_id: payment.payment_id,
+        order_id: payment.order_id,
+        description: payment.description,
+        amount_refunded: payment.amount_refunded || 0,
+        createdAt: payment.createdAt,
+        items,
+        invoice: invoice
+          ? {
+              _id: invoice._id,
+              invoiceNumber: invoice.invoiceNumber,
+              invoiceDate: invoice.invoiceDate,
+              total: invoice.total,
+            }
+          : null,
+        credit_notes: invoice
+          ? creditNotes.filter(
+              (note) => String(note.original_invoice_id) === String(invoice._id)
+            )
+          : [],
+      };
+    });
+
+    res.status(200).json({
+      message: "Payments fetched successfully",
+      payments: history,
+    });
+  } catch (error) {
+    console.error("Error fetching student payment history:", error);
+    res.status(500).json({ error: "An error occurred while fetching payments" });
+  }
+};
+
+/**
+ * Pay for a quoted new purchase or renewal in monthly installments. Body:
+ * `quoteId`, `installments` (2 to 12, at most the order's duration in
+ * months). The first due's payment link is in `installments[0].short_url`;
+ * later links are sent ahead of each due date.
+ */
+exports.createInstallmentPlan = async (req, res) => {
+  const { quoteId, installments } = req.body;
+
+  if (!quoteId || installments === undefined) {
+    return res.status(400).json({ error: "Missing required fields: quoteId, installments" });
+  }
+
+  try {
+    const plan = await createInstallmentPlan({ quoteId, count: Number(installments) });
+    res.status(201).json({ message: "Installment plan created", data: plan });
+  } catch (error) {
+    sendOrderError(res, error);
+  }
+};
+
+// Student: their own installment plans, newest first
+exports.getMyInstallmentPlans = async (req, res) => {
+  try {
+    const student = await Student.findOne({ auth_id: req.user.uid }).select("_id");
+    if (!student) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+
+    const plans = await InstallmentPlan.find({ student_id: student._id })
+      .sort({ createdAt: -1 })
+      .select("-installments.gateway_payment_id -installments.payment_link_id");
+    res.status(200).json(plans);
+  } catch (error) {
+    console.error("Error fetching installment plans:", error);
+    res.status(500).json({ error: "Unable to fetch installment plans" });
+  }
+};
+
+// Admin: all installment plans, optionally filtered (?status=active&suspended=true)
+exports.getAllInstallmentPlans = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.suspended !== undefined) filter.suspended = req.query.suspended === "true";
+
+    const plans = await InstallmentPlan.find(filter)
+      .sort({ createdAt: -1 })
+      .populate({ path: "student_id", select: "user_id", populate: { path: "user_id", select: "name email" } });
+    res.status(200).json(plans);
+  } catch (error) {
+    console.error("Error fetching installment plans:", error);
+    res.status(500).json({ error: "Unable to fetch installment plans" });
+  }
+};
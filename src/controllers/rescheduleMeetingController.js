@@ -6,6 +6,8 @@ const Teacher = require("../models/teacherModel");
 const Student = require("../models/studentModel");
 const Batch = require("../models/batchModel"); // Ensure Batch model is imported
 const Meeting = require("../models/meetingModel");
+const { findConflicts } = require("../services/schedulingService");
+const { approveReschedule, rejectReschedule } = require("../services/rescheduleService");
 
 /**
  * Controller to create a new reschedule meeting request.
@@ -83,6 +85,18 @@ exports.createRescheduleMeeting = async (req, res) => {
             return res.status(400).json({ error: "There is an overlapping reschedule request for this teacher." });
         }
 
+        // The session being moved doesn't count against its new time
+        const conflicts = findConflicts(teacher, [{ start: startDate, end: endDate }], {
+            ignoreMeetingIds: meeting_id ? [meeting_id] : [],
+        });
+        if (conflicts.length > 0) {
+            // Students make these requests, so other sessions stay anonymous
+            return res.status(409).json({
+                error: "The teacher is not free at the requested time.",
+                conflicts: conflicts.map(({ type, reason }) => ({ type, reason })),
+            });
+        }
+
         // Create new reschedule meeting
         const newRescheduleMeeting = new RescheduleMeeting({
             student_id,
@@ -152,85 +166,61 @@ exports.getRescheduleMeetingsByTeacherId = async (req, res) => {
 
 
 /**
- * Controller to update the status of a reschedule meeting request.
- * 
+ * Controller to approve the pending reschedule request for a meeting. The
+ * session moves to the requested time for the teacher and every student in
+ * the batch, and both parties are notified. 409 with the conflicts when the
+ * teacher is no longer free then.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.updateRescheduleMeetingStatus = async (req, res) => {
     try {
-        const meetingId = new mongoose.Types.ObjectId(req.params.meetingId);
+        const { meetingId } = req.params;
 
         if (!mongoose.Types.ObjectId.isValid(meetingId)) {
             return res.status(400).json({ error: "Invalid meeting ID format." });
         }
 
-        const rescheduleMeeting = await RescheduleMeeting.findOne({ meeting_id: meetingId });
-        if (!rescheduleMeeting) {
-            return res.status(404).json({ error: "Reschedule meeting not found for the provided meeting ID." });
-        }
-
-        rescheduleMeeting.status = "approved";
-        await rescheduleMeeting.save();
-
-        const { student_id, teacher_id } = rescheduleMeeting;
-
-        const studentUpdateResult = await Student.updateOne(
-            { _id: student_id, "schedule.meeting_id": meetingId },
-            { $set: { "schedule.$.meeting_reschedule": true } }
-        );
-
-        if (studentUpdateResult.modifiedCount === 0) {
-            console.warn(`Meeting ID ${meetingId} not found in Student schedule.`);
-            // Optionally, handle this scenario, e.g., notify the user
-        }
-
-        const teacherUpdateResult = await Teacher.updateOne(
-            { _id: teacher_id, "schedule.meeting_id": meetingId },
-            { $set: { "schedule.$.meeting_reschedule": true } }
-        );
-
-        console.log(teacherUpdateResult);
-
-        if (teacherUpdateResult.modifiedCount === 0) {
-            console.warn(`Meeting ID ${meetingId} not found in Teacher schedule.`);
-            // Optionally, handle this scenario
-        }
+        const { rescheduleMeeting, session } = await approveReschedule(meetingId);
 
         return res.status(200).json({
-            message: "Reschedule meeting status updated successfully.",
+            message: "Reschedule request approved and the session moved.",
             rescheduleMeeting,
+            session,
         });
 
     } catch (error) {
         console.error("Error updating reschedule meeting status:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message, conflicts: error.conflicts });
+        }
         return res.status(500).json({ error: "Server error. Please try again later." });
     }
 };
 
 
 /**
- * Controller to update the status of a reschedule meeting request.
- * 
+ * Controller to reject the pending reschedule request for a meeting. Body:
+ * optional `reason`, passed on to the student.
+ *
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 exports.rejectRescheduleMeeting = async (req, res) => {
     try {
+        const { meetingId } = req.params;
+        const { reason } = req.body || {};
 
-        const meetingId = new mongoose.Types.ObjectId(req.params.meetingId);
         // 1. Validate meetingId
         if (!mongoose.Types.ObjectId.isValid(meetingId)) {
             return res.status(400).json({ error: "Invalid meeting ID format." });
         }
-
-        const rescheduleMeeting = await RescheduleMeeting.findOne({ meeting_id: meetingId });
-        if (!rescheduleMeeting) {
-            return res.status(404).json({ error: "Reschedule meeting not found for the provided meeting ID." });
+        if (reason !== undefined && (typeof reason !== "string" || reason.length > 500)) {
+            return res.status(400).json({ error: "reason must be text of at most 500 characters." });
         }
 
-        rescheduleMeeting.status = "rejected";
-        await rescheduleMeeting.save();
+        const rescheduleMeeting = await rejectReschedule(meetingId, reason);
 
         return res.status(200).json({
             message: "Reschedule meeting rejected successfully.",
@@ -239,6 +229,9 @@ exports.rejectRescheduleMeeting = async (req, res) => {
 
     } catch (error) {
         console.error("Error updating reschedule meeting status:", error);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         return res.status(500).json({ error: "Server error. Please try again later." });
     }
 };
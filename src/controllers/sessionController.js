@@ -0,0 +1,286 @@
+const mongoose = require("mongoose");
+const Meeting = require("../models/meetingModel");
+const SessionSeries = require("../models/sessionSeriesModel");
+const MakeupPoll = require("../models/makeupPollModel");
+const Student = require("../models/studentModel");
+const sessionService = require("../services/sessionService");
+const makeupService = require("../services/makeupService");
+
+const sendError = (res, error, fallback) => {
+  console.error(`${fallback}:`, error);
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message, conflicts: error.conflicts });
+  }
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * Create a weekly class series for a batch. Body: `batch_id`, `title`,
+ * `weekly` ([{ day, start, end }], day 0 = Sunday, times HH:MM),
+ * `start_date` and `end_date` (YYYY-MM-DD), optional `timezone` and
+ * `teacher_id` (defaults to the batch's first teacher).
+ */
+exports.createSeries = async (req, res) => {
+  const { batch_id, teacher_id, title } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(batch_id)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+  if (teacher_id && !mongoose.Types.ObjectId.isValid(teacher_id)) {
+    return res.status(400).json({ error: "Invalid teacher ID" });
+  }
+
+  try {
+    const { series, sessions } = await sessionService.createSeries({
+      batchId: batch_id,
+      teacherId: teacher_id,
+      title,
+      body: req.body,
+      createdBy: req.user.uid,
+    });
+    res.status(201).json({ message: "Class series created", series, sessions: sessions.length });
+  } catch (error) {
+    sendError(res, error, "Failed to create class series");
+  }
+};
+
+// A series with its sessions, soonest first
+exports.getSeries = async (req, res) => {
+  const { seriesId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+    return res.status(400).json({ error: "Invalid series ID" });
+  }
+
+  try {
+    const series = await SessionSeries.findById(seriesId);
+    if (!series) {
+      return res.status(404).json({ error: "Series not found" });
+    }
+    const sessions = await Meeting.find({ series_id: series._id })
+      .select("title start_time end_time status detached meeting_link")
+      .sort({ start_time: 1 });
+    res.status(200).json({ series, sessions });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch class series");
+  }
+};
+
+/**
+ * Sessions of a batch between `from` and `to` (query, default the next 30
+ * days). Cancelled sessions are included with `?include_cancelled=true`.
+ */
+exports.getBatchSessions = async (req, res) => {
+  const { batchId } = req.params;
+  const { from, to, include_cancelled } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(batchId)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+  const start = from ? new Date(from) : new Date();
+  const end = to ? new Date(to) : new Date(start.getTime() + 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return res.status(400).json({ error: "from and to must be valid dates" });
+  }
+
+  try {
+    const filter = { batch_id: batchId, start_time: { $gte: start, $lte: end } };
+    if (include_cancelled !== "true") {
+      filter.status = "scheduled";
+    }
+    const sessions = await Meeting.find(filter)
+      .select("series_id teacher_id title start_time end_time status detached meeting_link")
+      .sort({ start_time: 1 });
+    res.status(200).json({ sessions });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch sessions");
+  }
+};
+
+/**
+ * Edit a whole series. Body, any of: `title`, `timezone`, `weekly`,
+ * `end_date`. Only upcoming sessions change.
+ */
+exports.updateSeries = async (req, res) => {
+  const { seriesId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+    return res.status(400).json({ error: "Invalid series ID" });
+  }
+
+  try {
+    const { series, created, cancelled } = await sessionService.updateSeries(seriesId, req.body);
+    res.status(200).json({ message: "Class series updated", series, created, cancelled });
+  } catch (error) {
+    sendError(res, error, "Failed to update class series");
+  }
+};
+
+exports.cancelSeries = async (req, res) => {
+  const { seriesId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(seriesId)) {
+    return res.status(400).json({ error: "Invalid series ID" });
+  }
+
+  try {
+    const { series, cancelled } = await sessionService.cancelSeries(seriesId);
+    res.status(200).json({ message: "Class series cancelled", series, cancelled });
+  } catch (error) {
+    sendError(res, error, "Failed to cancel class series");
+  }
+};
+
+// Move or rename one session. Body, any of: `start`, `end`, `title`.
+exports.updateSession = async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return res.status(400).json({ error: "Invalid session ID" });
+  }
+
+  try {
+    const session = await sessionService.updateSession(sessionId, req.body);
+    res.status(200).json({ message: "Session updated", session });
+  } catch (error) {
+    sendError(res, error, "Failed to update session");
+  }
+};
+
+/**
+ * Cancel one session. Body: `reason` and optionally `makeup`, either
+ * `{ start, end }` to schedule the make-up directly or
+ * `{ options: [{ start, end }], closes_at }` to let the batch vote.
+ */
+exports.cancelSession = async (req, res) => {
+  const { sessionId } = req.params;
+  const { reason, makeup } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return res.status(400).json({ error: "Invalid session ID" });
+  }
+
+  try {
+    const { session, poll, replacement } = await makeupService.cancelWithMakeup({
+      sessionId,
+      reason,
+      cancelledBy: req.user.uid,
+      makeup,
+    });
+    res.status(200).json({ message: "Session cancelled", session, poll, replacement });
+  } catch (error) {
+    sendError(res, error, "Failed to cancel session");
+  }
+};
+
+// Students see vote counts and their own choice rather than who voted
+const pollView = (poll, studentId) => {
+  const view = poll.toObject();
+  view.options = poll.options.map((option, index) => ({
+    index,
+    start: option.start,
+    end: option.end,
+    votes: option.votes.length,
+  }));
+  if (studentId) {
+    const mine = poll.options.findIndex((option) =>
+      option.votes.some((vote) => vote.equals(studentId))
+    );
+    view.my_vote = mine === -1 ? null : mine;
+  } else {
+    view.voters = poll.options.map((option) => option.votes);
+  }
+  return view;
+};
+
+const callerStudentId = async (req) => {
+  if (req.user.role !== "student") return null;
+  const student = await Student.findOne({ auth_id: req.user.uid }).select("_id");
+  return student && student._id;
+};
+
+// Make-up polls of a batch (`batch_id` query), open ones unless `?status=` says otherwise
+exports.getBatchMakeupPolls = async (req, res) => {
+  const { batch_id, status = "open" } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(batch_id)) {
+    return res.status(400).json({ error: "Invalid batch ID" });
+  }
+
+  try {
+    const studentId = await callerStudentId(req);
+    const polls = await MakeupPoll.find({ batch_id, status })
+      .populate("session_id", "title start_time end_time cancellation_reason")
+      .sort({ closes_at: 1 });
+    res.status(200).json({ polls: polls.map((poll) => pollView(poll, studentId)) });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch make-up polls");
+  }
+};
+
+exports.getMakeupPoll = async (req, res) => {
+  const { pollId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(pollId)) {
+    return res.status(400).json({ error: "Invalid poll ID" });
+  }
+
+  try {
+    const poll = await MakeupPoll.findById(pollId).populate(
+      "session_id",
+      "title start_time end_time cancellation_reason"
+    );
+    if (!poll) {
+      return res.status(404).json({ error: "Poll not found" });
+    }
+    res.status(200).json({ poll: pollView(poll, await callerStudentId(req)) });
+  } catch (error) {
+    sendError(res, error, "Failed to fetch make-up poll");
+  }
+};
+
+// Body: `option`, the index of the slot the student prefers
+exports.voteMakeupPoll = async (req, res) => {
+  const { pollId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(pollId)) {
+    return res.status(400).json({ error: "Invalid poll ID" });
+  }
+
+  try {
+    const studentId = await callerStudentId(req);
+    if (!studentId) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+    const poll = await makeupService.voteOnMakeup({
+      pollId,
+      studentId,
+      option: Number(req.body.option),
+    });
+    res.status(200).json({ message: "Vote recorded", poll: pollView(poll, studentId) });
+  } catch (error) {
+    sendError(res, error, "Failed to record vote");
+  }
+};
+
+// Body: `option` (a slot index) or any other `start` and `end`
+exports.pickMakeupSlot = async (req, res) => {
+  const { pollId } = req.params;
+  const { option, start, end } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(pollId)) {
+    return res.status(400).json({ error: "Invalid poll ID" });
+  }
+
+  try {
+    const { poll, replacement } = await makeupService.pickMakeup({
+      pollId,
+      option: option === undefined ? undefined : Number(option),
+      start,
+      end,
+    });
+    res.status(200).json({ message: "Make-up class scheduled", poll: pollView(poll), replacement });
+  } catch (error) {
+    sendError(res, error, "Failed to schedule make-up class");
+  }
+};
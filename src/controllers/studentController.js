@@ -5,6 +5,10 @@ const Package = require("../models/packagesModel");
 const Subject = require("../models/subjectModel");
 const CustomPackage = require("../models/customPackageModels");
 const moment = require("moment"); // Import teacher model
+const { describeAttendance, attendanceSummary } = require("../services/attendancePolicyService");
+
+// Late arrivals still attended; partial attendance does not count
+const isAttended = (status) => status === "present" || status === "late";
 
 // Create Student Controller
 exports.createStudent = async (req, res) => {
@@ -301,12 +305,16 @@ exports.updateStudent = async (req, res) => {
     student.payment_id = updateData.payment_id || student.payment_id;
     student.last_online = updateData.last_online || student.last_online;
     student.phone_number = updateData.phone_number || student.phone_number;
+    student.guardian = updateData.guardian || student.guardian;
     student.type_of_batch = updateData.type_of_batch || student.type_of_batch;
     student.duration = updateData.duration || student.duration;
     student.amount = updateData.amount || student.amount;
     student.subject_id = updateData.subject_id || student.subject_id;
     student.discountAmount = updateData.discountAmount || student.discountAmount;
     student.gstAmount = updateData.gstAmount || student.gstAmount;
+    student.billing_state = updateData.billing_state || student.billing_state;
+    student.preferred_time_slot =
+      updateData.preferred_time_slot || student.preferred_time_slot;
     // Save the updated student
     const updatedStudent = await student.save();
     console.log(updatedStudent);
@@ -461,6 +469,7 @@ exports.clockIn = async (req, res) => {
         clock_in_time: moment().toDate(), // Set current time as clock-in time
         clock_out_time: null, // Initialize clock_out_time as null
         meeting_title: meeting.meeting_title,
+        source: "manual",
       };
 
       // Push the new attendance record to the teacher's attendance array
@@ -589,20 +598,14 @@ exports.getStudentAttendance = async (req, res) => {
         });
       }
 
-      // **Updated Calculation: Use 'clock_out_time' to determine attendance**
-      const classesAttended = student.attendance.filter(item => item.clock_out_time !== null).length;
+      // Each record is classified present/late/partial/absent by the attendance policy
+      const attendance = await describeAttendance(student.attendance);
+      const classesAttended = attendance.filter((item) => isAttended(item.status)).length;
 
       // Return the student's attendance along with the count
       return res.status(200).json({
         message: "Student attendance fetched successfully",
-        attendance: student.attendance.map((item) => ({
-          date: item.Date, // Ensure this field exists and is correctly capitalized
-          clock_in_time: item.clock_in_time,
-          clock_out_time: item.clock_out_time,
-          // Remove 'meeting_attended' as it doesn't exist
-          meeting_id: item.meeting_id,
-          meeting_title: item.meeting_title,
-        })),
+        attendance,
         classesAttended, // Include the count
       });
     } else {
@@ -618,22 +621,20 @@ exports.getStudentAttendance = async (req, res) => {
         });
       }
 
-      // Map through each student and their attendance, including the count
+      // Classify every record in one pass, then split them back per student
+      const described = await describeAttendance(
+        students.flatMap((student) => student.attendance)
+      );
+      let offset = 0;
       const allAttendances = students.map((student) => {
-        const classesAttended = student.attendance.filter(item => item.clock_out_time !== null).length;
+        const attendance = described.slice(offset, (offset += student.attendance.length));
+        const classesAttended = attendance.filter((item) => isAttended(item.status)).length;
 
         return {
           studentId: student._id,
           name: student.student_id?.name,
           email: student.student_id?.email,
-          attendance: student.attendance.map((item) => ({
-            date: item.Date, // Ensure correct field name
-            clock_in_time: item.clock_in_time,
-            clock_out_time: item.clock_out_time,
-
-            meeting_id: item.meeting_id,
-            meeting_title: item.meeting_title,
-          })),
+          attendance,
           classesAttended, // Include the count for each student
         };
       });
@@ -745,15 +746,31 @@ exports.getStudentsWithAttendance = async (req, res) => {
   }
 };
 
-//controller function to get percentage of attendance to display in student dashboard 
-
+//controller function to get percentage of attendance to display in student dashboard
+// Per-subject percentages for `studentId`, optionally between `from` and `to` (query)
 exports.getPercentageOfAttendance = async (req, res) => {
   try {
+    const { studentId, from, to } = req.query;
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      return res.status(400).json({ error: "Invalid student ID" });
+    }
+    const range = {
+      from: from ? new Date(from) : undefined,
+      to: to ? new Date(to) : undefined,
+    };
+    if ((range.from && isNaN(range.from)) || (range.to && isNaN(range.to))) {
+      return res.status(400).json({ error: "from and to must be valid dates" });
+    }
 
-
+    const summary = await attendanceSummary(studentId, range);
+    res.status(200).json(summary);
   } catch (error) {
     console.error("Error fetching percentage of attendance:", error);
-    res.status(500).json({ error: "Server error, unable to fetch percentage of attendance." });
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode
+        ? error.message
+        : "Server error, unable to fetch percentage of attendance.",
+    });
   }
 }
 
@@ -0,0 +1,185 @@
+// controllers/subscriptionController.js
+const mongoose = require("mongoose");
+const Subscription = require("../models/subscriptionModel");
+const SubscriptionPlan = require("../models/subscriptionPlanModel");
+const Student = require("../models/studentModel");
+const {
+  createPlan,
+  subscribe,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  simulateLocalCharge,
+} = require("../services/subscriptionService");
+
+const sendError = (res, error, fallback) => {
+  console.error(`${fallback}:`, error);
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ error: error.message });
+  }
+  // Razorpay rejects invalid state changes with a descriptive error
+  if (error.error && error.error.description) {
+    return res.status(400).json({ error: error.error.description });
+  }
+  res.status(500).json({ error: fallback });
+};
+
+/**
+ * Admin: create a recurring plan for a batch type. Body: `typeOfBatchId`,
+ * `interval` ("monthly" or "quarterly"), optional `totalCount`.
+ */
+exports.createPlan = async (req, res) => {
+  const { typeOfBatchId, interval, totalCount } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(typeOfBatchId)) {
+    return res.status(400).json({ error: "Invalid type of batch ID" });
+  }
+
+  try {
+    const plan = await createPlan({ typeOfBatchId, interval, totalCount });
+    res.status(201).json({ message: "Subscription plan created", data: plan });
+  } catch (error) {
+    sendError(res, error, "Unable to create subscription plan");
+  }
+};
+
+// Active plans, optionally for one batch type (?typeOfBatchId=)
+exports.getPlans = async (req, res) => {
+  try {
+    const filter = { is_active: true };
+    if (req.query.typeOfBatchId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.typeOfBatchId)) {
+        return res.status(400).json({ error: "Invalid type of batch ID" });
+      }
+      filter.type_of_batch = req.query.typeOfBatchId;
+    }
+
+    const plans = await SubscriptionPlan.find(filter).populate("type_of_batch", "title mode");
+    res.status(200).json(plans);
+  } catch (error) {
+    sendError(res, error, "Unable to fetch subscription plans");
+  }
+};
+
+// Admin: stop offering a plan. Existing subscriptions keep running.
+exports.deactivatePlan = async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({ error: "Invalid plan ID" });
+    }
+
+    const plan = await SubscriptionPlan.findByIdAndUpdate(id, { is_active: false }, { new: true });
+    if (!plan) return res.status(404).json({ error: "Subscription plan not found" });
+    res.status(200).json({ message: "Subscription plan deactivated", data: plan });
+  } catch (error) {
+    sendError(res, error, "Unable to deactivate subscription plan");
+  }
+};
+
+/**
+ * Subscribe one of the student's subjects to a plan. Body: `studentId`,
+ * `subjectId`, `batchId`, `planId`. The response carries `short_url`, where
+ * the student authorises the recurring payment.
+ */
+exports.createSubscription = async (req, res) => {
+  const { studentId, subjectId, batchId, planId } = req.body;
+
+  if (!studentId || !subjectId || !batchId || !planId) {
+    return res.status(400).json({
+      error: "Missing required fields: studentId, subjectId, batchId, planId",
+    });
+  }
+
+  try {
+    const student = await Student.findById(studentId);
+    if (!student) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+
+    const subscription = await subscribe({ student, subjectId, batchId, planId });
+    res.status(201).json({ message: "Subscription created", data: subscription });
+  } catch (error) {
+    sendError(res, error, "Unable to create subscription");
+  }
+};
+
+// Student: their own subscriptions, newest first
+exports.getMySubscriptions = async (req, res) => {
+  try {
+    const student = await Student.findOne({ auth_id: req.user.uid }).select("_id");
+    if (!student) {
+      return res.status(404).json({ error: "Student not found" });
+    }
+
+    const subscriptions = await Subscription.find({ student_id: student._id })
+      .sort({ createdAt: -1 })
+      .populate("plan_id", "name interval months pricing.total")
+      .populate("subject_id", "subject_name")
+      .select("-charges.gateway_payment_id");
+    res.status(200).json(subscriptions);
+  } catch (error) {
+    sendError(res, error, "Unable to fetch subscriptions");
+  }
+};
+
+// Admin: all subscriptions, optionally by status (?status=past_due)
+exports.getAllSubscriptions = async (req, res) => {
+  try {
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const subscriptions = await Subscription.find(filter)
+      .sort({ createdAt: -1 })
+      .populate({ path: "student_id", select: "user_id", populate: { path: "user_id", select: "name email" } })
+      .populate("plan_id", "name interval")
+      .populate("subject_id", "subject_name");
+    res.status(200).json(subscriptions);
+  } catch (error) {
+    sendError(res, error, "Unable to fetch subscriptions");
+  }
+};
+
+exports.pauseSubscription = async (req, res) => {
+  try {
+    const subscription = await pauseSubscription(req.params.id);
+    res.status(200).json({ message: "Subscription paused", data: subscription });
+  } catch (error) {
+    sendError(res, error, "Unable to pause subscription");
+  }
+};
+
+exports.resumeSubscription = async (req, res) => {
+  try {
+    const subscription = await resumeSubscription(req.params.id);
+    res.status(200).json({ message: "Subscription resumed", data: subscription });
+  } catch (error) {
+    sendError(res, error, "Unable to resume subscription");
+  }
+};
+
+/**
+ * Cancel renewal. Body: `atPeriodEnd` (default false) keeps an active
+ * subscription running until the paid period ends.
+ */
+exports.cancelSubscription = async (req, res) => {
+  try {
+    const subscription = await cancelSubscription(req.params.id, {
+      atPeriodEnd: req.body.atPeriodEnd === true,
+    });
+    res.status(200).json({ message: "Subscription cancelled", data: subscription });
+  } catch (error) {
+    sendError(res, error, "Unable to cancel subscription");
+  }
+};
+
+/**
+ * Admin, local gateway only: simulate the next charge. Body: `outcome`
+ * ("success", "failure" or "halt").
+ */
+exports.simulateCharge = async (req, res) => {
+  try {
+    const subscription = await simulateLocalCharge(req.params.id, req.body.outcome);
+    res.status(200).json({ message: "Charge simulated", data: subscription });
+  } catch (error) {
+    sendError(res, error, "Unable to simulate charge");
+  }
+};
@@ -3,6 +3,11 @@ const Teacher = require("../models/teacherModel");
 const Subject = require("../models/subjectModel");
 const moment = require("moment"); // Import teacher model
 const Meeting = require("../models/meetingModel");
+const {
+  normalizeAvailability,
+  normalizeException,
+  findConflicts,
+} = require("../services/schedulingService");
 
 
 exports.createTeacher = async (req, res) => {
@@ -175,12 +180,17 @@ exports.updateTeacherDetails = async (req, res) => {
   }
 };
 
+const PUBLIC_PROFILE_FIELDS =
+  "user_id board_id class_id subject qualifications bio experience profile_image language is_grammar_teacher";
+
 // Controller function to get teachers with more than 3 years of experience
 exports.getExperiencedTeachers = async (req, res) => {
   try {
     const teachers = await Teacher.find({
       experience: { $gt: "3" }, // Adjust based on the data type of experience
     })
+      // Served publicly, so only profile fields (no credentials or schedules)
+      .select(PUBLIC_PROFILE_FIELDS)
       .populate("user_id", "name email")
       .populate("class_id")
       .populate("subject")
@@ -269,6 +279,7 @@ exports.clockIn = async (req, res) => {
         clock_in_time: moment().toDate(), // Set current time as clock-in time
         clock_out_time: null, // Initialize clock_out_time as null
         meeting_title: meeting.meeting_title,
+        source: "manual",
       };
 
       // Push the new attendance record to the teacher's attendance array
@@ -542,3 +553,120 @@ exports.getTeacherScheduleNext7Days = async (req, res) => {
   }
 };
 
+/**
+ * Controller to fetch a teacher's weekly availability and days off.
+ */
+exports.getTeacherAvailability = async (req, res) => {
+  try {
+    const teacher = await Teacher.findById(req.params.id).select("availability available_time");
+    if (!teacher) {
+      return res.status(404).json({ error: "Teacher not found" });
+    }
+    res.status(200).json({ availability: teacher.availability, available_time: teacher.available_time });
+  } catch (error) {
+    console.error("Error fetching teacher availability:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Controller to publish a teacher's availability. Body: `timezone`,
+ * `weekly` ([{ day, start, end }], day 0 = Sunday, times HH:MM) and
+ * optionally `exceptions` ([{ from, to, reason }]) to replace all days off.
+ */
+exports.updateTeacherAvailability = async (req, res) => {
+  try {
+    const availability = normalizeAvailability(req.body);
+    const updates = {
+      "availability.timezone": availability.timezone,
+      "availability.weekly": availability.weekly,
+    };
+    if (availability.exceptions) {
+      updates["availability.exceptions"] = availability.exceptions;
+    }
+
+    const teacher = await Teacher.findByIdAndUpdate(
+      req.params.id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).select("availability");
+    if (!teacher) {
+      return res.status(404).json({ error: "Teacher not found" });
+    }
+    res.status(200).json({ message: "Availability updated", availability: teacher.availability });
+  } catch (error) {
+    console.error("Error updating teacher availability:", error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Server error" });
+  }
+};
+
+/**
+ * Controller to add a day off (or a range of days). Body: `from`, optional
+ * `to` (both YYYY-MM-DD in the teacher's timezone) and `reason`.
+ */
+exports.addAvailabilityException = async (req, res) => {
+  try {
+    const exception = normalizeException(req.body);
+    const teacher = await Teacher.findByIdAndUpdate(
+      req.params.id,
+      { $push: { "availability.exceptions": exception } },
+      { new: true, runValidators: true }
+    ).select("availability");
+    if (!teacher) {
+      return res.status(404).json({ error: "Teacher not found" });
+    }
+    res.status(201).json({ message: "Day off added", availability: teacher.availability });
+  } catch (error) {
+    console.error("Error adding availability exception:", error);
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : "Server error" });
+  }
+};
+
+exports.removeAvailabilityException = async (req, res) => {
+  try {
+    const { id, exceptionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(exceptionId)) {
+      return res.status(400).json({ error: "Invalid exception ID format" });
+    }
+    const teacher = await Teacher.findByIdAndUpdate(
+      id,
+      { $pull: { "availability.exceptions": { _id: exceptionId } } },
+      { new: true }
+    ).select("availability");
+    if (!teacher) {
+      return res.status(404).json({ error: "Teacher not found" });
+    }
+    res.status(200).json({ message: "Day off removed", availability: teacher.availability });
+  } catch (error) {
+    console.error("Error removing availability exception:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
+
+/**
+ * Controller to check whether a teacher is free between `start` and `end`
+ * (query string) without booking anything. Open to students, so booked
+ * conflicts don't say which session they clash with.
+ */
+exports.checkTeacherAvailability = async (req, res) => {
+  try {
+    const start = new Date(req.query.start);
+    const end = new Date(req.query.end);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      return res.status(400).json({ error: "start and end must be valid dates, end after start" });
+    }
+
+    const teacher = await Teacher.findById(req.params.id).select("availability schedule");
+    if (!teacher) {
+      return res.status(404).json({ error: "Teacher not found" });
+    }
+    const conflicts = findConflicts(teacher, [{ start, end }]).map(({ type, reason }) => ({
+      type,
+      reason,
+    }));
+    res.status(200).json({ available: conflicts.length === 0, conflicts });
+  } catch (error) {
+    console.error("Error checking teacher availability:", error);
+    res.status(500).json({ error: "Server error" });
+  }
+};
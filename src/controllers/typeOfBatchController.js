@@ -13,7 +13,7 @@ function calculateDiscountedPrice(price, discountPercentage) {
 // Create a new TypeOfBatch
 exports.createTypeOfBatch = async (req, res) => {
   try {
-    const { mode, duration, price, features, title, subject_id,class_id, custom_batch } = req.body;
+    const { mode, duration, price, features, title, subject_id,class_id, custom_batch, max_capacity } = req.body;
     console.log(req.body);
 
     // Basic validation
@@ -33,6 +33,7 @@ exports.createTypeOfBatch = async (req, res) => {
       subject_id: subject_id,
       custom_batch: custom_batch || false,
       class_id: class_id,
+      max_capacity,
     });
 
     await newBatch.save();
@@ -106,7 +107,7 @@ exports.updateDiscount = async (req, res) => {
 exports.updateAllFields = async (req, res) => {
   try {
     const { id } = req.params;
-    const { mode, price, title, duration, discountPercentage, discount_active, feature } = req.body;
+    const { mode, price, title, duration, discountPercentage, discount_active, feature, max_capacity } = req.body;
 
     const batch = await TypeOfBatch.findById(id);
     if (!batch) {
@@ -120,6 +121,7 @@ exports.updateAllFields = async (req, res) => {
     if (discountPercentage !== undefined) batch.discountPercentage = discountPercentage;
     if (discount_active !== undefined) batch.discount_active = discount_active;
     if (feature !== undefined) batch.feature = feature;
+    if (max_capacity !== undefined) batch.max_capacity = max_capacity || undefined;
 
     // Recalculate discounted price if discountPercentage or price changes
     batch.discountedPrice = calculateDiscountedPrice(batch.price, batch.discountPercentage);
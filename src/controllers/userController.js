@@ -1,5 +1,7 @@
 // src/controllers/userController.js
+const mongoose = require("mongoose");
 const User = require("../models/userModel");
+const { changeUserRole } = require("../services/roleService");
 
 exports.getProfile = async (req, res) => {
   try {
@@ -98,4 +100,51 @@ exports.updateUserByAuthId = async (req, res) => {
     console.error("Error updating user:", error);
     res.status(500).json({ message: "Server error while updating user." });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Admin-only: promote or demote a user. The change is recorded in the user's
+ * role_history and synced to their Firebase custom claims.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format." });
+    }
+    if (!role) {
+      return res.status(400).json({ message: "role is required." });
+    }
+    if (userId === String(req.user._id)) {
+      return res.status(400).json({ message: "Admins cannot change their own role." });
+    }
+
+    const user = await changeUserRole({
+      userId,
+      role,
+      changedBy: req.user._id,
+      reason,
+    });
+
+    res.status(200).json({
+      message: "User role updated successfully.",
+      user: {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        role_history: user.role_history,
+      },
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error("Error updating user role:", error);
+    res.status(500).json({ message: "Server error while updating user role." });
+  }
+};
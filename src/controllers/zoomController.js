@@ -2,6 +2,10 @@ const axios = require("axios");
 const Meeting = require("../models/meetingModel");
 const jwt = require("jsonwebtoken");
 const KJUR = require("jsrsasign"); // Import the Meeting model
+const mongoose = require("mongoose");
+const config = require("../config");
+const { createSeries } = require("../services/sessionService");
+const { listParticipants } = require("../services/meetingService");
 
 function healthCheck() {
   try {
@@ -24,9 +28,8 @@ async function generateZoomSignature(req, res, next) {
         .json({ error: "Missing meetingNumber or role in request body." });
     }
 
-    // Load SDK Key and Secret from environment variables
-    const sdkKey = "luHcCVYlQ1Cjq1NwoAFuYg";
-    const sdkSecret = "3te57W3k3uBd4CHydxU5LsOR9rvtYtQn";
+    // Load SDK Key and Secret from config
+    const { sdkKey, sdkSecret } = config.zoom;
 
     if (!sdkKey || !sdkSecret) {
       return res
@@ -41,7 +44,7 @@ async function generateZoomSignature(req, res, next) {
     const oHeader = { alg: "HS256", typ: "JWT" };
 
     const oPayload = {
-      sdkKey: "luHcCVYlQ1Cjq1NwoAFuYg",
+      sdkKey: sdkKey,
       mn: meetingNumber,
       role: 0, // 0 for attendee, 1 for host
       iat: iat,
@@ -83,165 +86,73 @@ async function zoomuserinfo(req, res, next) {
   }
 }
 
-const Student = require("../models/studentModel"); // Adjust the path as necessary
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
 
-async function createZoomMeeting(req, res, next) {
-  try {
-    const token = req.body.token;
-
-    // Extract user inputs from the request body
-    const {
-      topic,
-      startTime,
-      duration,
-      selectedDays,
-      repeatTimes,
-      password,
-      agenda,
-      studentIds, // Array of student IDs
-      teacherId, // Teacher ID (must be provided)
-      batchId, // Batch ID (must be provided)
-      subjectId, // Subject ID (must be provided)
-    } = req.body;
-
-    // Map days of the week to Zoom API format
-    const dayMapping = {
-      Sunday: 1,
-      Monday: 2,
-      Tuesday: 3,
-      Wednesday: 4,
-      Thursday: 5,
-      Friday: 6,
-      Saturday: 7,
-    };
-
-    // Convert selected days to Zoom API format
-    const weeklyDays = selectedDays.map((day) => dayMapping[day]).join(",");
-
-    // Create the meeting with registration required
-    const result = await axios.post(
-      "https://api.zoom.us/v2/users/me/meetings",
-      {
-        topic: topic || "Discussion about today's Demo",
-        type: 8, // Recurring meeting with fixed time
-        start_time: startTime, // e.g., "2023-10-13T16:00:00"
-        duration: duration || 20,
-        timezone: "Asia/Kolkata",
-        password: password || "1234567",
-        agenda: agenda || "We will discuss about Today's Demo process",
-        recurrence: {
-          type: 2, // Weekly recurrence
-          repeat_interval: 1,
-          weekly_days: weeklyDays,
-          end_times: repeatTimes || 10,
-        },
-        settings: {
-          host_video: true,
-          participant_video: true,
-          join_before_host: false,
-          mute_upon_entry: true,
-          watermark: true,
-          use_pmi: false,
-          approval_type: 0,
-          registration_type: 2,
-          audio: "both",
-          auto_recording: "cloud",
-          enforce_login: false,
-          registrants_email_notification: false, // You will send join links manually
-          waiting_room: true,
-          allow_multiple_devices: false,
-          email_notification: true,
-          meeting_authentication: true, // Enforce authentication
-        },
-      },
-      {
-        headers: {
-          Authorization: "Bearer " + token,
-          "User-Agent": "Zoom-api-Jwt-Request",
-          "Content-Type": "application/json",
-        },
-      }
-    );
+const pad = (number) => String(number).padStart(2, "0");
 
-    const meetingId = result.data.id;
-
-    // Fetch student documents and populate user information
-    const students = await Student.find({ student_id: { $in: studentIds } })
-      .populate("user_id") // Assuming 'user_id' references the User model
-      .exec();
-
-    // Function to add registrants
-    async function addRegistrants(meetingId, students) {
-      const registrantJoinUrls = [];
-
-      for (const student of students) {
-        try {
-          const user = student.user_id;
-          if (!user) {
-            console.error(
-              `User not found for student ID ${student.student_id}`
-            );
-            continue;
-          }
-
-          const registrantResponse = await axios.post(
-            `https://api.zoom.us/v2/meetings/${meetingId}/registrants`,
-            {
-              email: user.email,
-              first_name: user.firstName || "FirstName",
-              last_name: user.lastName || "",
-            },
-            {
-              headers: {
-                Authorization: "Bearer " + token,
-                "Content-Type": "application/json",
-              },
-            }
-          );
-
-          const joinUrl = registrantResponse.data.join_url;
+// Date of the `count`th class on `days` counting from `startDate` (YYYY-MM-DD)
+const lastOccurrence = (startDate, days, count) => {
+  const cursor = new Date(`${startDate}T00:00:00Z`);
+  let seen = 0;
+  for (;;) {
+    if (days.includes(cursor.getUTCDay()) && ++seen >= count) {
+      return cursor.toISOString().slice(0, 10);
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+};
 
-          // Add to the array
-          registrantJoinUrls.push({
-            email: user.email,
-            joinUrl,
-          });
-        } catch (error) {
-          console.error(
-            `Error adding registrant ${student.student_id}:`,
-            error.response ? error.response.data : error.message
-          );
-        }
-      }
+/**
+ * Creates weekly Zoom classes for a batch. Kept for existing clients: the
+ * request is turned into a class series hosted on Zoom, so the sessions and
+ * schedule entries look the same as any other provider's.
+ *
+ * Body: `topic`, `startTime` (local time of the first class, e.g.
+ * "2023-10-13T16:00:00"), `duration` (minutes), `selectedDays` (day names),
+ * `repeatTimes` (number of classes), `teacherId`, `batchId`.
+ */
+async function createZoomMeeting(req, res, next) {
+  try {
+    const { topic, startTime, duration, selectedDays, repeatTimes, teacherId, batchId } = req.body;
 
-      return registrantJoinUrls;
+    const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/.exec(startTime || "");
+    const days = (selectedDays || []).map((day) => WEEKDAYS.indexOf(day));
+    if (!match || days.length === 0 || days.includes(-1)) {
+      return res.status(400).json({ error: "startTime and selectedDays (day names) are required" });
     }
 
-    const registrantJoinUrls = await addRegistrants(meetingId, students);
-
-    // Save the meeting to the database
-    const newMeeting = new Meeting({
-      teacher_id: teacherId,
-      batch: batchId,
-      subject: subjectId,
-      meeting_link: result.data.join_url, // Or use result.data.start_url for host link
-      created_at: new Date(),
-      is_active: true,
-      students: students.map((student) => student._id), // Array of Student ObjectIds
+    const startMinutes = Number(match[2]) * 60 + Number(match[3]);
+    const endMinutes = startMinutes + (Number(duration) || 20);
+    if (endMinutes >= 24 * 60) {
+      return res.status(400).json({ error: "Classes must end on the day they start" });
+    }
+    const start = `${match[2]}:${match[3]}`;
+    const end = `${pad(Math.floor(endMinutes / 60))}:${pad(endMinutes % 60)}`;
+
+    const { series, sessions } = await createSeries({
+      batchId,
+      teacherId,
+      title: topic || "Class",
+      provider: "zoom",
+      body: {
+        weekly: days.map((day) => ({ day, start, end })),
+        start_date: match[1],
+        end_date: lastOccurrence(match[1], days, Number(repeatTimes) || 10),
+      },
+      createdBy: req.user.uid,
     });
 
-    await newMeeting.save();
-
     res.json({
-      meeting: result.data,
-      registrants: registrantJoinUrls,
-      message: "Meeting created, registrants added, and saved to database.",
+      series,
+      sessions: sessions.length,
+      join_url: series.meeting_link,
+      message: "Zoom classes created and added to the schedules.",
     });
   } catch (error) {
-    console.error(error.response ? error.response.data : error.message);
+    console.error("Error creating Zoom classes:", error);
     res
-      .status(500)
-      .send(error.response ? error.response.data : "An error occurred");
+      .status(error.statusCode || 500)
+      .json({ error: error.statusCode ? error.message : "An error occurred", conflicts: error.conflicts });
   }
 }
 
@@ -261,55 +172,27 @@ async function getMeetingById(req, res, next) {
   }
 }
 
+/**
+ * Who attended a meeting, from its provider. Query: `meetingId`, the
+ * Meeting document id.
+ */
 async function getMeetingParticipants(req, res, next) {
   try {
-    const token = req.body.token;
-    const meetingId = req.params.meetingId; // Get the meeting ID from the request
-
-    // Step 1: Get meeting participants (those who have joined)
-    const liveParticipantsResponse = await axios.get(
-      `https://api.zoom.us/v2/meetings/${meetingId}/participants`,
-      {
-        headers: {
-          Authorization: "Bearer " + token,
-          "User-Agent": "Zoom-api-Jwt-Request",
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    const participantsJoined = liveParticipantsResponse.data.participants;
-
-    // Step 2: Get registrants (those who haven't joined)
-    const registrantsResponse = await axios.get(
-      `https://api.zoom.us/v2/meetings/${meetingId}/registrants`,
-      {
-        headers: {
-          Authorization: "Bearer " + token,
-          "User-Agent": "Zoom-api-Jwt-Request",
-          "Content-Type": "application/json",
-        },
-      }
-    );
-
-    const registrants = registrantsResponse.data.registrants;
+    const meetingId = req.params.meetingId || req.query.meetingId;
+    if (!mongoose.Types.ObjectId.isValid(meetingId)) {
+      return res.status(400).json({ error: "Invalid meeting ID format." });
+    }
 
-    const registrantsNotJoined = registrants.filter((registrant) => {
-      return !participantsJoined.some(
-        (participant) => participant.email === registrant.email
-      );
-    });
+    const meeting = await Meeting.findById(meetingId);
+    if (!meeting) {
+      return res.status(404).json({ error: "Meeting not found" });
+    }
 
-    res.json({
-      meetingId: meetingId,
-      participantsJoined: participantsJoined,
-      registrantsNotJoined: registrantsNotJoined,
-    });
+    const participants = await listParticipants(meeting);
+    res.json({ meetingId, participants });
   } catch (error) {
-    console.error(error.response ? error.response.data : error.message);
-    res
-      .status(500)
-      .send(error.response ? error.response.data : "An error occurred");
+    console.error("Error fetching meeting participants:", error);
+    res.status(error.statusCode || 500).json({ error: "An error occurred" });
   }
 }
 
@@ -1843,6 +1843,473 @@ function newMeetingcreated(batchName) {
   `;
 }
 
+// Shared page shell (logo, social links, footer) for the transactional
+// templates below
+function transactionalLayout(title, content) {
+  return `
+   <!DOCTYPE html>
+    <html lang="en" xmlns="http://www.w3.org/1999/xhtml">
+    <head>
+      <meta charset="utf-8"> 
+      <meta http-equiv="x-ua-compatible" content="ie=edge"> 
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>${title} - The Topper Academy</title>
+      <style>
+        body {
+          margin: 0;
+          padding: 0;
+          background-color: #e6eef4;
+          font-family: Arial, sans-serif;
+          color: #333333;
+        }
+
+        .container {
+          width: 100%;
+          background-color: #e6eef4;
+          text-align: center;
+          padding: 40px 20px;
+        }
+
+        .content-box {
+          max-width: 600px;
+          margin: 0 auto;
+          background-color: #ffffff;
+          border-radius: 8px;
+          padding: 40px;
+          text-align: left;
+        }
+
+        .logo {
+          margin-bottom: 40px;
+          text-align: center;
+        }
+
+        .logo img {
+          max-width: 200px; 
+          border-radius: 50%;
+        }
+
+        .message {
+          font-size: 14px;
+          color: #555555;
+          line-height: 1.6;
+          margin-bottom: 30px;
+          max-width: 480px;
+          margin-left: auto;
+          margin-right: auto;
+        }
+
+        .highlight {
+          font-weight: bold;
+          color: #333333;
+        }
+
+        .footer {
+          font-size: 12px;
+          color: #888888;
+          line-height: 1.5;
+          text-align: center;
+          margin-top: 40px;
+        }
+
+        .footer .product-name {
+          font-weight: bold;
+          color: #333333;
+        }
+
+        .social-links {
+          margin-bottom: 30px;
+          margin-top: 10px;
+        }
+
+        .social-links img {
+          width: 24px;
+          height: 24px;
+          margin: 0 8px;
+          vertical-align: middle;
+        }
+
+        @media (max-width: 600px) {
+          .content-box {
+            padding: 30px 20px;
+          }
+
+          .message {
+            max-width: 100%;
+          }
+        }
+      </style>
+    </head>
+    <body>
+      <div class="container">
+        <!-- Main logo section -->
+        <div class="logo">
+          <!-- Replace with your main logo URL -->
+          <img src="https://firebasestorage.googleapis.com/v0/b/sveccha-11c31.appspot.com/o/LOGO.png?alt=media&token=f388a952-766d-42f4-86f3-12cc9d03aedc" alt="Logo">
+        </div>
+
+        <div class="content-box">
+          ${content}
+        </div>
+
+        <div class="social-links">
+      <!-- Replace these with your own social media icons and links -->
+      <a href="https://www.facebook.com/people/The-Topper-Academy/61567845897039/"><img src="https://img.icons8.com/ios-filled/50/000000/facebook-new.png" alt="Facebook"></a>
+      <!-- Updated to X logo -->
+      <!-- <a href="#"><img src="https://img.icons8.com/ios-filled/50/000000/x--v1.png" alt="X"></a> -->
+      <a href="https://www.linkedin.com/company/the-topper-academy"><img src="https://img.icons8.com/ios-filled/50/000000/linkedin.png" alt="LinkedIn"></a>
+      <a href="https://www.instagram.com/thetopperacademy2024/"><img src="https://img.icons8.com/ios-filled/50/000000/instagram-new.png" alt="Instagram"></a>
+    </div>
+
+         <div class="footer">
+      <p>
+        © ${moment().format("YYYY")} 
+        <span class="product-name">The Topper Academy</span><br>
+        Unlock Your Future !
+      </p>
+    </div>
+      </div>
+    </body>
+    </html>
+  `;
+}
+
+function studentRefundProcessedStudent(name, email, amount, refund_id, payment_id, reason) {
+  //refund issued by TA to student
+  const currentDate = new Date();
+  const dateString = `${currentDate.getDate()}/${currentDate.getMonth() + 1}/${currentDate.getFullYear()}`;
+  return transactionalLayout("Refund Processed", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            A refund of <span class="highlight">₹${amount}</span> from <span class="highlight">The Topper Academy</span> has been processed on <span class="highlight">${dateString}</span>. It usually reaches your original payment method within 5-7 working days.
+          </p>
+          <p class="message">
+            <span class="highlight">Refund Details:</span><br>
+            <span class="highlight">Refund ID:</span> ${refund_id}<br>
+            <span class="highlight">Payment ID:</span> ${payment_id}<br>
+            <span class="highlight">Student Email:</span> ${email}<br>
+            <span class="highlight">Amount Refunded:</span> ₹${amount}<br>
+            ${reason ? `<span class="highlight">Reason:</span> ${reason}<br>` : ""}
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function invoiceCopyStudent(name, documentLabel, invoiceNumber, invoiceDate, total) {
+  //copy of an invoice or credit note requested by the student
+  return transactionalLayout(documentLabel, `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            As requested, please find attached a copy of your ${documentLabel.toLowerCase()} from <span class="highlight">The Topper Academy</span>.
+          </p>
+          <p class="message">
+            <span class="highlight">${documentLabel} No:</span> ${invoiceNumber}<br>
+            <span class="highlight">Date:</span> ${moment(invoiceDate).format("DD/MM/YYYY")}<br>
+            <span class="highlight">Amount:</span> ₹${total}<br>
+          </p>
+          <p class="message">
+            If you did not request this email, or have any questions, reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function subscriptionPaymentFailedStudent(name, subjectName, amount, reason, paymentUrl) {
+  //automatic subscription charge failed; the gateway will retry
+  return transactionalLayout("Subscription Payment Failed", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            We could not collect <span class="highlight">₹${amount}</span> for your <span class="highlight">${subjectName}</span> subscription${reason ? ` (${reason})` : ""}. We will try again over the next few days.
+          </p>
+          <p class="message">
+            To keep your classes running without a break, please make sure your payment method has sufficient balance${paymentUrl ? `, or <a href="${paymentUrl}">update your payment method here</a>` : ""}.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function subscriptionHaltedStudent(name, subjectName, accessUntil) {
+  //every retry of a subscription charge failed
+  return transactionalLayout("Subscription Stopped", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            We were unable to collect the payment for your <span class="highlight">${subjectName}</span> subscription after several attempts, so automatic renewal has been stopped.
+          </p>
+          <p class="message">
+            ${accessUntil ? `You keep access to your classes until <span class="highlight">${accessUntil}</span>. ` : ""}You can renew at any time from your dashboard.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function installmentOverdueStudent(name, sequence, amount, dueDate, paymentUrl) {
+  //installment unpaid past the grace period; classes are suspended
+  return transactionalLayout("Installment Overdue", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            Installment <span class="highlight">${sequence}</span> of <span class="highlight">₹${amount}</span>, due on <span class="highlight">${dueDate}</span>, has not been paid. Access to your classes has been paused until it is.
+          </p>
+          <p class="message">
+            ${paymentUrl ? `You can pay it now at <a href="${paymentUrl}">${paymentUrl}</a>. ` : ""}Your classes resume as soon as the payment is received.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function renewalReminderStudent(name, subjectName, daysLeft, expiryDate, renewUrl) {
+  //sent at each configured offset before a subject's batch expires
+  return transactionalLayout("Renew Your Classes", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            Your <span class="highlight">${subjectName}</span> classes end in <span class="highlight">${daysLeft} day${daysLeft === 1 ? "" : "s"}</span>, on <span class="highlight">${expiryDate}</span>.
+          </p>
+          <p class="message">
+            ${renewUrl ? `Renew now in one step at <a href="${renewUrl}">${renewUrl}</a> and keep your batch and schedule.` : "Renew from your dashboard to keep your batch and schedule."}
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function waitlistPromotedStudent(name, subjectName, batchName, startDate) {
+  //a seat freed up in a full batch the student was waitlisted for
+  return transactionalLayout("A Seat Is Now Available", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            Good news! A seat has opened up in <span class="highlight">${batchName}</span> for <span class="highlight">${subjectName}</span>, and you have been moved off the waitlist into the batch.
+          </p>
+          <p class="message">
+            ${startDate ? `Classes start on <span class="highlight">${startDate}</span>. ` : ""}You can see your schedule on your dashboard.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function rescheduleApprovedStudent(name, meetingTitle, newTime) {
+  //the student's reschedule request was approved and the class moved
+  return transactionalLayout("Your Class Has Been Rescheduled", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            Your request to reschedule <span class="highlight">${meetingTitle}</span> has been approved. The class now takes place on <span class="highlight">${newTime}</span>.
+          </p>
+          <p class="message">
+            The new time is already on your schedule, and the joining link stays the same.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function sessionRescheduledStudent(name, meetingTitle, newTime) {
+  //tells the rest of the batch that a classmate's reschedule moved their class
+  return transactionalLayout("Your Class Has Been Rescheduled", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            <span class="highlight">${meetingTitle}</span> has been rescheduled for your batch. The class now takes place on <span class="highlight">${newTime}</span>.
+          </p>
+          <p class="message">
+            The new time is already on your schedule, and the joining link stays the same.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function rescheduleApprovedTeacher(name, studentName, meetingTitle, newTime) {
+  //confirms to the teacher that an approved reschedule moved their class
+  return transactionalLayout("Class Rescheduled", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            The reschedule request from <span class="highlight">${studentName}</span> for <span class="highlight">${meetingTitle}</span> has been approved. The class has moved to <span class="highlight">${newTime}</span> for everyone in the batch.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function rescheduleRejectedStudent(name, meetingTitle, requestedTime, reason) {
+  //the student's reschedule request was declined
+  return transactionalLayout("Reschedule Request Declined", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            Unfortunately, your request to move <span class="highlight">${meetingTitle}</span> to <span class="highlight">${requestedTime}</span> could not be approved.${reason ? ` Reason: ${reason}` : ""}
+          </p>
+          <p class="message">
+            The class stays at its original time. You are welcome to request a different slot from your dashboard.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function sessionCancelledStudent(name, meetingTitle, sessionTime, reason, makeupNote) {
+  //a scheduled class was cancelled by the teacher or an admin
+  return transactionalLayout("Class Cancelled", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            We're sorry to let you know that <span class="highlight">${meetingTitle}</span>${sessionTime ? ` on <span class="highlight">${sessionTime}</span>` : ""} has been cancelled.${reason ? ` Reason: ${reason}` : ""}
+          </p>
+          <p class="message">
+            ${makeupNote || "It has been removed from your schedule."}
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function makeupScheduledStudent(name, meetingTitle, sessionTime) {
+  //the make-up for a cancelled class has been scheduled
+  return transactionalLayout("Make-up Class Scheduled", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            A make-up class for <span class="highlight">${meetingTitle}</span> has been scheduled on <span class="highlight">${sessionTime}</span>.
+          </p>
+          <p class="message">
+            It is already on your schedule, with its joining link.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function makeupPollExpired(name, meetingTitle, nextStep) {
+  //the vote on a make-up closed with no slot still ahead, so none was scheduled
+  return transactionalLayout("No Make-up Class Scheduled", `
+          <p class="message">
+            Hello ${name},
+          </p>
+          <p class="message">
+            The vote on a make-up for <span class="highlight">${meetingTitle}</span> has closed, but none of the offered slots is still ahead, so no make-up class has been scheduled.
+          </p>
+          <p class="message">
+            ${nextStep}
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function attendanceAlertGuardian(guardianName, studentName, subjectName, percentage, threshold) {
+  //a student's attendance in a subject fell below the required level
+  return transactionalLayout("Attendance Alert", `
+          <p class="message">
+            Hello ${guardianName || "Parent"},
+          </p>
+          <p class="message">
+            <span class="highlight">${studentName}</span>'s attendance in <span class="highlight">${subjectName}</span> has fallen to <span class="highlight">${percentage}%</span>, below the required ${threshold}%.
+          </p>
+          <p class="message">
+            Regular attendance makes a real difference to progress. Please encourage ${studentName} to join every class on time.
+          </p>
+          <p class="message">
+            If you have any questions or need assistance, feel free to reach out to our support team at <a href="mailto:info@thetopperacademy.com">info@thetopperacademy.com</a> or call us at <a href="tel:7667840906">+91 7667840906</a>.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
+function attendanceAlertAdmin(studentName, email, subjectName, percentage, threshold, sessions) {
+  //admin copy of a low attendance alert
+  return transactionalLayout("Low Attendance", `
+          <p class="message">
+            Hello Admin,
+          </p>
+          <p class="message">
+            <span class="highlight">${studentName}</span> (${email}) has attended <span class="highlight">${percentage}%</span> of ${sessions} <span class="highlight">${subjectName}</span> classes, below the ${threshold}% threshold.
+          </p>
+          <p class="message">
+            Best Regards,<br>
+            The Topper Academy Team
+          </p>`);
+}
+
 module.exports = {
   login,
   createUser,
@@ -1861,5 +2328,21 @@ module.exports = {
   customerQueryCustomer,
   newMeetingcreated,
   loginAdmin,
+  studentRefundProcessedStudent,
+  invoiceCopyStudent,
+  subscriptionPaymentFailedStudent,
+  subscriptionHaltedStudent,
+  installmentOverdueStudent,
+  renewalReminderStudent,
+  waitlistPromotedStudent,
+  rescheduleApprovedStudent,
+  sessionRescheduledStudent,
+  rescheduleApprovedTeacher,
+  rescheduleRejectedStudent,
+  sessionCancelledStudent,
+  makeupScheduledStudent,
+  makeupPollExpired,
+  attendanceAlertGuardian,
+  attendanceAlertAdmin,
   // Add other functions here if needed
 };
\ No newline at end of file
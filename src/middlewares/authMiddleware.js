@@ -2,6 +2,7 @@
 
 const { admin } = require("../services/firebaseService");
 const User = require("../models/userModel");
+const { syncRoleClaims } = require("../services/roleService");
 
 module.exports = async (req, res, next) => {
   const authHeader = req.headers.authorization;
@@ -13,15 +14,26 @@ module.exports = async (req, res, next) => {
   const idToken = authHeader.split("Bearer ")[1];
 
   try {
-    // Verify Firebase ID token
+    // Verify Firebase ID token (revocation is checked by authorizeRole, only
+    // where an elevated role is relied on)
     const decodedToken = await admin.auth().verifyIdToken(idToken);
     req.user = decodedToken; // Attach decoded token to request
 
-    // Fetch user from the database
+    // Role and user id come from custom claims set by roleService
+    if (decodedToken.role && decodedToken.app_user_id) {
+      req.user._id = decodedToken.app_user_id;
+      return next();
+    }
+
+    // Tokens issued before claims existed: fall back to the database and
+    // backfill the claims so the next refreshed token carries them
     const user = await User.findOne({ auth_id: decodedToken.uid });
     if (user) {
       req.user.role = user.role;
       req.user._id = user._id;
+      syncRoleClaims(user).catch((error) =>
+        console.error("Error syncing role claims:", error)
+      );
     } else {
       req.user.role = "student"; // Default role if user not found
     }
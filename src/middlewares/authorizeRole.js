@@ -1,15 +1,51 @@
 // src/middlewares/authorizeRole.js
+const { isTokenRevoked } = require("../services/roleService");
 
-module.exports = (requiredRole) => {
-  return (req, res, next) => {
-    const userRole = req.user.role;
+/**
+ * Restricts a route to one or more roles. Must run after authMiddleware.
+ *
+ * An optional ownership map narrows access for individual roles, e.g.
+ *   authorizeRole(["admin", "student"], { student: ownStudent(fromParams("id")) })
+ * lets admins through unconditionally while a student only passes when the
+ * rule (see ./ownershipRules.js) resolves to true. Teacher and admin access
+ * is refused for tokens issued before the user's last role change.
+ *
+ * @param {string|string[]} requiredRoles - Role or roles allowed to access the route
+ * @param {Object<string, Function>} [ownership] - Map of role to async (req) => boolean
+ */
+module.exports = (requiredRoles, ownership = {}) => {
+  const allowedRoles = Array.isArray(requiredRoles)
+    ? requiredRoles
+    : [requiredRoles];
 
-    if (userRole !== requiredRole) {
+  return async (req, res, next) => {
+    const userRole = req.user && req.user.role;
+
+    if (!allowedRoles.includes(userRole)) {
       return res
         .status(403)
         .json({ error: "Forbidden: Insufficient permissions" });
     }
 
-    next();
+    try {
+      // A role change revokes the user's tokens; only elevated roles are
+      // worth the lookup, as a stale student claim grants nothing extra
+      if (userRole !== "student" && (await isTokenRevoked(req.user))) {
+        return res
+          .status(401)
+          .json({ error: "Unauthorized: Token revoked, please sign in again" });
+      }
+
+      const rule = ownership[userRole];
+      if (rule && !(await rule(req))) {
+        return res
+          .status(403)
+          .json({ error: "Forbidden: You do not have access to this resource" });
+      }
+      next();
+    } catch (error) {
+      console.error("Error authorizing request:", error);
+      return res.status(500).json({ error: "Internal server error" });
+    }
   };
 };
@@ -0,0 +1,17 @@
+// src/middlewares/cronAuth.js
+const crypto = require("crypto");
+const config = require("../config");
+
+/**
+ * Admits requests carrying `Authorization: Bearer <CRON_SECRET>`, which is
+ * what Vercel cron sends when CRON_SECRET is set on the project.
+ */
+module.exports = (req, res, next) => {
+  const expected = Buffer.from(`Bearer ${config.jobs.cronSecret}`);
+  const received = Buffer.from(req.headers.authorization || "");
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+  next();
+};
@@ -0,0 +1,179 @@
+// src/middlewares/ownershipRules.js
+
+const mongoose = require("mongoose");
+const Student = require("../models/studentModel");
+const Teacher = require("../models/teacherModel");
+const Batch = require("../models/batchModel");
+const Quote = require("../models/quoteModel");
+const Subscription = require("../models/subscriptionModel");
+const Meeting = require("../models/meetingModel");
+const SessionSeries = require("../models/sessionSeriesModel");
+const MakeupPoll = require("../models/makeupPollModel");
+const { parseQuoteId } = require("../services/quoteService");
+
+/**
+ * Ownership rules used by authorizeRole to narrow a role down to the
+ * documents the caller actually owns. Each rule factory takes a locator
+ * `(req) => id` and returns an async predicate `(req) => boolean`.
+ *
+ * Rules rely on `req.user` as populated by authMiddleware (`uid` is the
+ * Firebase UID, `_id` the User document id).
+ */
+
+// Locators for the most common places an id is read from
+const fromParams = (name) => (req) => req.params[name];
+const fromQuery = (name) => (req) => req.query[name];
+const fromBody = (name) => (req) => req.body && req.body[name];
+const fromHeaders = (name) => (req) => req.headers[name];
+
+const isValidId = (id) => id && mongoose.Types.ObjectId.isValid(id);
+
+// The located id is the caller's own Firebase UID
+const selfAuthId = (locate) => async (req) => locate(req) === req.user.uid;
+
+// The located id is the caller's own User document id
+const selfUser = (locate) => async (req) => {
+  const userId = locate(req);
+  return Boolean(req.user._id) && String(userId) === String(req.user._id);
+};
+
+// The located id is a Student document belonging to the caller
+const ownStudent = (locate) => async (req) => {
+  const studentId = locate(req);
+  if (!isValidId(studentId)) return false;
+  return Boolean(
+    await Student.exists({ _id: studentId, auth_id: req.user.uid })
+  );
+};
+
+// The located id is a Teacher document belonging to the caller
+const ownTeacher = (locate) => async (req) => {
+  const teacherId = locate(req);
+  if (!isValidId(teacherId)) return false;
+  return Boolean(
+    await Teacher.exists({ _id: teacherId, auth_id: req.user.uid })
+  );
+};
+
+// The located id is a Batch where the caller appears in Batch.teacher_id
+const teachesBatch = (locate) => async (req) => {
+  const batchId = locate(req);
+  if (!isValidId(batchId)) return false;
+  const teacher = await Teacher.findOne({ auth_id: req.user.uid }).select("_id");
+  if (!teacher) return false;
+  return Boolean(await Batch.exists({ _id: batchId, teacher_id: teacher._id }));
+};
+
+// The located id is a Meeting (session) of a batch the caller teaches
+const teachesSession = (locate) => async (req) => {
+  const meetingId = locate(req);
+  if (!isValidId(meetingId)) return false;
+  const meeting = await Meeting.findById(meetingId).select("batch_id");
+  return Boolean(meeting) && teachesBatch(() => String(meeting.batch_id))(req);
+};
+
+// The located id is a Meeting (session) the caller is a student in
+const attendsSession = (locate) => async (req) => {
+  const meetingId = locate(req);
+  if (!isValidId(meetingId)) return false;
+  const student = await Student.findOne({ auth_id: req.user.uid }).select("_id");
+  if (!student) return false;
+  return Boolean(await Meeting.exists({ _id: meetingId, students: student._id }));
+};
+
+// The located id is a SessionSeries of a batch the caller teaches
+const teachesSeries = (locate) => async (req) => {
+  const seriesId = locate(req);
+  if (!isValidId(seriesId)) return false;
+  const series = await SessionSeries.findById(seriesId).select("batch_id");
+  return Boolean(series) && teachesBatch(() => String(series.batch_id))(req);
+};
+
+// The located id is a Batch where the caller appears in Batch.students
+const enrolledInBatch = (locate) => async (req) => {
+  const batchId = locate(req);
+  if (!isValidId(batchId)) return false;
+  const student = await Student.findOne({ auth_id: req.user.uid }).select("_id");
+  if (!student) return false;
+  return Boolean(await Batch.exists({ _id: batchId, students: student._id }));
+};
+
+// The located id is a MakeupPoll of a batch the caller teaches
+const teachesMakeupPoll = (locate) => async (req) => {
+  const pollId = locate(req);
+  if (!isValidId(pollId)) return false;
+  const poll = await MakeupPoll.findById(pollId).select("batch_id");
+  return Boolean(poll) && teachesBatch(() => String(poll.batch_id))(req);
+};
+
+// The located id is a MakeupPoll of a batch the caller is enrolled in
+const enrolledInMakeupPoll = (locate) => async (req) => {
+  const pollId = locate(req);
+  if (!isValidId(pollId)) return false;
+  const poll = await MakeupPoll.findById(pollId).select("batch_id");
+  return Boolean(poll) && enrolledInBatch(() => String(poll.batch_id))(req);
+};
+
+// The located id is an Invoice linked to one of the caller's payments
+const ownInvoice = (locate) => async (req) => {
+  const invoiceId = locate(req);
+  if (!isValidId(invoiceId)) return false;
+  return Boolean(
+    await Student.exists({
+      auth_id: req.user.uid,
+      "payment_id.invoice_id": invoiceId,
+    })
+  );
+};
+
+// The located value is a signed quote id issued to one of the caller's students
+const ownQuote = (locate) => async (req) => {
+  const quoteId = parseQuoteId(locate(req));
+  if (!quoteId) return false;
+  const quote = await Quote.findById(quoteId).select("student_id");
+  if (!quote) return false;
+  return Boolean(
+    await Student.exists({ _id: quote.student_id, auth_id: req.user.uid })
+  );
+};
+
+// The located id is a Subscription of the caller's
+const ownSubscription = (locate) => async (req) => {
+  const subscriptionId = locate(req);
+  if (!isValidId(subscriptionId)) return false;
+  const subscription = await Subscription.findById(subscriptionId).select("student_id");
+  if (!subscription) return false;
+  return Boolean(
+    await Student.exists({ _id: subscription.student_id, auth_id: req.user.uid })
+  );
+};
+
+// Passes when any of the given rules passes
+const anyOf = (...rules) => async (req) => {
+  for (const rule of rules) {
+    if (await rule(req)) return true;
+  }
+  return false;
+};
+
+module.exports = {
+  fromParams,
+  fromQuery,
+  fromBody,
+  fromHeaders,
+  selfAuthId,
+  selfUser,
+  ownStudent,
+  ownTeacher,
+  teachesBatch,
+  teachesSession,
+  attendsSession,
+  teachesSeries,
+  enrolledInBatch,
+  teachesMakeupPoll,
+  enrolledInMakeupPoll,
+  ownInvoice,
+  ownQuote,
+  ownSubscription,
+  anyOf,
+};
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Academic year dates for a board, optionally narrowed to one of its classes.
+// A class-level entry takes precedence over the board-wide one.
+const academicCalendarSchema = new mongoose.Schema(
+  {
+    board_id: { type: mongoose.Schema.Types.ObjectId, ref: "Board", required: true },
+    class_id: { type: mongoose.Schema.Types.ObjectId, ref: "Class", default: null },
+    academic_year: { type: String, required: true, trim: true }, // e.g. "2025-26"
+    start_date: { type: Date, required: true },
+    end_date: { type: Date, required: true },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+academicCalendarSchema.index({ board_id: 1, class_id: 1, academic_year: 1 }, { unique: true });
+
+module.exports = mongoose.model("AcademicCalendar", academicCalendarSchema);
@@ -38,6 +38,8 @@ const assignmentSchema = new mongoose.Schema({
     required: true,
   },
   responses: [responseSchema],
+  // Set when the batch is archived by a rollover
+  is_archived: { type: Boolean, default: false },
 }, {
   timestamps: true,
 });
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A student's attendance in one subject falling below the alert threshold.
+// It stays open while attendance is low, so guardians and admins hear about
+// each drop once, and is resolved when attendance recovers.
+const attendanceAlertSchema = new mongoose.Schema(
+  {
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    subject_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subject", required: true },
+    percentage: { type: Number, required: true },
+    threshold: { type: Number, required: true },
+    sessions: { type: Number, required: true },
+    status: { type: String, enum: ["open", "resolved"], default: "open" },
+    // Sends that have gone out ("guardian_email", "student_notification",
+    // "admin_notification:<userId>", "admin_email:<userId>"), so a retry
+    // only repeats the ones that failed
+    sent_to: { type: [String], default: [] },
+    // Set once every send has gone out; an open alert without it is retried
+    notified_at: { type: Date },
+    resolved_at: { type: Date },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+attendanceAlertSchema.index(
+  { student_id: 1, subject_id: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+module.exports = mongoose.model("AttendanceAlert", attendanceAlertSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// A proposed set of batches from autoBatchService.previewAutoBatches. The
+// admin confirms it by id; unconfirmed plans expire after a day.
+const autoBatchPlanSchema = new mongoose.Schema(
+  {
+    created_by: { type: String }, // Firebase uid of the admin
+    subject_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subject", required: true },
+    type_of_batch: { type: mongoose.Schema.Types.ObjectId, ref: "TypeOfBatch" },
+    class_id: { type: mongoose.Schema.Types.ObjectId, ref: "Class" },
+    status: { type: String, enum: ["draft", "confirmed"], default: "draft" },
+    batches: [
+      {
+        _id: false,
+        batch_name: { type: String, required: true },
+        class_id: { type: mongoose.Schema.Types.ObjectId, ref: "Class", required: true },
+        board_id: { type: mongoose.Schema.Types.ObjectId, ref: "Board" },
+        type_of_batch: { type: mongoose.Schema.Types.ObjectId, ref: "TypeOfBatch", required: true },
+        preferred_time_slot: { type: mongoose.Schema.Types.ObjectId, ref: "TimeSlot" },
+        students: [{ type: mongoose.Schema.Types.ObjectId, ref: "Student" }],
+        // Null when no qualified teacher has spare load
+        teacher_id: { type: mongoose.Schema.Types.ObjectId, ref: "Teacher", default: null },
+      },
+    ],
+    created_batch_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: "Batch" }],
+    expires_at: { type: Date, required: true },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+autoBatchPlanSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0, partialFilterExpression: { status: "draft" } });
+
+module.exports = mongoose.model("AutoBatchPlan", autoBatchPlanSchema);
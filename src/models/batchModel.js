@@ -30,15 +30,43 @@ const batchSchema = new mongoose.Schema({
       required: true,
     },
   ],
+  // Overrides the batch type's max_capacity
+  max_capacity: { type: Number, min: 1 },
+  // Students waiting for a seat, promoted in order as seats free up
+  waitlist: [
+    {
+      _id: false,
+      student_id: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+      added_at: { type: Date, default: Date.now },
+    },
+  ],
   contentMaterial: { type: String },
+  // End of the batch's term (see batchLifecycleService.resolveTermEnd)
   date: { type: Date, default: Date.now },
+  // planned: starts in the future; active: running; completed: term over,
+  // awaiting rollover; archived: replaced by a successor or retired
+  status: {
+    type: String,
+    enum: ["planned", "active", "completed", "archived"],
+    default: "active",
+  },
+  academic_year: { type: String },
+  predecessor_id: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+  successor_id: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+  completed_at: { type: Date },
+  archived_at: { type: Date },
    type_of_batch:{
     type:mongoose.Schema.Types.ObjectId,
     ref:"TypeOfBatch"
    },
   meeting_link: { type: String },
+  // Video provider for this batch's classes; MEETING_PROVIDER when unset
+  meeting_provider: { type: String, enum: ["teams", "zoom", "local"] },
 });
 
+batchSchema.index({ status: 1, start_date: 1 });
+batchSchema.index({ status: 1, date: 1 });
+
 batchSchema.plugin(mongoosePaginate);
 
 batchSchema.set("toJSON", { virtuals: true });
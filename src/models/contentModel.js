@@ -10,6 +10,8 @@ const contentSchema = new Schema(
     teacher_id: {type: Schema.Types.ObjectId, ref: 'Teacher', required: true },
     description: { type: String, required: true },
     
+    // Set when the batch is archived by a rollover
+    is_archived: { type: Boolean, default: false },
     material_link: {
       type: String,
       required: true,
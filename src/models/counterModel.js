@@ -0,0 +1,10 @@
+const mongoose = require("mongoose");
+
+// Named monotonic sequences, e.g. "invoice:2026-27". Incremented atomically
+// with $inc so concurrent callers never receive the same value.
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 },
+});
+
+module.exports = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    // Stored upper-case; codes are matched case-insensitively
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: { type: String },
+    discount_type: {
+      type: String,
+      enum: ["percentage", "flat"],
+      required: true,
+    },
+    // Percent for "percentage", rupees for "flat"
+    discount_value: { type: Number, required: true, min: 0 },
+    // Upper bound in rupees for percentage coupons
+    max_discount: { type: Number, min: 0 },
+    min_order_value: { type: Number, default: 0, min: 0 },
+    valid_from: { type: Date },
+    valid_until: { type: Date },
+    // Total redemptions across all students; unset means unlimited
+    usage_limit: { type: Number, min: 1 },
+    per_user_limit: { type: Number, default: 1, min: 1 },
+    // Reserved by open checkouts plus redeemed by paid orders
+    times_used: { type: Number, default: 0 },
+    // Empty lists mean no restriction
+    class_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: "Class" }],
+    subject_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: "Subject" }],
+    type_of_batch_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: "TypeOfBatch" }],
+    is_active: { type: Boolean, default: true },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// A coupon applied to one order. "reserved" holds a use while the checkout
+// is open, "redeemed" once the payment is captured, "released" when the
+// reservation lapsed without payment.
+const couponRedemptionSchema = new mongoose.Schema(
+  {
+    coupon_id: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    payment_id: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", required: true, unique: true },
+    code: { type: String, required: true },
+    discount_amount: { type: Number, required: true },
+    status: {
+      type: String,
+      enum: ["reserved", "redeemed", "released"],
+      default: "reserved",
+    },
+    expires_at: { type: Date },
+    redeemed_at: { type: Date },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+couponRedemptionSchema.index({ coupon_id: 1, status: 1 });
+couponRedemptionSchema.index({ coupon_id: 1, student_id: 1 });
+
+module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
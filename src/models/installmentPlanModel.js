@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Splits one Payment order into scheduled dues, each collected through its
+// own Razorpay payment link
+const installmentPlanSchema = new mongoose.Schema(
+  {
+    // The order being paid for; it is fulfilled when the first due is paid
+    payment_id: { type: mongoose.Schema.Types.ObjectId, ref: "Payment", required: true, unique: true },
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    total: { type: Number, required: true },
+    // Set when the order renews one subject (see paymentService.applyRenewal)
+    renewal: {
+      subjectId: { type: String },
+      batchId: { type: String },
+      duration: { type: Number },
+    },
+    status: {
+      type: String,
+      enum: ["active", "completed", "cancelled"],
+      default: "active",
+    },
+    // True while an overdue due has the student's subjects suspended
+    suspended: { type: Boolean, default: false },
+    suspended_at: { type: Date },
+    installments: [
+      {
+        sequence: { type: Number, required: true },
+        amount: { type: Number, required: true }, // In rupees
+        due_date: { type: Date, required: true },
+        status: {
+          type: String,
+          enum: ["scheduled", "link_sent", "paid", "overdue"],
+          default: "scheduled",
+        },
+        payment_link_id: { type: String },
+        short_url: { type: String },
+        gateway_payment_id: { type: String },
+        paid_at: { type: Date },
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+installmentPlanSchema.index({ status: 1, "installments.due_date": 1 });
+
+module.exports = mongoose.model("InstallmentPlan", installmentPlanSchema);
@@ -1,17 +1,47 @@
 const mongoose = require("mongoose");
 
 const invoiceSchema = new mongoose.Schema({
+  // Sequential per financial year, e.g. TA/2026-27/000123. Invoices created
+  // before numbering was introduced carry the Razorpay payment id instead.
   invoiceNumber: {
     type: String,
     required: true,
   },
+  financial_year: {
+    type: String,
+  },
+  // Credit notes are stored alongside invoices and point back at the
+  // invoice they reduce
+  document_type: {
+    type: String,
+    enum: ["invoice", "credit_note"],
+    default: "invoice",
+  },
+  original_invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+  },
+  refund_id: {
+    type: String,
+    unique: true,
+    sparse: true,
+  },
+  reason: {
+    type: String,
+  },
   invoiceDate: {
     type: Date,
     required: true,
   },
-  from: {
-    type: String, // Can be changed to an object if you want to store more details about the sender
-    default: undefined,
+  // Snapshot of the seller at the time of issue
+  seller: {
+    name: { type: String },
+    gstin: { type: String },
+    address: { type: String },
+    state: { type: String },
+    state_code: { type: String },
+    email: { type: String },
+    phone: { type: String },
   },
   billTo: {
     name: {
@@ -26,6 +56,22 @@ const invoiceSchema = new mongoose.Schema({
       type: String,
       required: true,
     },
+    state: {
+      type: String,
+    },
+    state_code: {
+      type: String,
+    },
+    gstin: {
+      type: String,
+    },
+  },
+  place_of_supply: {
+    type: String,
+  },
+  tax_type: {
+    type: String,
+    enum: ["intra_state", "inter_state"],
   },
   items: [
     {
@@ -33,6 +79,9 @@ const invoiceSchema = new mongoose.Schema({
         type: String,
         required: true,
       },
+      hsn_sac: {
+        type: String,
+      },
       price: {
         type: Number,
         required: true,
@@ -41,6 +90,12 @@ const invoiceSchema = new mongoose.Schema({
         type: Number,
         required: true,
       },
+      gst_rate: { type: Number },
+      taxable_value: { type: Number },
+      cgst: { type: Number },
+      sgst: { type: Number },
+      igst: { type: Number },
+      total: { type: Number },
     },
   ],
   discount: {
@@ -51,6 +106,22 @@ const invoiceSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  gst_rate: {
+    type: Number,
+  },
+  cgst: {
+    type: Number,
+    default: 0,
+  },
+  sgst: {
+    type: Number,
+    default: 0,
+  },
+  igst: {
+    type: Number,
+    default: 0,
+  },
+  // Total tax (cgst + sgst + igst)
   gst: {
     type: Number,
     required: true,
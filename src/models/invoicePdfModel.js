@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// Rendered PDF of an invoice or credit note, generated once and served from
+// here until it is explicitly regenerated
+const invoicePdfSchema = new mongoose.Schema({
+  invoice_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Invoice",
+    required: true,
+    unique: true,
+  },
+  pdf: {
+    type: Buffer,
+    required: true,
+  },
+  branding_version: {
+    type: String,
+  },
+  generated_at: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("InvoicePdf", invoicePdfSchema);
@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// One document per job name. A run holds the lock until `locked_until`, so a
+// crashed run stops blocking the job once that passes.
+const jobLockSchema = new mongoose.Schema(
+  {
+    _id: { type: String }, // Job name
+    locked_until: { type: Date, required: true },
+    run_id: { type: mongoose.Schema.Types.ObjectId, ref: "JobRun" },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+module.exports = mongoose.model("JobLock", jobLockSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// History of scheduled job runs, one document per invocation
+const jobRunSchema = new mongoose.Schema(
+  {
+    job: { type: String, required: true },
+    // What started the run: node-cron in this process, the cron endpoint, or
+    // an admin
+    trigger: { type: String, enum: ["schedule", "cron", "manual"], required: true },
+    status: {
+      type: String,
+      enum: ["running", "succeeded", "failed", "skipped"],
+      default: "running",
+    },
+    started_at: { type: Date, default: Date.now },
+    finished_at: { type: Date },
+    duration_ms: { type: Number },
+    // Whatever the job's handler returned, e.g. { studentsUpdated: 3 }
+    counts: { type: mongoose.Schema.Types.Mixed },
+    error: {
+      message: { type: String },
+      stack: { type: String },
+    },
+    triggered_by: { type: String }, // Firebase uid for manual runs
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+jobRunSchema.index({ job: 1, started_at: -1 });
+// Keep 90 days of history
+jobRunSchema.index({ started_at: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("JobRun", jobRunSchema);
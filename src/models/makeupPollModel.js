@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// Make-up for a cancelled session: students in the batch vote on the
+// offered slots until the teacher picks one or the poll closes, and the
+// chosen slot becomes the replacement session.
+const makeupPollSchema = new mongoose.Schema(
+  {
+    session_id: { type: mongoose.Schema.Types.ObjectId, ref: "Meeting", required: true },
+    batch_id: { type: mongoose.Schema.Types.ObjectId, ref: "Batch", required: true },
+    teacher_id: { type: mongoose.Schema.Types.ObjectId, ref: "Teacher", required: true },
+    options: [
+      {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true },
+        votes: [{ type: mongoose.Schema.Types.ObjectId, ref: "Student" }],
+      },
+    ],
+    // open: taking votes; scheduled: replacement created; expired: closed
+    // with no usable slot
+    status: { type: String, enum: ["open", "scheduled", "expired"], default: "open" },
+    closes_at: { type: Date, required: true },
+    chosen_start: { type: Date },
+    chosen_end: { type: Date },
+    replacement_session_id: { type: mongoose.Schema.Types.ObjectId, ref: "Meeting" },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+makeupPollSchema.index({ status: 1, closes_at: 1 });
+makeupPollSchema.index({ batch_id: 1, status: 1 });
+makeupPollSchema.index({ session_id: 1 }, { unique: true });
+
+module.exports = mongoose.model("MakeupPoll", makeupPollSchema);
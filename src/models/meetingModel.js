@@ -34,5 +34,33 @@ const meetingSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Who hosts the online meeting (see meetingProviders)
+  provider: { type: String, enum: ["teams", "zoom", "local"], default: "teams" },
+  // Sessions generated from a timetable: one document per occurrence
+  series_id: { type: mongoose.Schema.Types.ObjectId, ref: "SessionSeries" },
+  title: { type: String },
+  start_time: { type: Date },
+  end_time: { type: Date },
+  status: {
+    type: String,
+    enum: ["scheduled", "cancelled"],
+    default: "scheduled",
+  },
+  // Edited on its own, so series edits leave it alone
+  detached: { type: Boolean, default: false },
+  cancellation_reason: { type: String },
+  cancelled_at: { type: Date },
+  cancelled_by: { type: String }, // Firebase uid
+  // A make-up class and the cancelled session it replaces point at each other
+  replaces_session_id: { type: mongoose.Schema.Types.ObjectId, ref: "Meeting" },
+  replacement_session_id: { type: mongoose.Schema.Types.ObjectId, ref: "Meeting" },
+  // Set once participant reports have been written to attendance
+  attendance_imported_at: { type: Date },
+  attendance_import_attempts: { type: Number, default: 0 },
 });
+
+meetingSchema.index({ series_id: 1, start_time: 1 });
+meetingSchema.index({ batch_id: 1, start_time: 1 });
+meetingSchema.index({ attendance_imported_at: 1, end_time: 1 });
+
 module.exports = mongoose.model("Meeting", meetingSchema);
@@ -20,5 +20,9 @@ const notificationSchema = new mongoose.Schema({
   is_all: {
     type: Boolean,
   },
+  // Optional call to action, e.g. a renewal payment link
+  link: {
+    type: String,
+  },
 });
 module.exports = mongoose.model("Notification", notificationSchema);
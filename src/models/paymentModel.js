@@ -30,6 +30,7 @@
 // models/Payment.js
 
 const mongoose = require("mongoose");
+const pricingBreakdownSchema = require("./pricingBreakdownSchema");
 
 const paymentSchema = new mongoose.Schema(
   {
@@ -60,8 +61,47 @@ const paymentSchema = new mongoose.Schema(
     },
     payment_method: { type: String },
     description: { type: String },
-    refund_id: { type: String }, // Optional
+    refund_id: { type: String }, // Optional, latest refund
+    refunds: [
+      {
+        refund_id: { type: String, required: true },
+        amount: { type: Number, required: true }, // In rupees
+        status: { type: String },
+        processed_at: { type: Date },
+        reason: { type: String },
+        effects_applied: { type: Boolean, default: false },
+      },
+    ],
+    amount_refunded: { type: Number, default: 0 },
+    failure_reason: { type: String },
     invoice_id: { type: mongoose.Schema.Types.ObjectId, ref: "Invoice" },
+    // Server-side price breakdown the order was created for (pricingService)
+    pricing: pricingBreakdownSchema,
+    coupon_id: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    coupon_code: { type: String },
+    // Set on charges of a recurring subscription
+    subscription_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subscription" },
+    // Set on renewal payment links, which carry no order notes
+    renewal: {
+      subject_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
+      batch_id: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+      duration: { type: Number },
+    },
+    // Expiry a renewal extends the subject to, stored before the student is
+    // updated so a retried fulfilment reuses it instead of extending again
+    renewal_expiry_date: { type: Date },
+    // Set when the order is paid in installments
+    installment_plan_id: { type: mongoose.Schema.Types.ObjectId, ref: "InstallmentPlan" },
+    // Subjects this payment paid for, recorded at fulfilment so a refund
+    // knows which entitlements to revoke
+    purchased_subjects: [
+      {
+        subject_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
+        batch_id: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+        type_of_batch: { type: mongoose.Schema.Types.ObjectId, ref: "TypeOfBatch" },
+        duration: { type: Number },
+      },
+    ],
   },
   {
     timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
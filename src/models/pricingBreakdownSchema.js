@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Price breakdown produced by pricingService.priceOrder. Embedded in quotes
+// and in the payments created from them, so the invoice can be issued for
+// exactly what was charged.
+const pricingBreakdownSchema = new mongoose.Schema(
+  {
+    lines: [
+      {
+        _id: false,
+        // Invoice line description
+        description: { type: String },
+        subject_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
+        subject_name: { type: String },
+        type_of_batch: { type: mongoose.Schema.Types.ObjectId, ref: "TypeOfBatch" },
+        mode: { type: String },
+        duration: { type: Number },
+        unit_price: { type: Number },
+        gross: { type: Number },
+        batch_discount: { type: Number },
+        global_discount: { type: Number },
+        net: { type: Number },
+      },
+    ],
+    subtotal: { type: Number },
+    batch_discount: { type: Number },
+    global_discount: { type: Number },
+    coupon_discount: { type: Number },
+    discount: { type: Number },
+    taxable_value: { type: Number },
+    gst_rate: { type: Number },
+    gst: { type: Number },
+    total: { type: Number },
+  },
+  { _id: false }
+);
+
+module.exports = pricingBreakdownSchema;
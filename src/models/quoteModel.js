@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const pricingBreakdownSchema = require("./pricingBreakdownSchema");
+
+// A server-computed price for one order. Clients receive a signed id
+// (quoteService) and exchange it for a Razorpay order exactly once.
+const quoteSchema = new mongoose.Schema(
+  {
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    kind: {
+      type: String,
+      enum: ["new", "renewal", "custom_package"],
+      required: true,
+    },
+    // Set for renewals: the subject and batch being extended
+    renewal: {
+      subject_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subject" },
+      batch_id: { type: mongoose.Schema.Types.ObjectId, ref: "Batch" },
+      duration: { type: Number },
+    },
+    custom_package_id: { type: mongoose.Schema.Types.ObjectId, ref: "CustomPackage" },
+    pricing: { type: pricingBreakdownSchema, required: true },
+    coupon_id: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+    coupon_code: { type: String },
+    expires_at: { type: Date, required: true },
+    // Set when an order is created from the quote
+    payment_id: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+// Expired quotes are kept a week for support queries, then removed
+quoteSchema.index({ expires_at: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model("Quote", quoteSchema);
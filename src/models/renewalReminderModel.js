@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// One document per reminder sent. An enrollment is a student's subject entry
+// up to one expiry date; renewing moves the date and starts a fresh cycle.
+const renewalReminderSchema = new mongoose.Schema(
+  {
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    subject_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subject", required: true },
+    batch_expiry_date: { type: Date, required: true },
+    days_before: { type: Number, required: true },
+    // "sending" until both the email and the notification have gone out.
+    // email_failed reminders are retried on the next run with the same link;
+    // notification_failed ones are not, as the email already went out.
+    status: {
+      type: String,
+      enum: ["sending", "sent", "email_failed", "notification_failed"],
+      default: "sending",
+    },
+    // The renewal Payment and its link, shared by every reminder of the cycle
+    payment_id: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+    short_url: { type: String },
+    sent_at: { type: Date },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+renewalReminderSchema.index(
+  { student_id: 1, subject_id: 1, batch_expiry_date: 1, days_before: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model("RenewalReminder", renewalReminderSchema);
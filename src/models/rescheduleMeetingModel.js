@@ -45,6 +45,11 @@ const rescheduleMeetingSchema = new mongoose.Schema({
     enum: ["approved", "rejected", "pending"],
     default: "pending",
   },
+  rejection_reason: {
+    type: String,
+    maxlength: 500,
+  },
+  decided_at: { type: Date },
 }, {
   timestamps: true, // Automatically adds createdAt and updatedAt fields
 });
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+// A batch's weekly timetable between two dates. Each occurrence is a Meeting
+// with this series_id; all of them share one online meeting link.
+const sessionSeriesSchema = new mongoose.Schema(
+  {
+    batch_id: { type: mongoose.Schema.Types.ObjectId, ref: "Batch", required: true },
+    teacher_id: { type: mongoose.Schema.Types.ObjectId, ref: "Teacher", required: true },
+    title: { type: String, required: true, trim: true },
+    timezone: { type: String, required: true },
+    weekly: [
+      {
+        _id: false,
+        day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+        start: { type: String, required: true }, // "HH:MM"
+        end: { type: String, required: true },
+      },
+    ],
+    start_date: { type: String, required: true }, // "YYYY-MM-DD" in timezone
+    end_date: { type: String, required: true },
+    provider: { type: String, enum: ["teams", "zoom", "local"], default: "teams" },
+    meeting_link: { type: String },
+    online_meeting_id: { type: String },
+    status: { type: String, enum: ["active", "cancelled"], default: "active" },
+    created_by: { type: String }, // Firebase uid
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+sessionSeriesSchema.index({ batch_id: 1, status: 1 });
+
+module.exports = mongoose.model("SessionSeries", sessionSeriesSchema);
@@ -24,7 +24,8 @@ const studentSchema = new mongoose.Schema({
       batch_expiry_date: { type: Date },
       batch_status: {
         type: String,
-        enum: ["active", "expired", "new"],
+        // "suspended": an installment is overdue past its grace period
+        enum: ["active", "expired", "new", "suspended"],
         default: "new",
       },
       duration: { type: Number },
@@ -69,6 +70,12 @@ const studentSchema = new mongoose.Schema({
     required: true,
   },
   phone_number: { type: String },
+  // Parent or guardian, alerted when attendance falls too low
+  guardian: {
+    name: { type: String },
+    email: { type: String },
+    phone: { type: String },
+  },
   profile_image: { type: String },
   gender: { type: String },
   dateOfBirth: { type: Date },
@@ -76,6 +83,11 @@ const studentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "Board"
   },
+  // Preferred class time, used to group students when batches are formed
+  preferred_time_slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "TimeSlot",
+  },
 
   payment_id: [
     {
@@ -134,6 +146,11 @@ const studentSchema = new mongoose.Schema({
       meeting_id: { type: mongoose.Schema.Types.ObjectId, ref: "Meeting" },
       Meeting_completed: { type: Boolean },
       meeting_title: { type: String },
+      // manual: clock-in/out only; provider: participant report only;
+      // both: clock-in/out reconciled with the report
+      source: { type: String, enum: ["manual", "provider", "both"] },
+      // Time actually spent in the session, from the participant report
+      duration_seconds: { type: Number },
     },
   ],
   worked_hours: {
@@ -142,6 +159,10 @@ const studentSchema = new mongoose.Schema({
   discountAmount: {
     type: Number,
   },
+  // State name or GST state code, decides CGST/SGST vs IGST on invoices
+  billing_state: {
+    type: String,
+  },
   gstAmount: {
     type: Number,
   },
@@ -161,4 +182,7 @@ const studentSchema = new mongoose.Schema({
   role: { type: String, enum: ["student"], required: true },
 });
 
+// Lets the batch expiry job find lapsed subjects without scanning every student
+studentSchema.index({ "subject_id.batch_status": 1, "subject_id.batch_expiry_date": 1 });
+
 module.exports = mongoose.model("Student", studentSchema);
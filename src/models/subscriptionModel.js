@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// A student's auto-renewing enrolment in one subject's batch
+const subscriptionSchema = new mongoose.Schema(
+  {
+    student_id: { type: mongoose.Schema.Types.ObjectId, ref: "Student", required: true },
+    plan_id: { type: mongoose.Schema.Types.ObjectId, ref: "SubscriptionPlan", required: true },
+    subject_id: { type: mongoose.Schema.Types.ObjectId, ref: "Subject", required: true },
+    batch_id: { type: mongoose.Schema.Types.ObjectId, ref: "Batch", required: true },
+    type_of_batch: { type: mongoose.Schema.Types.ObjectId, ref: "TypeOfBatch", required: true },
+    gateway: { type: String, enum: ["razorpay", "local"], required: true },
+    gateway_subscription_id: { type: String, unique: true, sparse: true },
+    // Checkout page where the student authorises the mandate
+    short_url: { type: String },
+    // created: awaiting authorisation; past_due: a charge failed and the
+    // gateway is retrying; halted: every retry failed
+    status: {
+      type: String,
+      enum: ["created", "active", "past_due", "halted", "paused", "cancelled", "completed"],
+      default: "created",
+    },
+    current_period_end: { type: Date },
+    paid_count: { type: Number, default: 0 },
+    failed_attempts: { type: Number, default: 0 },
+    last_failure_reason: { type: String },
+    last_failed_at: { type: Date },
+    cancel_at_period_end: { type: Boolean, default: false },
+    paused_at: { type: Date },
+    cancelled_at: { type: Date },
+    charges: [
+      {
+        gateway_payment_id: { type: String, required: true },
+        payment_id: { type: mongoose.Schema.Types.ObjectId, ref: "Payment" },
+        amount: { type: Number }, // In rupees
+        period_start: { type: Date },
+        period_end: { type: Date },
+        charged_at: { type: Date },
+        // Set once access was extended and the invoice issued
+        fulfilled: { type: Boolean, default: false },
+      },
+    ],
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+subscriptionSchema.index({ student_id: 1, subject_id: 1, status: 1 });
+
+module.exports = mongoose.model("Subscription", subscriptionSchema);
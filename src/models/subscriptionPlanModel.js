@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+const pricingBreakdownSchema = require("./pricingBreakdownSchema");
+
+// A recurring price for one TypeOfBatch, mirrored by a plan at the gateway
+const subscriptionPlanSchema = new mongoose.Schema(
+  {
+    type_of_batch: { type: mongoose.Schema.Types.ObjectId, ref: "TypeOfBatch", required: true },
+    interval: {
+      type: String,
+      enum: ["monthly", "quarterly"],
+      required: true,
+    },
+    // Months of access bought by each charge
+    months: { type: Number, required: true },
+    name: { type: String, required: true },
+    // One billing cycle; `pricing.total` is what the gateway charges
+    pricing: { type: pricingBreakdownSchema, required: true },
+    // Number of cycles a subscription runs for before it completes
+    total_count: { type: Number, required: true, min: 1 },
+    gateway: { type: String, enum: ["razorpay", "local"], required: true },
+    gateway_plan_id: { type: String, required: true },
+    is_active: { type: Boolean, default: true },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+// One active plan per batch type and interval
+subscriptionPlanSchema.index(
+  { type_of_batch: 1, interval: 1 },
+  { unique: true, partialFilterExpression: { is_active: true } }
+);
+
+module.exports = mongoose.model("SubscriptionPlan", subscriptionPlanSchema);
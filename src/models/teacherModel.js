@@ -29,6 +29,11 @@ const teacherSchema = new mongoose.Schema({
       meeting_id: { type: mongoose.Schema.Types.ObjectId, ref: "Meeting" },
       Meeting_completed: { type: Boolean },
       meeting_title: { type: String },
+      // manual: clock-in/out only; provider: participant report only;
+      // both: clock-in/out reconciled with the report
+      source: { type: String, enum: ["manual", "provider", "both"] },
+      // Time actually spent in the session, from the participant report
+      duration_seconds: { type: Number },
     },
   ],
   class_id: [
@@ -79,6 +84,11 @@ const teacherSchema = new mongoose.Schema({
   microsoft_principle_name: {
     type: String,
   },
+  // Zoom user (id or email) who hosts this teacher's Zoom meetings; their
+  // account email when unset
+  zoom_user_id: {
+    type: String,
+  },
 
   last_online: { type: Date, default: Date.now },
   experience: { type: String },
@@ -88,6 +98,27 @@ const teacherSchema = new mongoose.Schema({
     type: Number,
   },
   available_time: { type: String },
+  // Bookable hours, checked by schedulingService before sessions are booked.
+  // Times are "HH:MM" in `timezone`; with no weekly windows any time is
+  // bookable. Exceptions are whole days off, `from` to `to` inclusive.
+  availability: {
+    timezone: { type: String },
+    weekly: [
+      {
+        _id: false,
+        day: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+        start: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+        end: { type: String, match: /^([01]\d|2[0-3]):[0-5]\d$/, required: true },
+      },
+    ],
+    exceptions: [
+      {
+        from: { type: String, match: /^\d{4}-\d{2}-\d{2}$/, required: true },
+        to: { type: String, match: /^\d{4}-\d{2}-\d{2}$/, required: true },
+        reason: { type: String },
+      },
+    ],
+  },
   language: { type: String },
   is_grammar_teacher: { type: Boolean, default: false },
 });
@@ -14,6 +14,8 @@ const typeOfBatchSchema = new mongoose.Schema({
         type: String
     }],
     custom_batch: { type: Boolean, default: false },
+    // Seats per batch of this type; unset means unlimited (e.g. one-to-one)
+    max_capacity: { type: Number, min: 1 },
 });
 
 module.exports = mongoose.model("TypeOfBatch", typeOfBatchSchema);
\ No newline at end of file
@@ -18,6 +18,15 @@ const userSchema = new mongoose.Schema({
   fcmToken: { type: String },
   access_token: { type: String },
   refresh_token: { type: String },
+  role_history: [
+    {
+      from: { type: String },
+      to: { type: String },
+      changed_by: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      changed_at: { type: Date, default: Date.now },
+      reason: { type: String },
+    },
+  ],
 });
 
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One document per webhook delivery, keyed by the provider's event id, so a
+// redelivered event is recognised and never fulfilled twice.
+const webhookEventSchema = new mongoose.Schema(
+  {
+    event_id: { type: String, required: true, unique: true },
+    provider: { type: String, default: "razorpay" },
+    event: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "ignored", "failed"],
+      default: "processing",
+    },
+    attempts: { type: Number, default: 1 },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+    processed_at: { type: Date },
+  },
+  {
+    timestamps: { createdAt: "createdAt", updatedAt: "updatedAt" },
+  }
+);
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -0,0 +1,18 @@
+const express = require("express");
+const {
+  createAcademicCalendar,
+  getAcademicCalendars,
+  updateAcademicCalendar,
+  deleteAcademicCalendar,
+} = require("../controllers/academicCalendarController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+
+const router = express.Router();
+
+router.post("/", authMiddleware, authorizeRole("admin"), createAcademicCalendar);
+router.get("/", authMiddleware, authorizeRole("admin"), getAcademicCalendars);
+router.put("/:id", authMiddleware, authorizeRole("admin"), updateAcademicCalendar);
+router.delete("/:id", authMiddleware, authorizeRole("admin"), deleteAcademicCalendar);
+
+module.exports = router;
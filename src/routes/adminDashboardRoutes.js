@@ -4,6 +4,9 @@ const authMiddleware = require("../middlewares/authMiddleware");
 const authorizeRole = require("../middlewares/authorizeRole");
 const { getNumberOfStudents, getNumberOfTeachers, getToatalPayment, getPaidAndUnpaidAmount, getNumberOfBatches, getApplicationsForLast7Days, getDailyRevenueForMonth } = require("../controllers/adminDashboardController");
 
+// Every dashboard endpoint is admin only
+router.use(authMiddleware, authorizeRole("admin"));
+
 
 
 router.get("/dashboard/numberOfStudents", getNumberOfStudents);
@@ -8,7 +8,7 @@ const upload = require("../middlewares/uploadMiddleware");
 router.post(
   "/createPackage",
   authMiddleware,
-
+  authorizeRole("admin"),
   adminPackageController.createPackage
 );
 
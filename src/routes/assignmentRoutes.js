@@ -14,14 +14,24 @@ const {
   getAssignmentsByTeacherId,
   getAssignmentsByBatchId,
 } = require('../controllers/assignmentController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const authorizeRole = require('../middlewares/authorizeRole');
+const {
+  fromParams,
+  fromBody,
+  ownStudent,
+  ownTeacher,
+  teachesBatch,
+  enrolledInBatch,
+} = require('../middlewares/ownershipRules');
 
 
 // Route: POST /api/assignments
 // Description: Create a new assignment
 router.post(
   '/',
-  // authenticate, // Uncomment if authentication is required
-  // authorize(['admin', 'teacher']), // Adjust roles as necessary
+  authMiddleware,
+  authorizeRole(['admin', 'teacher'], { teacher: teachesBatch(fromBody('batch_id')) }),
   createAssignment
 );
 
@@ -29,6 +39,8 @@ router.post(
 // Description: Add a student response to an assignment
 router.post(
   '/:assignmentId/responses',
+  authMiddleware,
+  authorizeRole('student', { student: ownStudent(fromBody('student_id')) }),
   addStudentResponse
 );
 
@@ -36,6 +48,8 @@ router.post(
 // Description: Delete a student response from an assignment
 router.delete(
   '/:assignmentId/responses/:studentId',
+  authMiddleware,
+  authorizeRole(['admin', 'teacher', 'student'], { student: ownStudent(fromParams('studentId')) }),
   deleteStudentResponse
 );
 
@@ -43,12 +57,16 @@ router.delete(
 // Description: Update a student response in an assignment
 router.put(
   '/:assignmentId/responses/:studentId',
+  authMiddleware,
+  authorizeRole('student', { student: ownStudent(fromParams('studentId')) }),
   updateStudentResponse
 );
 // Route: PUT /api/assignments/:assignmentId
 // Description: Edit an existing assignment
 router.put(
     '/:assignmentId',
+    authMiddleware,
+    authorizeRole(['admin', 'teacher'], { teacher: teachesBatch(fromBody('batch_id')) }),
     editAssignment
   );
   
@@ -56,10 +74,13 @@ router.put(
   // Description: Delete an existing assignment
   router.delete(
     '/:assignmentId',
+    authMiddleware,
+    authorizeRole(['admin', 'teacher']),
     deleteAssignment
   );
   router.get(
     '/:assignmentId',
+    authMiddleware,
     getAssignmentById
   );
   
@@ -70,6 +91,8 @@ router.put(
    */
   router.get(
     '/',
+    authMiddleware,
+    authorizeRole(['admin', 'teacher', 'student']),
     getAllAssignments
   );
   
@@ -80,16 +103,23 @@ router.put(
    */
   router.get(
     '/teacher/:teacherId',
+    authMiddleware,
+    authorizeRole(['admin', 'teacher'], { teacher: ownTeacher(fromParams('teacherId')) }),
     getAssignmentsByTeacherId
   );
   
   /**
    * @route   GET /api/assignments/batch/:batchId
    * @desc    Get assignments by Batch ID
-   * @access  Protected (admin, teacher)
+   * @access  Protected (admin, teacher of the batch, student in the batch)
    */
   router.get(
     '/batch/:batchId',
+    authMiddleware,
+    authorizeRole(['admin', 'teacher', 'student'], {
+      teacher: teachesBatch(fromParams('batchId')),
+      student: enrolledInBatch(fromParams('batchId')),
+    }),
     getAssignmentsByBatchId
   );
 
@@ -3,30 +3,121 @@ const router = express.Router();
 const batchController = require("../controllers/batchController");
 const authMiddleware = require("../middlewares/authMiddleware");
 const authorizeRole = require("../middlewares/authorizeRole");
+const {
+  fromParams,
+  ownStudent,
+  ownTeacher,
+  teachesBatch,
+  enrolledInBatch,
+} = require("../middlewares/ownershipRules");
 
 router.post(
   "/",
-  // authMiddleware,
-  // authorizeRole("admin"),
+  authMiddleware,
+  authorizeRole("admin"),
   batchController.createBatch
 );
+// Automatic batch formation: preview a plan, then confirm it
+router.post(
+  "/auto/preview",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.previewAutoBatches
+);
+router.post(
+  "/auto/:planId/confirm",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.confirmAutoBatches
+);
 router.get(
   "/getBatches/teacher/:teacherId",
   authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("teacherId")) }),
   batchController.getBatchesByTeacherId
 );
 
-router.get("/:id",batchController.getBatchById);
+router.get(
+  "/:id",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], {
+    teacher: teachesBatch(fromParams("id")),
+    student: enrolledInBatch(fromParams("id")),
+  }),
+  batchController.getBatchById
+);
 
-router.get("/getAllBatches/student/:studentId", batchController.getBatchesByStudentId);
+router.get(
+  "/getAllBatches/student/:studentId",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromParams("studentId")) }),
+  batchController.getBatchesByStudentId
+);
 
 
 
-router.get("/getAllBatchesNoFilter", batchController.getAllBatchesNoFilter);
+router.get(
+  "/getAllBatchesNoFilter",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.getAllBatchesNoFilter
+);
 
-router.get("/getAllBatches/all", batchController.getAllBatches);
+router.get(
+  "/getAllBatches/all",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.getAllBatches
+);
 
-router.post("/addstudents/:batchId", batchController.addStudentsToBatch);
+router.post(
+  "/addstudents/:batchId",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.addStudentsToBatch
+);
+router.put(
+  "/:id/status",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.updateBatchStatus
+);
+router.post(
+  "/:id/rollover",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.rolloverBatch
+);
+router.get(
+  "/:id/waitlist",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.getBatchWaitlist
+);
+router.delete(
+  "/:id/waitlist/:studentId",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.removeFromWaitlist
+);
+router.put(
+  "/:id/capacity",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.updateBatchCapacity
+);
+router.put(
+  "/:id/teachers",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.assignBatchTeachers
+);
+router.put(
+  "/:id/meeting-provider",
+  authMiddleware,
+  authorizeRole("admin"),
+  batchController.updateMeetingProvider
+);
 // router.get(
 //   "/getBatchForStudent",
 //   authorizeRole("student"),
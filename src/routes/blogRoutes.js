@@ -4,12 +4,14 @@ const express = require('express');
 const router = express.Router();
 const BlogController = require('../controllers/blogController');
 const { route } = require('./blogRoutes');
+const authMiddleware = require('../middlewares/authMiddleware');
+const authorizeRole = require('../middlewares/authorizeRole');
 
 // Route: /api/blogs
 
-router.post('/create', BlogController.createBlog);
+router.post('/create', authMiddleware, authorizeRole("admin"), BlogController.createBlog);
 router.get('/all', BlogController.getBlogs);
 router.get('/single/:id', BlogController.getBlogById);
-router.put('/update/:id', BlogController.updateBlog);
-router.delete('/delete/:id', BlogController.deleteBlog);
+router.put('/update/:id', authMiddleware, authorizeRole("admin"), BlogController.updateBlog);
+router.delete('/delete/:id', authMiddleware, authorizeRole("admin"), BlogController.deleteBlog);
 module.exports = router;
@@ -8,6 +8,14 @@ const {
 } = require("../controllers/contentController");
 const authMiddleware = require("../middlewares/authMiddleware");
 const authorizeRole = require("../middlewares/authorizeRole");
+const {
+  fromParams,
+  fromBody,
+  ownTeacher,
+  teachesBatch,
+  enrolledInBatch,
+  anyOf,
+} = require("../middlewares/ownershipRules");
 
 const router = express.Router();
 
@@ -18,17 +26,37 @@ const upload = multer({ storage: storage });
 // Route to upload content
 router.post(
   "/upload",
+  authMiddleware,
   upload.single("file"),
+  authorizeRole(["admin", "teacher"], {
+    teacher: anyOf(
+      teachesBatch(fromBody("batchId")),
+      ownTeacher(fromBody("teacherId"))
+    ),
+  }),
   uploadContent
 );
 
 // Route to get all content
-router.get("/", getAllContent);
+router.get("/", authMiddleware, authorizeRole("admin"), getAllContent);
 
 // Route to get content by teacherId
-router.get("/teacher/:teacherId", getContentByTeacherId);
+router.get(
+  "/teacher/:teacherId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("teacherId")) }),
+  getContentByTeacherId
+);
 
 // Route to get content by batchId
-router.get("/batch/:batchId", getContentByBatchId);
+router.get(
+  "/batch/:batchId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], {
+    teacher: teachesBatch(fromParams("batchId")),
+    student: enrolledInBatch(fromParams("batchId")),
+  }),
+  getContentByBatchId
+);
 
 module.exports = router;
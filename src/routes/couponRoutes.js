@@ -0,0 +1,28 @@
+// routes/couponRoutes.js
+const express = require("express");
+const router = express.Router();
+const couponController = require("../controllers/couponController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+const { fromBody, ownStudent } = require("../middlewares/ownershipRules");
+
+// Check a code and preview the order price before checkout
+router.post(
+  "/validate",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromBody("studentId")) }),
+  couponController.validateCoupon
+);
+
+router.post("/create", authMiddleware, authorizeRole("admin"), couponController.createCoupon);
+router.get("/all", authMiddleware, authorizeRole("admin"), couponController.getAllCoupons);
+router.get("/getById/:id", authMiddleware, authorizeRole("admin"), couponController.getCouponById);
+router.put("/updateById/:id", authMiddleware, authorizeRole("admin"), couponController.updateCoupon);
+router.put(
+  "/deactivate/:id",
+  authMiddleware,
+  authorizeRole("admin"),
+  couponController.deactivateCoupon
+);
+
+module.exports = router;
@@ -3,16 +3,18 @@ const router = express.Router();
 const customerQueryController = require("../controllers/customPackageController");
 const authMiddleware = require("../middlewares/authMiddleware");
 const authorizeRole = require("../middlewares/authorizeRole");
+const { fromBody, ownStudent } = require("../middlewares/ownershipRules");
 
 router.post(
   "/",
   authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromBody("student_id")) }),
   customerQueryController.createCustomPackage
 );
 router.get(
   "/",
   authMiddleware,
-
+  authorizeRole("admin"),
   customerQueryController.getPackages
 );
 
@@ -1,8 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const cronController = require('../controllers/cronController');
+const cronAuth = require('../middlewares/cronAuth');
+const authMiddleware = require('../middlewares/authMiddleware');
+const authorizeRole = require('../middlewares/authorizeRole');
 
-// Route to run cron job    
-router.get('/run-cron-job', cronController.cron);
+// Called by Vercel cron, one entry per job in vercel.json
+router.get('/run/:job', cronAuth, cronController.runScheduledJob);
 
-module.exports = router;
\ No newline at end of file
+// Admin
+router.get('/jobs', authMiddleware, authorizeRole('admin'), cronController.getJobs);
+router.post('/jobs/:job/run', authMiddleware, authorizeRole('admin'), cronController.triggerJob);
+router.get('/runs', authMiddleware, authorizeRole('admin'), cronController.getJobRuns);
+router.get('/runs/:id', authMiddleware, authorizeRole('admin'), cronController.getJobRunById);
+
+module.exports = router;
@@ -25,6 +25,11 @@ router.put(
   customerQueryController.updateQueryStatus
 );
 // Route to get a single query by ID
-router.get("/query/:id", customerQueryController.getQueryById);
+router.get(
+  "/query/:id",
+  authMiddleware,
+  authorizeRole("admin"),
+  customerQueryController.getQueryById
+);
 
 module.exports = router;
@@ -1,20 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const feedbackController = require('../controllers/feedbackController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const authorizeRole = require('../middlewares/authorizeRole');
+const {
+  fromParams,
+  fromBody,
+  ownStudent,
+  ownTeacher,
+  teachesBatch,
+} = require('../middlewares/ownershipRules');
 
 // Create Feedback
-router.post('/createfeedback', feedbackController.createFeedback);
+router.post(
+  '/createfeedback',
+  authMiddleware,
+  authorizeRole('student', { student: ownStudent(fromBody('student_id')) }),
+  feedbackController.createFeedback
+);
 
 // Get Feedback by ID
-router.get('/:id', feedbackController.getFeedbackById);
+router.get('/:id', authMiddleware, authorizeRole('admin'), feedbackController.getFeedbackById);
 
 // Get Feedback by Batch ID
-router.get('/batch/:batch_id', feedbackController.getFeedbackByBatchId);
+router.get(
+  '/batch/:batch_id',
+  authMiddleware,
+  authorizeRole(['admin', 'teacher'], { teacher: teachesBatch(fromParams('batch_id')) }),
+  feedbackController.getFeedbackByBatchId
+);
 
 // Get Feedback by Teacher ID
-router.get('/teacher/:teacher_id', feedbackController.getFeedbackByTeacherId);
+router.get(
+  '/teacher/:teacher_id',
+  authMiddleware,
+  authorizeRole(['admin', 'teacher'], { teacher: ownTeacher(fromParams('teacher_id')) }),
+  feedbackController.getFeedbackByTeacherId
+);
 
 // Get All Feedback
-router.get('/', feedbackController.getAllFeedback);
+router.get('/', authMiddleware, authorizeRole('admin'), feedbackController.getAllFeedback);
 
 module.exports = router;
@@ -3,14 +3,54 @@
 const express = require("express");
 const router = express.Router();
 const invoiceController = require("../controllers/invoiceController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+const { fromParams, fromBody, ownInvoice } = require("../middlewares/ownershipRules");
 
 // POST /api/invoices -> Create new invoice
-router.post("/create", invoiceController.createInvoice);
+router.post(
+  "/create",
+  authMiddleware,
+  authorizeRole("admin"),
+  invoiceController.createInvoice
+);
 
 // GET /api/invoices/:id -> Get invoice by ID
-router.get("/getInvoiceBYId/:id", invoiceController.getInvoice);
+router.get(
+  "/getInvoiceBYId/:id",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownInvoice(fromParams("id")) }),
+  invoiceController.getInvoice
+);
 
 // GET /api/invoices/:id/pdf -> Download invoice PDF
-router.post("/downloadInvoicePDF/pdf", invoiceController.getInvoicePDF);
+router.post(
+  "/downloadInvoicePDF/pdf",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownInvoice(fromBody("id")) }),
+  invoiceController.getInvoicePDF
+);
+
+// Student self-service: the student is taken from the token, never the request
+router.get(
+  "/me/:id/pdf",
+  authMiddleware,
+  authorizeRole("student"),
+  invoiceController.downloadMyInvoicePDF
+);
+router.post(
+  "/me/:id/resend",
+  authMiddleware,
+  authorizeRole("student"),
+  invoiceController.resendMyInvoice
+);
+
+// POST /api/invoices/regeneratePDF[/:id] -> Re-render PDFs after a branding change
+router.post(
+  "/regeneratePDF/:id?",
+  authMiddleware,
+  authorizeRole("admin"),
+  invoiceController.regenerateInvoicePDF
+);
 
 module.exports = router;
@@ -21,26 +21,30 @@ const {
     customerQueryAdmin,
     newlogin
 } = require('../controllers/mailController');
+const authMiddleware = require('../middlewares/authMiddleware');
+const authorizeRole = require('../middlewares/authorizeRole');
 
 
 // Create a new notification
+// Public forms (teacher application, contact us) trigger these before sign in
 router.post('/applicationRecievedAdmin', applicationRecievedAdmin);
 router.post('/applicationRecievedTeacher', applicationRecievedTeacher);
-router.post('/studentSignedUpAdmin',studentSignedUpAdmin);
-router.post('/studentCreated',studentAccountCreated);
-router.post('/TeacherCreated',teacherApplicationApproved);
-router.post('/studentPaymentReceived',subscriptionDoneAdmin);
-router.post('/studentPaymentReceivedStudent',subscriptionDoneStudent);
 router.post("/customerQueryRecievedAdmin", customerQueryAdmin);
 router.post("/customerQueryRecieved",customerQuery);
-router.post("/circular",circularCreatedAdmin);
-router.post("/newBatch",BatchCreatedAdmin);
-router.post("/newQuiz",newQuizCreated);
-router.post("/newAssignment",newAssignmentCreated);
-router.post("/newMaterial",newMaterialCreated);
-router.post("/quizResponseSubmitted",quizResponseSubmited);
-router.post("/assignmentSubmitted",assignmentSubmited);
-router.post("/newMeeting", newMeetingCreated);
-router.post("/newLogin",newlogin);
+
+router.post('/studentSignedUpAdmin', authMiddleware, studentSignedUpAdmin);
+router.post('/studentCreated', authMiddleware, studentAccountCreated);
+router.post('/TeacherCreated', authMiddleware, authorizeRole("admin"), teacherApplicationApproved);
+router.post('/studentPaymentReceived', authMiddleware, subscriptionDoneAdmin);
+router.post('/studentPaymentReceivedStudent', authMiddleware, subscriptionDoneStudent);
+router.post("/circular", authMiddleware, authorizeRole("admin"), circularCreatedAdmin);
+router.post("/newBatch", authMiddleware, authorizeRole("admin"), BatchCreatedAdmin);
+router.post("/newQuiz", authMiddleware, authorizeRole(["admin", "teacher"]), newQuizCreated);
+router.post("/newAssignment", authMiddleware, authorizeRole(["admin", "teacher"]), newAssignmentCreated);
+router.post("/newMaterial", authMiddleware, authorizeRole(["admin", "teacher"]), newMaterialCreated);
+router.post("/quizResponseSubmitted", authMiddleware, authorizeRole("student"), quizResponseSubmited);
+router.post("/assignmentSubmitted", authMiddleware, authorizeRole("student"), assignmentSubmited);
+router.post("/newMeeting", authMiddleware, authorizeRole(["admin", "teacher"]), newMeetingCreated);
+router.post("/newLogin", authMiddleware, newlogin);
 
 module.exports = router;
\ No newline at end of file
@@ -31,10 +31,18 @@ const router = express.Router();
 const meetingController = require("../controllers/meetingController");
 const authMiddleware = require("../middlewares/authMiddleware");
 const authorizeRole = require("../middlewares/authorizeRole");
+const {
+  fromBody,
+  fromParams,
+  ownTeacher,
+  teachesBatch,
+  teachesSession,
+} = require("../middlewares/ownershipRules");
  
 router.get(
   "/getMeetings",
-
+  authMiddleware,
+  authorizeRole("admin"),
   meetingController.getMeetings
 );
  
@@ -47,7 +55,8 @@ router.get(
  
 router.post(
   "/createMeeting",
- 
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesBatch(fromBody("batch_id")) }),
   meetingController.createMeetingTeams
 );
  
@@ -58,9 +67,30 @@ router.get(
   meetingController.getMeetingForStudents
 );
  
-router.post("/joinmeeting", meetingController.getJoinUrl);
+router.post("/joinmeeting", authMiddleware, meetingController.getJoinUrl);
 
-router.get("/getbatch/:meetingId",meetingController.getBatchIdByMeetingId);
-router.post("/getrecording",meetingController.getMeetingRecordings);
+// Join links of the local provider; the meetings only exist in this process
+router.get("/local/:id", meetingController.getLocalMeeting);
+
+router.get("/getbatch/:meetingId", authMiddleware, meetingController.getBatchIdByMeetingId);
+router.post(
+  "/getrecording",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"]),
+  meetingController.getMeetingRecordings
+);
+
+router.get(
+  "/:meetingId/attendance",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSession(fromParams("meetingId")) }),
+  meetingController.getAttendance
+);
+router.post(
+  "/:meetingId/attendance/import",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSession(fromParams("meetingId")) }),
+  meetingController.importAttendance
+);
  
 module.exports = router;
@@ -2,30 +2,38 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
-// const authMiddleware = require('../middleware/auth');
+const authMiddleware = require('../middlewares/authMiddleware');
+const authorizeRole = require('../middlewares/authorizeRole');
+const { fromParams, selfUser } = require('../middlewares/ownershipRules');
+
+// Users may only read and acknowledge their own notifications
+const ownNotifications = authorizeRole(['admin', 'teacher', 'student'], {
+  teacher: selfUser(fromParams('userId')),
+  student: selfUser(fromParams('userId')),
+});
 
 // Create a new notification
-router.post('/', notificationController.createNotification);
+router.post('/', authMiddleware, authorizeRole('admin'), notificationController.createNotification);
 
 // Get all notifications with optional filters
-router.get('/', notificationController.getAllNotifications);
+router.get('/', authMiddleware, authorizeRole('admin'), notificationController.getAllNotifications);
 
 // Get notifications for the authenticated user
-router.get('/my/:userId', notificationController.getUserNotifications);
+router.get('/my/:userId', authMiddleware, ownNotifications, notificationController.getUserNotifications);
 
 // Get unread notifications for the authenticated user
-router.get('/unread/:userId', notificationController.getUnreadNotifications);
+router.get('/unread/:userId', authMiddleware, ownNotifications, notificationController.getUnreadNotifications);
 
 // Get a single notification by ID
-router.get('/:id', notificationController.getNotificationById);
+router.get('/:id', authMiddleware, notificationController.getNotificationById);
 
 // Update a notification by ID
-router.put('/:id', notificationController.updateNotification);
+router.put('/:id', authMiddleware, authorizeRole('admin'), notificationController.updateNotification);
 
 // Delete a notification by ID
-router.delete('/:id', notificationController.deleteNotification);
+router.delete('/:id', authMiddleware, authorizeRole('admin'), notificationController.deleteNotification);
 
 // Mark a notification as read
-router.patch('/mark-as-read/:userId', notificationController.markAsRead);
+router.patch('/mark-as-read/:userId', authMiddleware, ownNotifications, notificationController.markAsRead);
 
 module.exports = router;
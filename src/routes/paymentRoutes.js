@@ -35,6 +35,8 @@
 const express = require('express');
 const router = express.Router();
 const {
+  createQuote,
+  createCustomPackageQuote,
   createOrder,
   verifyPayment,
 
@@ -42,23 +44,77 @@ const {
   createCustomPackageOrder,
   createOrderRenewal,
   getPaymentsByStudentId,
+  refundPayment,
+  getMyPayments,
+  createInstallmentPlan,
+  getMyInstallmentPlans,
+  getAllInstallmentPlans,
 
 
 } = require('../controllers/paymentController');
 const authMiddleware = require('../middlewares/authMiddleware'); // Ensure you have an auth middleware
+const authorizeRole = require('../middlewares/authorizeRole');
+const { fromParams, fromBody, ownStudent, ownQuote } = require('../middlewares/ownershipRules');
 
 // Apply authentication middleware to protect these routes except for webhook
-router.post('/create-order', createOrder);
-router.post('/create-order-renewal',  createOrderRenewal);
+router.post(
+  '/quote',
+  authMiddleware,
+  authorizeRole(['admin', 'student'], { student: ownStudent(fromBody('studentId')) }),
+  createQuote
+);
+router.post(
+  '/create-order',
+  authMiddleware,
+  authorizeRole(['admin', 'student'], { student: ownQuote(fromBody('quoteId')) }),
+  createOrder
+);
+router.post(
+  '/create-order-renewal',
+  authMiddleware,
+  authorizeRole(['admin', 'student'], { student: ownQuote(fromBody('quoteId')) }),
+  createOrderRenewal
+);
 router.post('/verify-payment-webhook', verifyPayment);
 
 
-router.get('/allPayments',getAllPayments);
+router.get('/allPayments', authMiddleware, authorizeRole('admin'), getAllPayments);
 
-// Route to create Razorpay order and send payment link via email
-router.post('/customPackage/create-order', createCustomPackageOrder);
-
-router.get ("/getPayoutByStudentId/:studentId",getPaymentsByStudentId)
+router.post(
+  '/customPackage/quote',
+  authMiddleware,
+  authorizeRole('admin'),
+  createCustomPackageQuote
+);
 
+// Route to create Razorpay order and send payment link via email
+router.post(
+  '/customPackage/create-order',
+  authMiddleware,
+  authorizeRole('admin'),
+  createCustomPackageOrder
+);
+
+router.get(
+  "/getPayoutByStudentId/:studentId",
+  authMiddleware,
+  authorizeRole(['admin', 'student'], { student: ownStudent(fromParams('studentId')) }),
+  getPaymentsByStudentId
+);
+
+// Student's own payment history, resolved from the token
+router.get('/me', authMiddleware, authorizeRole('student'), getMyPayments);
+
+// Installment plans
+router.post(
+  '/installments',
+  authMiddleware,
+  authorizeRole(['admin', 'student'], { student: ownQuote(fromBody('quoteId')) }),
+  createInstallmentPlan
+);
+router.get('/installments/me', authMiddleware, authorizeRole('student'), getMyInstallmentPlans);
+router.get('/installments/all', authMiddleware, authorizeRole('admin'), getAllInstallmentPlans);
+
+router.post('/:paymentId/refund', authMiddleware, authorizeRole('admin'), refundPayment);
 
 module.exports = router;
@@ -11,7 +11,7 @@ router.post(
   payOut.createPayout
 );
 
-router.get("/getPayouts", authMiddleware, payOut.getPayouts);
+router.get("/getPayouts", authMiddleware, authorizeRole("admin"), payOut.getPayouts);
 
 router.put(
   "/updatePayout/:id",
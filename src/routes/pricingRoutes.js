@@ -7,6 +7,8 @@ const {
   updateGst,
   createPricing,  // Import the createPricing function
 } = require("../controllers/pricingController"); // Adjust path as needed
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
 
 // Get discount
 router.get("/discount", getDiscount);
@@ -15,12 +17,12 @@ router.get("/discount", getDiscount);
 router.get("/gst", getGst);
 
 // Update discount
-router.put("/discount", updateDiscount);
+router.put("/discount", authMiddleware, authorizeRole("admin"), updateDiscount);
 
 // Update GST
-router.put("/gst", updateGst);
+router.put("/gst", authMiddleware, authorizeRole("admin"), updateGst);
 
 // Create new pricing
-router.post("/", createPricing); // POST route to create new pricing
+router.post("/", authMiddleware, authorizeRole("admin"), createPricing); // POST route to create new pricing
 
 module.exports = router;
@@ -5,8 +5,15 @@ const router = express.Router();
 const quizController = require('../controllers/quizController');
 const authMiddleware = require('../middlewares/authMiddleware');
 const authorizeRole = require('../middlewares/authorizeRole');
+const {
+  fromParams,
+  fromQuery,
+  ownTeacher,
+  teachesBatch,
+  enrolledInBatch,
+} = require('../middlewares/ownershipRules');
 
-// Create a quiz (Accessible to any authenticated user)
+// Create a quiz (Teachers only)
 router.post('/create', authMiddleware,authorizeRole("teacher"), quizController.createQuiz);
 
 // Get quizzes for a specific batch and class
@@ -21,11 +28,24 @@ router.get('/:quiz_id', authMiddleware, quizController.getQuizById);
 /**
  * @route   GET /api/quizzes
  * @desc    Get quizzes based on optional filters: teacher_id, batch_id, class_id, subject_id
- * @access  Public (Adjust access control as needed)
+ * @access  Private (Admin, or the teacher named in teacher_id)
  */
-router.get("/Teacher/quizzes", quizController.getQuizzesByTeacher);
+router.get(
+  "/Teacher/quizzes",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromQuery("teacher_id")) }),
+  quizController.getQuizzesByTeacher
+);
 
-router.get("/subject/:subject_id", quizController.getQuizBySubjectId);
-router.get("/batch/:batch_id", quizController.getQuizByBatchId);
+router.get("/subject/:subject_id", authMiddleware, quizController.getQuizBySubjectId);
+router.get(
+  "/batch/:batch_id",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], {
+    teacher: teachesBatch(fromParams("batch_id")),
+    student: enrolledInBatch(fromParams("batch_id")),
+  }),
+  quizController.getQuizByBatchId
+);
 
 module.exports = router;
@@ -3,26 +3,43 @@
 const express = require("express");
 const router = express.Router();
 const rescheduleMeetingController = require("../controllers/rescheduleMeetingController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+const {
+  fromParams,
+  fromBody,
+  ownStudent,
+  ownTeacher,
+  teachesSession,
+} = require("../middlewares/ownershipRules");
 
 
 // Route to create a reschedule meeting (Protected Route)
 router.post(
   "/reschedule-meetings/create",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromBody("student_id")) }),
   rescheduleMeetingController.createRescheduleMeeting
 );
 
 // Route to get reschedule meetings by teacher ID (Protected Route)
 router.get(
   "/reschedule-meetings/teacher/:teacherId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("teacherId")) }),
   rescheduleMeetingController.getRescheduleMeetingsByTeacherId
 );
 
 router.put(
   "/reschedule-meetings/approve/:meetingId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSession(fromParams("meetingId")) }),
   rescheduleMeetingController.updateRescheduleMeetingStatus
 )
 router.put(
   "/reschedule-meetings/reject/:meetingId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSession(fromParams("meetingId")) }),
   rescheduleMeetingController.rejectRescheduleMeeting
 )
 
@@ -4,17 +4,39 @@ const express = require('express');
 const router = express.Router();
 const responseController = require('../controllers/responseController');
 const authMiddleware = require('../middlewares/authMiddleware');
+const authorizeRole = require('../middlewares/authorizeRole');
+const { fromParams, fromBody, ownStudent } = require('../middlewares/ownershipRules');
 
 // Submit a quiz response (Accessible to any authenticated user)
-router.post('/response',responseController.submitResponse);
+router.post(
+  '/response',
+  authMiddleware,
+  authorizeRole('student', { student: ownStudent(fromBody('student_id')) }),
+  responseController.submitResponse
+);
 
 // Get all responses for a quiz
-router.get('/quiz/:quiz_id', authMiddleware, responseController.getResponsesByQuiz);
+router.get(
+  '/quiz/:quiz_id',
+  authMiddleware,
+  authorizeRole(['admin', 'teacher']),
+  responseController.getResponsesByQuiz
+);
 
 // Get monthly report for a student
-router.get('/:studentId/report/:month/:year', responseController.getMonthlyReport);
+router.get(
+  '/:studentId/report/:month/:year',
+  authMiddleware,
+  authorizeRole(['admin', 'teacher', 'student'], { student: ownStudent(fromParams('studentId')) }),
+  responseController.getMonthlyReport
+);
 
 // Get score for a student  
-router.get('/score/:student_id/:quiz_id', responseController.getscoreforstudent);
+router.get(
+  '/score/:student_id/:quiz_id',
+  authMiddleware,
+  authorizeRole(['admin', 'teacher', 'student'], { student: ownStudent(fromParams('student_id')) }),
+  responseController.getscoreforstudent
+);
 
 module.exports = router;
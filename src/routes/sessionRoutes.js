@@ -0,0 +1,112 @@
+// Class sessions generated from batch timetables
+const express = require("express");
+const {
+  createSeries,
+  getSeries,
+  getBatchSessions,
+  updateSeries,
+  cancelSeries,
+  updateSession,
+  cancelSession,
+  getBatchMakeupPolls,
+  getMakeupPoll,
+  voteMakeupPoll,
+  pickMakeupSlot,
+} = require("../controllers/sessionController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+const {
+  fromParams,
+  fromBody,
+  fromQuery,
+  teachesBatch,
+  teachesSession,
+  teachesSeries,
+  enrolledInBatch,
+  teachesMakeupPoll,
+  enrolledInMakeupPoll,
+} = require("../middlewares/ownershipRules");
+
+const router = express.Router();
+
+router.post(
+  "/series",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesBatch(fromBody("batch_id")) }),
+  createSeries
+);
+router.get(
+  "/series/:seriesId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSeries(fromParams("seriesId")) }),
+  getSeries
+);
+router.put(
+  "/series/:seriesId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSeries(fromParams("seriesId")) }),
+  updateSeries
+);
+router.delete(
+  "/series/:seriesId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSeries(fromParams("seriesId")) }),
+  cancelSeries
+);
+
+router.get(
+  "/batch/:batchId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], {
+    teacher: teachesBatch(fromParams("batchId")),
+    student: enrolledInBatch(fromParams("batchId")),
+  }),
+  getBatchSessions
+);
+
+// Make-up polls for cancelled sessions
+router.get(
+  "/makeups",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], {
+    teacher: teachesBatch(fromQuery("batch_id")),
+    student: enrolledInBatch(fromQuery("batch_id")),
+  }),
+  getBatchMakeupPolls
+);
+router.get(
+  "/makeups/:pollId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], {
+    teacher: teachesMakeupPoll(fromParams("pollId")),
+    student: enrolledInMakeupPoll(fromParams("pollId")),
+  }),
+  getMakeupPoll
+);
+router.post(
+  "/makeups/:pollId/vote",
+  authMiddleware,
+  authorizeRole(["student"], { student: enrolledInMakeupPoll(fromParams("pollId")) }),
+  voteMakeupPoll
+);
+router.post(
+  "/makeups/:pollId/pick",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesMakeupPoll(fromParams("pollId")) }),
+  pickMakeupSlot
+);
+
+router.put(
+  "/:sessionId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSession(fromParams("sessionId")) }),
+  updateSession
+);
+router.post(
+  "/:sessionId/cancel",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSession(fromParams("sessionId")) }),
+  cancelSession
+);
+
+module.exports = router;
@@ -2,8 +2,10 @@
 const express = require('express');
 const router = express.Router();
 const statsController = require('../controllers/statsController'); // Adjust the path as necessary
+const authMiddleware = require('../middlewares/authMiddleware');
+const authorizeRole = require('../middlewares/authorizeRole');
 
 // Route to get statistics
-router.get('/statistics', statsController.getStatistics);
+router.get('/statistics', authMiddleware, authorizeRole('admin'), statsController.getStatistics);
 
 module.exports = router;
\ No newline at end of file
@@ -17,6 +17,7 @@ const {
   clockOut,
   getStudentAttendance,
   getStudentsWithAttendance,
+  getPercentageOfAttendance,
   updateModeToPersonal,
   getStudentScheduleNext7Days,
   getEligibleStudents,
@@ -24,21 +25,34 @@ const {
 } = require("../controllers/studentController");
 const authMiddleware = require("../middlewares/authMiddleware");
 const authorizeRole = require("../middlewares/authorizeRole");
+const {
+  fromParams,
+  fromQuery,
+  fromBody,
+  fromHeaders,
+  selfAuthId,
+  ownStudent,
+} = require("../middlewares/ownershipRules");
 
 // Route to create a new student
-router.post("/createStudent", createStudent);
+router.post("/createStudent", authMiddleware, authorizeRole("admin"), createStudent);
 
 // Route to get a student by ID
-router.get("/:id", getStudentById);
+router.get(
+  "/:id",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], { student: ownStudent(fromParams("id")) }),
+  getStudentById
+);
 
 // Route to get all students
-router.get("/", getAllStudents);
+router.get("/", authMiddleware, authorizeRole("admin"), getAllStudents);
 
 // Route to update a student by ID
 // router.put('/:id', updateStudent);
 
 // Route to delete a student by ID
-router.delete("/:id", deleteStudent);
+router.delete("/:id", authMiddleware, authorizeRole("admin"), deleteStudent);
 
 // Route to get student subscription statistics
 router.get(
@@ -48,7 +62,12 @@ router.get(
   getStudentSubscriptionStats
 );
  
-router.get("/getstudent/getbyAuthId",getStudentByAuthId);
+router.get(
+  "/getstudent/getbyAuthId",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: selfAuthId(fromHeaders("auth_id")) }),
+  getStudentByAuthId
+);
 
 // Route to get payment status chart data
 router.get(
@@ -59,33 +78,94 @@ router.get(
 );
 
 // Update student by ID
-router.put("/update/:studentId", updateStudent);
+router.put("/update/:studentId", authMiddleware, authorizeRole("admin"), updateStudent);
 
 router.get(
   "/subject/:subject_id/class/:class_id",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"]),
   getStudentsBySubjectAndClassId
 );
 
 router.get("/class/:class_id",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"]),
   getStudentsByClassId);
 
-router.get("/batch/subject/:subjectId", getStudentsforBatchBySubject);
+router.get(
+  "/batch/subject/:subjectId",
+  authMiddleware,
+  authorizeRole("admin"),
+  getStudentsforBatchBySubject
+);
 
 
-router.get("/student/:id/schedule", getStudentSchedule);
+router.get(
+  "/student/:id/schedule",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromParams("id")) }),
+  getStudentSchedule
+);
 
-router.post("/clock-in",clockIn);
+router.post(
+  "/clock-in",
+  authMiddleware,
+  authorizeRole("student", { student: ownStudent(fromBody("studentId")) }),
+  clockIn
+);
 
-router.post("/clock-out",clockOut);
+router.post(
+  "/clock-out",
+  authMiddleware,
+  authorizeRole("student", { student: ownStudent(fromBody("studentId")) }),
+  clockOut
+);
 
-router.get("/student/attendance", getStudentAttendance );
+router.get(
+  "/student/attendance",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], { student: ownStudent(fromQuery("studentId")) }),
+  getStudentAttendance
+);
 
-router.get("/student/forattendance",getStudentsWithAttendance)
-router.put("/student/mode",updateModeToPersonal)
+router.get(
+  "/student/attendance/summary",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], { student: ownStudent(fromQuery("studentId")) }),
+  getPercentageOfAttendance
+);
+
+router.get(
+  "/student/forattendance",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"]),
+  getStudentsWithAttendance
+)
+router.put(
+  "/student/mode",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromBody("student_id")) }),
+  updateModeToPersonal
+)
 
-router.get("/student/:id/scheduleSevenDays", getStudentScheduleNext7Days);
+router.get(
+  "/student/:id/scheduleSevenDays",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromParams("id")) }),
+  getStudentScheduleNext7Days
+);
 
-router.post("/student/eligible-student",getEligibleStudents)
-router.post("/student/batchstatus",checkBatchStatus)
+router.post(
+  "/student/eligible-student",
+  authMiddleware,
+  authorizeRole("admin"),
+  getEligibleStudents
+)
+router.post(
+  "/student/batchstatus",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromBody("studentId")) }),
+  checkBatchStatus
+)
 
 module.exports = router;
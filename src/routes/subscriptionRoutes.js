@@ -0,0 +1,49 @@
+// routes/subscriptionRoutes.js
+const express = require("express");
+const router = express.Router();
+const subscriptionController = require("../controllers/subscriptionController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+const { fromParams, fromBody, ownStudent, ownSubscription } = require("../middlewares/ownershipRules");
+
+// Plans
+router.get(
+  "/plans",
+  authMiddleware,
+  authorizeRole(["admin", "student"]),
+  subscriptionController.getPlans
+);
+router.post("/plans", authMiddleware, authorizeRole("admin"), subscriptionController.createPlan);
+router.put(
+  "/plans/:id/deactivate",
+  authMiddleware,
+  authorizeRole("admin"),
+  subscriptionController.deactivatePlan
+);
+
+// Subscriptions
+router.post(
+  "/",
+  authMiddleware,
+  authorizeRole(["admin", "student"], { student: ownStudent(fromBody("studentId")) }),
+  subscriptionController.createSubscription
+);
+router.get("/me", authMiddleware, authorizeRole("student"), subscriptionController.getMySubscriptions);
+router.get("/all", authMiddleware, authorizeRole("admin"), subscriptionController.getAllSubscriptions);
+
+const ownsSubscription = authorizeRole(["admin", "student"], {
+  student: ownSubscription(fromParams("id")),
+});
+router.post("/:id/pause", authMiddleware, ownsSubscription, subscriptionController.pauseSubscription);
+router.post("/:id/resume", authMiddleware, ownsSubscription, subscriptionController.resumeSubscription);
+router.post("/:id/cancel", authMiddleware, ownsSubscription, subscriptionController.cancelSubscription);
+
+// Only works for subscriptions on the local gateway (SUBSCRIPTION_GATEWAY=local)
+router.post(
+  "/:id/simulate-charge",
+  authMiddleware,
+  authorizeRole("admin"),
+  subscriptionController.simulateCharge
+);
+
+module.exports = router;
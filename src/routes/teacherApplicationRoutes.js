@@ -4,14 +4,16 @@ const { body } = require("express-validator");
 const authMiddleware = require("../middlewares/authMiddleware");
 const upload = require("../middlewares/uploadMiddleware");
 const authorizeRole = require("../middlewares/authorizeRole");
+const { fromParams, selfUser } = require("../middlewares/ownershipRules");
 
 // Import the controller functions (Ensure this matches your exports)
 const teacherApplicationController = require("../controllers/teacherApplicationController");
 
 // Routes
+// Any signed-in user may apply; the application is tied to their account
 router.post(
   "/apply",
-  // authMiddleware,
+  authMiddleware,
   // upload.fields([
   //   { name: "resume", maxCount: 1 },
   //   { name: "profileImage", maxCount: 1 },
@@ -37,14 +39,14 @@ router.get(
 
 router.put(
   "/approve/:applicationId",
-  // authMiddleware,
-  // authorizeRole("admin"),
+  authMiddleware,
+  authorizeRole("admin"),
   teacherApplicationController.approveTeacherApplication // Correct reference
 );
 router.put(
   "/reject/:applicationId",
-  // authMiddleware,
-  // authorizeRole("admin"),
+  authMiddleware,
+  authorizeRole("admin"),
   teacherApplicationController.rejectTeacherApplication // Correct reference
 );
 
@@ -57,6 +59,11 @@ router.get(
 );
 router.get(
   "/application/single/teacher/:id",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], {
+    teacher: selfUser(fromParams("id")),
+    student: selfUser(fromParams("id")),
+  }),
   teacherApplicationController.getTeacherApplicationByUserId
 );
 
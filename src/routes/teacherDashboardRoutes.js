@@ -1,12 +1,20 @@
 const express = require("express");
 const router = express.Router();
 const teacherDashboardController = require("../controllers/teacherDashboardController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+const { fromParams, ownTeacher } = require("../middlewares/ownershipRules");
+
+// Teachers may only read their own dashboard
+const ownDashboard = authorizeRole(["admin", "teacher"], {
+  teacher: ownTeacher(fromParams("teacherId")),
+});
 
 // router.get("/count/:teacherId", teacherDashboardController.getBatchCount);
 
-router.get("/count/:teacherId",teacherDashboardController.getBatchesCount);
+router.get("/count/:teacherId", authMiddleware, ownDashboard, teacherDashboardController.getBatchesCount);
 
-router.get("/countstudents/:teacherId",teacherDashboardController.getStudentsCount);
-router.get("/recent/:teacherId", teacherDashboardController.getRecentQuizForTeacher);
-router.get("/workingHours/:teacherId", teacherDashboardController.getTotalWorkingHours);
+router.get("/countstudents/:teacherId", authMiddleware, ownDashboard, teacherDashboardController.getStudentsCount);
+router.get("/recent/:teacherId", authMiddleware, ownDashboard, teacherDashboardController.getRecentQuizForTeacher);
+router.get("/workingHours/:teacherId", authMiddleware, ownDashboard, teacherDashboardController.getTotalWorkingHours);
 module.exports = router;
\ No newline at end of file
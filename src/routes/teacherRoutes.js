@@ -18,10 +18,26 @@ const {
   getTeacherByMeetingId,
   getTeacherScheduleNext7Days,
   createTeacher,
+  getTeacherAvailability,
+  updateTeacherAvailability,
+  addAvailabilityException,
+  removeAvailabilityException,
+  checkTeacherAvailability,
 } = require("../controllers/teacherController");
 
 // Import authentication middleware
 const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+const {
+  fromParams,
+  fromQuery,
+  fromBody,
+  fromHeaders,
+  selfAuthId,
+  ownTeacher,
+  teachesSession,
+  attendsSession,
+} = require("../middlewares/ownershipRules");
 
 // Apply authentication middleware to all routes in this router
 // router.use(authMiddleware);
@@ -31,34 +47,114 @@ const authMiddleware = require("../middlewares/authMiddleware");
  * @desc    Get a teacher by ID (accessible only by the teacher themselves)
  * @access  Private (Teacher only)
  */
-router.get("/:id", authMiddleware, getTeacherById);
+router.get(
+  "/:id",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("id")) }),
+  getTeacherById
+);
 
 /**
  * @route   GET /teachers
  * @desc    Get all teachers (accessible only by admin users)
  * @access  Private (Admin only)
  */
-router.get("/", authMiddleware, getAllTeachers);
-router.post("/", createTeacher);
-router.get("/subject/:subject", getTeachersBySubjectId);
+router.get("/", authMiddleware, authorizeRole("admin"), getAllTeachers);
+router.post("/", authMiddleware, authorizeRole("admin"), createTeacher);
+router.get("/subject/:subject", authMiddleware, authorizeRole("admin"), getTeachersBySubjectId);
 
-router.put("/update/:id", authMiddleware, updateTeacherDetails);
+router.put(
+  "/update/:id",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("id")) }),
+  updateTeacherDetails
+);
 
-// Route to get teachers with more than 3 years of experience
+// Route to get teachers with more than 3 years of experience.
+// Public on purpose: the website lists these profiles to visitors.
 router.get("/experience/greater", getExperiencedTeachers);
 
-router.get("/teacher/AuthId", getTeacherByAuthId);
+router.get(
+  "/teacher/AuthId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: selfAuthId(fromHeaders("auth_id")) }),
+  getTeacherByAuthId
+);
 
-router.get("/teacher/:id/schedule", getTeacherSchedule);
+router.get(
+  "/teacher/:id/schedule",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("id")) }),
+  getTeacherSchedule
+);
 
-router.post("/clock-in", clockIn);
+router.post(
+  "/clock-in",
+  authMiddleware,
+  authorizeRole("teacher", { teacher: ownTeacher(fromBody("teacherId")) }),
+  clockIn
+);
 
 // Route for clocking out
-router.post("/clock-out", clockOut);
+router.post(
+  "/clock-out",
+  authMiddleware,
+  authorizeRole("teacher", { teacher: ownTeacher(fromBody("teacherId")) }),
+  clockOut
+);
+
+router.get(
+  "/teacher/attendance",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromQuery("teacherId")) }),
+  getTeacherAttendance
+);
+
+router.get(
+  "/getTeacherByMeetingId/one/:meetingId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher", "student"], {
+    teacher: teachesSession(fromParams("meetingId")),
+    student: attendsSession(fromParams("meetingId")),
+  }),
+  getTeacherByMeetingId
+);
+router.get(
+  "/teacher/:id/scheduleSevenDays",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("id")) }),
+  getTeacherScheduleNext7Days
+);
+
+router.get(
+  "/teacher/:id/availability",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("id")) }),
+  getTeacherAvailability
+);
+
+router.put(
+  "/teacher/:id/availability",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("id")) }),
+  updateTeacherAvailability
+);
+
+router.post(
+  "/teacher/:id/availability/exceptions",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("id")) }),
+  addAvailabilityException
+);
 
-router.get("/teacher/attendance", getTeacherAttendance);
+router.delete(
+  "/teacher/:id/availability/exceptions/:exceptionId",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: ownTeacher(fromParams("id")) }),
+  removeAvailabilityException
+);
 
-router.get("/getTeacherByMeetingId/one/:meetingId",getTeacherByMeetingId)
-router.get("/teacher/:id/scheduleSevenDays", getTeacherScheduleNext7Days);
+// Free/busy check for a prospective session, e.g. before rescheduling
+router.get("/teacher/:id/availability/check", authMiddleware, checkTeacherAvailability);
 
 module.exports = router;
@@ -13,9 +13,11 @@ const {
   getCustomTypeOfBatch,
   getTypeOfBatchByClassId,
 } = require("../controllers/typeOfBatchController");
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
 
 // Create new TypeOfBatch
-router.post("/create", createTypeOfBatch);
+router.post("/create", authMiddleware, authorizeRole("admin"), createTypeOfBatch);
 
 // Get single TypeOfBatch by ID
 router.get("/:id", getSingleTypeOfBatch);
@@ -24,13 +26,13 @@ router.get("/:id", getSingleTypeOfBatch);
 router.get("/", getAllTypeOfBatch);
 
 // Update discount percentage (and recalculate discounted price)
-router.put("/:id/discount", updateDiscount);
+router.put("/:id/discount", authMiddleware, authorizeRole("admin"), updateDiscount);
 
 // Update all fields of TypeOfBatch
-router.put("/:id", updateAllFields);
+router.put("/:id", authMiddleware, authorizeRole("admin"), updateAllFields);
 
 // Delete a TypeOfBatch
-router.delete("/:id", deleteTypeOfBatch);
+router.delete("/:id", authMiddleware, authorizeRole("admin"), deleteTypeOfBatch);
 // Route to get batch by mode
 router.get("/batch-mode/:mode", getBatchByMode);
 router.get("/subject/:subjectId",getTypeOfBatchBySubjectId)
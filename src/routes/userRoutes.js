@@ -3,12 +3,23 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middlewares/authMiddleware');
 const userController = require('../controllers/userController');
+const authorizeRole = require('../middlewares/authorizeRole');
+const { fromHeaders, selfAuthId } = require('../middlewares/ownershipRules');
+
+// Non-admins may only read or update the user matching their own token
+const ownAuthId = authorizeRole(['admin', 'teacher', 'student'], {
+  teacher: selfAuthId(fromHeaders('auth_id')),
+  student: selfAuthId(fromHeaders('auth_id')),
+});
 
 router.get('/profile',authMiddleware,  userController.getProfile);
 
 // Define route to get user details by auth_id
-router.get('/userByAuthId', userController.getUserByAuthId);
+router.get('/userByAuthId', authMiddleware, ownAuthId, userController.getUserByAuthId);
+
+router.put('/updateProfile', authMiddleware, ownAuthId, userController.updateUserByAuthId);
 
-router.put('/updateProfile', userController.updateUserByAuthId);
+// Promote or demote a user (Admin only)
+router.put('/:userId/role', authMiddleware, authorizeRole('admin'), userController.updateUserRole);
 
 module.exports = router;
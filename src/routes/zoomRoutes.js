@@ -1,12 +1,25 @@
 var express = require("express");
 const zoomController = require("../controllers/zoomController");
 const router = express.Router();
+const authMiddleware = require("../middlewares/authMiddleware");
+const authorizeRole = require("../middlewares/authorizeRole");
+const { fromBody, fromQuery, teachesBatch, teachesSession } = require("../middlewares/ownershipRules");
 
 router.get("/healthCheck", zoomController.healthCheck);
-router.post("/zoomuserinfo", zoomController.zoomuserinfo);
-router.post("/createZoomMeeting", zoomController.createZoomMeeting);
-router.get("/getMeetingParticipants", zoomController.getMeetingParticipants);
-router.get("/getMeetingById/:id", zoomController.getMeetingById);
-router.post("/generateSignature", zoomController.generateZoomSignature);
+router.post("/zoomuserinfo", authMiddleware, authorizeRole(["admin", "teacher"]), zoomController.zoomuserinfo);
+router.post(
+  "/createZoomMeeting",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesBatch(fromBody("batchId")) }),
+  zoomController.createZoomMeeting
+);
+router.get(
+  "/getMeetingParticipants",
+  authMiddleware,
+  authorizeRole(["admin", "teacher"], { teacher: teachesSession(fromQuery("meetingId")) }),
+  zoomController.getMeetingParticipants
+);
+router.get("/getMeetingById/:id", authMiddleware, zoomController.getMeetingById);
+router.post("/generateSignature", authMiddleware, zoomController.generateZoomSignature);
 
 module.exports = router;
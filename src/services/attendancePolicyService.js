@@ -0,0 +1,362 @@
+// src/services/attendancePolicyService.js
+const AttendanceAlert = require("../models/attendanceAlertModel");
+const Batch = require("../models/batchModel");
+const Meeting = require("../models/meetingModel");
+const Student = require("../models/studentModel");
+const User = require("../models/userModel");
+const config = require("../config");
+const { notifyUser } = require("./notificationService");
+const { attendanceAlertGuardian, attendanceAlertAdmin } = require("../mailTemplate/mailTemplates");
+const { sendMailFunctionTA, sendMailFunctionAdmin } = require("../Mail/sendMail");
+
+const MINUTE_MS = 60 * 1000;
+// Students with sessions ending this recently are rechecked for alerts
+const ALERT_LOOKBACK_MS = 2 * 24 * 60 * 60 * 1000;
+
+const policyError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const roundPercent = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Classifies one student's attendance at a session:
+ *
+ * - absent: no time in the session
+ * - partial: under ATTENDANCE_PRESENT_PERCENT of the session
+ * - late: enough of the session, but joined after the grace period
+ * - present: otherwise
+ *
+ * `left_early` is reported alongside. Time comes from the participant
+ * report where there is one, otherwise from clock-in/out; a clock-in
+ * without a clock-out counts until the session ended. Sessions from before
+ * start and end times were recorded only tell present from absent.
+ *
+ * @param {Object} session - Meeting with `start_time` and `end_time`
+ * @param {Object} [record] - The student's attendance record for it
+ * @param {Object} [policy] - Defaults to config.attendance
+ * @returns {{status: string, late: boolean, left_early: boolean, attended_seconds: number, attended_percent: (number|null)}}
+ */
+const classifyAttendance = (session, record, policy = config.attendance) => {
+  if (!record || !record.clock_in_time) {
+    return {
+      status: "absent",
+      late: false,
+      left_early: false,
+      attended_seconds: 0,
+      attended_percent: 0,
+    };
+  }
+  if (!session || !session.start_time || !session.end_time) {
+    return {
+      status: "present",
+      late: false,
+      left_early: false,
+      attended_seconds: null,
+      attended_percent: null,
+    };
+  }
+
+  const start = session.start_time.getTime();
+  const end = session.end_time.getTime();
+  const joinedAt = record.clock_in_time.getTime();
+  const leftAt = record.clock_out_time ? record.clock_out_time.getTime() : end;
+
+  const attendedSeconds =
+    record.duration_seconds != null
+      ? record.duration_seconds
+      : Math.max(0, (Math.min(leftAt, end) - Math.max(joinedAt, start)) / 1000);
+  const percent = Math.min(100, (attendedSeconds * 1000 * 100) / (end - start));
+  const grace = policy.graceMinutes * MINUTE_MS;
+  const late = joinedAt > start + grace;
+  const leftEarly = leftAt < end - grace;
+
+  let status = "present";
+  if (attendedSeconds <= 0) status = "absent";
+  else if (percent < policy.presentPercent) status = "partial";
+  else if (late) status = "late";
+
+  return {
+    status,
+    late,
+    left_early: leftEarly,
+    attended_seconds: Math.round(attendedSeconds),
+    attended_percent: roundPercent(percent),
+  };
+};
+
+const recordsByMeeting = (attendance) =>
+  new Map(
+    attendance
+      .filter((record) => record.meeting_id)
+      .map((record) => [String(record.meeting_id), record])
+  );
+
+/**
+ * Attendance records with their classification, for display. Sessions are
+ * loaded in one query for all the records given.
+ *
+ * @param {Object[]} records - Student.attendance entries
+ * @returns {Promise<Object[]>}
+ */
+const describeAttendance = async (records) => {
+  const sessions = await Meeting.find({
+    _id: { $in: records.map((record) => record.meeting_id).filter(Boolean) },
+  }).select("start_time end_time");
+  const sessionById = new Map(sessions.map((session) => [String(session._id), session]));
+
+  return records.map((record) => ({
+    date: record.Date,
+    clock_in_time: record.clock_in_time,
+    clock_out_time: record.clock_out_time,
+    meeting_id: record.meeting_id,
+    meeting_title: record.meeting_title,
+    source: record.source,
+    ...classifyAttendance(sessionById.get(String(record.meeting_id)), record),
+  }));
+};
+
+const emptyCounts = () => ({ sessions: 0, present: 0, late: 0, partial: 0, absent: 0 });
+
+// Present and late both count as attended; partial does not
+const withPercentage = (counts) => ({
+  ...counts,
+  percentage: counts.sessions
+    ? roundPercent(((counts.present + counts.late) * 100) / counts.sessions)
+    : null,
+});
+
+/**
+ * Per-subject attendance for a student over the sessions held for them
+ * between `from` and `to` (default: all so far). Sessions without a
+ * recorded end time aren't counted, as there's no telling whether they
+ * took place.
+ *
+ * @param {string} studentId
+ * @param {Object} [range]
+ * @param {Date} [range.from]
+ * @param {Date} [range.to]
+ * @returns {Promise<{policy: Object, overall: Object, subjects: Object[]}>}
+ */
+const attendanceSummary = async (studentId, { from, to } = {}) => {
+  const student = await Student.findById(studentId).select("attendance");
+  if (!student) {
+    throw policyError(404, "Student not found");
+  }
+
+  const now = new Date();
+  const sessions = await Meeting.find({
+    students: student._id,
+    status: { $ne: "cancelled" },
+    end_time: { $lte: to && to < now ? to : now },
+    ...(from ? { start_time: { $gte: from } } : {}),
+  }).select("batch_id start_time end_time");
+
+  const batches = await Batch.find({
+    _id: { $in: [...new Set(sessions.map((session) => String(session.batch_id)))] },
+  })
+    .select("subject_id")
+    .populate("subject_id", "subject_name");
+  const subjectOfBatch = new Map(batches.map((batch) => [String(batch._id), batch.subject_id]));
+
+  const records = recordsByMeeting(student.attendance);
+  const overall = emptyCounts();
+  const bySubject = new Map();
+  for (const session of sessions) {
+    const subject = subjectOfBatch.get(String(session.batch_id));
+    if (!subject) continue;
+    const key = String(subject._id);
+    if (!bySubject.has(key)) {
+      bySubject.set(key, {
+        subject_id: subject._id,
+        subject_name: subject.subject_name,
+        ...emptyCounts(),
+      });
+    }
+
+    const { status } = classifyAttendance(session, records.get(String(session._id)));
+    for (const counts of [bySubject.get(key), overall]) {
+      counts.sessions++;
+      counts[status]++;
+    }
+  }
+
+  const { graceMinutes, presentPercent, alertPercent } = config.attendance;
+  return {
+    policy: {
+      grace_minutes: graceMinutes,
+      present_percent: presentPercent,
+      alert_percent: alertPercent,
+    },
+    overall: withPercentage(overall),
+    subjects: [...bySubject.values()].map(withPercentage),
+  };
+};
+
+// Makes one send unless the alert records it as gone out; failures are
+// logged and reported as false
+const sendOnce = async (alert, key, send) => {
+  if (alert.sent_to.includes(key)) return true;
+  try {
+    await send();
+  } catch (error) {
+    console.error(`Error sending ${key} for attendance alert ${alert._id}:`, error);
+    return false;
+  }
+  alert.sent_to.push(key);
+  await alert.save();
+  return true;
+};
+
+/**
+ * Guardian email, student and admin notifications for an alert. Each send
+ * is recorded on the alert, so calling this again only repeats the ones
+ * that failed.
+ *
+ * @returns {Promise<boolean>} Whether every send has now gone out
+ */
+const sendAlert = async (student, subject, alert, admins) => {
+  const studentName = student.user_id.name;
+  const subjectName = subject.subject_name;
+  const results = [];
+
+  if (student.guardian && student.guardian.email) {
+    results.push(
+      await sendOnce(alert, "guardian_email", () =>
+        sendMailFunctionTA(
+          student.guardian.email,
+          "Attendance Alert",
+          attendanceAlertGuardian(
+            student.guardian.name,
+            studentName,
+            subjectName,
+            alert.percentage,
+            alert.threshold
+          )
+        )
+      )
+    );
+  }
+  results.push(
+    await sendOnce(alert, "student_notification", () =>
+      notifyUser(student.user_id._id, {
+        title: "Low attendance",
+        message: `Your attendance in ${subjectName} is ${alert.percentage}%, below the required ${alert.threshold}%.`,
+      })
+    )
+  );
+  for (const admin of admins) {
+    results.push(
+      await sendOnce(alert, `admin_notification:${admin._id}`, () =>
+        notifyUser(admin._id, {
+          title: "Low attendance",
+          message: `${studentName}'s attendance in ${subjectName} is ${alert.percentage}%.`,
+        })
+      ),
+      await sendOnce(alert, `admin_email:${admin._id}`, () =>
+        sendMailFunctionAdmin(
+          admin.email,
+          "Low Attendance",
+          attendanceAlertAdmin(
+            studentName,
+            student.user_id.email,
+            subjectName,
+            alert.percentage,
+            alert.threshold,
+            alert.sessions
+          )
+        )
+      )
+    );
+  }
+
+  return results.every(Boolean);
+};
+
+/**
+ * Opens an alert for each subject where a recently taught student's
+ * attendance is below ATTENDANCE_ALERT_PERCENT (with at least
+ * ATTENDANCE_ALERT_MIN_SESSIONS held), and resolves alerts for subjects
+ * that have recovered. Each alert notifies once; one whose notifications
+ * failed stays open without `notified_at`, and later runs repeat only the
+ * sends that failed.
+ *
+ * @returns {Promise<{alerted: number, resolved: number, failed: number}>}
+ */
+const checkAttendanceAlerts = async () => {
+  const stats = { alerted: 0, resolved: 0, failed: 0 };
+  const { alertPercent, alertMinSessions } = config.attendance;
+  const now = new Date();
+
+  const [taught, unnotified] = await Promise.all([
+    Meeting.distinct("students", {
+      status: { $ne: "cancelled" },
+      end_time: { $gte: new Date(now - ALERT_LOOKBACK_MS), $lte: now },
+    }),
+    AttendanceAlert.distinct("student_id", { status: "open", notified_at: null }),
+  ]);
+  const studentIds = [...new Set([...taught, ...unnotified].map(String))];
+  if (studentIds.length === 0) return stats;
+  const admins = await User.find({ role: "admin" }).select("email");
+
+  for (const studentId of studentIds) {
+    try {
+      const student = await Student.findById(studentId)
+        .select("user_id guardian")
+        .populate("user_id", "name email");
+      if (!student || !student.user_id) continue;
+
+      const { subjects } = await attendanceSummary(studentId);
+      for (const subject of subjects) {
+        if (subject.percentage >= alertPercent) {
+          const { modifiedCount } = await AttendanceAlert.updateOne(
+            { student_id: studentId, subject_id: subject.subject_id, status: "open" },
+            { status: "resolved", resolved_at: now }
+          );
+          stats.resolved += modifiedCount;
+          continue;
+        }
+        if (subject.sessions < alertMinSessions) continue;
+
+        let alert = await AttendanceAlert.findOne({
+          student_id: studentId,
+          subject_id: subject.subject_id,
+          status: "open",
+        });
+        if (alert && alert.notified_at) continue;
+
+        if (!alert) {
+          alert = new AttendanceAlert({ student_id: studentId, subject_id: subject.subject_id });
+        }
+        alert.set({
+          percentage: subject.percentage,
+          threshold: alertPercent,
+          sessions: subject.sessions,
+        });
+        await alert.save();
+
+        if (!(await sendAlert(student, subject, alert, admins))) {
+          stats.failed++;
+          continue;
+        }
+        alert.notified_at = new Date();
+        await alert.save();
+        stats.alerted++;
+      }
+    } catch (error) {
+      console.error(`Error checking attendance alerts for student ${studentId}:`, error);
+      stats.failed++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  classifyAttendance,
+  describeAttendance,
+  attendanceSummary,
+  checkAttendanceAlerts,
+};
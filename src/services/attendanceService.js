@@ -0,0 +1,221 @@
+// src/services/attendanceService.js
+const Meeting = require("../models/meetingModel");
+const Student = require("../models/studentModel");
+const Teacher = require("../models/teacherModel");
+const config = require("../config");
+const meetingService = require("./meetingService");
+
+// Joins this close to a session still count towards it
+const WINDOW_MARGIN_MS = 30 * 60 * 1000;
+// Sessions older than this are no longer imported by the job
+const LOOKBACK_DAYS = 7;
+const MAX_ATTEMPTS = 5;
+const BATCH_SIZE = 50;
+
+const attendanceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Clips intervals to `window` and merges overlapping ones, so someone
+ * joined from two devices isn't counted twice.
+ */
+const mergeIntervals = (intervals, window) => {
+  const clipped = intervals
+    .map((interval) => ({
+      joined_at: new Date(Math.max(new Date(interval.joined_at), window.from)),
+      left_at: new Date(Math.min(new Date(interval.left_at), window.to)),
+    }))
+    .filter((interval) => interval.left_at > interval.joined_at)
+    .sort((a, b) => a.joined_at - b.joined_at);
+
+  const merged = [];
+  for (const interval of clipped) {
+    const last = merged[merged.length - 1];
+    if (last && interval.joined_at <= last.left_at) {
+      if (interval.left_at > last.left_at) last.left_at = interval.left_at;
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+  return merged;
+};
+
+// Participant report entries grouped by lower-cased email
+const groupByEmail = (participants) => {
+  const byEmail = new Map();
+  let guests = 0;
+  for (const participant of participants) {
+    const email = participant.email && participant.email.trim().toLowerCase();
+    if (!email) {
+      guests++;
+      continue;
+    }
+    if (!byEmail.has(email)) byEmail.set(email, []);
+    byEmail.get(email).push(...participant.intervals);
+  }
+  return { byEmail, guests };
+};
+
+// Hours across all records, preferring reported durations over clock times
+const workedHours = (attendance) =>
+  attendance.reduce((total, record) => {
+    if (record.duration_seconds != null) return total + record.duration_seconds / 3600;
+    if (record.clock_in_time && record.clock_out_time) {
+      return total + (record.clock_out_time - record.clock_in_time) / (60 * 60 * 1000);
+    }
+    return total;
+  }, 0);
+
+/**
+ * Writes one session's report into a Student or Teacher document. A manual
+ * clock-in for the session is kept and widened to cover the reported time;
+ * the duration always comes from the report.
+ */
+const applyReport = (person, meeting, intervals) => {
+  const joinedAt = intervals[0].joined_at;
+  const leftAt = intervals[intervals.length - 1].left_at;
+  const duration = Math.round(
+    intervals.reduce((total, interval) => total + (interval.left_at - interval.joined_at), 0) / 1000
+  );
+
+  let record = person.attendance.find(
+    (item) => item.meeting_id && item.meeting_id.equals(meeting._id)
+  );
+  if (!record) {
+    person.attendance.push({ meeting_id: meeting._id });
+    record = person.attendance[person.attendance.length - 1];
+  }
+
+  // Records from before sources were tracked all came from clock-ins
+  const manual = Boolean(record.clock_in_time) && record.source !== "provider";
+  record.clock_in_time =
+    manual && record.clock_in_time && record.clock_in_time < joinedAt
+      ? record.clock_in_time
+      : joinedAt;
+  record.clock_out_time =
+    manual && record.clock_out_time && record.clock_out_time > leftAt
+      ? record.clock_out_time
+      : leftAt;
+  record.source = manual ? "both" : "provider";
+  record.duration_seconds = duration;
+  record.Date = meeting.start_time;
+  record.Meeting_attended = true;
+  record.Meeting_completed = true;
+  record.meeting_title = meeting.title || record.meeting_title;
+
+  person.worked_hours = workedHours(person.attendance);
+};
+
+/**
+ * Imports a finished session's attendance from its provider's participant
+ * report. Participants are matched to the session's students and teacher
+ * by email; anyone else is reported back as unmatched.
+ * Safe to run again: records for the session are rewritten, not added.
+ *
+ * @param {string} meetingId
+ * @returns {Promise<{students: number, teacher: boolean, unmatched: string[], guests: number}>}
+ */
+const importSessionAttendance = async (meetingId) => {
+  const meeting = await Meeting.findById(meetingId);
+  if (!meeting) {
+    throw attendanceError(404, "Session not found");
+  }
+  if (meeting.status === "cancelled") {
+    throw attendanceError(400, "Session was cancelled");
+  }
+  if (!meeting.start_time || !meeting.end_time) {
+    throw attendanceError(400, "Session has no recorded start and end time");
+  }
+  if (meeting.end_time > new Date()) {
+    throw attendanceError(400, "Session has not ended yet");
+  }
+
+  const window = {
+    from: new Date(meeting.start_time.getTime() - WINDOW_MARGIN_MS),
+    to: new Date(meeting.end_time.getTime() + WINDOW_MARGIN_MS),
+  };
+  const participants = await meetingService.listParticipants(meeting, window);
+  const { byEmail, guests } = groupByEmail(participants);
+
+  const [students, teacher] = await Promise.all([
+    Student.find({ _id: { $in: meeting.students } }).populate("user_id", "email"),
+    Teacher.findById(meeting.teacher_id).populate("user_id", "email"),
+  ]);
+
+  // Teachers host Teams meetings under their Microsoft account
+  const emailsOf = (person) =>
+    [person.user_id && person.user_id.email, person.microsoft_principle_name]
+      .filter(Boolean)
+      .map((email) => email.trim().toLowerCase());
+
+  const matched = new Set();
+  const result = { students: 0, teacher: false };
+  for (const person of [...students, teacher].filter(Boolean)) {
+    const emails = emailsOf(person).filter((email) => byEmail.has(email));
+    emails.forEach((email) => matched.add(email));
+    const intervals = mergeIntervals(
+      emails.flatMap((email) => byEmail.get(email)),
+      window
+    );
+    if (intervals.length === 0) continue;
+
+    applyReport(person, meeting, intervals);
+    await person.save();
+    if (person === teacher) result.teacher = true;
+    else result.students++;
+  }
+
+  meeting.attendance_imported_at = new Date();
+  await meeting.save();
+
+  return {
+    ...result,
+    unmatched: [...byEmail.keys()].filter((email) => !matched.has(email)),
+    guests,
+  };
+};
+
+/**
+ * Imports attendance for sessions that ended at least
+ * ATTENDANCE_IMPORT_DELAY_MINUTES ago. A session is retried on later runs
+ * until it succeeds or fails MAX_ATTEMPTS times.
+ *
+ * @returns {Promise<{imported: number, failed: number}>}
+ */
+const importDueAttendance = async () => {
+  const stats = { imported: 0, failed: 0 };
+  const now = Date.now();
+  const meetings = await Meeting.find({
+    status: { $ne: "cancelled" },
+    attendance_imported_at: { $exists: false },
+    attendance_import_attempts: { $not: { $gte: MAX_ATTEMPTS } },
+    end_time: {
+      $lte: new Date(now - config.attendance.importDelayMinutes * 60 * 1000),
+      $gte: new Date(now - LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+    },
+  })
+    .select("_id")
+    .sort({ end_time: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const meeting of meetings) {
+    try {
+      const result = await importSessionAttendance(meeting._id);
+      if (result.unmatched.length > 0) {
+        console.log(`Session ${meeting._id}: no account for ${result.unmatched.join(", ")}`);
+      }
+      stats.imported++;
+    } catch (error) {
+      console.error(`Error importing attendance for session ${meeting._id}:`, error.message);
+      await Meeting.updateOne({ _id: meeting._id }, { $inc: { attendance_import_attempts: 1 } });
+      stats.failed++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = { mergeIntervals, importSessionAttendance, importDueAttendance };
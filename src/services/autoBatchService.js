@@ -0,0 +1,312 @@
+// src/services/autoBatchService.js
+const mongoose = require("mongoose");
+const AutoBatchPlan = require("../models/autoBatchPlanModel");
+const Batch = require("../models/batchModel");
+const Student = require("../models/studentModel");
+const Subject = require("../models/subjectModel");
+const Teacher = require("../models/teacherModel");
+const TimeSlot = require("../models/timeSlotModel");
+const TypeOfBatch = require("../models/typeOfBatchModel");
+const config = require("../config");
+const { initialStatus, resolveTermEnd } = require("./batchLifecycleService");
+const { enrolmentOperations } = require("./batchCapacityService");
+const { assertTeachersFree, localParts, zonedTime } = require("./schedulingService");
+
+const PLAN_TTL_MS = 24 * 60 * 60 * 1000;
+
+const autoBatchError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Students who have paid for `subjectId` but have no batch for it yet, the
+ * same rule as POST /students/student/eligible-student.
+ */
+const findEligibleStudents = ({ subjectId, typeOfBatchId, classId }, session = null) => {
+  const entry = { _id: subjectId };
+  if (typeOfBatchId) entry.type_of_batch = typeOfBatchId;
+
+  const filter = {
+    subject_id: { $elemMatch: entry },
+    "batch_creation.subject_id": { $ne: subjectId },
+    $or: [{ is_paid: true }, { custom_package_status: "approved" }],
+  };
+  if (classId) filter.class = classId;
+
+  return Student.find(filter)
+    .select("class board_id preferred_time_slot subject_id")
+    .sort({ _id: 1 })
+    .session(session);
+};
+
+// Splits `items` into the fewest groups of at most `size`, evened out
+const splitEvenly = (items, size) => {
+  const count = Math.ceil(items.length / size);
+  const groups = [];
+  for (let index = 0; index < count; index++) {
+    const from = Math.floor((index * items.length) / count);
+    const to = Math.floor(((index + 1) * items.length) / count);
+    groups.push(items.slice(from, to));
+  }
+  return groups;
+};
+
+// Planned and active batches per teacher
+const teacherLoads = async () => {
+  const loads = await Batch.aggregate([
+    { $match: { status: { $in: ["planned", "active"] } } },
+    { $unwind: "$teacher_id" },
+    { $group: { _id: "$teacher_id", batches: { $sum: 1 } } },
+  ]);
+  return new Map(loads.map((load) => [String(load._id), load.batches]));
+};
+
+/**
+ * Least-loaded approved teacher for the subject, class and board with a
+ * batch to spare. Proposals count towards the load, so a plan spreads its
+ * batches across teachers.
+ */
+const proposeTeacher = (teachers, loads, { subjectId, classId, boardId }) => {
+  const candidates = teachers
+    .filter(
+      (teacher) =>
+        teacher.subject.some((id) => id.equals(subjectId)) &&
+        teacher.class_id.some((id) => id.equals(classId)) &&
+        (!boardId || (teacher.board_id && teacher.board_id.equals(boardId)))
+    )
+    .map((teacher) => ({ teacher, load: loads.get(String(teacher._id)) || 0 }))
+    .filter(({ load }) => load < config.autoBatching.teacherMaxBatches)
+    .sort((a, b) => a.load - b.load);
+
+  if (candidates.length === 0) return null;
+  const chosen = candidates[0].teacher;
+  loads.set(String(chosen._id), candidates[0].load + 1);
+  return chosen._id;
+};
+
+/**
+ * Groups the eligible students for a subject by class, board, batch type
+ * and preferred time slot, splits each group into batches no larger than
+ * the batch type's max_capacity (AUTO_BATCH_DEFAULT_SIZE without one), and
+ * proposes a teacher for each. Nothing is created until the plan is
+ * confirmed.
+ *
+ * @param {Object} params
+ * @param {string} params.subjectId
+ * @param {string} [params.typeOfBatchId] - Only students on this batch type
+ * @param {string} [params.classId] - Only students in this class
+ * @param {string} [params.createdBy] - Admin's Firebase uid
+ * @returns {Promise<Object>} The saved AutoBatchPlan
+ */
+const previewAutoBatches = async ({ subjectId, typeOfBatchId, classId, createdBy }) => {
+  const subject = await Subject.findById(subjectId).select("subject_name");
+  if (!subject) {
+    throw autoBatchError(404, "Subject not found");
+  }
+
+  const students = await findEligibleStudents({ subjectId, typeOfBatchId, classId });
+
+  const groups = new Map();
+  for (const student of students) {
+    const entry = student.subject_id.find((sub) => sub._id.equals(subject._id));
+    const typeOfBatch = entry && entry.type_of_batch;
+    if (!typeOfBatch || !student.class) continue;
+
+    const key = [student.class, student.board_id, typeOfBatch, student.preferred_time_slot].join("|");
+    if (!groups.has(key)) {
+      groups.set(key, {
+        class_id: student.class,
+        board_id: student.board_id,
+        type_of_batch: typeOfBatch,
+        preferred_time_slot: student.preferred_time_slot,
+        students: [],
+      });
+    }
+    groups.get(key).students.push(student._id);
+  }
+
+  const typeIds = [...new Set([...groups.values()].map((group) => String(group.type_of_batch)))];
+  const [types, teachers, loads] = await Promise.all([
+    TypeOfBatch.find({ _id: { $in: typeIds } }).select("title max_capacity"),
+    Teacher.find({ approval_status: "approved", subject: subject._id }).select(
+      "subject class_id board_id"
+    ),
+    teacherLoads(),
+  ]);
+
+  const batches = [];
+  for (const group of groups.values()) {
+    const type = types.find((entry) => entry._id.equals(group.type_of_batch));
+    if (!type) continue;
+    const size = type.max_capacity || config.autoBatching.defaultSize;
+
+    splitEvenly(group.students, size).forEach((members, index, all) => {
+      batches.push({
+        batch_name: `${subject.subject_name} - ${type.title}${all.length > 1 ? ` ${index + 1}` : ""}`,
+        class_id: group.class_id,
+        board_id: group.board_id,
+        type_of_batch: group.type_of_batch,
+        preferred_time_slot: group.preferred_time_slot,
+        students: members,
+        teacher_id: proposeTeacher(teachers, loads, {
+          subjectId: subject._id,
+          classId: group.class_id,
+          boardId: group.board_id,
+        }),
+      });
+    });
+  }
+
+  return AutoBatchPlan.create({
+    created_by: createdBy,
+    subject_id: subject._id,
+    type_of_batch: typeOfBatchId,
+    class_id: classId,
+    batches,
+    expires_at: new Date(Date.now() + PLAN_TTL_MS),
+  });
+};
+
+/**
+ * The time of day of a TimeSlot (in SCHEDULING_TIMEZONE) on the date of
+ * `start`, or null without a usable slot.
+ *
+ * @returns {Promise<{start: Date, end: Date}|null>}
+ */
+const firstClassSlot = async (timeSlotId, start) => {
+  if (!timeSlotId) return null;
+  const timeSlot = await TimeSlot.findById(timeSlotId).select("time_slot");
+  if (!timeSlot || !timeSlot.time_slot.start || !timeSlot.time_slot.end) return null;
+
+  const timeZone = config.scheduling.timezone;
+  const date = localParts(start, timeZone).date;
+  const onDate = (time) => {
+    const { minutes } = localParts(time, timeZone);
+    return zonedTime(date, `${Math.floor(minutes / 60)}:${minutes % 60}`, timeZone);
+  };
+  const slot = { start: onDate(timeSlot.time_slot.start), end: onDate(timeSlot.time_slot.end) };
+  // A slot running past midnight ends the next day
+  if (slot.end <= slot.start) slot.end = new Date(slot.end.getTime() + 24 * 60 * 60 * 1000);
+  return slot;
+};
+
+/**
+ * Creates every batch in a draft plan in one transaction. `overrides`
+ * replace the proposed teacher or name of the batch at the same position.
+ * Students who were placed in a batch since the preview are left out, and a
+ * batch left with no students is skipped. Each teacher must be free at the
+ * batch's preferred time slot on the start date, and no teacher may take two
+ * of the plan's batches at the same time; otherwise nothing is created and
+ * the 409 carries the conflicts.
+ *
+ * @param {Object} params
+ * @param {string} params.planId
+ * @param {Date|string} [params.startDate] - Defaults to today
+ * @param {Array<{index: number, teacher_id?: string, batch_name?: string}>} [params.overrides]
+ * @returns {Promise<{plan: Object, batches: Object[]}>}
+ */
+const confirmAutoBatches = async ({ planId, startDate, overrides = [] }) => {
+  const start = startDate ? new Date(startDate) : new Date();
+  if (isNaN(start.getTime())) {
+    throw autoBatchError(400, "Invalid start_date");
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    // Claiming the plan inside the transaction makes a second confirm fail
+    const plan = await AutoBatchPlan.findOneAndUpdate(
+      { _id: planId, status: "draft", expires_at: { $gt: new Date() } },
+      { status: "confirmed" },
+      { new: true, session }
+    );
+    if (!plan) {
+      throw autoBatchError(404, "Plan not found, already confirmed or expired");
+    }
+
+    const stillEligible = new Set(
+      (
+        await findEligibleStudents(
+          { subjectId: plan.subject_id, typeOfBatchId: plan.type_of_batch, classId: plan.class_id },
+          session
+        )
+      ).map((student) => String(student._id))
+    );
+
+    const created = [];
+    const booked = [];
+    for (const [index, proposed] of plan.batches.entries()) {
+      const override = overrides.find((entry) => entry.index === index) || {};
+      const teacherId = override.teacher_id || proposed.teacher_id;
+      const studentIds = proposed.students.filter((id) => stillEligible.has(String(id)));
+      if (studentIds.length === 0) continue;
+      if (!teacherId) {
+        throw autoBatchError(400, `Batch ${index} (${proposed.batch_name}) needs a teacher`);
+      }
+      if (override.teacher_id && !(await Teacher.exists({ _id: teacherId }).session(session))) {
+        throw autoBatchError(400, `Teacher ${teacherId} not found`);
+      }
+
+      const slot = await firstClassSlot(proposed.preferred_time_slot, start);
+      if (slot) {
+        const clash = booked.find(
+          (entry) =>
+            entry.teacherId === String(teacherId) && entry.start < slot.end && slot.start < entry.end
+        );
+        if (clash) {
+          throw autoBatchError(
+            409,
+            `Batches ${clash.index} and ${index} would both have teacher ${teacherId} at the same time`
+          );
+        }
+        await assertTeachersFree([teacherId], [slot]);
+        booked.push({ teacherId: String(teacherId), index, ...slot });
+      }
+
+      const term = await resolveTermEnd(proposed.class_id, start);
+      const [batch] = await Batch.create(
+        [
+          {
+            batch_name: override.batch_name || proposed.batch_name,
+            subject_id: plan.subject_id,
+            class_id: proposed.class_id,
+            teacher_id: [teacherId],
+            type_of_batch: proposed.type_of_batch,
+            students: studentIds,
+            start_date: start,
+            date: term.endDate,
+            academic_year: term.academicYear,
+            status: initialStatus(start),
+          },
+        ],
+        { session }
+      );
+
+      const students = await Student.find({ _id: { $in: studentIds } })
+        .select("subject_id")
+        .session(session);
+      await Student.bulkWrite(
+        students.flatMap((student) => enrolmentOperations(student, batch)),
+        { session }
+      );
+      studentIds.forEach((id) => stillEligible.delete(String(id)));
+      created.push(batch);
+    }
+
+    plan.created_batch_ids = created.map((batch) => batch._id);
+    await plan.save({ session });
+
+    await session.commitTransaction();
+    return { plan, batches: created };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = { previewAutoBatches, confirmAutoBatches };
@@ -0,0 +1,207 @@
+// src/services/batchCapacityService.js
+const Batch = require("../models/batchModel");
+const Student = require("../models/studentModel");
+const Subject = require("../models/subjectModel");
+const TypeOfBatch = require("../models/typeOfBatchModel");
+const { notifyUser } = require("./notificationService");
+const { waitlistPromotedStudent } = require("../mailTemplate/mailTemplates");
+const { sendMailFunctionTA } = require("../Mail/sendMail");
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+/**
+ * Seats in a batch: its own max_capacity, else its batch type's, else
+ * unlimited (null).
+ */
+const capacityOf = async (batch) => {
+  if (batch.max_capacity) return batch.max_capacity;
+  if (!batch.type_of_batch) return null;
+
+  const type = await TypeOfBatch.findById(batch.type_of_batch).select("max_capacity");
+  return (type && type.max_capacity) || null;
+};
+
+/**
+ * Splits students joining a batch into those who get a seat and those who
+ * overflow, in the order given. Students already in the batch always keep
+ * their seat.
+ *
+ * @returns {{admitted: string[], overflow: string[], seatsLeft: (number|null)}}
+ */
+const allocateSeats = (currentStudents, studentIds, capacity) => {
+  const current = new Set(currentStudents.map(String));
+  const joining = studentIds.map(String).filter((id) => !current.has(id));
+  if (!capacity) {
+    return { admitted: studentIds.map(String), overflow: [], seatsLeft: null };
+  }
+
+  const seatsLeft = Math.max(capacity - current.size, 0);
+  return {
+    admitted: [...studentIds.map(String).filter((id) => current.has(id)), ...joining.slice(0, seatsLeft)],
+    overflow: joining.slice(seatsLeft),
+    seatsLeft,
+  };
+};
+
+/**
+ * Student bulkWrite operations that place `student` in `batch`: the subject
+ * entry points at the batch and runs for its duration from the batch start
+ * (or today, once the batch has started).
+ */
+const enrolmentOperations = (student, batch, now = new Date()) => {
+  const subjectId = batch.subject_id.toString();
+  const subjectSubdoc = student.subject_id.find((sub) => sub._id.toString() === subjectId);
+  const duration = (subjectSubdoc && subjectSubdoc.duration) || 1;
+  const baseDate = batch.start_date && batch.start_date > now ? batch.start_date : now;
+  const expiry = addMonths(baseDate, duration);
+
+  const operations = [];
+  if (subjectSubdoc) {
+    operations.push({
+      updateOne: {
+        filter: { _id: student._id, "subject_id._id": subjectId },
+        update: {
+          $set: {
+            "subject_id.$.batch_id": batch._id,
+            "subject_id.$.batch_status": "active",
+            "subject_id.$.batch_expiry_date": expiry,
+            "subject_id.$.batch_assigned": true,
+          },
+        },
+      },
+    });
+  } else {
+    operations.push({
+      updateOne: {
+        filter: { _id: student._id },
+        update: {
+          $push: {
+            subject_id: {
+              _id: subjectId,
+              batch_id: batch._id,
+              batch_assigned: true,
+              batch_expiry_date: expiry,
+              batch_status: "active",
+              duration,
+            },
+          },
+        },
+      },
+    });
+  }
+  // batch_creation entries get their own _id, so $addToSet never sees a
+  // duplicate: mark the subject's entry, or add one only if there is none
+  operations.push(
+    {
+      updateOne: {
+        filter: { _id: student._id, "batch_creation.subject_id": subjectId },
+        update: { $set: { "batch_creation.$.status": true } },
+      },
+    },
+    {
+      updateOne: {
+        filter: { _id: student._id, "batch_creation.subject_id": { $ne: subjectId } },
+        update: { $push: { batch_creation: { subject_id: subjectId, status: true } } },
+      },
+    }
+  );
+  return operations;
+};
+
+const notifyPromoted = async (student, batch) => {
+  try {
+    const subject = await Subject.findById(batch.subject_id).select("subject_name");
+    const subjectName = subject ? subject.subject_name : "your subject";
+    const startDate = batch.start_date && batch.start_date > new Date()
+      ? batch.start_date.toDateString()
+      : null;
+
+    await sendMailFunctionTA(
+      student.user_id.email,
+      "A Seat Is Now Available",
+      waitlistPromotedStudent(student.user_id.name, subjectName, batch.batch_name, startDate)
+    );
+    await notifyUser(student.user_id._id, {
+      title: "You're in!",
+      message: `A seat opened up in ${batch.batch_name} (${subjectName}) and you have been moved off the waitlist.`,
+    });
+  } catch (error) {
+    console.error(`Error notifying student ${student._id} of waitlist promotion:`, error);
+  }
+};
+
+// Waitlisted students whose subject has since lapsed no longer get a seat
+const stillEntitled = (student, batch) => {
+  const subjectId = batch.subject_id.toString();
+  const entry = student.subject_id.find((sub) => sub._id.toString() === subjectId);
+  return !entry || entry.batch_status !== "expired";
+};
+
+/**
+ * Fills free seats in a batch from its waitlist, first come first served,
+ * and notifies each promoted student. A seat is claimed with a conditional
+ * update on the batch, so concurrent promotions can't overfill it.
+ *
+ * @param {Object} batchId
+ * @returns {Promise<Object[]>} Ids of the promoted students
+ */
+const promoteFromWaitlist = async (batchId) => {
+  const batch = await Batch.findById(batchId);
+  if (!batch || batch.waitlist.length === 0) return [];
+  if (!["planned", "active"].includes(batch.status)) return [];
+
+  const capacity = await capacityOf(batch);
+  // With room for `capacity` students the last seat is index capacity - 1
+  const seatFree = capacity ? { [`students.${capacity - 1}`]: { $exists: false } } : {};
+  const promoted = [];
+
+  for (const entry of batch.waitlist) {
+    const student = await Student.findById(entry.student_id).populate("user_id");
+    if (!student || !stillEntitled(student, batch)) {
+      await Batch.updateOne({ _id: batch._id }, { $pull: { waitlist: { student_id: entry.student_id } } });
+      continue;
+    }
+
+    const claimed = await Batch.findOneAndUpdate(
+      { _id: batch._id, "waitlist.student_id": entry.student_id, ...seatFree },
+      {
+        $addToSet: { students: entry.student_id },
+        $pull: { waitlist: { student_id: entry.student_id } },
+      },
+      { new: true }
+    );
+    if (!claimed) break; // Full again
+
+    await Student.bulkWrite(enrolmentOperations(student, claimed));
+    promoted.push(student._id);
+    await notifyPromoted(student, claimed);
+  }
+
+  return promoted;
+};
+
+/**
+ * Promotes waitlisted students into each batch; for callers that just freed
+ * seats. Errors are logged per batch rather than thrown.
+ */
+const promoteFromWaitlists = async (batchIds) => {
+  for (const batchId of batchIds) {
+    try {
+      await promoteFromWaitlist(batchId);
+    } catch (error) {
+      console.error(`Error promoting waitlist of batch ${batchId}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  capacityOf,
+  allocateSeats,
+  enrolmentOperations,
+  promoteFromWaitlist,
+  promoteFromWaitlists,
+};
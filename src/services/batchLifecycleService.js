@@ -0,0 +1,243 @@
+// src/services/batchLifecycleService.js
+const mongoose = require("mongoose");
+const Batch = require("../models/batchModel");
+const Student = require("../models/studentModel");
+const Class = require("../models/classModel");
+const AcademicCalendar = require("../models/academicCalendarModel");
+const Meeting = require("../models/meetingModel");
+const SessionSeries = require("../models/sessionSeriesModel");
+const Content = require("../models/contentModel");
+const Assignment = require("../models/assignmentModel");
+const meetingService = require("./meetingService");
+const { removeScheduleEntries } = require("./sessionService");
+
+// Status changes an admin may make directly; rollover archives on its own
+const TRANSITIONS = {
+  planned: ["active", "archived"],
+  active: ["completed"],
+  completed: ["archived"],
+  archived: [],
+};
+
+// Subject statuses that still entitle a student to classes
+const ENTITLED_STATUSES = ["active", "suspended"];
+
+const batchError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const initialStatus = (startDate) => (startDate > new Date() ? "planned" : "active");
+
+/**
+ * End of the academic year a batch starting on `onDate` belongs to, from the
+ * class's calendar entry or else its board's. Without either, the term runs
+ * to February 1st of the following year.
+ *
+ * @param {Object} classId
+ * @param {Date} [onDate=new Date()]
+ * @returns {Promise<{endDate: Date, academicYear: (string|undefined)}>}
+ */
+const resolveTermEnd = async (classId, onDate = new Date()) => {
+  const cls = await Class.findById(classId).select("curriculum");
+  if (!cls) {
+    throw batchError(404, "Class not found");
+  }
+
+  const calendars = await AcademicCalendar.find({
+    board_id: cls.curriculum,
+    class_id: { $in: [cls._id, null] },
+    start_date: { $lte: onDate },
+    end_date: { $gt: onDate },
+  });
+  const calendar =
+    calendars.find((entry) => entry.class_id && entry.class_id.equals(cls._id)) || calendars[0];
+
+  if (calendar) {
+    return { endDate: calendar.end_date, academicYear: calendar.academic_year };
+  }
+  return { endDate: new Date(onDate.getFullYear() + 1, 1, 1), academicYear: undefined };
+};
+
+/**
+ * Moves a batch to `status` if TRANSITIONS allows it.
+ *
+ * @returns {Promise<Object>} The updated Batch
+ */
+const setBatchStatus = async (batchId, status) => {
+  const batch = await Batch.findById(batchId);
+  if (!batch) {
+    throw batchError(404, "Batch not found");
+  }
+  if (!(TRANSITIONS[batch.status] || []).includes(status)) {
+    throw batchError(400, `A ${batch.status} batch cannot become ${status}`);
+  }
+
+  batch.status = status;
+  if (status === "completed") batch.completed_at = new Date();
+  if (status === "archived") batch.archived_at = new Date();
+  await batch.save();
+  return batch;
+};
+
+// Planned batches whose start date has arrived become active
+const activateStartedBatches = async () => {
+  const result = await Batch.updateMany(
+    { status: "planned", start_date: { $lte: new Date() } },
+    { status: "active" }
+  );
+  return { batchesActivated: result.modifiedCount };
+};
+
+/**
+ * Ends a batch's term by creating its successor for the next term, moving
+ * every student still entitled on the successor's start date into it, and
+ * archiving the old batch with its meetings, content and assignments. The
+ * old batch's upcoming sessions and series are cancelled, online meetings
+ * included; the successor is scheduled afresh. Students whose subject lapses
+ * before then stay behind on the archived batch and expire as usual.
+ *
+ * @param {Object} params
+ * @param {string} params.batchId - An active or completed batch
+ * @param {string} [params.batchName] - Defaults to the old batch's name
+ * @param {Date|string} [params.startDate] - Defaults to the old term's end,
+ *   or today if that has passed
+ * @param {string[]} [params.teacherIds] - Defaults to the old batch's teachers
+ * @returns {Promise<{successor: Object, moved: Object[], leftBehind: Object[],
+ *   cancelledSessions: number}>}
+ */
+const rolloverBatch = async ({ batchId, batchName, startDate, teacherIds }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const batch = await Batch.findById(batchId).session(session);
+    if (!batch) {
+      throw batchError(404, "Batch not found");
+    }
+    if (!["active", "completed"].includes(batch.status)) {
+      throw batchError(400, `A ${batch.status} batch cannot be rolled over`);
+    }
+
+    const now = new Date();
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(Math.max(batch.date ? batch.date.getTime() : 0, now.getTime()));
+    if (isNaN(start.getTime())) {
+      throw batchError(400, "Invalid startDate");
+    }
+    const term = await resolveTermEnd(batch.class_id, start);
+
+    const students = await Student.find({ _id: { $in: batch.students } })
+      .select("subject_id")
+      .session(session);
+    const moved = students
+      .filter((student) =>
+        student.subject_id.some(
+          (entry) =>
+            entry._id.equals(batch.subject_id) &&
+            entry.batch_id &&
+            entry.batch_id.equals(batch._id) &&
+            ENTITLED_STATUSES.includes(entry.batch_status) &&
+            entry.batch_expiry_date > start
+        )
+      )
+      .map((student) => student._id);
+
+    const [successor] = await Batch.create(
+      [
+        {
+          batch_name: batchName || batch.batch_name,
+          batch_image: batch.batch_image,
+          subject_id: batch.subject_id,
+          class_id: batch.class_id,
+          teacher_id: teacherIds && teacherIds.length > 0 ? teacherIds : batch.teacher_id,
+          type_of_batch: batch.type_of_batch,
+          students: moved,
+          start_date: start,
+          date: term.endDate,
+          academic_year: term.academicYear,
+          status: initialStatus(start),
+          predecessor_id: batch._id,
+        },
+      ],
+      { session }
+    );
+
+    await Student.updateMany(
+      { _id: { $in: moved } },
+      { $set: { "subject_id.$[entry].batch_id": successor._id } },
+      {
+        arrayFilters: [{ "entry._id": batch.subject_id, "entry.batch_id": batch._id }],
+        session,
+      }
+    );
+
+    batch.status = "archived";
+    batch.completed_at = batch.completed_at || now;
+    batch.archived_at = now;
+    batch.successor_id = successor._id;
+    await batch.save({ session });
+
+    const upcoming = await Meeting.find({
+      batch_id: batch._id,
+      status: "scheduled",
+      start_time: { $gt: now },
+    })
+      .select("provider teacher_id meetingId series_id")
+      .session(session);
+    const upcomingIds = upcoming.map((meeting) => meeting._id);
+    await Meeting.updateMany(
+      { _id: { $in: upcomingIds } },
+      { $set: { status: "cancelled", cancellation_reason: "Batch rolled over", cancelled_at: now } },
+      { session }
+    );
+    await removeScheduleEntries(upcomingIds, session);
+    const series = await SessionSeries.find({ batch_id: batch._id, status: "active" }).session(session);
+    await SessionSeries.updateMany(
+      { _id: { $in: series.map((entry) => entry._id) } },
+      { status: "cancelled" },
+      { session }
+    );
+
+    await Meeting.updateMany({ batch_id: batch._id }, { is_active: false }, { session });
+    await Content.updateMany({ "batch._id": batch._id }, { is_archived: true }, { session });
+    await Assignment.updateMany({ batch_id: batch._id }, { is_archived: true }, { session });
+
+    await session.commitTransaction();
+
+    // Series share one online meeting; other sessions have their own.
+    // Provider failures are logged, the rollover stands
+    const online = [...series, ...upcoming.filter((meeting) => !meeting.series_id)].filter(
+      (record) => record.meetingId || record.online_meeting_id
+    );
+    for (const record of online) {
+      try {
+        await meetingService.cancelMeeting(record);
+      } catch (error) {
+        console.error(`Error cancelling the online meeting of ${record._id}:`, error);
+      }
+    }
+
+    return {
+      successor,
+      moved,
+      leftBehind: batch.students.filter((id) => !moved.some((movedId) => movedId.equals(id))),
+      cancelledSessions: upcomingIds.length,
+    };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  initialStatus,
+  resolveTermEnd,
+  setBatchStatus,
+  activateStartedBatches,
+  rolloverBatch,
+};
@@ -0,0 +1,119 @@
+// src/services/brandingService.js
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const axios = require("axios");
+const config = require("../config");
+
+const LOGO_CACHE_FILE = "logo";
+// A failed logo download is retried after this long rather than on every PDF
+const LOGO_RETRY_MS = 10 * 60 * 1000;
+
+let brandingPromise = null;
+let logoFailedAt = null;
+
+const logoCachePath = () =>
+  path.resolve(
+    config.branding.cacheDir || path.join(os.tmpdir(), "lms-branding"),
+    LOGO_CACHE_FILE
+  );
+
+const readFileIfExists = async (filePath) => {
+  try {
+    return await fs.promises.readFile(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+/**
+ * Resolves the logo without touching the network when possible: the
+ * configured local file first, then the on-disk copy of BRAND_LOGO_URL, and
+ * only then a one-off download which is written to that cache.
+ */
+const loadLogo = async () => {
+  const { logoPath, logoUrl } = config.branding;
+
+  if (logoPath) {
+    const logo = await readFileIfExists(path.resolve(logoPath));
+    if (logo) return logo;
+    console.error(`Brand logo not found at ${logoPath}`);
+  }
+
+  if (!logoUrl) return null;
+
+  const cachePath = logoCachePath();
+  const cached = await readFileIfExists(cachePath);
+  if (cached) return cached;
+
+  let logo;
+  try {
+    const response = await axios.get(logoUrl, {
+      responseType: "arraybuffer",
+      timeout: 5000,
+    });
+    logo = Buffer.from(response.data);
+  } catch (error) {
+    // Invoices still render, with the brand name in place of the logo
+    console.error("Unable to download brand logo:", error.message);
+    logoFailedAt = Date.now();
+    return null;
+  }
+
+  try {
+    await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+    await fs.promises.writeFile(cachePath, logo);
+  } catch (error) {
+    console.error("Unable to cache brand logo:", error.message);
+  }
+  return logo;
+};
+
+/**
+ * Branding used when rendering invoices, loaded once per process.
+ *
+ * @returns {Promise<{name: string, logo: Buffer|null, terms: string[],
+ *   footerText: string, version: string, complete: boolean}>} `version`
+ *   changes whenever the logo or any text changes, and is stored with each
+ *   cached PDF
+ */
+const getBranding = () => {
+  if (logoFailedAt && Date.now() - logoFailedAt > LOGO_RETRY_MS) {
+    brandingPromise = null;
+  }
+  if (!brandingPromise) {
+    logoFailedAt = null;
+    brandingPromise = loadLogo()
+      .then((logo) => {
+        const { name, terms, footerText } = config.branding;
+        const version = crypto
+          .createHash("sha256")
+          .update(JSON.stringify({ name, terms, footerText, seller: config.invoice.seller }))
+          .update(logo || "")
+          .digest("hex")
+          .slice(0, 16);
+        // False while a configured logo could not be loaded
+        const complete = Boolean(logo) || !(config.branding.logoPath || config.branding.logoUrl);
+        return { name, logo, terms, footerText, version, complete };
+      })
+      .catch((error) => {
+        brandingPromise = null;
+        throw error;
+      });
+  }
+  return brandingPromise;
+};
+
+/**
+ * Drops the in-memory branding and the downloaded logo so the next call
+ * picks up a changed logo or text.
+ */
+const reloadBranding = async () => {
+  brandingPromise = null;
+  await fs.promises.rm(logoCachePath(), { force: true });
+  return getBranding();
+};
+
+module.exports = { getBranding, reloadBranding };
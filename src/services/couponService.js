@@ -0,0 +1,175 @@
+// src/services/couponService.js
+const Coupon = require("../models/couponModel");
+const CouponRedemption = require("../models/couponRedemptionModel");
+const { round2 } = require("../utils/gst");
+
+// How long an open checkout holds a coupon use before it is given back
+const RESERVATION_MINUTES = 30;
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const includesId = (ids, id) => ids.some((candidate) => String(candidate) === String(id));
+
+/**
+ * Gives back the uses held by matching reservations. Each reservation is
+ * released at most once, so the counter cannot be decremented twice.
+ */
+const releaseReservations = async (couponId, filter) => {
+  const reservations = await CouponRedemption.find({
+    ...filter,
+    coupon_id: couponId,
+    status: "reserved",
+  }).select("_id");
+
+  for (const reservation of reservations) {
+    const { modifiedCount } = await CouponRedemption.updateOne(
+      { _id: reservation._id, status: "reserved" },
+      { status: "released" }
+    );
+    if (modifiedCount > 0) {
+      await Coupon.updateOne({ _id: couponId }, { $inc: { times_used: -1 } });
+    }
+  }
+};
+
+/**
+ * Checks a coupon against an order and works out its discount. Throws a 400
+ * error with a message fit to show the student when it does not apply.
+ *
+ * @param {Object} params
+ * @param {string} params.code
+ * @param {string} params.studentId
+ * @param {string} params.classId - Student's class
+ * @param {Object[]} params.lines - { subject_id, type_of_batch, net } where
+ *   `net` is the line value after batch and site-wide discounts
+ * @returns {Promise<{coupon: Object, discount: number}>}
+ */
+const evaluateCoupon = async ({ code, studentId, classId, lines }) => {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.is_active) {
+    throw couponError("Invalid coupon code");
+  }
+
+  const now = new Date();
+  if (coupon.valid_from && now < coupon.valid_from) {
+    throw couponError("This coupon is not active yet");
+  }
+  if (coupon.valid_until && now > coupon.valid_until) {
+    throw couponError("This coupon has expired");
+  }
+  if (coupon.class_ids.length > 0 && !includesId(coupon.class_ids, classId)) {
+    throw couponError("This coupon is not valid for your class");
+  }
+
+  const eligible = lines.filter(
+    (line) =>
+      (coupon.subject_ids.length === 0 || includesId(coupon.subject_ids, line.subject_id)) &&
+      (coupon.type_of_batch_ids.length === 0 ||
+        includesId(coupon.type_of_batch_ids, line.type_of_batch))
+  );
+  if (eligible.length === 0) {
+    throw couponError("This coupon does not apply to the selected subjects");
+  }
+
+  const orderValue = lines.reduce((sum, line) => sum + line.net, 0);
+  if (orderValue < coupon.min_order_value) {
+    throw couponError(`A minimum order of ₹${coupon.min_order_value} is required for this coupon`);
+  }
+
+  // Lapsed checkouts, and this student's own earlier unpaid checkouts, no
+  // longer hold a use. Should one of those still be paid, redeemCoupon takes
+  // the use back.
+  await releaseReservations(coupon._id, {
+    $or: [{ expires_at: { $lt: new Date() } }, { student_id: studentId }],
+  });
+  const { times_used: timesUsed } = await Coupon.findById(coupon._id).select("times_used");
+  if (coupon.usage_limit && timesUsed >= coupon.usage_limit) {
+    throw couponError("This coupon has reached its usage limit");
+  }
+
+  const usedByStudent = await CouponRedemption.countDocuments({
+    coupon_id: coupon._id,
+    student_id: studentId,
+    status: "redeemed",
+  });
+  if (usedByStudent >= coupon.per_user_limit) {
+    throw couponError("You have already used this coupon");
+  }
+
+  const eligibleValue = eligible.reduce((sum, line) => sum + line.net, 0);
+  let discount =
+    coupon.discount_type === "percentage"
+      ? (eligibleValue * coupon.discount_value) / 100
+      : coupon.discount_value;
+  if (coupon.discount_type === "percentage" && coupon.max_discount) {
+    discount = Math.min(discount, coupon.max_discount);
+  }
+
+  return { coupon, discount: round2(Math.min(discount, eligibleValue)) };
+};
+
+/**
+ * Holds one use of the coupon for an open checkout. The usage limit is
+ * enforced atomically here, so two checkouts cannot take the last use.
+ */
+const reserveCoupon = async ({ coupon, studentId, paymentId, discount }) => {
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: coupon._id,
+      $or: [
+        { usage_limit: null },
+        { $expr: { $lt: ["$times_used", "$usage_limit"] } },
+      ],
+    },
+    { $inc: { times_used: 1 } }
+  );
+  if (!claimed) {
+    throw couponError("This coupon has reached its usage limit");
+  }
+
+  return CouponRedemption.create({
+    coupon_id: coupon._id,
+    student_id: studentId,
+    payment_id: paymentId,
+    code: coupon.code,
+    discount_amount: discount,
+    expires_at: new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000),
+  });
+};
+
+/**
+ * Marks the payment's coupon as redeemed once the payment is captured. A
+ * reservation released in the meantime takes its use back, even if that goes
+ * over the limit, because the student has already paid the discounted price.
+ */
+const redeemCoupon = async (paymentId) => {
+  const previous = await CouponRedemption.findOneAndUpdate(
+    { payment_id: paymentId, status: { $ne: "redeemed" } },
+    { status: "redeemed", redeemed_at: new Date() }
+  );
+  if (previous && previous.status === "released") {
+    await Coupon.updateOne({ _id: previous.coupon_id }, { $inc: { times_used: 1 } });
+  }
+};
+
+// Gives the use back when the order could not be created
+const releaseCoupon = async (paymentId) => {
+  const previous = await CouponRedemption.findOneAndUpdate(
+    { payment_id: paymentId, status: "reserved" },
+    { status: "released" }
+  );
+  if (previous) {
+    await Coupon.updateOne({ _id: previous.coupon_id }, { $inc: { times_used: -1 } });
+  }
+};
+
+module.exports = {
+  evaluateCoupon,
+  reserveCoupon,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -1,20 +1,19 @@
 // src/services/firebaseService.js
 const admin = require("firebase-admin");
-const base64ServiceAccount =
-  require("./../utils/constants").base64ServiceAccount;
+const config = require("../config");
 
-const serviceAccountJSON = Buffer.from(base64ServiceAccount, "base64").toString(
-  "utf8"
-);
+const serviceAccountJSON = Buffer.from(
+  config.firebase.serviceAccountBase64,
+  "base64"
+).toString("utf8");
 
 const serviceAccount = JSON.parse(serviceAccountJSON);
 
 admin.initializeApp({
   credential: admin.credential.cert(serviceAccount),
-  storageBucket: "lmseducationplaform.appspot.com",
+  storageBucket: config.firebase.storageBucket,
 });
 
 const bucket = admin.storage().bucket();
 
 module.exports = { admin, bucket };
-  
\ No newline at end of file
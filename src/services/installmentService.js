@@ -0,0 +1,326 @@
+// src/services/installmentService.js
+const mongoose = require("mongoose");
+const InstallmentPlan = require("../models/installmentPlanModel");
+const Payment = require("../models/paymentModel");
+const Student = require("../models/studentModel");
+const config = require("../config");
+const { claimQuote, releaseQuote } = require("./quoteService");
+const { reserveCoupon, releaseCoupon } = require("./couponService");
+const {
+  createPaymentLink,
+  claimPayment,
+  fulfilClaimedOrder,
+} = require("./paymentService");
+const { installmentOverdueStudent } = require("../mailTemplate/mailTemplates");
+const { sendMailFunctionTA } = require("../Mail/sendMail");
+
+const MAX_INSTALLMENTS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const installmentError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+// Payment link reference ids look like inst_<plan id>_<sequence>
+const referenceFor = (plan, installment) => `inst_${plan._id}_${installment.sequence}`;
+
+const parseReference = (referenceId) => {
+  const match = /^inst_([a-f0-9]{24})_(\d+)$/.exec(referenceId || "");
+  return match ? { planId: match[1], sequence: Number(match[2]) } : null;
+};
+
+const isInstallmentReference = (referenceId) => Boolean(parseReference(referenceId));
+
+// Equal dues in whole paise; the first absorbs the remainder
+const splitAmount = (total, count) => {
+  const paise = Math.round(total * 100);
+  const share = Math.floor(paise / count);
+  return Array.from({ length: count }, (_, index) =>
+    (index === 0 ? paise - share * (count - 1) : share) / 100
+  );
+};
+
+/**
+ * Sends the payment link for one due. The link stays valid until the end of
+ * the grace period.
+ */
+const sendInstallmentLink = async (plan, installment) => {
+  const student = await Student.findById(plan.student_id).populate("user_id");
+  const graceEnd = new Date(installment.due_date.getTime() + config.installments.graceDays * DAY_MS);
+
+  const link = await createPaymentLink({
+    amount: installment.amount,
+    referenceId: referenceFor(plan, installment),
+    description: `Installment ${installment.sequence} of ${plan.installments.length}`,
+    student,
+    expireBy: new Date(Math.max(graceEnd.getTime(), Date.now() + DAY_MS)),
+  });
+
+  await InstallmentPlan.updateOne(
+    { _id: plan._id, installments: { $elemMatch: { _id: installment._id, status: "scheduled" } } },
+    {
+      "installments.$.status": "link_sent",
+      "installments.$.payment_link_id": link.id,
+      "installments.$.short_url": link.short_url,
+    }
+  );
+  return link;
+};
+
+/**
+ * Turns a quote into an order paid in `count` monthly dues, the first due
+ * today. The order is fulfilled, and the invoice for its full value issued,
+ * when the first due is paid.
+ *
+ * @param {Object} params
+ * @param {string} params.quoteId - Signed quote for a new purchase or renewal
+ * @param {number} params.count - Number of dues, at most the order's months
+ * @returns {Promise<Object>} The saved InstallmentPlan
+ */
+const createInstallmentPlan = async ({ quoteId, count }) => {
+  if (!Number.isInteger(count) || count < 2 || count > MAX_INSTALLMENTS) {
+    throw installmentError(400, `installments must be a whole number from 2 to ${MAX_INSTALLMENTS}`);
+  }
+
+  const paymentId = new mongoose.Types.ObjectId();
+  const quote = await claimQuote({ quoteId, kind: ["new", "renewal"], paymentId });
+  const { pricing } = quote;
+  const planId = new mongoose.Types.ObjectId();
+
+  let plan;
+  try {
+    const months = Math.max(...pricing.lines.map((line) => line.duration || 0));
+    if (count > months) {
+      throw installmentError(400, `A ${months}-month order can be split into at most ${months} installments`);
+    }
+
+    if (quote.coupon_id) {
+      await reserveCoupon({
+        coupon: { _id: quote.coupon_id, code: quote.coupon_code },
+        studentId: quote.student_id,
+        paymentId,
+        discount: pricing.coupon_discount,
+      });
+    }
+
+    await Payment.create({
+      _id: paymentId,
+      amount: pricing.total,
+      status: "created",
+      student_id: quote.student_id,
+      description: `Payment in ${count} installments`,
+      receipt: `installments_${planId}`,
+      pricing,
+      coupon_id: quote.coupon_id,
+      coupon_code: quote.coupon_code,
+      installment_plan_id: planId,
+    });
+
+    const now = new Date();
+    plan = await InstallmentPlan.create({
+      _id: planId,
+      payment_id: paymentId,
+      student_id: quote.student_id,
+      total: pricing.total,
+      renewal:
+        quote.kind === "renewal"
+          ? {
+              subjectId: quote.renewal.subject_id.toString(),
+              batchId: quote.renewal.batch_id.toString(),
+              duration: quote.renewal.duration,
+            }
+          : undefined,
+      installments: splitAmount(pricing.total, count).map((amount, index) => ({
+        sequence: index + 1,
+        amount,
+        due_date: addMonths(now, index),
+      })),
+    });
+  } catch (error) {
+    await Promise.all([
+      Payment.deleteOne({ _id: paymentId, status: "created" }),
+      quote.coupon_id ? releaseCoupon(paymentId) : null,
+      releaseQuote(quote),
+    ]).catch((releaseError) =>
+      console.error(`Error releasing quote ${quote._id}:`, releaseError)
+    );
+    throw error;
+  }
+
+  // The daily job retries the link if Razorpay is unavailable right now
+  try {
+    await sendInstallmentLink(plan, plan.installments[0]);
+  } catch (error) {
+    console.error(`Error sending first installment link for plan ${plan._id}:`, error);
+  }
+  return InstallmentPlan.findById(plan._id);
+};
+
+// Moves the plan's subjects between "active" and "suspended"
+const setSubjectsStatus = async (plan, from, to) => {
+  const payment = await Payment.findById(plan.payment_id).select("purchased_subjects");
+  const subjectIds = payment.purchased_subjects.map((sub) => sub.subject_id);
+  if (subjectIds.length === 0) return;
+
+  await Student.updateOne(
+    { _id: plan.student_id },
+    { $set: { "subject_id.$[entry].batch_status": to } },
+    { arrayFilters: [{ "entry._id": { $in: subjectIds }, "entry.batch_status": from }] }
+  );
+};
+
+/**
+ * Handles `payment_link.paid` for an installment link. The first due paid
+ * fulfils the order; paying off every overdue due lifts a suspension.
+ *
+ * @param {Object} payload - The webhook payload (payment_link, payment)
+ * @returns {Promise<string>} "processed" or "ignored"
+ */
+const recordInstallmentPayment = async (payload) => {
+  const reference = parseReference(payload.payment_link.entity.reference_id);
+  const paymentEntity = payload.payment.entity;
+
+  const plan = await InstallmentPlan.findOneAndUpdate(
+    {
+      _id: reference.planId,
+      installments: { $elemMatch: { sequence: reference.sequence, status: { $ne: "paid" } } },
+    },
+    {
+      "installments.$.status": "paid",
+      "installments.$.gateway_payment_id": paymentEntity.id,
+      "installments.$.paid_at": new Date(),
+    },
+    { new: true }
+  );
+  if (!plan) return "ignored";
+
+  try {
+    const order = await claimPayment({ _id: plan.payment_id }, paymentEntity.id);
+    if (order) {
+      const notes = plan.renewal && plan.renewal.subjectId ? plan.renewal.toObject() : {};
+      await fulfilClaimedOrder(order, notes);
+    }
+  } catch (error) {
+    await InstallmentPlan.updateOne(
+      { _id: plan._id, "installments.sequence": reference.sequence },
+      { "installments.$.status": "link_sent", "installments.$.gateway_payment_id": null }
+    );
+    throw error;
+  }
+
+  const unpaid = plan.installments.filter((installment) => installment.status !== "paid");
+  if (plan.suspended && !unpaid.some((installment) => installment.status === "overdue")) {
+    await setSubjectsStatus(plan, "suspended", "active");
+    await InstallmentPlan.updateOne({ _id: plan._id }, { suspended: false, suspended_at: null });
+  }
+  if (unpaid.length === 0) {
+    await InstallmentPlan.updateOne({ _id: plan._id }, { status: "completed" });
+  }
+  return "processed";
+};
+
+const notifyOverdue = async (plan, installment) => {
+  try {
+    const student = await Student.findById(plan.student_id).populate("user_id");
+    await sendMailFunctionTA(
+      student.user_id.email,
+      "Installment Overdue",
+      installmentOverdueStudent(
+        student.user_id.name,
+        installment.sequence,
+        installment.amount,
+        installment.due_date.toDateString(),
+        installment.short_url
+      )
+    );
+  } catch (error) {
+    console.error(`Error emailing overdue notice for plan ${plan._id}:`, error);
+  }
+};
+
+/**
+ * Daily installment run: sends links for dues coming up within the lead
+ * time, and suspends access for plans with a due unpaid past the grace
+ * period. A plan whose first due was never paid is cancelled instead, since
+ * nothing was granted yet.
+ *
+ * @returns {Promise<{linksSent: number, suspended: number, cancelled: number}>}
+ */
+const runInstallmentJob = async () => {
+  const now = new Date();
+  const stats = { linksSent: 0, suspended: 0, cancelled: 0 };
+
+  const linkCutoff = new Date(now.getTime() + config.installments.linkLeadDays * DAY_MS);
+  const upcoming = await InstallmentPlan.find({
+    status: "active",
+    installments: { $elemMatch: { status: "scheduled", due_date: { $lte: linkCutoff } } },
+  });
+  for (const plan of upcoming) {
+    for (const installment of plan.installments) {
+      if (installment.status !== "scheduled" || installment.due_date > linkCutoff) continue;
+      try {
+        await sendInstallmentLink(plan, installment);
+        stats.linksSent++;
+      } catch (error) {
+        console.error(`Error sending installment link for plan ${plan._id}:`, error);
+      }
+    }
+  }
+
+  const graceCutoff = new Date(now.getTime() - config.installments.graceDays * DAY_MS);
+  const overdue = await InstallmentPlan.find({
+    status: "active",
+    installments: {
+      $elemMatch: { status: { $in: ["scheduled", "link_sent"] }, due_date: { $lt: graceCutoff } },
+    },
+  });
+  for (const plan of overdue) {
+    try {
+      await InstallmentPlan.updateOne(
+        { _id: plan._id },
+        { $set: { "installments.$[due].status": "overdue" } },
+        {
+          arrayFilters: [
+            { "due.status": { $in: ["scheduled", "link_sent"] }, "due.due_date": { $lt: graceCutoff } },
+          ],
+        }
+      );
+
+      const order = await Payment.findById(plan.payment_id).select("status");
+      if (!order || order.status === "created") {
+        await InstallmentPlan.updateOne({ _id: plan._id }, { status: "cancelled" });
+        stats.cancelled++;
+        continue;
+      }
+      if (plan.suspended) continue;
+
+      await setSubjectsStatus(plan, "active", "suspended");
+      await InstallmentPlan.updateOne({ _id: plan._id }, { suspended: true, suspended_at: now });
+      stats.suspended++;
+
+      const firstOverdue = plan.installments.find(
+        (installment) => installment.status !== "paid" && installment.due_date < graceCutoff
+      );
+      await notifyOverdue(plan, firstOverdue);
+    } catch (error) {
+      console.error(`Error processing overdue installments for plan ${plan._id}:`, error);
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  isInstallmentReference,
+  createInstallmentPlan,
+  recordInstallmentPayment,
+  runInstallmentJob,
+};
@@ -0,0 +1,296 @@
+// src/services/invoiceService.js
+const Invoice = require("../models/invoiceModel");
+const InvoicePdf = require("../models/invoicePdfModel");
+const Payment = require("../models/paymentModel");
+const Counter = require("../models/counterModel");
+const Pricing = require("../models/pricingModel");
+const config = require("../config");
+const { getBranding, reloadBranding } = require("./brandingService");
+const { generateInvoicePDF } = require("../utils/pdfGenerator");
+const {
+  round2,
+  resolveState,
+  financialYearOf,
+  calculateTaxes,
+  lineBreakdown,
+} = require("../utils/gst");
+
+const invoiceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Allocates the next number in the document's series for the financial year
+ * of `date`, e.g. TA/2026-27/000123 for invoices and TA/CN/2026-27/000007 for
+ * credit notes. Each series restarts at 1 every April.
+ */
+const nextDocumentNumber = async (documentType, date) => {
+  const financialYear = financialYearOf(date);
+  const prefix =
+    documentType === "credit_note" ? config.invoice.creditNotePrefix : config.invoice.prefix;
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `${documentType}:${financialYear}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true }
+  );
+
+  return {
+    financialYear,
+    number: `${prefix}/${financialYear}/${String(counter.seq).padStart(6, "0")}`,
+  };
+};
+
+const sellerSnapshot = () => {
+  const { seller } = config.invoice;
+  const state = resolveState(seller.state_code);
+  return { ...seller, state: state ? state.name : undefined };
+};
+
+/**
+ * Creates and saves a tax invoice. The billing state decides the split: the
+ * same state as the seller is CGST + SGST, any other state is IGST. Without a
+ * billing state the supply is treated as intra-state, since the place of
+ * supply then defaults to the seller's location.
+ *
+ * @param {Object} params
+ * @param {Date} [params.invoiceDate]
+ * @param {Object} params.billTo - { name, email, phone, state?, gstin? }
+ * @param {Object[]} [params.items] - { description, price, quantity, hsn_sac? }
+ * @param {number} [params.discount] - Flat discount in rupees
+ * @param {Object} [params.pricing] - Breakdown of a quoted order; its lines
+ *   and total discount are used in place of `items` and `discount`
+ * @returns {Promise<Object>} The saved Invoice
+ */
+const createInvoiceDocument = async ({ invoiceDate, billTo, items, discount = 0, pricing }) => {
+  if (pricing) {
+    items = pricing.lines.map((line) => ({
+      description: line.description || line.subject_name,
+      price: line.gross,
+      quantity: 1,
+    }));
+    discount = pricing.discount;
+  }
+
+  if (!billTo || !Array.isArray(items) || items.length === 0) {
+    throw invoiceError(400, "billTo and at least one item are required");
+  }
+
+  const rates = await Pricing.findOne();
+  const gstRate = pricing ? pricing.gst_rate : (rates && rates.gst) || 0;
+
+  const seller = sellerSnapshot();
+  const billingState = resolveState(billTo.state_code || billTo.state);
+  const interState = Boolean(billingState) && billingState.code !== seller.state_code;
+  const placeOfSupply = billingState || resolveState(seller.state_code);
+
+  const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  if (discount < 0 || discount > subtotal) {
+    throw invoiceError(400, "Discount must be between 0 and the invoice subtotal");
+  }
+
+  const taxes = calculateTaxes({
+    items,
+    discount,
+    gstRate,
+    interState,
+    defaultHsnSac: config.invoice.sacCode,
+  });
+
+  const date = invoiceDate ? new Date(invoiceDate) : new Date();
+  const { number, financialYear } = await nextDocumentNumber("invoice", date);
+
+  const invoice = new Invoice({
+    invoiceNumber: number,
+    financial_year: financialYear,
+    document_type: "invoice",
+    invoiceDate: date,
+    seller,
+    billTo: {
+      ...billTo,
+      state: billingState ? billingState.name : billTo.state,
+      state_code: billingState ? billingState.code : undefined,
+    },
+    place_of_supply: placeOfSupply
+      ? `${placeOfSupply.code}-${placeOfSupply.name}`
+      : undefined,
+    tax_type: interState ? "inter_state" : "intra_state",
+    items: taxes.items,
+    discount,
+    subtotal: taxes.subtotal,
+    gst_rate: gstRate,
+    cgst: taxes.cgst,
+    sgst: taxes.sgst,
+    igst: taxes.igst,
+    gst: taxes.gst,
+    total: taxes.total,
+  });
+
+  await invoice.save();
+  return invoice;
+};
+
+/**
+ * Issues a credit note reducing `invoice` by `amount` (tax inclusive). Every
+ * line and tax head is reversed in the proportion the amount bears to the
+ * invoice total, so a full refund mirrors the invoice exactly.
+ *
+ * @param {Object} params
+ * @param {Object} params.invoice - Original Invoice document
+ * @param {number} params.amount - Rupees being credited
+ * @param {string} [params.refundId] - Razorpay refund id, unique per credit note
+ * @param {string} [params.reason]
+ * @returns {Promise<Object>} The saved credit note
+ */
+const createCreditNote = async ({ invoice, amount, refundId, reason }) => {
+  if (!(amount > 0) || amount > invoice.total) {
+    throw invoiceError(400, "Credit note amount must be greater than 0 and at most the invoice total");
+  }
+
+  const ratio = amount / invoice.total;
+  const lines = lineBreakdown(invoice).map((line) => {
+    const cgst = round2(line.cgst * ratio);
+    const sgst = round2(line.sgst * ratio);
+    const igst = round2(line.igst * ratio);
+    const taxableValue = round2(line.taxable_value * ratio);
+    return {
+      description: line.description,
+      hsn_sac: line.hsn_sac || config.invoice.sacCode,
+      price: taxableValue,
+      quantity: 1,
+      gst_rate: line.gst_rate,
+      taxable_value: taxableValue,
+      cgst,
+      sgst,
+      igst,
+      total: round2(taxableValue + cgst + sgst + igst),
+    };
+  });
+
+  // Push any rounding difference into the last line so the note equals the refund
+  const linesTotal = round2(lines.reduce((sum, line) => sum + line.total, 0));
+  const last = lines[lines.length - 1];
+  last.taxable_value = round2(last.taxable_value + amount - linesTotal);
+  last.price = last.taxable_value;
+  last.total = round2(last.total + amount - linesTotal);
+
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+  const date = new Date();
+  const { number, financialYear } = await nextDocumentNumber("credit_note", date);
+
+  const creditNote = new Invoice({
+    invoiceNumber: number,
+    financial_year: financialYear,
+    document_type: "credit_note",
+    original_invoice_id: invoice._id,
+    refund_id: refundId,
+    reason,
+    invoiceDate: date,
+    seller: invoice.seller && invoice.seller.name ? invoice.seller : sellerSnapshot(),
+    billTo: invoice.billTo,
+    place_of_supply: invoice.place_of_supply,
+    tax_type: invoice.tax_type || "intra_state",
+    items: lines,
+    discount: 0,
+    subtotal: sum("taxable_value"),
+    gst_rate: invoice.gst_rate,
+    cgst: sum("cgst"),
+    sgst: sum("sgst"),
+    igst: sum("igst"),
+    gst: round2(sum("cgst") + sum("sgst") + sum("igst")),
+    total: round2(amount),
+  });
+
+  await creditNote.save();
+  return creditNote;
+};
+
+const renderAndStorePdf = async (invoice) => {
+  await invoice.populate("original_invoice_id", "invoiceNumber invoiceDate");
+  const branding = await getBranding();
+  const pdf = await generateInvoicePDF(invoice, branding);
+
+  // Don't pin a logo-less rendering; it is retried once the logo loads
+  if (!branding.complete) return pdf;
+
+  await InvoicePdf.findOneAndUpdate(
+    { invoice_id: invoice._id },
+    { pdf, branding_version: branding.version, generated_at: new Date() },
+    { upsert: true }
+  );
+  return pdf;
+};
+
+/**
+ * Returns the invoice's PDF, rendering and storing it on first use.
+ *
+ * @param {Object|string} invoiceOrId - Invoice document or id
+ * @returns {Promise<Buffer>}
+ */
+const getInvoicePdf = async (invoiceOrId) => {
+  const isDocument = invoiceOrId instanceof Invoice;
+  const invoiceId = isDocument ? invoiceOrId._id : invoiceOrId;
+
+  const cached = await InvoicePdf.findOne({ invoice_id: invoiceId });
+  if (cached) return cached.pdf;
+
+  const invoice = isDocument ? invoiceOrId : await Invoice.findById(invoiceId);
+  if (!invoice) {
+    throw invoiceError(404, "Invoice not found");
+  }
+  return renderAndStorePdf(invoice);
+};
+
+/**
+ * Re-renders stored PDFs after a branding change. With `invoiceId` only that
+ * document is regenerated; without it every cached PDF made with older
+ * branding is dropped and will be rendered again on next download.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.invoiceId]
+ * @returns {Promise<{regenerated: number, invalidated: number}>}
+ */
+const regenerateInvoicePdfs = async ({ invoiceId } = {}) => {
+  const branding = await reloadBranding();
+
+  if (invoiceId) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (!invoice) {
+      throw invoiceError(404, "Invoice not found");
+    }
+    await renderAndStorePdf(invoice);
+    return { regenerated: 1, invalidated: 0 };
+  }
+
+  const { deletedCount } = await InvoicePdf.deleteMany({
+    branding_version: { $ne: branding.version },
+  });
+  return { regenerated: 0, invalidated: deletedCount };
+};
+
+/**
+ * Loads an invoice or credit note only if it belongs to one of the student's
+ * payments, so one student can never read another's documents.
+ *
+ * @returns {Promise<Object|null>}
+ */
+const findStudentInvoice = async (studentId, invoiceId) => {
+  const invoice = await Invoice.findById(invoiceId);
+  if (!invoice) return null;
+
+  const paidInvoiceId =
+    invoice.document_type === "credit_note" ? invoice.original_invoice_id : invoice._id;
+  const owned = await Payment.exists({ student_id: studentId, invoice_id: paidInvoiceId });
+  return owned ? invoice : null;
+};
+
+module.exports = {
+  nextDocumentNumber,
+  createInvoiceDocument,
+  createCreditNote,
+  getInvoicePdf,
+  regenerateInvoicePdfs,
+  findStudentInvoice,
+};
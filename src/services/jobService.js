@@ -0,0 +1,129 @@
+// src/services/jobService.js
+const cron = require("node-cron");
+const mongoose = require("mongoose");
+const JobLock = require("../models/jobLockModel");
+const JobRun = require("../models/jobRunModel");
+const jobs = require("../Jobs/jobRegistry");
+const connectDB = require("../config/database");
+const config = require("../config");
+
+const jobError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const findJob = (name) => jobs.find((job) => job.name === name);
+
+/**
+ * Takes the job's lock for `runId`. Fails while another run holds an
+ * unexpired lock; two runs racing to create the lock document collide on
+ * its _id and only one gets it.
+ */
+const acquireLock = async (name, runId) => {
+  const now = new Date();
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { _id: name, locked_until: { $lte: now } },
+      {
+        locked_until: new Date(now.getTime() + config.jobs.lockTtlMinutes * 60 * 1000),
+        run_id: runId,
+      },
+      { upsert: true, new: true }
+    );
+    return Boolean(lock);
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const releaseLock = (name, runId) =>
+  JobLock.updateOne({ _id: name, run_id: runId }, { locked_until: new Date() });
+
+/**
+ * Runs one registered job under its lock and records the run. A run that
+ * finds the job already running elsewhere is recorded as "skipped".
+ *
+ * @param {string} name - Job name from the registry
+ * @param {Object} [options]
+ * @param {string} [options.trigger="manual"] - "schedule", "cron" or "manual"
+ * @param {string} [options.triggeredBy] - Firebase uid of the admin
+ * @returns {Promise<Object>} The finished JobRun
+ */
+const runJob = async (name, { trigger = "manual", triggeredBy } = {}) => {
+  const job = findJob(name);
+  if (!job) {
+    throw jobError(404, `Unknown job: ${name}`);
+  }
+
+  // Serverless invocations may arrive before the boot-time connection
+  if (mongoose.connection.readyState === 0) {
+    await connectDB();
+  }
+
+  const run = await JobRun.create({ job: name, trigger, triggered_by: triggeredBy });
+  if (!(await acquireLock(name, run._id))) {
+    run.status = "skipped";
+    run.finished_at = new Date();
+    run.duration_ms = 0;
+    await run.save();
+    console.log(`Job ${name} is already running, skipped.`);
+    return run;
+  }
+
+  try {
+    run.counts = await job.handler();
+    run.status = "succeeded";
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = "failed";
+    run.error = { message: error.message, stack: error.stack };
+  } finally {
+    await releaseLock(name, run._id).catch((error) =>
+      console.error(`Error releasing lock for job ${name}:`, error)
+    );
+  }
+
+  run.finished_at = new Date();
+  run.duration_ms = run.finished_at - run.started_at;
+  await run.save();
+  return run;
+};
+
+// Schedules every registered job with node-cron in this process
+const startScheduler = () => {
+  for (const job of jobs) {
+    cron.schedule(job.schedule, () => {
+      runJob(job.name, { trigger: "schedule" }).catch((error) =>
+        console.error(`Error running scheduled job ${job.name}:`, error)
+      );
+    });
+  }
+  console.log(`Scheduled ${jobs.length} job(s) in-process.`);
+};
+
+// Registered jobs with their lock and most recent run
+const listJobs = async () => {
+  const [locks, lastRuns] = await Promise.all([
+    JobLock.find({ _id: { $in: jobs.map((job) => job.name) } }).lean(),
+    JobRun.aggregate([
+      { $sort: { started_at: -1 } },
+      { $group: { _id: "$job", run: { $first: "$$ROOT" } } },
+    ]),
+  ]);
+
+  const now = new Date();
+  return jobs.map((job) => {
+    const lock = locks.find((entry) => entry._id === job.name);
+    const last = lastRuns.find((entry) => entry._id === job.name);
+    return {
+      name: job.name,
+      schedule: job.schedule,
+      running: Boolean(lock && lock.locked_until > now),
+      lastRun: last ? last.run : null,
+    };
+  });
+};
+
+module.exports = { runJob, startScheduler, listJobs };
@@ -0,0 +1,383 @@
+// src/services/makeupService.js
+const Batch = require("../models/batchModel");
+const MakeupPoll = require("../models/makeupPollModel");
+const Meeting = require("../models/meetingModel");
+const Student = require("../models/studentModel");
+const Teacher = require("../models/teacherModel");
+const config = require("../config");
+const meetingService = require("./meetingService");
+const { cancelSession, addScheduleEntries } = require("./sessionService");
+const { findConflicts, assertTeachersFree, formatSessionTime } = require("./schedulingService");
+const { notifyUser } = require("./notificationService");
+const {
+  sessionCancelledStudent,
+  makeupScheduledStudent,
+  makeupPollExpired,
+} = require("../mailTemplate/mailTemplates");
+const { sendMailFunctionTA } = require("../Mail/sendMail");
+
+const MAX_OPTIONS = 5;
+
+const makeupError = (statusCode, message, conflicts) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (conflicts) error.conflicts = conflicts;
+  return error;
+};
+
+const readSlot = ({ start, end }) => {
+  const slot = { start: new Date(start), end: new Date(end) };
+  if (isNaN(slot.start.getTime()) || isNaN(slot.end.getTime())) {
+    throw makeupError(400, "Make-up start and end must be valid dates");
+  }
+  if (slot.end <= slot.start) {
+    throw makeupError(400, "Make-up end must be after its start");
+  }
+  if (slot.start <= new Date()) {
+    throw makeupError(400, "Make-up slots must be in the future");
+  }
+  return slot;
+};
+
+// Emails and notifies every student in `studentIds`; failures are logged
+const notifyStudents = async (studentIds, { subject, html, title, message }) => {
+  const students = await Student.find({ _id: { $in: studentIds } })
+    .select("user_id")
+    .populate("user_id", "name email");
+
+  for (const student of students) {
+    if (!student.user_id) continue;
+    try {
+      await sendMailFunctionTA(student.user_id.email, subject, html(student.user_id.name));
+      await notifyUser(student.user_id._id, { title, message });
+    } catch (error) {
+      console.error(`Error notifying student ${student._id}:`, error);
+    }
+  }
+};
+
+// Tells the batch and the teacher that a poll closed without a make-up
+const notifyPollExpired = async (poll) => {
+  const cancelled = await Meeting.findById(poll.session_id).select("title students");
+  const title = (cancelled && cancelled.title) || "your class";
+  const message = `No make-up for ${title} was scheduled: none of the offered slots is still ahead.`;
+
+  await notifyStudents(cancelled ? cancelled.students : [], {
+    subject: "No Make-up Class Scheduled",
+    html: (name) =>
+      makeupPollExpired(name, title, "Your teacher or our team will be in touch about making up the class."),
+    title: "No make-up scheduled",
+    message,
+  });
+
+  const teacher = await Teacher.findById(poll.teacher_id)
+    .select("user_id")
+    .populate("user_id", "name email");
+  if (!teacher || !teacher.user_id) return;
+  try {
+    await sendMailFunctionTA(
+      teacher.user_id.email,
+      "No Make-up Class Scheduled",
+      makeupPollExpired(
+        teacher.user_id.name,
+        title,
+        "Please arrange a make-up with the admin team if the class still needs one."
+      )
+    );
+    await notifyUser(teacher.user_id._id, { title: "No make-up scheduled", message });
+  } catch (error) {
+    console.error(`Error notifying teacher ${teacher._id}:`, error);
+  }
+};
+
+/**
+ * Creates the make-up class for a cancelled session at `slot`, with an
+ * online meeting of its own, and links the two sessions.
+ *
+ * @returns {Promise<Object>} The replacement Meeting
+ */
+const createReplacement = async (cancelled, slot) => {
+  await assertTeachersFree([cancelled.teacher_id], [slot]);
+
+  const batch = await Batch.findById(cancelled.batch_id).select("students meeting_provider");
+  if (!batch) {
+    throw makeupError(404, "Batch not found");
+  }
+
+  const title = `${cancelled.title || "Class"} (make-up)`;
+  const online = await meetingService.createMeeting({
+    batch,
+    teacherId: cancelled.teacher_id,
+    title,
+    start: slot.start,
+    end: slot.end,
+  });
+
+  const replacement = await Meeting.create({
+    teacher_id: cancelled.teacher_id,
+    batch_id: batch._id,
+    students: batch.students,
+    title,
+    start_time: slot.start,
+    end_time: slot.end,
+    provider: online.provider,
+    meeting_link: online.joinUrl,
+    meetingId: online.id,
+    replaces_session_id: cancelled._id,
+  });
+  await addScheduleEntries([replacement]);
+  await Meeting.updateOne({ _id: cancelled._id }, { replacement_session_id: replacement._id });
+
+  const time = formatSessionTime(slot.start);
+  await notifyStudents(batch.students, {
+    subject: "Make-up Class Scheduled",
+    html: (name) => makeupScheduledStudent(name, cancelled.title || "your class", time),
+    title: "Make-up class scheduled",
+    message: `The make-up for ${cancelled.title || "your cancelled class"} is on ${time}.`,
+  });
+
+  return replacement;
+};
+
+/**
+ * Cancels a session with a reason, notifies its students and, optionally,
+ * arranges the make-up: `makeup.start`/`makeup.end` schedule it straight
+ * away, while `makeup.options` ([{ start, end }]) open a poll for the batch
+ * that closes at `makeup.closes_at` (default MAKEUP_POLL_HOURS from now,
+ * and never after the first option starts). Every make-up slot is checked
+ * against the teacher's availability before anything is cancelled.
+ *
+ * @param {Object} params
+ * @param {string} params.sessionId
+ * @param {string} params.reason
+ * @param {string} [params.cancelledBy] - Firebase uid
+ * @param {Object} [params.makeup]
+ * @returns {Promise<{session: Object, poll: (Object|null), replacement: (Object|null)}>}
+ */
+const cancelWithMakeup = async ({ sessionId, reason, cancelledBy, makeup }) => {
+  if (!reason || !String(reason).trim()) {
+    throw makeupError(400, "A reason is required to cancel a session");
+  }
+
+  const existing = await Meeting.findOne({ _id: sessionId, status: { $ne: "cancelled" } }).select(
+    "teacher_id"
+  );
+  if (!existing) {
+    throw makeupError(404, "Session not found or already cancelled");
+  }
+
+  let direct = null;
+  let options = [];
+  if (makeup && makeup.options) {
+    if (!Array.isArray(makeup.options) || makeup.options.length === 0) {
+      throw makeupError(400, "makeup.options must be a non-empty array of { start, end }");
+    }
+    if (makeup.options.length > MAX_OPTIONS) {
+      throw makeupError(400, `Offer at most ${MAX_OPTIONS} make-up slots`);
+    }
+    options = makeup.options.map(readSlot);
+  } else if (makeup && (makeup.start || makeup.end)) {
+    direct = readSlot(makeup);
+  }
+
+  const slots = direct ? [direct] : options;
+  if (slots.length > 0) {
+    const teacher = await Teacher.findById(existing.teacher_id).select("availability schedule");
+    const conflicts = teacher
+      ? findConflicts(teacher, slots, { ignoreMeetingIds: [existing._id] })
+      : [];
+    if (conflicts.length > 0) {
+      throw makeupError(409, "The teacher is not free for every make-up slot", conflicts);
+    }
+  }
+
+  let closesAt = null;
+  if (options.length > 0) {
+    const firstStart = new Date(Math.min(...options.map((slot) => slot.start.getTime())));
+    closesAt = makeup.closes_at
+      ? new Date(makeup.closes_at)
+      : new Date(Date.now() + config.scheduling.makeupPollHours * 60 * 60 * 1000);
+    if (isNaN(closesAt.getTime()) || closesAt <= new Date()) {
+      throw makeupError(400, "makeup.closes_at must be a future date");
+    }
+    if (closesAt > firstStart) closesAt = firstStart;
+  }
+
+  const session = await cancelSession(sessionId, { reason, cancelledBy });
+
+  let poll = null;
+  if (options.length > 0) {
+    poll = await MakeupPoll.create({
+      session_id: session._id,
+      batch_id: session.batch_id,
+      teacher_id: session.teacher_id,
+      options,
+      closes_at: closesAt,
+    });
+  }
+
+  const title = session.title || "your class";
+  const time = session.start_time ? formatSessionTime(session.start_time) : null;
+  const makeupNote = poll
+    ? `Please vote for a make-up slot on your dashboard before ${formatSessionTime(poll.closes_at)}.`
+    : direct
+      ? `A make-up class will be scheduled on ${formatSessionTime(direct.start)}.`
+      : null;
+  await notifyStudents(session.students, {
+    subject: "Class Cancelled",
+    html: (name) => sessionCancelledStudent(name, title, time, reason, makeupNote),
+    title: "Class cancelled",
+    message: `${title}${time ? ` on ${time}` : ""} has been cancelled. ${makeupNote || ""}`.trim(),
+  });
+
+  // The cancellation stands even if the make-up can't be created now
+  let replacement = null;
+  if (direct) {
+    try {
+      replacement = await createReplacement(session, direct);
+    } catch (error) {
+      console.error(`Error scheduling the make-up for session ${session._id}:`, error);
+      throw makeupError(
+        error.statusCode || 500,
+        `Session cancelled, but the make-up could not be scheduled: ${error.message}`,
+        error.conflicts
+      );
+    }
+  }
+
+  return { session, poll, replacement };
+};
+
+/**
+ * Records a student's vote for one option of an open poll, replacing any
+ * earlier vote.
+ *
+ * @param {Object} params
+ * @param {string} params.pollId
+ * @param {Object} params.studentId
+ * @param {number} params.option - Index into poll.options
+ * @returns {Promise<Object>} The poll
+ */
+const voteOnMakeup = async ({ pollId, studentId, option }) => {
+  const poll = await MakeupPoll.findOne({ _id: pollId, status: "open", closes_at: { $gt: new Date() } });
+  if (!poll) {
+    throw makeupError(404, "Poll not found or closed");
+  }
+  if (!Number.isInteger(option) || option < 0 || option >= poll.options.length) {
+    throw makeupError(400, "option must be the index of one of the poll's slots");
+  }
+
+  await MakeupPoll.updateOne({ _id: poll._id }, { $pull: { "options.$[].votes": studentId } });
+  const updated = await MakeupPoll.findOneAndUpdate(
+    { _id: poll._id, status: "open" },
+    { $addToSet: { [`options.${option}.votes`]: studentId } },
+    { new: true }
+  );
+  if (!updated) {
+    throw makeupError(409, "The poll closed before your vote was recorded");
+  }
+  return updated;
+};
+
+/**
+ * Closes an open poll on `slot` and creates the make-up there. The poll is
+ * claimed first, so a teacher's pick and the closing job can't both
+ * schedule it; it reopens if the make-up can't be created.
+ *
+ * @returns {Promise<{poll: Object, replacement: Object}>}
+ */
+const scheduleMakeup = async (pollId, slot) => {
+  const poll = await MakeupPoll.findOneAndUpdate(
+    { _id: pollId, status: "open" },
+    { status: "scheduled", chosen_start: slot.start, chosen_end: slot.end },
+    { new: true }
+  );
+  if (!poll) {
+    throw makeupError(404, "Poll not found or already closed");
+  }
+
+  try {
+    const cancelled = await Meeting.findById(poll.session_id);
+    const replacement = await createReplacement(cancelled, slot);
+    poll.replacement_session_id = replacement._id;
+    await poll.save();
+    return { poll, replacement };
+  } catch (error) {
+    await MakeupPoll.updateOne(
+      { _id: poll._id },
+      { $set: { status: "open" }, $unset: { chosen_start: 1, chosen_end: 1 } }
+    );
+    throw error;
+  }
+};
+
+/**
+ * Teacher or admin choice for a poll: one of its options by index, or any
+ * other `start`/`end`.
+ */
+const pickMakeup = async ({ pollId, option, start, end }) => {
+  let slot;
+  if (option !== undefined) {
+    const poll = await MakeupPoll.findById(pollId).select("options");
+    if (!poll) {
+      throw makeupError(404, "Poll not found");
+    }
+    if (!Number.isInteger(option) || !poll.options[option]) {
+      throw makeupError(400, "option must be the index of one of the poll's slots");
+    }
+    slot = readSlot(poll.options[option]);
+  } else {
+    slot = readSlot({ start, end });
+  }
+  return scheduleMakeup(pollId, slot);
+};
+
+/**
+ * Closes polls past their deadline on the most-voted slot still ahead
+ * (the earliest on a tie, or with no votes). A poll with no slot left
+ * expires, and its students and teacher are told.
+ *
+ * @returns {Promise<{scheduled: number, expired: number, failed: number}>}
+ */
+const closeDuePolls = async () => {
+  const stats = { scheduled: 0, expired: 0, failed: 0 };
+  const now = new Date();
+  const polls = await MakeupPoll.find({ status: "open", closes_at: { $lte: now } });
+
+  for (const poll of polls) {
+    const [best] = poll.options
+      .filter((option) => option.start > now)
+      .sort((a, b) => b.votes.length - a.votes.length || a.start - b.start);
+
+    if (!best) {
+      const { modifiedCount } = await MakeupPoll.updateOne(
+        { _id: poll._id, status: "open" },
+        { status: "expired" }
+      );
+      if (modifiedCount > 0) {
+        stats.expired++;
+        await notifyPollExpired(poll).catch((error) =>
+          console.error(`Error notifying the expiry of poll ${poll._id}:`, error)
+        );
+      }
+      continue;
+    }
+
+    try {
+      await scheduleMakeup(poll._id, { start: best.start, end: best.end });
+      stats.scheduled++;
+    } catch (error) {
+      console.error(`Error scheduling the make-up for poll ${poll._id}:`, error);
+      stats.failed++;
+    }
+  }
+
+  return stats;
+};
+
+module.exports = {
+  cancelWithMakeup,
+  voteOnMakeup,
+  pickMakeup,
+  closeDuePolls,
+};
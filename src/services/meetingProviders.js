@@ -0,0 +1,286 @@
+// src/services/meetingProviders.js
+// Video-conferencing providers. Each exposes the same calls and returns the
+// same shapes, so meetingService does not care which one hosts a meeting:
+//
+//   createMeeting(host, { title, start, end }) -> { id, joinUrl }
+//   updateMeeting(host, id, { title, start, end })
+//   cancelMeeting(host, id)
+//   getJoinUrl(host, id) -> string
+//   listParticipants(host, id, range?) -> [{ email, name, intervals: [{ joined_at, left_at }], duration_seconds }]
+//   listRecordings(host, id) -> [{ id, url, started_at, ended_at }]
+//
+// `host` is the Teacher running the meeting, with `user_id` populated. `range` ({ from, to }) limits
+// participant reports to occurrences overlapping it, since a whole series
+// shares one online meeting.
+const axios = require("axios");
+const crypto = require("crypto");
+const config = require("../config");
+const { getAccessToken } = require("./msGraphService");
+
+const providerError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Whether a report spanning start..end (or starting at `start`) falls in range
+const overlaps = (range, start, end) =>
+  !range || (new Date(start) < range.to && new Date(end || start) > range.from);
+
+const GRAPH_URL = "https://graph.microsoft.com/v1.0";
+
+const graphRequest = async (method, path, data) => {
+  const token = await getAccessToken();
+  const response = await axios({
+    method,
+    url: `${GRAPH_URL}${path}`,
+    data,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+  });
+  return response.data;
+};
+
+const organizerPath = (host, id = "") => {
+  if (!host.microsoft_id) {
+    throw providerError(400, "Teacher has no Microsoft account to host meetings");
+  }
+  return `/users/${host.microsoft_id}/onlineMeetings${id ? `/${id}` : ""}`;
+};
+
+const teamsProvider = {
+  createMeeting: async (host, { title, start, end }) => {
+    const meeting = await graphRequest("post", organizerPath(host), {
+      subject: title,
+      startDateTime: start.toISOString(),
+      endDateTime: end.toISOString(),
+    });
+    return { id: meeting.id, joinUrl: meeting.joinWebUrl };
+  },
+  updateMeeting: async (host, id, { title, start, end }) => {
+    await graphRequest("patch", organizerPath(host, id), {
+      subject: title,
+      startDateTime: start && start.toISOString(),
+      endDateTime: end && end.toISOString(),
+    });
+  },
+  cancelMeeting: async (host, id) => {
+    await graphRequest("delete", organizerPath(host, id));
+  },
+  getJoinUrl: async (host, id) => (await graphRequest("get", organizerPath(host, id))).joinWebUrl,
+  // One attendance report per occurrence of the meeting
+  listParticipants: async (host, id, range) => {
+    const reports = await graphRequest("get", `${organizerPath(host, id)}/attendanceReports`);
+    const participants = [];
+    const inRange = reports.value.filter((report) =>
+      overlaps(range, report.meetingStartDateTime, report.meetingEndDateTime)
+    );
+    for (const report of inRange) {
+      const records = await graphRequest(
+        "get",
+        `${organizerPath(host, id)}/attendanceReports/${report.id}/attendanceRecords`
+      );
+      for (const record of records.value) {
+        participants.push({
+          email: record.emailAddress,
+          name: record.identity && record.identity.displayName,
+          intervals: (record.attendanceIntervals || []).map((interval) => ({
+            joined_at: new Date(interval.joinDateTime),
+            left_at: new Date(interval.leaveDateTime),
+          })),
+          duration_seconds: record.totalAttendanceInSeconds,
+        });
+      }
+    }
+    return participants;
+  },
+  listRecordings: async (host, id) => {
+    const recordings = await graphRequest("get", `${organizerPath(host, id)}/recordings`);
+    return recordings.value.map((recording) => ({
+      id: recording.id,
+      url: recording.recordingContentUrl,
+      started_at: recording.createdDateTime && new Date(recording.createdDateTime),
+      ended_at: recording.endDateTime && new Date(recording.endDateTime),
+    }));
+  },
+};
+
+const ZOOM_URL = "https://api.zoom.us/v2";
+let zoomToken = null;
+
+// Server-to-Server OAuth tokens last an hour; refresh a minute early
+const getZoomToken = async () => {
+  if (zoomToken && zoomToken.expiresAt > Date.now() + 60000) {
+    return zoomToken.value;
+  }
+  const { accountId, clientId, clientSecret } = config.zoom;
+  if (!accountId || !clientId || !clientSecret) {
+    throw providerError(500, "Zoom is not configured (ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID, ZOOM_CLIENT_SECRET)");
+  }
+
+  const response = await axios.post("https://zoom.us/oauth/token", null, {
+    params: { grant_type: "account_credentials", account_id: accountId },
+    auth: { username: clientId, password: clientSecret },
+  });
+  zoomToken = {
+    value: response.data.access_token,
+    expiresAt: Date.now() + response.data.expires_in * 1000,
+  };
+  return zoomToken.value;
+};
+
+const zoomRequest = async (method, path, { data, params } = {}) => {
+  const token = await getZoomToken();
+  const response = await axios({
+    method,
+    url: `${ZOOM_URL}${path}`,
+    data,
+    params,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json",
+    },
+  });
+  return response.data;
+};
+
+// Meetings spanning more than a day (a whole series) are created without a
+// fixed time, so the one link works for every class
+const zoomTiming = (start, end) =>
+  end - start > 24 * 60 * 60 * 1000
+    ? { type: 3 }
+    : { type: 2, start_time: start.toISOString(), duration: Math.round((end - start) / 60000) };
+
+// Zoom takes a user's id or email wherever it wants a user id
+const zoomUser = (host) => {
+  const user = host.zoom_user_id || (host.user_id && host.user_id.email);
+  if (!user) {
+    throw providerError(400, "Teacher has no Zoom account to host meetings");
+  }
+  return encodeURIComponent(user);
+};
+
+const zoomProvider = {
+  createMeeting: async (host, { title, start, end }) => {
+    const meeting = await zoomRequest("post", `/users/${zoomUser(host)}/meetings`, {
+      data: {
+        topic: title,
+        ...zoomTiming(start, end),
+        settings: { join_before_host: false, waiting_room: true, auto_recording: "cloud" },
+      },
+    });
+    return { id: String(meeting.id), joinUrl: meeting.join_url };
+  },
+  updateMeeting: async (host, id, { title, start, end }) => {
+    await zoomRequest("patch", `/meetings/${id}`, {
+      data: { topic: title, ...(start && end ? zoomTiming(start, end) : {}) },
+    });
+  },
+  cancelMeeting: async (host, id) => {
+    await zoomRequest("delete", `/meetings/${id}`);
+  },
+  getJoinUrl: async (host, id) => (await zoomRequest("get", `/meetings/${id}`)).join_url,
+  // Zoom lists a participant once per join, and reports each occurrence of
+  // a recurring meeting under its own instance uuid
+  listParticipants: async (host, id, range) => {
+    const { meetings: instances = [] } = await zoomRequest("get", `/past_meetings/${id}/instances`);
+    // Instances only carry a start time; one that started in the hour
+    // before the range may still overlap it
+    const lookback = range && { from: new Date(range.from - 60 * 60 * 1000), to: range.to };
+    const reportIds = instances.length
+      ? instances
+          .filter((instance) => overlaps(lookback, instance.start_time))
+          .map((instance) => encodeURIComponent(encodeURIComponent(instance.uuid)))
+      : [id];
+
+    const participants = [];
+    for (const reportId of reportIds) {
+      let nextPageToken;
+      do {
+        const page = await zoomRequest("get", `/report/meetings/${reportId}/participants`, {
+          params: { page_size: 300, next_page_token: nextPageToken },
+        });
+        for (const participant of page.participants) {
+          participants.push({
+            email: participant.user_email,
+            name: participant.name,
+            intervals: [
+              { joined_at: new Date(participant.join_time), left_at: new Date(participant.leave_time) },
+            ],
+            duration_seconds: participant.duration,
+          });
+        }
+        nextPageToken = page.next_page_token;
+      } while (nextPageToken);
+    }
+    return participants;
+  },
+  listRecordings: async (host, id) => {
+    const recordings = await zoomRequest("get", `/meetings/${id}/recordings`);
+    return (recordings.recording_files || []).map((file) => ({
+      id: file.id,
+      url: file.play_url,
+      started_at: new Date(file.recording_start),
+      ended_at: new Date(file.recording_end),
+    }));
+  },
+};
+
+// In-memory stand-in for local development: nothing leaves the process and
+// meetings are forgotten on restart
+const localMeetings = new Map();
+
+const localMeeting = (id) => {
+  const meeting = localMeetings.get(id);
+  if (!meeting) {
+    throw providerError(404, `Local meeting ${id} not found`);
+  }
+  return meeting;
+};
+
+const localProvider = {
+  createMeeting: async (host, { title, start, end }) => {
+    const id = `local_${crypto.randomBytes(7).toString("hex")}`;
+    const joinUrl = `http://localhost:${config.port}/meetings/local/${id}`;
+    localMeetings.set(id, { title, start, end, joinUrl, participants: [], recordings: [] });
+    return { id, joinUrl };
+  },
+  updateMeeting: async (host, id, changes) => {
+    const meeting = localMeeting(id);
+    for (const [key, value] of Object.entries(changes)) {
+      if (value !== undefined) meeting[key] = value;
+    }
+  },
+  cancelMeeting: async (host, id) => {
+    localMeeting(id);
+    localMeetings.delete(id);
+  },
+  getJoinUrl: async (host, id) => localMeeting(id).joinUrl,
+  listParticipants: async (host, id, range) =>
+    localMeeting(id).participants.filter((participant) =>
+      participant.intervals.some((interval) => overlaps(range, interval.joined_at, interval.left_at))
+    ),
+  listRecordings: async (host, id) => localMeeting(id).recordings,
+  // Backs the join links above (GET /meetings/local/:id)
+  getMeeting: (id) => localMeeting(id),
+  // Lets local runs simulate someone attending
+  addParticipant: (id, participant) => localMeeting(id).participants.push(participant),
+};
+
+const providers = { teams: teamsProvider, zoom: zoomProvider, local: localProvider };
+
+/**
+ * Returns the named provider, defaulting to MEETING_PROVIDER. Existing
+ * meetings keep using the provider they were created with.
+ */
+const getProvider = (name = config.meetings.provider) => {
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown meeting provider: ${name}`);
+  }
+  return provider;
+};
+
+module.exports = { getProvider, providerNames: Object.keys(providers) };
@@ -0,0 +1,105 @@
+// src/services/meetingService.js
+const Teacher = require("../models/teacherModel");
+const config = require("../config");
+const { getProvider } = require("./meetingProviders");
+
+const meetingError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Provider errors without a status of ours are upstream failures
+const callProvider = async (name, call) => {
+  try {
+    return await call(getProvider(name));
+  } catch (error) {
+    if (error.statusCode) throw error;
+    console.error(
+      `Meeting provider ${name} request failed:`,
+      error.response ? error.response.data : error.message
+    );
+    throw meetingError(502, `Meeting provider ${name} request failed`);
+  }
+};
+
+const loadHost = async (teacherId) => {
+  const host = await Teacher.findById(teacherId)
+    .select("microsoft_id zoom_user_id user_id")
+    .populate("user_id", "email");
+  if (!host) {
+    throw meetingError(404, "Teacher not found");
+  }
+  return host;
+};
+
+/**
+ * Provider, host and provider-side id of a Meeting or SessionSeries.
+ * Meetings from before providers were recorded were all on Teams.
+ */
+const targetOf = (record) => ({
+  provider: record.provider || "teams",
+  teacherId: record.teacher_id,
+  id: record.meetingId || record.online_meeting_id,
+});
+
+/**
+ * Creates an online meeting on the batch's provider (or MEETING_PROVIDER).
+ *
+ * @param {Object} params
+ * @param {Object} [params.batch] - Batch with `meeting_provider`
+ * @param {string} [params.provider] - Overrides the batch and default
+ * @param {Object} params.teacherId - Host
+ * @param {string} params.title
+ * @param {Date} params.start
+ * @param {Date} params.end
+ * @returns {Promise<{provider: string, id: string, joinUrl: string}>}
+ */
+const createMeeting = async ({ batch, provider, teacherId, title, start, end }) => {
+  const name = provider || (batch && batch.meeting_provider) || config.meetings.provider;
+  const host = await loadHost(teacherId);
+  const { id, joinUrl } = await callProvider(name, (adapter) =>
+    adapter.createMeeting(host, { title, start, end })
+  );
+  return { provider: name, id, joinUrl };
+};
+
+const updateMeeting = async (record, changes) => {
+  const { provider, teacherId, id } = targetOf(record);
+  const host = await loadHost(teacherId);
+  return callProvider(provider, (adapter) => adapter.updateMeeting(host, id, changes));
+};
+
+const cancelMeeting = async (record) => {
+  const { provider, teacherId, id } = targetOf(record);
+  const host = await loadHost(teacherId);
+  return callProvider(provider, (adapter) => adapter.cancelMeeting(host, id));
+};
+
+const getJoinUrl = async (record) => {
+  const { provider, teacherId, id } = targetOf(record);
+  const host = await loadHost(teacherId);
+  return callProvider(provider, (adapter) => adapter.getJoinUrl(host, id));
+};
+
+// `range` ({ from, to }) narrows a shared series meeting to one session
+const listParticipants = async (record, range) => {
+  const { provider, teacherId, id } = targetOf(record);
+  const host = await loadHost(teacherId);
+  return callProvider(provider, (adapter) => adapter.listParticipants(host, id, range));
+};
+
+const listRecordings = async (record) => {
+  const { provider, teacherId, id } = targetOf(record);
+  const host = await loadHost(teacherId);
+  return callProvider(provider, (adapter) => adapter.listRecordings(host, id));
+};
+
+module.exports = {
+  createMeeting,
+  updateMeeting,
+  cancelMeeting,
+  getJoinUrl,
+  listParticipants,
+  listRecordings,
+};
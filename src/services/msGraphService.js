@@ -0,0 +1,26 @@
+// src/services/msGraphService.js
+const axios = require("axios");
+const config = require("../config");
+
+/**
+ * Fetches an app-only Microsoft Graph access token using the client
+ * credentials configured for the tenant.
+ * @returns {Promise<string>} Bearer token
+ */
+const getAccessToken = async () => {
+  const { tenantId, clientId, clientSecret } = config.msGraph;
+  const url = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/token`;
+  const params = new URLSearchParams({
+    grant_type: "client_credentials",
+    client_id: clientId,
+    client_secret: clientSecret,
+    scope: "https://graph.microsoft.com/.default",
+  });
+
+  const response = await axios.post(url, params);
+
+  // Clean the token
+  return response.data.access_token.trim().replace(/[\r\n]/g, "");
+};
+
+module.exports = { getAccessToken };
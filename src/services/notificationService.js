@@ -0,0 +1,28 @@
+// src/services/notificationService.js
+const Notification = require("../models/notificationModel");
+const UserNotification = require("../models/userNotificationModel");
+
+/**
+ * In-app notification for a single user, tracked for read status like the
+ * ones admins send from /notifications.
+ *
+ * @param {Object} userId - User (not Student) id
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {string} params.message
+ * @param {string} [params.link] - Optional call to action
+ * @returns {Promise<Object>} The Notification
+ */
+const notifyUser = async (userId, { title, message, link }) => {
+  const notification = await Notification.create({
+    user_id: [userId],
+    title,
+    message,
+    link,
+    is_all: false,
+  });
+  await UserNotification.create({ user_id: userId, notification_id: notification._id });
+  return notification;
+};
+
+module.exports = { notifyUser };
@@ -0,0 +1,700 @@
+// src/services/paymentService.js
+const mongoose = require("mongoose");
+const axios = require("axios");
+const config = require("../config");
+const razorpayInstance = require("./razorpayService");
+const Payment = require("../models/paymentModel");
+const Student = require("../models/studentModel");
+const Batch = require("../models/batchModel");
+const Invoice = require("../models/invoiceModel");
+const Subject = require("../models/subjectModel");
+const TypeOfBatch = require("../models/typeOfBatchModel");
+const Notification = require("../models/notificationModel");
+const UserNotification = require("../models/userNotificationModel");
+const User = require("../models/userModel");
+const {
+  studentPaymentRecievedAdmin,
+  studentPaymentRecievedStudent,
+  studentRefundProcessedStudent,
+} = require("../mailTemplate/mailTemplates");
+const { sendMailFunctionAdmin, sendMailFunctionTA } = require("../Mail/sendMail");
+const { createInvoiceDocument, createCreditNote, getInvoicePdf } = require("./invoiceService");
+const { claimQuote, releaseQuote } = require("./quoteService");
+const { reserveCoupon, redeemCoupon, releaseCoupon } = require("./couponService");
+const { promoteFromWaitlists } = require("./batchCapacityService");
+const { round2 } = require("../utils/gst");
+
+const paymentError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Turns a quote into a Razorpay order for exactly the quoted total. The
+ * quote's coupon use is reserved here; both are given back when the order
+ * cannot be created.
+ *
+ * @param {Object} params
+ * @param {string} params.quoteId - Signed quote id from quoteService
+ * @param {string} params.kind - Order kind the caller accepts
+ * @param {string} [params.description]
+ * @returns {Promise<{order: Object, payment: Object, quote: Object}>}
+ */
+const createOrderFromQuote = async ({ quoteId, kind, description }) => {
+  const paymentId = new mongoose.Types.ObjectId();
+  const quote = await claimQuote({ quoteId, kind, paymentId });
+  const { pricing } = quote;
+
+  const payment = new Payment({
+    _id: paymentId,
+    amount: pricing.total,
+    status: "created",
+    student_id: quote.student_id,
+    custom_package_id: quote.custom_package_id,
+    description: description || "Payment for course package",
+    pricing,
+    coupon_id: quote.coupon_id,
+    coupon_code: quote.coupon_code,
+  });
+
+  // Renewals are applied at fulfilment from the order notes
+  const renewalNotes =
+    kind === "renewal"
+      ? {
+          subjectId: quote.renewal.subject_id.toString(),
+          batchId: quote.renewal.batch_id.toString(),
+          duration: quote.renewal.duration,
+        }
+      : {};
+
+  try {
+    if (quote.coupon_id) {
+      await reserveCoupon({
+        coupon: { _id: quote.coupon_id, code: quote.coupon_code },
+        studentId: quote.student_id,
+        paymentId,
+        discount: pricing.coupon_discount,
+      });
+    }
+
+    const order = await razorpayInstance.orders.create({
+      amount: Math.round(pricing.total * 100), // Amount in paise
+      currency: "INR",
+      receipt: `receipt_${Date.now()}`,
+      payment_capture: 1, // Auto-capture
+      notes: {
+        ...renewalNotes,
+        student_id: quote.student_id.toString(),
+        description: payment.description,
+        quote_id: quote._id.toString(),
+        coupon_code: quote.coupon_code,
+      },
+    });
+
+    payment.order_id = order.id;
+    payment.currency = order.currency;
+    payment.receipt = order.receipt;
+    await payment.save();
+    return { order, payment, quote };
+  } catch (error) {
+    await Promise.all([
+      quote.coupon_id ? releaseCoupon(paymentId) : null,
+      releaseQuote(quote),
+    ]).catch((releaseError) =>
+      console.error(`Error releasing quote ${quote._id}:`, releaseError)
+    );
+    throw error;
+  }
+};
+
+/**
+ * Creates a Razorpay payment link that Razorpay sends to the student by SMS
+ * and email. `referenceId` comes back as payment_link.entity.reference_id in
+ * the payment_link.paid webhook.
+ *
+ * @param {Object} params
+ * @param {number} params.amount - Rupees
+ * @param {string} params.referenceId
+ * @param {string} params.description
+ * @param {Object} params.student - Student with user_id populated
+ * @param {Date} params.expireBy
+ * @param {boolean} [params.acceptPartial]
+ * @returns {Promise<Object>} The payment link entity (id, short_url, ...)
+ */
+const createPaymentLink = async ({
+  amount,
+  referenceId,
+  description,
+  student,
+  expireBy,
+  acceptPartial = false,
+}) => {
+  const response = await axios.post(
+    "https://api.razorpay.com/v1/payment_links",
+    {
+      amount: Math.round(amount * 100), // Amount in paise (1 INR = 100 paise)
+      currency: "INR",
+      ...(acceptPartial ? { accept_partial: true, first_min_partial_amount: 100 } : {}),
+      expire_by: Math.floor(expireBy.getTime() / 1000),
+      reference_id: referenceId, // Reference ID for tracking
+      description,
+      customer: {
+        name: student.user_id.name,
+        contact: student.phone_number,
+        email: student.user_id.email,
+      },
+      notify: {
+        sms: true,
+        email: true,
+      },
+      reminder_enable: true,
+      notes: {
+        policy_name: "Topper Academy Payament",
+      },
+      callback_url: config.razorpay.callbackUrl,
+      callback_method: "get",
+    },
+    {
+      auth: {
+        username: config.razorpay.keyId,
+        password: config.razorpay.keySecret,
+      },
+    }
+  );
+  return response.data;
+};
+
+/**
+ * Atomically moves a matching payment to "paid". Only one webhook delivery
+ * can win this transition, which is what makes fulfilment run exactly once.
+ *
+ * @param {Object} filter - Identifies the Payment (order_id or receipt)
+ * @param {string} razorpayPaymentId - Razorpay payment id (pay_...)
+ * @returns {Promise<Object|null>} The claimed payment, or null when it is
+ *   unknown or was already fulfilled
+ */
+const claimPayment = (filter, razorpayPaymentId) =>
+  Payment.findOneAndUpdate(
+    { ...filter, status: { $in: ["created", "failed"] } },
+    { status: "paid", payment_id: razorpayPaymentId, failure_reason: null },
+    { new: true }
+  );
+
+// Hands a claimed payment back so Razorpay's retry can fulfil it again
+const releasePayment = (payment) =>
+  Payment.updateOne({ _id: payment._id, status: "paid" }, { status: "created" });
+
+const loadStudentForInvoice = (studentId) =>
+  Student.findById(studentId)
+    .populate({ path: "subject_id._id", model: "Subject", select: "subject_name" })
+    .populate({ path: "subject_id.type_of_batch", model: "TypeOfBatch", select: "mode price" })
+    .populate("user_id")
+    .populate("class")
+    .populate("board_id");
+
+/**
+ * Extends the renewed subject by `notes.duration` months from today (or
+ * from its current expiry, if later) and returns the invoice lines for it.
+ * The new expiry is recorded on the payment first, so a retry after a later
+ * step failed sets the same date rather than adding the months again.
+ */
+const applyRenewal = async (payment, notes) => {
+  const duration = parseInt(notes.duration, 10);
+  if (isNaN(duration) || duration <= 0) {
+    throw new Error(`Invalid renewal duration: ${notes.duration}`);
+  }
+
+  const student = await Student.findById(payment.student_id);
+  if (!student) {
+    throw new Error(`Student not found with ID: ${payment.student_id}`);
+  }
+
+  const subjectSubdoc = student.subject_id.find(
+    (sub) =>
+      sub._id.toString() === notes.subjectId.toString() &&
+      sub.batch_id &&
+      sub.batch_id.toString() === notes.batchId.toString()
+  );
+  if (!subjectSubdoc) {
+    throw new Error(
+      `Subject ${notes.subjectId} with batch ${notes.batchId} not found for student ${student._id}`
+    );
+  }
+
+  let newExpiryDate = payment.renewal_expiry_date;
+  if (!newExpiryDate) {
+    // Renewing early (e.g. from a reminder) extends from the current expiry
+    const current = subjectSubdoc.batch_expiry_date;
+    newExpiryDate = current && current > new Date() ? new Date(current) : new Date();
+    newExpiryDate.setMonth(newExpiryDate.getMonth() + duration);
+    await Payment.updateOne({ _id: payment._id }, { renewal_expiry_date: newExpiryDate });
+    payment.renewal_expiry_date = newExpiryDate;
+  }
+
+  subjectSubdoc.duration = duration;
+  subjectSubdoc.batch_expiry_date = newExpiryDate;
+  subjectSubdoc.batch_status = "active";
+  subjectSubdoc.batch_assigned = true;
+  await student.save();
+
+  const subject = await Subject.findById(notes.subjectId);
+  const batchType = await TypeOfBatch.findById(subjectSubdoc.type_of_batch);
+
+  return {
+    items: [
+      { description: subject.subject_name, price: batchType.price * duration, quantity: 1 },
+    ],
+    discount: 0,
+    purchased: [
+      {
+        subject_id: subject._id,
+        batch_id: subjectSubdoc.batch_id,
+        type_of_batch: subjectSubdoc.type_of_batch,
+        duration,
+      },
+    ],
+    subjects: [subject.subject_name],
+    batchTypes: [batchType.mode],
+  };
+};
+
+// Invoice lines for a first purchase: every subject the student signed up for
+const describeSubscription = (student) => ({
+  items: student.subject_id.map((data) => ({
+    description: data._id.subject_name,
+    price: data.type_of_batch.price * data.duration,
+    quantity: 1,
+  })),
+  discount: student.discountAmount || 0,
+  purchased: student.subject_id.map((data) => ({
+    subject_id: data._id._id,
+    batch_id: data.batch_id,
+    type_of_batch: data.type_of_batch._id,
+    duration: data.duration,
+  })),
+  subjects: student.subject_id.map((data) => data._id.subject_name),
+  batchTypes: student.subject_id.map((data) => data.type_of_batch.mode),
+});
+
+/**
+ * Emails the invoice to the student and notifies every admin. Failures are
+ * logged rather than thrown: the payment is already fulfilled at this point
+ * and a retry must not repeat it just to resend a mail.
+ */
+const notifyPaymentReceived = async (payment, student, purchase, invoiceId) => {
+  try {
+    const pdfData = await getInvoicePdf(invoiceId);
+    const mailArgs = [
+      student.user_id.name,
+      student.user_id.email,
+      payment.amount,
+      payment.payment_id,
+      student.board_id.name,
+      student.class.classLevel,
+      purchase.subjects,
+      purchase.batchTypes,
+    ];
+
+    await sendMailFunctionTA(
+      student.user_id.email,
+      "Subscription Done",
+      studentPaymentRecievedStudent(...mailArgs),
+      pdfData
+    );
+
+    const admins = await User.find({ role: "admin" });
+    await Promise.all(
+      admins.map(async (admin) => {
+        const notification = await Notification.create({
+          user_id: admin._id,
+          message: "Student Payment Recieved",
+          title: "Amount Recieved",
+          is_all: false,
+        });
+        await UserNotification.create({
+          user_id: admin._id,
+          notification_id: notification._id,
+        });
+        await sendMailFunctionAdmin(
+          admin.email,
+          "Subscription Done",
+          studentPaymentRecievedAdmin(...mailArgs),
+          pdfData
+        );
+      })
+    );
+  } catch (error) {
+    console.error(`Error sending payment notifications for ${payment.payment_id}:`, error);
+  }
+};
+
+/**
+ * Shared tail of every fulfilment: invoice, link the payment to the student,
+ * then notify. Each write is safe to repeat if a previous attempt died
+ * half way through.
+ */
+const completeFulfilment = async (payment, student, purchase, studentUpdate = {}) => {
+  await Payment.updateOne({ _id: payment._id }, { purchased_subjects: purchase.purchased });
+
+  let invoiceId = payment.invoice_id;
+  if (!invoiceId) {
+    const invoice = await createInvoiceDocument({
+      invoiceDate: new Date(),
+      billTo: {
+        name: student.user_id.name,
+        email: student.user_id.email,
+        phone: student.phone_number,
+        state: student.billing_state,
+      },
+      // Orders priced from a quote are invoiced exactly as they were charged
+      ...(payment.pricing && payment.pricing.lines.length > 0
+        ? { pricing: payment.pricing }
+        : { items: purchase.items, discount: purchase.discount }),
+    });
+    invoiceId = invoice._id;
+    await Payment.updateOne({ _id: payment._id }, { invoice_id: invoiceId });
+  }
+
+  await Student.updateOne(
+    { _id: payment.student_id, "payment_id._id": { $ne: payment._id } },
+    { $push: { payment_id: { _id: payment._id, invoice_id: invoiceId } } }
+  );
+  await Student.updateOne({ _id: payment.student_id }, { is_paid: true, ...studentUpdate });
+  if (payment.coupon_id) {
+    await redeemCoupon(payment._id);
+  }
+
+  await notifyPaymentReceived(payment, student, purchase, invoiceId);
+};
+
+/**
+ * Grants what a claimed order paid for: the renewed subject when `notes`
+ * carry batchId, subjectId and duration, otherwise every subject the student
+ * signed up for. The claim is released on failure so a retry can run again.
+ *
+ * @param {Object} payment - Payment already moved to "paid" by claimPayment
+ * @param {Object} notes - Razorpay order notes
+ */
+const fulfilClaimedOrder = async (payment, notes) => {
+  try {
+    const isRenewal = notes.batchId && notes.subjectId && notes.duration;
+    const renewal = isRenewal ? await applyRenewal(payment, notes) : null;
+
+    const student = await loadStudentForInvoice(payment.student_id);
+    if (!student) {
+      throw new Error(`Student not found with ID: ${payment.student_id}`);
+    }
+
+    await completeFulfilment(payment, student, renewal || describeSubscription(student));
+  } catch (error) {
+    await releasePayment(payment);
+    throw error;
+  }
+};
+
+/**
+ * Fulfils a `payment.captured` event for an order created by createOrder or
+ * createOrderRenewal.
+ *
+ * @param {Object} paymentEntity - payload.payment.entity
+ * @returns {Promise<string>} "processed", or "ignored" when there is nothing to do
+ */
+const fulfilOrderPayment = async (paymentEntity) => {
+  // Subscription charges are handled by the subscription.* events
+  if (!paymentEntity.order_id || paymentEntity.subscription_id) {
+    return "ignored";
+  }
+
+  const payment = await claimPayment({ order_id: paymentEntity.order_id }, paymentEntity.id);
+  if (!payment) {
+    // Unknown order (e.g. a payment link's own order) or already fulfilled
+    return "ignored";
+  }
+
+  await fulfilClaimedOrder(payment, paymentEntity.notes || {});
+  return "processed";
+};
+
+/**
+ * Fulfils a `payment_link.paid` event for a link created by
+ * createCustomPackageOrder or a renewal reminder. The link's reference_id is
+ * our order receipt.
+ *
+ * @param {Object} payload - The webhook payload (payment_link, order, payment)
+ * @returns {Promise<string>} "processed" or "ignored"
+ */
+const fulfilPaymentLink = async (payload) => {
+  const receipt =
+    payload.payment_link?.entity?.reference_id || payload.order?.entity?.receipt;
+  const payment = await claimPayment({ receipt }, payload.payment.entity.id);
+  if (!payment) {
+    return "ignored";
+  }
+
+  if (payment.renewal && payment.renewal.subject_id) {
+    await fulfilClaimedOrder(payment, {
+      subjectId: payment.renewal.subject_id,
+      batchId: payment.renewal.batch_id,
+      duration: payment.renewal.duration,
+    });
+    return "processed";
+  }
+
+  try {
+    const student = await loadStudentForInvoice(payment.student_id);
+    if (!student) {
+      throw new Error(`Student not found with ID: ${payment.student_id}`);
+    }
+
+    await completeFulfilment(payment, student, describeSubscription(student), {
+      paymentLink_status: "approved",
+    });
+    return "processed";
+  } catch (error) {
+    await releasePayment(payment);
+    throw error;
+  }
+};
+
+/**
+ * Records a `payment.failed` event. A payment that was captured by a later
+ * attempt on the same order is left alone.
+ *
+ * @param {Object} paymentEntity - payload.payment.entity
+ * @returns {Promise<string>} "processed" or "ignored"
+ */
+const markPaymentFailed = async (paymentEntity) => {
+  const result = await Payment.updateOne(
+    { order_id: paymentEntity.order_id, status: "created" },
+    {
+      status: "failed",
+      failure_reason: paymentEntity.error_description || paymentEntity.error_code,
+    }
+  );
+  return result.modifiedCount > 0 ? "processed" : "ignored";
+};
+
+/**
+ * Records a refund against its payment. Refunds are keyed by Razorpay refund
+ * id so the same refund is never counted twice; the payment becomes
+ * "refunded" once the full amount has been returned.
+ *
+ * @param {Object} refundEntity - payload.refund.entity (amount in paise)
+ * @returns {Promise<string>} "processed" or "ignored"
+ */
+const recordRefund = async (refundEntity) => {
+  const amount = refundEntity.amount / 100;
+  const processedAt = refundEntity.created_at
+    ? new Date(refundEntity.created_at * 1000)
+    : new Date();
+
+  let payment = await Payment.findOneAndUpdate(
+    { payment_id: refundEntity.payment_id, "refunds.refund_id": { $ne: refundEntity.id } },
+    {
+      $push: {
+        refunds: {
+          refund_id: refundEntity.id,
+          amount,
+          status: refundEntity.status,
+          processed_at: processedAt,
+          reason: refundEntity.notes?.reason,
+        },
+      },
+      $inc: { amount_refunded: amount },
+      refund_id: refundEntity.id,
+    },
+    { new: true }
+  );
+
+  if (!payment) {
+    // Already recorded when the refund was issued; just update its status
+    payment = await Payment.findOneAndUpdate(
+      { payment_id: refundEntity.payment_id, "refunds.refund_id": refundEntity.id },
+      {
+        "refunds.$.status": refundEntity.status,
+        "refunds.$.processed_at": processedAt,
+      },
+      { new: true }
+    );
+    if (!payment) {
+      return "ignored";
+    }
+  }
+
+  if (payment.status === "paid" && payment.amount_refunded >= payment.amount) {
+    await Payment.updateOne({ _id: payment._id, status: "paid" }, { status: "refunded" });
+  }
+
+  await applyRefundEffects(payment, refundEntity);
+  return "processed";
+};
+
+/**
+ * Expires the student's entries for the given subjects and takes the student
+ * out of the batches those entries were attached to.
+ */
+const revokeSubjects = async (studentId, subjectIds) => {
+  if (subjectIds.length === 0) return;
+
+  const student = await Student.findById(studentId);
+  if (!student) return;
+
+  const now = new Date();
+  const batchIds = [];
+  student.subject_id.forEach((sub) => {
+    if (!subjectIds.includes(sub._id.toString())) return;
+    sub.batch_status = "expired";
+    sub.batch_expiry_date = now;
+    if (sub.batch_id) batchIds.push(sub.batch_id);
+  });
+  await student.save();
+
+  if (batchIds.length > 0) {
+    await Batch.updateMany({ _id: { $in: batchIds } }, { $pull: { students: student._id } });
+    await promoteFromWaitlists(batchIds);
+  }
+};
+
+// Issues the credit note for a refund against the payment's invoice, once
+const issueCreditNote = async (payment, refundEntity) => {
+  if (!payment.invoice_id) return null;
+
+  const existing = await Invoice.findOne({ refund_id: refundEntity.id });
+  if (existing) return existing;
+
+  const invoice = await Invoice.findById(payment.invoice_id);
+  if (!invoice) return null;
+
+  // The charged amount can exceed the invoice by rounding, so never credit
+  // more than what is still open on the invoice
+  const previousNotes = await Invoice.find({ original_invoice_id: invoice._id });
+  const credited = previousNotes.reduce((sum, note) => sum + note.total, 0);
+  const amount = round2(Math.min(refundEntity.amount / 100, invoice.total - credited));
+  if (amount <= 0) return null;
+
+  return createCreditNote({
+    invoice,
+    amount,
+    refundId: refundEntity.id,
+    reason: refundEntity.notes?.reason,
+  });
+};
+
+/**
+ * Reverses what fulfilment granted for one refund: revokes the refunded
+ * subjects, issues a credit note and emails the student. Subjects come from
+ * the refund's `subject_ids` note when an admin chose them, otherwise a full
+ * refund revokes everything the payment bought and a partial one revokes
+ * nothing. Guarded by the refund's effects_applied flag so the admin call and
+ * the refund.processed webhook never both apply it.
+ */
+const applyRefundEffects = async (payment, refundEntity) => {
+  const claimed = await Payment.findOneAndUpdate(
+    {
+      _id: payment._id,
+      refunds: { $elemMatch: { refund_id: refundEntity.id, effects_applied: false } },
+    },
+    { "refunds.$.effects_applied": true },
+    { new: true }
+  );
+  if (!claimed) return;
+
+  try {
+    const notes = refundEntity.notes || {};
+    const fullyRefunded = claimed.amount_refunded >= claimed.amount;
+    let subjectIds = [];
+    if (notes.subject_ids) {
+      subjectIds = notes.subject_ids.split(",");
+    } else if (fullyRefunded) {
+      subjectIds = claimed.purchased_subjects.map((sub) => sub.subject_id.toString());
+    }
+
+    await revokeSubjects(claimed.student_id, subjectIds);
+    await issueCreditNote(claimed, refundEntity);
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: payment._id, "refunds.refund_id": refundEntity.id },
+      { "refunds.$.effects_applied": false }
+    );
+    throw error;
+  }
+
+  try {
+    const student = await Student.findById(claimed.student_id).populate("user_id");
+    const html = studentRefundProcessedStudent(
+      student.user_id.name,
+      student.user_id.email,
+      refundEntity.amount / 100,
+      refundEntity.id,
+      claimed.payment_id,
+      refundEntity.notes?.reason
+    );
+    await sendMailFunctionTA(student.user_id.email, "Refund Processed", html);
+  } catch (error) {
+    console.error(`Error sending refund email for ${refundEntity.id}:`, error);
+  }
+};
+
+/**
+ * Issues a full or partial refund through Razorpay and applies its effects
+ * straight away instead of waiting for the refund.processed webhook.
+ *
+ * @param {Object} params
+ * @param {string} params.paymentId - Payment document id
+ * @param {number} [params.amount] - Rupees to refund, defaults to the remaining balance
+ * @param {string} [params.reason] - Shown on the credit note and in the email
+ * @param {string[]} [params.subjectIds] - Subjects to revoke; see applyRefundEffects
+ * @returns {Promise<Object>} The updated payment
+ */
+const refundPayment = async ({ paymentId, amount, reason, subjectIds = [] }) => {
+  const payment = await Payment.findById(paymentId);
+  if (!payment) {
+    throw paymentError(404, "Payment not found");
+  }
+  if (payment.status !== "paid" || !payment.payment_id) {
+    throw paymentError(400, "Only paid payments can be refunded");
+  }
+  // Its payment_id is only the first of several installment payments
+  if (payment.installment_plan_id) {
+    throw paymentError(400, "Orders paid in installments cannot be refunded here");
+  }
+
+  const refundable = payment.amount - payment.amount_refunded;
+  const refundAmount = amount === undefined ? refundable : Number(amount);
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    throw paymentError(400, `Refund amount must be greater than 0 and at most ${refundable}`);
+  }
+
+  const purchasedIds = payment.purchased_subjects.map((sub) => sub.subject_id.toString());
+  const unknownSubject = subjectIds.find((id) => !purchasedIds.includes(String(id)));
+  if (unknownSubject) {
+    throw paymentError(400, `Subject ${unknownSubject} was not bought with this payment`);
+  }
+
+  const notes = { lms_payment_id: payment._id.toString() };
+  if (reason) notes.reason = String(reason).slice(0, 255);
+  if (subjectIds.length > 0) notes.subject_ids = subjectIds.join(",");
+
+  const refund = await razorpayInstance.payments.refund(payment.payment_id, {
+    amount: Math.round(refundAmount * 100),
+    notes,
+  });
+
+  await recordRefund(refund);
+  return Payment.findById(payment._id);
+};
+
+module.exports = {
+  createOrderFromQuote,
+  createPaymentLink,
+  claimPayment,
+  loadStudentForInvoice,
+  completeFulfilment,
+  fulfilClaimedOrder,
+  fulfilOrderPayment,
+  fulfilPaymentLink,
+  markPaymentFailed,
+  recordRefund,
+  refundPayment,
+};
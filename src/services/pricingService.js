@@ -0,0 +1,231 @@
+// src/services/pricingService.js
+const Pricing = require("../models/pricingModel");
+const Subject = require("../models/subjectModel");
+const TypeOfBatch = require("../models/typeOfBatchModel");
+const config = require("../config");
+const { evaluateCoupon } = require("./couponService");
+const { round2, resolveState, calculateTaxes } = require("../utils/gst");
+
+const pricingError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+/**
+ * Order lines for a first purchase: every subject the student signed up for,
+ * which is what fulfilment invoices.
+ */
+const linesForNewOrder = (student) =>
+  student.subject_id.map((sub) => ({
+    subject_id: sub._id,
+    type_of_batch: sub.type_of_batch || student.type_of_batch,
+    duration: sub.duration || parseInt(student.duration, 10),
+  }));
+
+// Order line for renewing one subject of the student's for `duration` months
+const linesForRenewal = (student, { subjectId, batchId, duration }) => {
+  const sub = student.subject_id.find(
+    (entry) =>
+      String(entry._id) === String(subjectId) &&
+      entry.batch_id &&
+      String(entry.batch_id) === String(batchId)
+  );
+  if (!sub) {
+    throw pricingError("Subject and batch not found for this student");
+  }
+  return [
+    {
+      subject_id: sub._id,
+      type_of_batch: sub.type_of_batch || student.type_of_batch,
+      duration: parseInt(duration, 10),
+    },
+  ];
+};
+
+// One line of `months` of a batch type, after its own and the site-wide discount
+const priceLine = (batchType, months, globalDiscountRate) => {
+  const gross = round2(batchType.price * months);
+  const batchDiscount =
+    batchType.discount_active && batchType.discountedPrice < batchType.price
+      ? round2((batchType.price - batchType.discountedPrice) * months)
+      : 0;
+  const globalDiscount = round2(((gross - batchDiscount) * globalDiscountRate) / 100);
+
+  return {
+    type_of_batch: batchType._id,
+    mode: batchType.mode,
+    duration: months,
+    unit_price: batchType.price,
+    gross,
+    batch_discount: batchDiscount,
+    global_discount: globalDiscount,
+    net: round2(gross - batchDiscount - globalDiscount),
+  };
+};
+
+/**
+ * Applies the coupon and GST to lines that are already priced. GST is worked
+ * out the same way the invoice will be, so the two always agree.
+ */
+const summarise = async ({ student, priced, couponCode, gstRate }) => {
+  let coupon = null;
+  if (couponCode) {
+    coupon = await evaluateCoupon({
+      code: couponCode,
+      studentId: student._id,
+      classId: student.class,
+      lines: priced,
+    });
+  }
+
+  const sum = (field) => round2(priced.reduce((total, line) => total + line[field], 0));
+  const couponDiscount = coupon ? coupon.discount : 0;
+  const discount = round2(sum("batch_discount") + sum("global_discount") + couponDiscount);
+
+  const billingState = resolveState(student.billing_state);
+  const taxes = calculateTaxes({
+    items: priced.map((line) => ({ price: line.gross, quantity: 1 })),
+    discount,
+    gstRate,
+    interState: Boolean(billingState) && billingState.code !== config.invoice.seller.state_code,
+  });
+
+  return {
+    lines: priced,
+    subtotal: taxes.subtotal,
+    batch_discount: sum("batch_discount"),
+    global_discount: sum("global_discount"),
+    coupon_code: coupon ? coupon.coupon.code : undefined,
+    coupon_discount: couponDiscount,
+    discount,
+    taxable_value: round2(taxes.subtotal - discount),
+    gst_rate: gstRate,
+    gst: taxes.gst,
+    total: taxes.total,
+    couponDoc: coupon ? coupon.coupon : undefined,
+  };
+};
+
+/**
+ * Prices an order on the server. Each line is the batch type's monthly price
+ * times the duration, less the batch type's own discount and the site-wide
+ * `Pricing.discount`; a coupon then comes off the lines it applies to.
+ *
+ * @param {Object} params
+ * @param {Object} params.student - Student document
+ * @param {Object[]} params.lines - { subject_id, type_of_batch, duration }
+ * @param {string} [params.couponCode]
+ * @returns {Promise<Object>} The breakdown, plus `couponDoc` when a coupon applies
+ */
+const priceOrder = async ({ student, lines, couponCode }) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw pricingError("Nothing to pay for");
+  }
+
+  const [pricing, batchTypes, subjects] = await Promise.all([
+    Pricing.findOne(),
+    TypeOfBatch.find({ _id: { $in: lines.map((line) => line.type_of_batch) } }),
+    Subject.find({ _id: { $in: lines.map((line) => line.subject_id) } }).select("subject_name"),
+  ]);
+  const globalDiscountRate = (pricing && pricing.discount) || 0;
+
+  const priced = lines.map((line) => {
+    const batchType = batchTypes.find((type) => type._id.equals(line.type_of_batch));
+    const subject = subjects.find((entry) => entry._id.equals(line.subject_id));
+    if (!batchType || !subject) {
+      throw pricingError("A selected subject or batch type no longer exists");
+    }
+    if (!Number.isInteger(line.duration) || line.duration <= 0) {
+      throw pricingError("Duration must be a whole number of months");
+    }
+
+    return {
+      description: subject.subject_name,
+      subject_id: subject._id,
+      subject_name: subject.subject_name,
+      ...priceLine(batchType, line.duration, globalDiscountRate),
+    };
+  });
+
+  return summarise({
+    student,
+    priced,
+    couponCode,
+    gstRate: (pricing && pricing.gst) || 0,
+  });
+};
+
+/**
+ * Prices a custom package at the price the admin finalised with the student.
+ * That price is before GST and already negotiated, so the site-wide discount
+ * does not apply; an unrestricted coupon still can.
+ */
+const priceCustomPackage = async ({ student, customPackage, couponCode }) => {
+  if (!customPackage.is_price_finalized || !(customPackage.package_price > 0)) {
+    throw pricingError("The custom package price has not been finalised");
+  }
+
+  const [pricing, subjects] = await Promise.all([
+    Pricing.findOne(),
+    Subject.find({ _id: { $in: customPackage.subject_id } }).select("subject_name"),
+  ]);
+  const price = round2(customPackage.package_price);
+
+  const priced = [
+    {
+      description: `Custom package: ${subjects.map((subject) => subject.subject_name).join(", ")}`,
+      duration: customPackage.duration,
+      unit_price: price,
+      gross: price,
+      batch_discount: 0,
+      global_discount: 0,
+      net: price,
+    },
+  ];
+
+  return summarise({ student, priced, couponCode, gstRate: (pricing && pricing.gst) || 0 });
+};
+
+/**
+ * Prices one billing cycle of a subscription plan: `months` of the batch type
+ * with its current discounts and GST. Coupons do not apply to recurring
+ * charges. The breakdown is fixed when the plan is created because the
+ * gateway charges a fixed amount every cycle.
+ */
+const pricePlan = async (batchType, months) => {
+  const pricing = await Pricing.findOne();
+  const line = {
+    description: batchType.title,
+    ...priceLine(batchType, months, (pricing && pricing.discount) || 0),
+  };
+  const gstRate = (pricing && pricing.gst) || 0;
+  const discount = round2(line.batch_discount + line.global_discount);
+  const taxes = calculateTaxes({
+    items: [{ price: line.gross, quantity: 1 }],
+    discount,
+    gstRate,
+    interState: false,
+  });
+
+  return {
+    lines: [line],
+    subtotal: taxes.subtotal,
+    batch_discount: line.batch_discount,
+    global_discount: line.global_discount,
+    coupon_discount: 0,
+    discount,
+    taxable_value: round2(taxes.subtotal - discount),
+    gst_rate: gstRate,
+    gst: taxes.gst,
+    total: taxes.total,
+  };
+};
+
+module.exports = {
+  linesForNewOrder,
+  linesForRenewal,
+  priceOrder,
+  priceCustomPackage,
+  pricePlan,
+};
@@ -0,0 +1,102 @@
+// src/services/quoteService.js
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Quote = require("../models/quoteModel");
+const config = require("../config");
+
+const quoteError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const signature = (id) =>
+  crypto.createHmac("sha256", config.quote.signingSecret).update(String(id)).digest("base64url");
+
+/**
+ * Checks a client-supplied quote id of the form `<id>.<signature>` and
+ * returns the bare document id, or null when it was not issued by us.
+ */
+const parseQuoteId = (quoteId) => {
+  if (typeof quoteId !== "string") return null;
+  const [id, received] = quoteId.split(".");
+  if (!received || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+  const expected = Buffer.from(signature(id));
+  const actual = Buffer.from(received);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+    ? id
+    : null;
+};
+
+/**
+ * Stores a computed price and returns it with the signed id the client
+ * exchanges for an order.
+ *
+ * @param {Object} params
+ * @param {Object} params.student - Student document
+ * @param {string} params.kind - "new", "renewal" or "custom_package"
+ * @param {Object} params.pricing - Breakdown from pricingService
+ * @param {Object} [params.renewal] - { subject_id, batch_id, duration }
+ * @param {string} [params.customPackageId]
+ * @returns {Promise<{quoteId: string, expiresAt: Date, pricing: Object}>}
+ */
+const createQuote = async ({ student, kind, pricing, renewal, customPackageId }) => {
+  const { couponDoc, ...breakdown } = pricing;
+  const quote = await Quote.create({
+    student_id: student._id,
+    kind,
+    renewal,
+    custom_package_id: customPackageId,
+    pricing: breakdown,
+    coupon_id: couponDoc ? couponDoc._id : undefined,
+    coupon_code: breakdown.coupon_code,
+    expires_at: new Date(Date.now() + config.quote.ttlMinutes * 60 * 1000),
+  });
+
+  return {
+    quoteId: `${quote._id}.${signature(quote._id)}`,
+    expiresAt: quote.expires_at,
+    pricing: breakdown,
+  };
+};
+
+/**
+ * Marks a quote as used by `paymentId`. A quote can be claimed once, only for
+ * the kind of order it was issued for, and only before it expires.
+ *
+ * @param {Object} params
+ * @param {string} params.quoteId - Signed quote id
+ * @param {string|string[]} params.kind - Kind(s) of quote the caller accepts
+ * @param {Object} params.paymentId
+ * @returns {Promise<Object>} The claimed Quote
+ */
+const claimQuote = async ({ quoteId, kind, paymentId }) => {
+  const id = parseQuoteId(quoteId);
+  if (!id) {
+    throw quoteError(400, "Invalid quote");
+  }
+  const kinds = [].concat(kind);
+
+  const quote = await Quote.findOneAndUpdate(
+    { _id: id, kind: { $in: kinds }, payment_id: null, expires_at: { $gt: new Date() } },
+    { payment_id: paymentId },
+    { new: true }
+  );
+  if (quote) return quote;
+
+  const existing = await Quote.findById(id);
+  if (!existing || !kinds.includes(existing.kind)) {
+    throw quoteError(400, "Invalid quote");
+  }
+  if (existing.payment_id) {
+    throw quoteError(409, "This quote has already been used");
+  }
+  throw quoteError(400, "This quote has expired, please request a new one");
+};
+
+// Makes a claimed quote usable again when its order could not be created
+const releaseQuote = (quote) =>
+  Quote.updateOne({ _id: quote._id, payment_id: quote.payment_id }, { payment_id: null });
+
+module.exports = { parseQuoteId, createQuote, claimQuote, releaseQuote };
@@ -1,11 +1,9 @@
 const Razorpay = require('razorpay')
+const config = require('../config')
+
 const razorpayInstance = new Razorpay({
-    // key_id: 'rzp_test_YW49ucyVtjePLT',//developmet
-    key_id:'rzp_live_nmEtTvImeXIvf7',//production
-    // key_secret: 'FFn6tCkoKKQxfdvPCFuiijRE', //developmet
-    key_secret:'u4QbAJziwXhGYmdFWamz2KkZ',//production
-    course_payment:'FPs-kRnkuFXq8tG-course-Payment',
-    custom_packages:'bq3es79LTfQn.SH-custom-package',
+    key_id: config.razorpay.keyId,
+    key_secret: config.razorpay.keySecret,
 })
 
-module.exports = razorpayInstance;
\ No newline at end of file
+module.exports = razorpayInstance;
@@ -0,0 +1,206 @@
+// src/services/renewalReminderService.js
+const mongoose = require("mongoose");
+const RenewalReminder = require("../models/renewalReminderModel");
+const Payment = require("../models/paymentModel");
+const Student = require("../models/studentModel");
+const Subject = require("../models/subjectModel");
+const Subscription = require("../models/subscriptionModel");
+const config = require("../config");
+const { linesForRenewal, priceOrder } = require("./pricingService");
+const { createPaymentLink } = require("./paymentService");
+const { notifyUser } = require("./notificationService");
+const { renewalReminderStudent } = require("../mailTemplate/mailTemplates");
+const { sendMailFunctionTA } = require("../Mail/sendMail");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscriptions renew on their own, so their subjects need no reminder
+const AUTO_RENEWING_STATUSES = ["created", "active", "past_due"];
+
+/**
+ * The reminder due for an entry `daysLeft` days from expiry: the nearest
+ * configured offset that has been reached. A missed run therefore sends the
+ * most urgent reminder once rather than every skipped one.
+ */
+const dueOffset = (daysLeft) => {
+  const reached = config.renewalReminders.days.filter((days) => daysLeft <= days);
+  return reached.length > 0 ? Math.min(...reached) : null;
+};
+
+/**
+ * Renewal link for one enrollment, priced for the entry's own duration.
+ * Later reminders of the same cycle reuse the link while it is unpaid.
+ */
+const renewalLinkFor = async (student, entry) => {
+  const earlier = await RenewalReminder.findOne({
+    student_id: student._id,
+    subject_id: entry._id,
+    batch_expiry_date: entry.batch_expiry_date,
+    payment_id: { $ne: null },
+  });
+  if (earlier) {
+    const payment = await Payment.findById(earlier.payment_id).select("status");
+    if (payment && payment.status === "created") {
+      return { paymentId: earlier.payment_id, shortUrl: earlier.short_url };
+    }
+  }
+
+  const duration = entry.duration || 1;
+  const { couponDoc, ...pricing } = await priceOrder({
+    student,
+    lines: linesForRenewal(student, { subjectId: entry._id, batchId: entry.batch_id, duration }),
+  });
+
+  const paymentId = new mongoose.Types.ObjectId();
+  const receipt = `renew_${paymentId}`;
+  const payment = await Payment.create({
+    _id: paymentId,
+    amount: pricing.total,
+    status: "created",
+    student_id: student._id,
+    description: `Renewal: ${pricing.lines[0].subject_name} for ${duration} month(s)`,
+    receipt,
+    pricing,
+    renewal: { subject_id: entry._id, batch_id: entry.batch_id, duration },
+  });
+
+  const link = await createPaymentLink({
+    amount: pricing.total,
+    referenceId: receipt,
+    description: payment.description,
+    student,
+    expireBy: new Date(Math.max(entry.batch_expiry_date.getTime(), Date.now()) + DAY_MS),
+  });
+  return { paymentId, shortUrl: link.short_url };
+};
+
+/**
+ * Sends one reminder. The reminder document is written first so the unique
+ * index stops a second send, and records the renewal link as soon as it
+ * exists. It is only removed if no link could be made; once a link exists a
+ * failed email is retried on the next run with that same link, and once the
+ * email is out the reminder is kept whatever fails after it.
+ */
+const sendReminder = async (student, entry, subjectName, daysBefore, daysLeft) => {
+  const key = {
+    student_id: student._id,
+    subject_id: entry._id,
+    batch_expiry_date: entry.batch_expiry_date,
+    days_before: daysBefore,
+  };
+  let reminder = await RenewalReminder.findOneAndUpdate(
+    { ...key, status: "email_failed" },
+    { status: "sending" },
+    { new: true }
+  );
+  if (!reminder) {
+    try {
+      reminder = await RenewalReminder.create(key);
+    } catch (error) {
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  let shortUrl;
+  try {
+    const link = await renewalLinkFor(student, entry);
+    shortUrl = link.shortUrl;
+    await RenewalReminder.updateOne(
+      { _id: reminder._id },
+      { payment_id: link.paymentId, short_url: shortUrl }
+    );
+  } catch (error) {
+    if (!reminder.payment_id) {
+      await RenewalReminder.deleteOne({ _id: reminder._id });
+    } else {
+      await RenewalReminder.updateOne({ _id: reminder._id }, { status: "email_failed" });
+    }
+    throw error;
+  }
+
+  const expiryDate = entry.batch_expiry_date.toDateString();
+  try {
+    await sendMailFunctionTA(
+      student.user_id.email,
+      `Your ${subjectName} classes end in ${daysLeft} day${daysLeft === 1 ? "" : "s"}`,
+      renewalReminderStudent(student.user_id.name, subjectName, daysLeft, expiryDate, shortUrl)
+    );
+  } catch (error) {
+    await RenewalReminder.updateOne({ _id: reminder._id }, { status: "email_failed" });
+    throw error;
+  }
+
+  let status = "sent";
+  try {
+    await notifyUser(student.user_id._id, {
+      title: "Renewal reminder",
+      message: `Your ${subjectName} classes end on ${expiryDate}. Renew to keep your batch.`,
+      link: shortUrl,
+    });
+  } catch (error) {
+    status = "notification_failed";
+    console.error(`Error notifying student ${student._id} of their renewal reminder:`, error);
+  }
+  await RenewalReminder.updateOne({ _id: reminder._id }, { status, sent_at: new Date() });
+  return true;
+};
+
+/**
+ * Daily run: reminds students whose active subjects expire within the
+ * largest configured offset (RENEWAL_REMINDER_DAYS).
+ *
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+const runRenewalReminders = async () => {
+  const stats = { sent: 0, failed: 0 };
+  const offsets = config.renewalReminders.days;
+  if (offsets.length === 0) return stats;
+
+  const now = new Date();
+  const horizon = new Date(now.getTime() + Math.max(...offsets) * DAY_MS);
+
+  const students = await Student.find({
+    subject_id: {
+      $elemMatch: { batch_status: "active", batch_expiry_date: { $gt: now, $lte: horizon } },
+    },
+  }).populate("user_id");
+
+  const subjects = await Subject.find({
+    _id: { $in: students.flatMap((student) => student.subject_id.map((entry) => entry._id)) },
+  }).select("subject_name");
+  const subjectNames = new Map(subjects.map((subject) => [String(subject._id), subject.subject_name]));
+
+  for (const student of students) {
+    if (!student.user_id) continue;
+
+    for (const entry of student.subject_id) {
+      if (entry.batch_status !== "active" || !entry.batch_expiry_date) continue;
+      if (entry.batch_expiry_date <= now || entry.batch_expiry_date > horizon) continue;
+
+      const daysLeft = Math.ceil((entry.batch_expiry_date - now) / DAY_MS);
+      const daysBefore = dueOffset(daysLeft);
+      if (daysBefore === null) continue;
+
+      const renewing = await Subscription.exists({
+        student_id: student._id,
+        subject_id: entry._id,
+        status: { $in: AUTO_RENEWING_STATUSES },
+      });
+      if (renewing) continue;
+
+      try {
+        const subjectName = subjectNames.get(String(entry._id)) || "your";
+        const sent = await sendReminder(student, entry, subjectName, daysBefore, daysLeft);
+        if (sent) stats.sent++;
+      } catch (error) {
+        stats.failed++;
+        console.error(`Error sending renewal reminder to student ${student._id}:`, error);
+      }
+    }
+  }
+
+  return stats;
+};
+
+module.exports = { runRenewalReminders };
@@ -0,0 +1,148 @@
+// src/services/rescheduleService.js
+const RescheduleMeeting = require("../models/rescheduleMeetingModel");
+const Student = require("../models/studentModel");
+const { updateSession } = require("./sessionService");
+const { formatSessionTime } = require("./schedulingService");
+const { notifyUser } = require("./notificationService");
+const {
+  rescheduleApprovedStudent,
+  rescheduleApprovedTeacher,
+  sessionRescheduledStudent,
+  rescheduleRejectedStudent,
+} = require("../mailTemplate/mailTemplates");
+const { sendMailFunctionTA } = require("../Mail/sendMail");
+
+const rescheduleError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const populateParties = (query) =>
+  query
+    .populate({ path: "student_id", select: "user_id", populate: { path: "user_id", select: "name email" } })
+    .populate({ path: "teacher_id", select: "user_id", populate: { path: "user_id", select: "name email" } });
+
+// Notification failures are logged; the decision has already been made
+const notify = async (user, { subject, html, title, message }) => {
+  if (!user) return;
+  try {
+    await sendMailFunctionTA(user.email, subject, html);
+    await notifyUser(user._id, { title, message });
+  } catch (error) {
+    console.error(`Error notifying user ${user._id} of a reschedule decision:`, error);
+  }
+};
+
+/**
+ * Approves the pending reschedule request for a session and moves the
+ * session to the requested time for the teacher and the whole batch, all
+ * of whom are told. The teacher's availability is checked again first; on a
+ * conflict the request stays pending and the 409 carries the conflicts.
+ *
+ * @param {string} meetingId - The session (Meeting) the request is for
+ * @returns {Promise<{rescheduleMeeting: Object, session: Object}>}
+ */
+const approveReschedule = async (meetingId) => {
+  // Claiming the request first means two approvals can't both move the session
+  const request = await populateParties(
+    RescheduleMeeting.findOneAndUpdate(
+      { meeting_id: meetingId, status: "pending" },
+      { status: "approved", decided_at: new Date() },
+      { new: true, sort: { createdAt: 1 } }
+    )
+  );
+  if (!request) {
+    throw rescheduleError(404, "No pending reschedule request for this meeting");
+  }
+
+  let session;
+  try {
+    session = await updateSession(
+      meetingId,
+      { start: request.start, end: request.end },
+      { rescheduled: true }
+    );
+  } catch (error) {
+    await RescheduleMeeting.updateOne(
+      { _id: request._id },
+      { $set: { status: "pending" }, $unset: { decided_at: 1 } }
+    );
+    throw error;
+  }
+
+  const newTime = formatSessionTime(request.start);
+  const student = request.student_id && request.student_id.user_id;
+  const teacher = request.teacher_id && request.teacher_id.user_id;
+  await notify(student, {
+    subject: "Your Class Has Been Rescheduled",
+    html: rescheduleApprovedStudent(student && student.name, request.meeting_title, newTime),
+    title: "Reschedule approved",
+    message: `${request.meeting_title} now takes place on ${newTime}.`,
+  });
+  await notify(teacher, {
+    subject: "Class Rescheduled",
+    html: rescheduleApprovedTeacher(
+      teacher && teacher.name,
+      student ? student.name : "a student",
+      request.meeting_title,
+      newTime
+    ),
+    title: "Class rescheduled",
+    message: `${request.meeting_title} has moved to ${newTime}.`,
+  });
+
+  // The rest of the batch moved with the requester
+  const classmates = await Student.find({
+    _id: { $in: session.students, $ne: request.student_id && request.student_id._id },
+  })
+    .select("user_id")
+    .populate("user_id", "name email");
+  for (const classmate of classmates) {
+    const user = classmate.user_id;
+    await notify(user, {
+      subject: "Your Class Has Been Rescheduled",
+      html: sessionRescheduledStudent(user && user.name, request.meeting_title, newTime),
+      title: "Class rescheduled",
+      message: `${request.meeting_title} now takes place on ${newTime}.`,
+    });
+  }
+
+  return { rescheduleMeeting: request, session };
+};
+
+/**
+ * Rejects the pending reschedule request for a session and tells the
+ * student why.
+ *
+ * @param {string} meetingId
+ * @param {string} [reason]
+ * @returns {Promise<Object>} The rejected request
+ */
+const rejectReschedule = async (meetingId, reason) => {
+  const request = await populateParties(
+    RescheduleMeeting.findOneAndUpdate(
+      { meeting_id: meetingId, status: "pending" },
+      { status: "rejected", rejection_reason: reason, decided_at: new Date() },
+      { new: true, sort: { createdAt: 1 } }
+    )
+  );
+  if (!request) {
+    throw rescheduleError(404, "No pending reschedule request for this meeting");
+  }
+
+  const requestedTime = formatSessionTime(request.start);
+  const student = request.student_id && request.student_id.user_id;
+  await notify(student, {
+    subject: "Reschedule Request Declined",
+    html: rescheduleRejectedStudent(student && student.name, request.meeting_title, requestedTime, reason),
+    title: "Reschedule declined",
+    message: `Your request to move ${request.meeting_title} to ${requestedTime} was declined.${
+      reason ? ` Reason: ${reason}` : ""
+    }`,
+  });
+
+  return request;
+};
+
+module.exports = { approveReschedule, rejectReschedule };
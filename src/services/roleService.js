@@ -0,0 +1,86 @@
+// src/services/roleService.js
+const { admin } = require("./firebaseService");
+const User = require("../models/userModel");
+
+const ROLES = ["student", "teacher", "admin"];
+
+/**
+ * Writes the user's role and database id into their Firebase custom claims so
+ * authMiddleware can authorise requests straight from the verified ID token.
+ * Claims reach the client on the next token refresh.
+ *
+ * @param {Object} user - User document
+ */
+const syncRoleClaims = async (user) => {
+  const { customClaims } = await admin.auth().getUser(user.auth_id);
+  await admin.auth().setCustomUserClaims(user.auth_id, {
+    ...(customClaims || {}),
+    role: user.role,
+    app_user_id: user._id.toString(),
+  });
+};
+
+/**
+ * Promotes or demotes a user, records the change in role_history and syncs the
+ * Firebase custom claim. Any change also revokes the user's refresh tokens,
+ * which authorizeRole checks for teacher and admin access, so an old
+ * elevated role ends with the request that changed it.
+ *
+ * @param {Object} params
+ * @param {string} params.userId - User being changed
+ * @param {string} params.role - New role
+ * @param {string} [params.changedBy] - User id of the admin making the change
+ * @param {string} [params.reason] - Free-text reason kept in the history
+ * @returns {Promise<Object>} The updated user document
+ */
+const changeUserRole = async ({ userId, role, changedBy, reason }) => {
+  if (!ROLES.includes(role)) {
+    const error = new Error(`Invalid role. Must be one of: ${ROLES.join(", ")}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    const error = new Error("User not found");
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const previousRole = user.role;
+  if (previousRole !== role) {
+    user.role = role;
+    user.role_history.push({
+      from: previousRole,
+      to: role,
+      changed_by: changedBy,
+      changed_at: new Date(),
+      reason,
+    });
+    await user.save();
+  }
+
+  await syncRoleClaims(user);
+
+  if (previousRole !== role) {
+    await admin.auth().revokeRefreshTokens(user.auth_id);
+  }
+
+  return user;
+};
+
+/**
+ * Whether a verified ID token was issued before the user's refresh tokens
+ * were last revoked. Costs one Firebase lookup, so callers only check it
+ * where the token's role claim grants more than student access.
+ *
+ * @param {Object} decodedToken - Result of verifyIdToken
+ * @returns {Promise<boolean>}
+ */
+const isTokenRevoked = async (decodedToken) => {
+  const { tokensValidAfterTime } = await admin.auth().getUser(decodedToken.uid);
+  if (!tokensValidAfterTime) return false;
+  return decodedToken.auth_time * 1000 < new Date(tokensValidAfterTime).getTime();
+};
+
+module.exports = { ROLES, syncRoleClaims, changeUserRole, isTokenRevoked };
@@ -0,0 +1,300 @@
+// src/services/schedulingService.js
+const Batch = require("../models/batchModel");
+const Meeting = require("../models/meetingModel");
+const Teacher = require("../models/teacherModel");
+const config = require("../config");
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const schedulingError = (statusCode, message, conflicts) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (conflicts) error.conflicts = conflicts;
+  return error;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Weekday, calendar date and minutes past midnight of `date` in `timeZone`
+const localParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, part.value])
+  );
+  return {
+    day: WEEKDAYS.indexOf(parts.weekday),
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+/**
+ * The instant `time` ("HH:MM") falls at on `date` ("YYYY-MM-DD") in
+ * `timeZone`. Correcting twice settles the offset across DST changes.
+ */
+const zonedTime = (date, time, timeZone) => {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hours, minutes] = time.split(":").map(Number);
+  const wall = Date.UTC(year, month - 1, day, hours, minutes);
+  let instant = wall;
+  for (let pass = 0; pass < 2; pass++) {
+    const local = localParts(new Date(instant), timeZone);
+    const [localYear, localMonth, localDay] = local.date.split("-").map(Number);
+    instant += wall - (Date.UTC(localYear, localMonth - 1, localDay) + local.minutes * 60000);
+  }
+  return new Date(instant);
+};
+
+// A session time as people read it, e.g. "20 Oct 2026, 5:00 pm"
+const formatSessionTime = (date, timeZone = config.scheduling.timezone) =>
+  date.toLocaleString("en-IN", { timeZone, dateStyle: "medium", timeStyle: "short" });
+
+// Teacher.schedule stores the session length in minutes as a string
+const entryEnd = (entry) => {
+  const minutes = parseInt(entry.meeting_time, 10) || config.scheduling.defaultSessionMinutes;
+  return new Date(entry.date.getTime() + minutes * 60000);
+};
+
+/**
+ * Validates availability sent by a client and returns it in the shape
+ * stored on Teacher.availability. Exceptions are only replaced when given.
+ */
+const normalizeAvailability = ({ timezone, weekly = [], exceptions }) => {
+  if (timezone && !isValidTimezone(timezone)) {
+    throw schedulingError(400, `Unknown timezone ${timezone}`);
+  }
+  if (!Array.isArray(weekly)) {
+    throw schedulingError(400, "weekly must be an array of { day, start, end }");
+  }
+
+  const windows = weekly.map((window) => {
+    const day = Number(window.day);
+    if (!Number.isInteger(day) || day < 0 || day > 6) {
+      throw schedulingError(400, "day must be 0 (Sunday) to 6 (Saturday)");
+    }
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      throw schedulingError(400, "start and end must be HH:MM");
+    }
+    if (toMinutes(window.start) >= toMinutes(window.end)) {
+      throw schedulingError(400, `Window ${window.start}-${window.end} ends before it starts`);
+    }
+    return { day, start: window.start, end: window.end };
+  });
+
+  const availability = { timezone: timezone || undefined, weekly: windows };
+  if (exceptions !== undefined) {
+    if (!Array.isArray(exceptions)) {
+      throw schedulingError(400, "exceptions must be an array of { from, to, reason }");
+    }
+    availability.exceptions = exceptions.map(normalizeException);
+  }
+  return availability;
+};
+
+const normalizeException = ({ from, to, reason }) => {
+  const end = to || from;
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(end)) {
+    throw schedulingError(400, "from and to must be YYYY-MM-DD");
+  }
+  if (end < from) {
+    throw schedulingError(400, "to must not be before from");
+  }
+  return { from, to: end, reason };
+};
+
+/**
+ * Everything stopping `teacher` from taking each slot: outside their weekly
+ * windows, on a day off, or overlapping a session already in their schedule.
+ * Sessions of `ignoreMeetingIds` are left out, so moving a session doesn't
+ * clash with itself.
+ *
+ * @param {Object} teacher - Teacher with `availability` and `schedule`
+ * @param {Array<{start: Date, end: Date}>} slots
+ * @param {Object} [options]
+ * @param {Array} [options.ignoreMeetingIds]
+ * @returns {Object[]} Conflicts, empty when every slot is free
+ */
+const findConflicts = (teacher, slots, { ignoreMeetingIds = [] } = {}) => {
+  const availability = teacher.availability || {};
+  const timeZone = availability.timezone || config.scheduling.timezone;
+  const weekly = availability.weekly || [];
+  const exceptions = availability.exceptions || [];
+  const ignored = new Set(ignoreMeetingIds.map(String));
+  const conflicts = [];
+
+  for (const slot of slots) {
+    const base = { teacher_id: teacher._id, start: slot.start, end: slot.end };
+    const from = localParts(slot.start, timeZone);
+    const to = localParts(slot.end, timeZone);
+
+    const leave = exceptions.find((entry) => entry.from <= to.date && from.date <= entry.to);
+    if (leave) {
+      conflicts.push({ ...base, type: "leave", reason: leave.reason });
+    }
+
+    if (weekly.length > 0) {
+      // A session running past midnight (to.date later) is never inside a window
+      const inWindow =
+        from.date === to.date &&
+        weekly.some(
+          (window) =>
+            window.day === from.day &&
+            toMinutes(window.start) <= from.minutes &&
+            to.minutes <= toMinutes(window.end)
+        );
+      if (!inWindow) {
+        conflicts.push({ ...base, type: "unavailable" });
+      }
+    }
+
+    for (const entry of teacher.schedule || []) {
+      if (!entry.date || (entry.meeting_id && ignored.has(String(entry.meeting_id)))) continue;
+      if (entry.date < slot.end && slot.start < entryEnd(entry)) {
+        conflicts.push({
+          ...base,
+          type: "booked",
+          meeting_id: entry.meeting_id,
+          meeting_title: entry.meeting_title,
+          booked_start: entry.date,
+          booked_end: entryEnd(entry),
+        });
+      }
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Throws a 409 carrying every conflict unless each teacher is free for every
+ * slot.
+ *
+ * @param {Array} teacherIds
+ * @param {Array<{start: Date, end: Date}>} slots
+ * @param {Object} [options] - Passed to findConflicts
+ */
+const assertTeachersFree = async (teacherIds, slots, options) => {
+  const teachers = await Teacher.find({ _id: { $in: teacherIds } }).select("availability schedule");
+  if (teachers.length !== new Set(teacherIds.map(String)).size) {
+    throw schedulingError(404, "Teacher not found");
+  }
+
+  const conflicts = teachers.flatMap((teacher) => findConflicts(teacher, slots, options));
+  if (conflicts.length > 0) {
+    throw schedulingError(409, "The teacher is not free for the requested time", conflicts);
+  }
+};
+
+/**
+ * Upcoming sessions of a batch, read from its current teachers' schedules.
+ *
+ * @returns {Promise<Object[]>} Schedule entries, one per session
+ */
+const upcomingBatchSessions = async (batch) => {
+  const meetingIds = await Meeting.find({ batch_id: batch._id, is_active: true }).distinct("_id");
+  if (meetingIds.length === 0) return [];
+
+  const ids = new Set(meetingIds.map(String));
+  const now = new Date();
+  const teachers = await Teacher.find({ _id: { $in: batch.teacher_id } }).select("schedule");
+  const sessions = new Map();
+  for (const teacher of teachers) {
+    for (const entry of teacher.schedule) {
+      if (!entry.meeting_id || !ids.has(String(entry.meeting_id)) || !entry.date || entry.date < now) {
+        continue;
+      }
+      sessions.set(`${entry.meeting_id}|${entry.date.getTime()}`, entry.toObject());
+    }
+  }
+  return [...sessions.values()];
+};
+
+/**
+ * Replaces the teachers of a batch after checking each incoming teacher is
+ * free for the batch's upcoming sessions. Those sessions move into the new
+ * teachers' schedules and out of the outgoing ones'.
+ *
+ * @param {Object} params
+ * @param {string} params.batchId
+ * @param {string[]} params.teacherIds
+ * @returns {Promise<Object>} The updated batch
+ */
+const assignBatchTeachers = async ({ batchId, teacherIds }) => {
+  if (!Array.isArray(teacherIds) || teacherIds.length === 0) {
+    throw schedulingError(400, "teacher_id must be a non-empty array of teacher IDs");
+  }
+
+  const batch = await Batch.findById(batchId);
+  if (!batch) {
+    throw schedulingError(404, "Batch not found");
+  }
+
+  const current = new Set(batch.teacher_id.map(String));
+  const incoming = [...new Set(teacherIds.map(String))];
+  const added = incoming.filter((id) => !current.has(id));
+  const removed = [...current].filter((id) => !incoming.includes(id));
+
+  const sessions = await upcomingBatchSessions(batch);
+  const slots = sessions.map((entry) => ({ start: entry.date, end: entryEnd(entry) }));
+  if (added.length > 0) {
+    await assertTeachersFree(added, slots);
+  }
+
+  batch.teacher_id = incoming;
+  await batch.save();
+
+  if (sessions.length > 0) {
+    const meetingIds = [...new Set(sessions.map((entry) => String(entry.meeting_id)))];
+    const entries = sessions.map(({ _id, ...entry }) => entry);
+    await Teacher.updateMany(
+      { _id: { $in: added } },
+      { $push: { schedule: { $each: entries } } }
+    );
+    await Teacher.updateMany(
+      { _id: { $in: removed } },
+      { $pull: { schedule: { meeting_id: { $in: meetingIds }, date: { $gte: new Date() } } } }
+    );
+    await Meeting.updateMany(
+      { _id: { $in: meetingIds }, teacher_id: { $nin: incoming } },
+      { $set: { teacher_id: incoming[0] } }
+    );
+  }
+
+  return batch;
+};
+
+module.exports = {
+  localParts,
+  zonedTime,
+  formatSessionTime,
+  entryEnd,
+  normalizeAvailability,
+  normalizeException,
+  findConflicts,
+  assertTeachersFree,
+  assignBatchTeachers,
+};
@@ -0,0 +1,532 @@
+// src/services/sessionService.js
+const mongoose = require("mongoose");
+const Batch = require("../models/batchModel");
+const Meeting = require("../models/meetingModel");
+const SessionSeries = require("../models/sessionSeriesModel");
+const Student = require("../models/studentModel");
+const Teacher = require("../models/teacherModel");
+const config = require("../config");
+const meetingService = require("./meetingService");
+const {
+  localParts,
+  zonedTime,
+  normalizeAvailability,
+  assertTeachersFree,
+} = require("./schedulingService");
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// About a year of classes three times a week, with room to spare
+const MAX_SESSIONS = 400;
+
+const sessionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const slotKey = (slot) => `${slot.start.getTime()}|${slot.end.getTime()}`;
+
+/**
+ * Every occurrence of a weekly timetable from `startDate` to `endDate`
+ * inclusive, as instants. Occurrences already under way are left out.
+ *
+ * @param {Object} timetable
+ * @param {string} timetable.timezone
+ * @param {Array<{day: number, start: string, end: string}>} timetable.weekly
+ * @param {string} timetable.startDate - YYYY-MM-DD
+ * @param {string} timetable.endDate - YYYY-MM-DD
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+const expandTimetable = ({ timezone, weekly, startDate, endDate }) => {
+  const now = new Date();
+  const [year, month, day] = startDate.split("-").map(Number);
+  const slots = [];
+
+  for (
+    const cursor = new Date(Date.UTC(year, month - 1, day));
+    cursor.toISOString().slice(0, 10) <= endDate;
+    cursor.setUTCDate(cursor.getUTCDate() + 1)
+  ) {
+    const date = cursor.toISOString().slice(0, 10);
+    for (const window of weekly) {
+      if (window.day !== cursor.getUTCDay()) continue;
+      const slot = {
+        start: zonedTime(date, window.start, timezone),
+        end: zonedTime(date, window.end, timezone),
+      };
+      if (slot.start <= now) continue;
+      slots.push(slot);
+      if (slots.length > MAX_SESSIONS) {
+        throw sessionError(400, `A series may have at most ${MAX_SESSIONS} sessions`);
+      }
+    }
+  }
+
+  return slots.sort((a, b) => a.start - b.start);
+};
+
+// Validated timetable from a request body, falling back to `current`
+const readTimetable = (body, current = {}) => {
+  const { timezone, weekly } = normalizeAvailability({
+    timezone: body.timezone || current.timezone || config.scheduling.timezone,
+    weekly: body.weekly || current.weekly,
+  });
+  const startDate = body.start_date || current.start_date;
+  const endDate = body.end_date || current.end_date;
+
+  if (weekly.length === 0) {
+    throw sessionError(400, "weekly must list at least one { day, start, end }");
+  }
+  if (!DATE_PATTERN.test(startDate) || !DATE_PATTERN.test(endDate)) {
+    throw sessionError(400, "start_date and end_date must be YYYY-MM-DD");
+  }
+  if (endDate < startDate) {
+    throw sessionError(400, "end_date must not be before start_date");
+  }
+  return { timezone, weekly, startDate, endDate };
+};
+
+const minutesBetween = (start, end) => String(Math.round((end - start) / 60000));
+
+const teacherEntry = (meeting) => ({
+  date: meeting.start_time,
+  meeting_url: meeting.meeting_link,
+  meeting_title: meeting.title,
+  meeting_time: minutesBetween(meeting.start_time, meeting.end_time),
+  meeting_id: meeting._id,
+});
+
+const studentEntry = (meeting) => ({
+  ...teacherEntry(meeting),
+  meeting_reschedule: false,
+  teacher_id: meeting.teacher_id,
+  batch_id: meeting.batch_id,
+});
+
+/**
+ * Adds sessions to the schedules of their teacher and of every student in
+ * their batch.
+ */
+const addScheduleEntries = async (meetings, session = null) => {
+  if (meetings.length === 0) return;
+  const { teacher_id: teacherId, students } = meetings[0];
+
+  await Teacher.updateOne(
+    { _id: teacherId },
+    { $push: { schedule: { $each: meetings.map(teacherEntry) } } },
+    { session }
+  );
+  await Student.updateMany(
+    { _id: { $in: students } },
+    { $push: { schedule: { $each: meetings.map(studentEntry) } } },
+    { session }
+  );
+};
+
+// Removes sessions from every teacher and student schedule they appear in
+const removeScheduleEntries = async (meetingIds, session = null) => {
+  const pull = { $pull: { schedule: { meeting_id: { $in: meetingIds } } } };
+  await Teacher.updateMany({ "schedule.meeting_id": { $in: meetingIds } }, pull, { session });
+  await Student.updateMany({ "schedule.meeting_id": { $in: meetingIds } }, pull, { session });
+};
+
+/**
+ * Moves or renames a session in every schedule it appears in.
+ *
+ * @param {Object} meeting - The Meeting, already carrying the new values
+ * @param {Object} [session] - Transaction session
+ * @param {Object} [options]
+ * @param {boolean} [options.rescheduled] - Flag the entries as rescheduled
+ */
+const updateScheduleEntries = async (meeting, session = null, { rescheduled = false } = {}) => {
+  const update = {
+    $set: {
+      "schedule.$[entry].date": meeting.start_time,
+      "schedule.$[entry].meeting_time": minutesBetween(meeting.start_time, meeting.end_time),
+      "schedule.$[entry].meeting_title": meeting.title,
+    },
+  };
+  if (rescheduled) {
+    update.$set["schedule.$[entry].meeting_reschedule"] = true;
+  }
+  const options = { arrayFilters: [{ "entry.meeting_id": meeting._id }], session };
+  await Teacher.updateMany({ "schedule.meeting_id": meeting._id }, update, options);
+  await Student.updateMany({ "schedule.meeting_id": meeting._id }, update, options);
+};
+
+const sessionDocuments = (series, batch, slots) =>
+  slots.map((slot) => ({
+    series_id: series._id,
+    teacher_id: series.teacher_id,
+    batch_id: batch._id,
+    students: batch.students,
+    title: series.title,
+    start_time: slot.start,
+    end_time: slot.end,
+    provider: series.provider,
+    meeting_link: series.meeting_link,
+    meetingId: series.online_meeting_id,
+  }));
+
+// Provider-side failures after our records are saved are logged, not thrown
+const syncProvider = async (description, call) => {
+  try {
+    await call();
+  } catch (error) {
+    console.error(`Error ${description}:`, error);
+  }
+};
+
+/**
+ * Creates a weekly series of sessions for a batch: one online meeting
+ * shared by the series, and a Meeting plus teacher and student schedule
+ * entries per occurrence. Refused with the conflicts if the teacher isn't
+ * free for every occurrence.
+ *
+ * @param {Object} params
+ * @param {string} params.batchId
+ * @param {string} [params.teacherId] - Defaults to the batch's first teacher
+ * @param {string} params.title
+ * @param {Object} params.body - `timezone`, `weekly`, `start_date`, `end_date`
+ * @param {string} [params.provider] - Overrides the batch's meeting provider
+ * @param {string} [params.createdBy] - Firebase uid
+ * @returns {Promise<{series: Object, sessions: Object[]}>}
+ */
+const createSeries = async ({ batchId, teacherId, title, body, provider, createdBy }) => {
+  if (!title) {
+    throw sessionError(400, "title is required");
+  }
+  const timetable = readTimetable(body);
+
+  const batch = await Batch.findById(batchId).select("teacher_id students status meeting_provider");
+  if (!batch) {
+    throw sessionError(404, "Batch not found");
+  }
+  if (!["planned", "active"].includes(batch.status)) {
+    throw sessionError(409, `Cannot schedule classes for a ${batch.status} batch`);
+  }
+  const organizerId = teacherId || batch.teacher_id[0];
+  if (!organizerId) {
+    throw sessionError(400, "The batch has no teacher");
+  }
+
+  const slots = expandTimetable(timetable);
+  if (slots.length === 0) {
+    throw sessionError(400, "The timetable has no upcoming sessions between those dates");
+  }
+  await assertTeachersFree([organizerId], slots);
+
+  const online = await meetingService.createMeeting({
+    batch,
+    provider,
+    teacherId: organizerId,
+    title,
+    start: slots[0].start,
+    end: slots[slots.length - 1].end,
+  });
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [series] = await SessionSeries.create(
+      [
+        {
+          batch_id: batch._id,
+          teacher_id: organizerId,
+          title,
+          timezone: timetable.timezone,
+          weekly: timetable.weekly,
+          start_date: timetable.startDate,
+          end_date: timetable.endDate,
+          provider: online.provider,
+          meeting_link: online.joinUrl,
+          online_meeting_id: online.id,
+          created_by: createdBy,
+        },
+      ],
+      { session }
+    );
+
+    const sessions = await Meeting.insertMany(sessionDocuments(series, batch, slots), { session });
+    await addScheduleEntries(sessions, session);
+    await Batch.updateOne({ _id: batch._id }, { $set: { meeting_link: online.joinUrl } }, { session });
+
+    await session.commitTransaction();
+    return { series, sessions };
+  } catch (error) {
+    await session.abortTransaction();
+    // Nothing refers to the online meeting any more
+    await syncProvider(`cancelling the online meeting for batch ${batch._id}`, () =>
+      meetingService.cancelMeeting({
+        provider: online.provider,
+        teacher_id: organizerId,
+        online_meeting_id: online.id,
+      })
+    );
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Changes a series' title, timetable or end date. Upcoming sessions the new
+ * timetable no longer has are cancelled and new ones are added; sessions at
+ * unchanged times, and ones edited on their own, are kept.
+ *
+ * @param {string} seriesId
+ * @param {Object} body - Any of `title`, `timezone`, `weekly`, `end_date`
+ * @returns {Promise<{series: Object, created: number, cancelled: number}>}
+ */
+const updateSeries = async (seriesId, body) => {
+  const series = await SessionSeries.findOne({ _id: seriesId, status: "active" });
+  if (!series) {
+    throw sessionError(404, "Series not found or cancelled");
+  }
+
+  const timetable = readTimetable({ ...body, start_date: undefined }, series);
+  const today = localParts(new Date(), timetable.timezone).date;
+  const slots = expandTimetable({
+    ...timetable,
+    startDate: timetable.startDate > today ? timetable.startDate : today,
+  });
+
+  const upcoming = await Meeting.find({
+    series_id: series._id,
+    status: "scheduled",
+    detached: { $ne: true },
+    start_time: { $gt: new Date() },
+  });
+  const wanted = new Set(slots.map(slotKey));
+  const existing = new Set(
+    upcoming.map((meeting) => slotKey({ start: meeting.start_time, end: meeting.end_time }))
+  );
+  const toCancel = upcoming.filter(
+    (meeting) => !wanted.has(slotKey({ start: meeting.start_time, end: meeting.end_time }))
+  );
+  const toCreate = slots.filter((slot) => !existing.has(slotKey(slot)));
+  const cancelIds = toCancel.map((meeting) => meeting._id);
+
+  await assertTeachersFree([series.teacher_id], toCreate, { ignoreMeetingIds: cancelIds });
+  const batch = await Batch.findById(series.batch_id).select("students");
+  if (!batch) {
+    throw sessionError(404, "Batch not found");
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const renamed = body.title && body.title !== series.title;
+    series.set({
+      title: body.title || series.title,
+      timezone: timetable.timezone,
+      weekly: timetable.weekly,
+      end_date: timetable.endDate,
+    });
+    await series.save({ session });
+
+    if (cancelIds.length > 0) {
+      await Meeting.updateMany(
+        { _id: { $in: cancelIds } },
+        { $set: { status: "cancelled", is_active: false } },
+        { session }
+      );
+      await removeScheduleEntries(cancelIds, session);
+    }
+
+    if (renamed) {
+      const kept = upcoming.filter((meeting) => !toCancel.includes(meeting));
+      for (const meeting of kept) {
+        meeting.title = series.title;
+        await meeting.save({ session });
+        await updateScheduleEntries(meeting, session);
+      }
+    }
+
+    const created = await Meeting.insertMany(sessionDocuments(series, batch, toCreate), { session });
+    await addScheduleEntries(created, session);
+
+    await session.commitTransaction();
+    if (renamed) {
+      await syncProvider(`renaming the meeting of series ${series._id}`, () =>
+        meetingService.updateMeeting(series, { title: series.title })
+      );
+    }
+    return { series, created: created.length, cancelled: cancelIds.length };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Cancels a series: every upcoming session is cancelled and leaves the
+ * schedules. Past sessions are kept for attendance.
+ */
+const cancelSeries = async (seriesId) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const series = await SessionSeries.findOneAndUpdate(
+      { _id: seriesId, status: "active" },
+      { status: "cancelled" },
+      { new: true, session }
+    );
+    if (!series) {
+      throw sessionError(404, "Series not found or already cancelled");
+    }
+
+    const cancelIds = await Meeting.find({
+      series_id: series._id,
+      status: "scheduled",
+      start_time: { $gt: new Date() },
+    })
+      .session(session)
+      .distinct("_id");
+    await Meeting.updateMany(
+      { _id: { $in: cancelIds } },
+      { $set: { status: "cancelled", is_active: false } },
+      { session }
+    );
+    await removeScheduleEntries(cancelIds, session);
+
+    await session.commitTransaction();
+    await syncProvider(`cancelling the meeting of series ${series._id}`, () =>
+      meetingService.cancelMeeting(series)
+    );
+    return { series, cancelled: cancelIds.length };
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Moves or renames a single session. A session from a series is detached
+ * from it, so later series edits don't undo the change; its online meeting
+ * is shared with the series and left as it is.
+ *
+ * @param {string} meetingId
+ * @param {Object} changes - Any of `start`, `end`, `title`
+ * @param {Object} [options] - Passed to updateScheduleEntries
+ * @returns {Promise<Object>} The updated Meeting
+ */
+const updateSession = async (meetingId, { start, end, title }, options) => {
+  // Meetings from before sessions had a status have none
+  const meeting = await Meeting.findOne({ _id: meetingId, status: { $ne: "cancelled" } });
+  if (!meeting) {
+    throw sessionError(404, "Session not found or cancelled");
+  }
+
+  const startTime = start ? new Date(start) : meeting.start_time;
+  const endTime = end ? new Date(end) : meeting.end_time;
+  if (!startTime || !endTime || isNaN(startTime.getTime()) || isNaN(endTime.getTime())) {
+    throw sessionError(400, "start and end must be valid dates");
+  }
+  if (endTime <= startTime) {
+    throw sessionError(400, "end must be after start");
+  }
+
+  const moved =
+    startTime.getTime() !== (meeting.start_time && meeting.start_time.getTime()) ||
+    endTime.getTime() !== (meeting.end_time && meeting.end_time.getTime());
+  if (moved) {
+    await assertTeachersFree([meeting.teacher_id], [{ start: startTime, end: endTime }], {
+      ignoreMeetingIds: [meeting._id],
+    });
+  }
+
+  meeting.set({
+    start_time: startTime,
+    end_time: endTime,
+    title: title || meeting.title,
+    detached: Boolean(meeting.series_id),
+  });
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    await meeting.save({ session });
+    await updateScheduleEntries(meeting, session, options);
+    await session.commitTransaction();
+    if (!meeting.series_id) {
+      await syncProvider(`updating the online meeting of session ${meeting._id}`, () =>
+        meetingService.updateMeeting(meeting, { title: meeting.title, start: startTime, end: endTime })
+      );
+    }
+    return meeting;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Cancels a single session and takes it off every schedule. The online
+ * meeting is only cancelled when the session has one of its own.
+ *
+ * @param {string} meetingId
+ * @param {Object} [details]
+ * @param {string} [details.reason]
+ * @param {string} [details.cancelledBy] - Firebase uid
+ * @returns {Promise<Object>} The cancelled Meeting
+ */
+const cancelSession = async (meetingId, { reason, cancelledBy } = {}) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const meeting = await Meeting.findOneAndUpdate(
+      { _id: meetingId, status: { $ne: "cancelled" } },
+      {
+        $set: {
+          status: "cancelled",
+          is_active: false,
+          cancellation_reason: reason,
+          cancelled_at: new Date(),
+          cancelled_by: cancelledBy,
+        },
+      },
+      { new: true, session }
+    );
+    if (!meeting) {
+      throw sessionError(404, "Session not found or already cancelled");
+    }
+    await removeScheduleEntries([meeting._id], session);
+
+    await session.commitTransaction();
+    if (!meeting.series_id) {
+      await syncProvider(`cancelling the online meeting of session ${meeting._id}`, () =>
+        meetingService.cancelMeeting(meeting)
+      );
+    }
+    return meeting;
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+};
+
+module.exports = {
+  expandTimetable,
+  createSeries,
+  updateSeries,
+  cancelSeries,
+  updateSession,
+  cancelSession,
+  addScheduleEntries,
+  removeScheduleEntries,
+  updateScheduleEntries,
+};
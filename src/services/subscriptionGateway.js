@@ -0,0 +1,54 @@
+// src/services/subscriptionGateway.js
+// Recurring billing providers. Both expose the same calls and return objects
+// shaped like Razorpay's, so subscriptionService does not care which is used.
+const crypto = require("crypto");
+const razorpayInstance = require("./razorpayService");
+const config = require("../config");
+
+const razorpayGateway = {
+  createPlan: ({ months, name, amount, notes }) =>
+    razorpayInstance.plans.create({
+      period: "monthly",
+      interval: months,
+      item: { name, amount: Math.round(amount * 100), currency: "INR" },
+      notes,
+    }),
+  createSubscription: ({ planId, totalCount, notes }) =>
+    razorpayInstance.subscriptions.create({
+      plan_id: planId,
+      total_count: totalCount,
+      quantity: 1,
+      customer_notify: 1,
+      notes,
+    }),
+  pause: (id) => razorpayInstance.subscriptions.pause(id, { pause_at: "now" }),
+  resume: (id) => razorpayInstance.subscriptions.resume(id, { resume_at: "now" }),
+  cancel: (id, atCycleEnd) => razorpayInstance.subscriptions.cancel(id, atCycleEnd),
+};
+
+const localId = (prefix) => `${prefix}_local_${crypto.randomBytes(7).toString("hex")}`;
+
+// Offline stand-in: nothing is charged until an admin simulates it
+const localGateway = {
+  createPlan: async () => ({ id: localId("plan") }),
+  createSubscription: async () => ({ id: localId("sub"), status: "created", short_url: null }),
+  pause: async (id) => ({ id, status: "paused" }),
+  resume: async (id) => ({ id, status: "active" }),
+  cancel: async (id, atCycleEnd) => ({ id, status: atCycleEnd ? "active" : "cancelled" }),
+};
+
+const gateways = { razorpay: razorpayGateway, local: localGateway };
+
+/**
+ * Returns the named gateway, defaulting to SUBSCRIPTION_GATEWAY. Existing
+ * subscriptions keep using the gateway they were created with.
+ */
+const getGateway = (name = config.subscriptions.gateway) => {
+  const gateway = gateways[name];
+  if (!gateway) {
+    throw new Error(`Unknown subscription gateway: ${name}`);
+  }
+  return gateway;
+};
+
+module.exports = { getGateway };
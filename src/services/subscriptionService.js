@@ -0,0 +1,501 @@
+// src/services/subscriptionService.js
+const crypto = require("crypto");
+const Subscription = require("../models/subscriptionModel");
+const SubscriptionPlan = require("../models/subscriptionPlanModel");
+const Student = require("../models/studentModel");
+const Subject = require("../models/subjectModel");
+const TypeOfBatch = require("../models/typeOfBatchModel");
+const Payment = require("../models/paymentModel");
+const config = require("../config");
+const { getGateway } = require("./subscriptionGateway");
+const { pricePlan } = require("./pricingService");
+const { completeFulfilment, loadStudentForInvoice } = require("./paymentService");
+const {
+  subscriptionPaymentFailedStudent,
+  subscriptionHaltedStudent,
+} = require("../mailTemplate/mailTemplates");
+const { sendMailFunctionTA } = require("../Mail/sendMail");
+
+const PLAN_MONTHS = { monthly: 1, quarterly: 3 };
+// Cycles a plan bills for unless the admin says otherwise: one year
+const DEFAULT_TOTAL_COUNT = { monthly: 12, quarterly: 4 };
+// Subscriptions that still hold the student's subject
+const LIVE_STATUSES = ["created", "active", "past_due", "paused"];
+
+// Gateway subscription status to ours
+const STATUS_FROM_GATEWAY = {
+  created: "created",
+  authenticated: "created",
+  active: "active",
+  pending: "past_due",
+  halted: "halted",
+  paused: "paused",
+  cancelled: "cancelled",
+  expired: "cancelled",
+  completed: "completed",
+};
+
+const subscriptionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const findEntry = (student, subscription) =>
+  student.subject_id.find(
+    (sub) =>
+      sub._id.equals(subscription.subject_id) &&
+      sub.batch_id &&
+      sub.batch_id.equals(subscription.batch_id)
+  );
+
+/**
+ * Creates a plan for a batch type at today's price. Changing the batch
+ * type's price later does not affect existing plans; deactivate the plan and
+ * create a new one instead.
+ *
+ * @param {Object} params
+ * @param {string} params.typeOfBatchId
+ * @param {string} params.interval - "monthly" or "quarterly"
+ * @param {number} [params.totalCount] - Cycles before the subscription completes
+ * @returns {Promise<Object>} The saved SubscriptionPlan
+ */
+const createPlan = async ({ typeOfBatchId, interval, totalCount }) => {
+  const months = PLAN_MONTHS[interval];
+  if (!months) {
+    throw subscriptionError(400, "interval must be monthly or quarterly");
+  }
+  if (totalCount !== undefined && !(Number.isInteger(totalCount) && totalCount > 0)) {
+    throw subscriptionError(400, "totalCount must be a positive whole number");
+  }
+
+  const batchType = await TypeOfBatch.findById(typeOfBatchId);
+  if (!batchType) {
+    throw subscriptionError(404, "Type of batch not found");
+  }
+  if (await SubscriptionPlan.exists({ type_of_batch: batchType._id, interval, is_active: true })) {
+    throw subscriptionError(409, `An active ${interval} plan already exists for this batch type`);
+  }
+
+  const pricing = await pricePlan(batchType, months);
+  const name = `${batchType.title} (${interval})`;
+  const gateway = config.subscriptions.gateway;
+  const remotePlan = await getGateway(gateway).createPlan({
+    months,
+    name,
+    amount: pricing.total,
+    notes: { type_of_batch: batchType._id.toString() },
+  });
+
+  return SubscriptionPlan.create({
+    type_of_batch: batchType._id,
+    interval,
+    months,
+    name,
+    pricing,
+    total_count: totalCount || DEFAULT_TOTAL_COUNT[interval],
+    gateway,
+    gateway_plan_id: remotePlan.id,
+  });
+};
+
+/**
+ * Starts a subscription for one of the student's subjects. The student then
+ * authorises the mandate at `short_url`; access is extended by each charge.
+ *
+ * @returns {Promise<Object>} The saved Subscription
+ */
+const subscribe = async ({ student, subjectId, batchId, planId }) => {
+  const plan = await SubscriptionPlan.findOne({ _id: planId, is_active: true });
+  if (!plan) {
+    throw subscriptionError(404, "Subscription plan not found");
+  }
+
+  const entry = student.subject_id.find(
+    (sub) =>
+      String(sub._id) === String(subjectId) &&
+      sub.batch_id &&
+      String(sub.batch_id) === String(batchId)
+  );
+  if (!entry) {
+    throw subscriptionError(400, "Subject and batch not found for this student");
+  }
+  const typeOfBatch = entry.type_of_batch || student.type_of_batch;
+  if (!plan.type_of_batch.equals(typeOfBatch)) {
+    throw subscriptionError(400, "This plan is not for the student's batch type");
+  }
+  if (
+    await Subscription.exists({
+      student_id: student._id,
+      subject_id: entry._id,
+      status: { $in: LIVE_STATUSES },
+    })
+  ) {
+    throw subscriptionError(409, "The student already has a subscription for this subject");
+  }
+
+  const subscription = new Subscription({
+    student_id: student._id,
+    plan_id: plan._id,
+    subject_id: entry._id,
+    batch_id: entry.batch_id,
+    type_of_batch: typeOfBatch,
+    gateway: plan.gateway,
+  });
+
+  const remote = await getGateway(plan.gateway).createSubscription({
+    planId: plan.gateway_plan_id,
+    totalCount: plan.total_count,
+    notes: {
+      lms_subscription_id: subscription._id.toString(),
+      student_id: student._id.toString(),
+      subject_id: entry._id.toString(),
+    },
+  });
+  subscription.gateway_subscription_id = remote.id;
+  subscription.short_url = remote.short_url;
+  await subscription.save();
+  return subscription;
+};
+
+// Best-effort email about a subscription; a failed mail never fails the event
+const notifyStudent = async (subscription, mailSubject, buildHtml) => {
+  try {
+    const student = await Student.findById(subscription.student_id).populate("user_id");
+    const subject = await Subject.findById(subscription.subject_id).select("subject_name");
+    const html = buildHtml(student.user_id.name, subject.subject_name, findEntry(student, subscription));
+    await sendMailFunctionTA(student.user_id.email, mailSubject, html);
+  } catch (error) {
+    console.error(`Error emailing student about subscription ${subscription._id}:`, error);
+  }
+};
+
+const activateSubscription = async (payload) => {
+  const result = await Subscription.updateOne(
+    { gateway_subscription_id: payload.subscription.entity.id, status: "created" },
+    { status: "active" }
+  );
+  return result.modifiedCount > 0 ? "processed" : "ignored";
+};
+
+/**
+ * Handles a successful charge: extends the subject's access by the plan's
+ * months, records a Payment and issues the invoice. The new expiry is stored
+ * on the charge before it is applied, so a redelivered event sets the same
+ * date instead of extending twice.
+ *
+ * @param {Object} payload - { subscription: { entity }, payment: { entity } }
+ * @returns {Promise<string>} "processed" or "ignored"
+ */
+const recordSubscriptionCharge = async (payload) => {
+  const subscriptionEntity = payload.subscription.entity;
+  const paymentEntity = payload.payment.entity;
+
+  let subscription = await Subscription.findOne({
+    gateway_subscription_id: subscriptionEntity.id,
+  });
+  if (!subscription) return "ignored";
+
+  let charge = subscription.charges.find((c) => c.gateway_payment_id === paymentEntity.id);
+  if (charge && charge.fulfilled) return "ignored";
+
+  const plan = await SubscriptionPlan.findById(subscription.plan_id);
+
+  if (!charge) {
+    const student = await Student.findById(subscription.student_id);
+    const entry = student && findEntry(student, subscription);
+    if (!entry) {
+      throw new Error(`Subscribed subject not found for subscription ${subscription._id}`);
+    }
+
+    const now = new Date();
+    const periodStart =
+      entry.batch_expiry_date && entry.batch_expiry_date > now ? entry.batch_expiry_date : now;
+    subscription = await Subscription.findOneAndUpdate(
+      { _id: subscription._id, "charges.gateway_payment_id": { $ne: paymentEntity.id } },
+      {
+        $push: {
+          charges: {
+            gateway_payment_id: paymentEntity.id,
+            amount: paymentEntity.amount / 100,
+            period_start: periodStart,
+            period_end: addMonths(periodStart, plan.months),
+            charged_at: paymentEntity.created_at
+              ? new Date(paymentEntity.created_at * 1000)
+              : now,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!subscription) return "ignored";
+    charge = subscription.charges.find((c) => c.gateway_payment_id === paymentEntity.id);
+  }
+
+  // Never shortens access that was extended some other way in the meantime
+  await Student.updateOne(
+    { _id: subscription.student_id },
+    {
+      $set: {
+        "subject_id.$[entry].batch_expiry_date": charge.period_end,
+        "subject_id.$[entry].batch_status": "active",
+      },
+    },
+    {
+      arrayFilters: [
+        {
+          "entry._id": subscription.subject_id,
+          "entry.batch_id": subscription.batch_id,
+          $or: [
+            { "entry.batch_expiry_date": null },
+            { "entry.batch_expiry_date": { $lt: charge.period_end } },
+          ],
+        },
+      ],
+    }
+  );
+
+  const subject = await Subject.findById(subscription.subject_id).select("subject_name");
+  let payment = await Payment.findOne({ payment_id: paymentEntity.id });
+  if (!payment) {
+    const pricing = plan.pricing.toObject();
+    pricing.lines[0] = {
+      ...pricing.lines[0],
+      description: `${subject.subject_name} - ${plan.name}`,
+      subject_id: subject._id,
+      subject_name: subject.subject_name,
+    };
+    payment = await Payment.create({
+      amount: paymentEntity.amount / 100,
+      currency: paymentEntity.currency || "INR",
+      status: "paid",
+      payment_id: paymentEntity.id,
+      payment_method: paymentEntity.method,
+      student_id: subscription.student_id,
+      subscription_id: subscription._id,
+      description: `Subscription: ${plan.name}`,
+      pricing,
+    });
+  }
+
+  const student = await loadStudentForInvoice(subscription.student_id);
+  const batchType = await TypeOfBatch.findById(subscription.type_of_batch).select("mode");
+  await completeFulfilment(payment, student, {
+    purchased: [
+      {
+        subject_id: subscription.subject_id,
+        batch_id: subscription.batch_id,
+        type_of_batch: subscription.type_of_batch,
+        duration: plan.months,
+      },
+    ],
+    subjects: [subject.subject_name],
+    batchTypes: [batchType ? batchType.mode : ""],
+  });
+
+  await Subscription.updateOne(
+    { _id: subscription._id, "charges.gateway_payment_id": paymentEntity.id },
+    {
+      "charges.$.fulfilled": true,
+      "charges.$.payment_id": payment._id,
+      status: STATUS_FROM_GATEWAY[subscriptionEntity.status] || "active",
+      current_period_end: charge.period_end,
+      failed_attempts: 0,
+      last_failure_reason: null,
+      $inc: { paid_count: 1 },
+    }
+  );
+  return "processed";
+};
+
+/**
+ * Dunning: a charge failed and the gateway will retry it. The student is
+ * asked to fix their payment method; access runs until the current expiry.
+ */
+const recordSubscriptionFailure = async (payload) => {
+  const paymentEntity = payload.payment && payload.payment.entity;
+  const reason = paymentEntity && (paymentEntity.error_description || paymentEntity.error_code);
+
+  const subscription = await Subscription.findOneAndUpdate(
+    {
+      gateway_subscription_id: payload.subscription.entity.id,
+      status: { $in: ["created", "active", "past_due"] },
+    },
+    {
+      status: "past_due",
+      $inc: { failed_attempts: 1 },
+      last_failure_reason: reason,
+      last_failed_at: new Date(),
+    },
+    { new: true }
+  );
+  if (!subscription) return "ignored";
+
+  const plan = await SubscriptionPlan.findById(subscription.plan_id).select("pricing.total");
+  await notifyStudent(subscription, "Subscription Payment Failed", (name, subjectName) =>
+    subscriptionPaymentFailedStudent(
+      name,
+      subjectName,
+      plan.pricing.total,
+      reason,
+      subscription.short_url
+    )
+  );
+  return "processed";
+};
+
+// Every retry failed: renewal stops and access lapses at the current expiry
+const haltSubscription = async (payload) => {
+  const subscription = await Subscription.findOneAndUpdate(
+    {
+      gateway_subscription_id: payload.subscription.entity.id,
+      status: { $in: LIVE_STATUSES },
+    },
+    { status: "halted" },
+    { new: true }
+  );
+  if (!subscription) return "ignored";
+
+  await notifyStudent(subscription, "Subscription Stopped", (name, subjectName, entry) =>
+    subscriptionHaltedStudent(
+      name,
+      subjectName,
+      entry && entry.batch_expiry_date ? entry.batch_expiry_date.toDateString() : null
+    )
+  );
+  return "processed";
+};
+
+// Mirrors a status change made at the gateway (pause, resume, cancel, completion)
+const syncSubscriptionStatus = (status) => async (payload) => {
+  const update = { status };
+  if (status === "paused") update.paused_at = new Date();
+  if (status === "active") update.paused_at = null;
+  if (status === "cancelled") update.cancelled_at = new Date();
+
+  const result = await Subscription.updateOne(
+    { gateway_subscription_id: payload.subscription.entity.id, status: { $ne: status } },
+    update
+  );
+  return result.modifiedCount > 0 ? "processed" : "ignored";
+};
+
+const loadSubscription = async (subscriptionId) => {
+  const subscription = await Subscription.findById(subscriptionId);
+  if (!subscription) {
+    throw subscriptionError(404, "Subscription not found");
+  }
+  return subscription;
+};
+
+const pauseSubscription = async (subscriptionId) => {
+  const subscription = await loadSubscription(subscriptionId);
+  if (subscription.status !== "active") {
+    throw subscriptionError(400, "Only active subscriptions can be paused");
+  }
+
+  await getGateway(subscription.gateway).pause(subscription.gateway_subscription_id);
+  subscription.status = "paused";
+  subscription.paused_at = new Date();
+  await subscription.save();
+  return subscription;
+};
+
+const resumeSubscription = async (subscriptionId) => {
+  const subscription = await loadSubscription(subscriptionId);
+  if (subscription.status !== "paused") {
+    throw subscriptionError(400, "Only paused subscriptions can be resumed");
+  }
+
+  await getGateway(subscription.gateway).resume(subscription.gateway_subscription_id);
+  subscription.status = "active";
+  subscription.paused_at = null;
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Cancels renewal. With `atPeriodEnd` an active subscription keeps running
+ * until the paid period ends; otherwise it stops now. Access already paid for
+ * is never taken away.
+ */
+const cancelSubscription = async (subscriptionId, { atPeriodEnd = false } = {}) => {
+  const subscription = await loadSubscription(subscriptionId);
+  if (!LIVE_STATUSES.includes(subscription.status)) {
+    throw subscriptionError(400, `The subscription is already ${subscription.status}`);
+  }
+
+  const atCycleEnd = Boolean(atPeriodEnd) && subscription.status === "active";
+  await getGateway(subscription.gateway).cancel(subscription.gateway_subscription_id, atCycleEnd);
+  if (atCycleEnd) {
+    subscription.cancel_at_period_end = true;
+  } else {
+    subscription.status = "cancelled";
+    subscription.cancelled_at = new Date();
+  }
+  await subscription.save();
+  return subscription;
+};
+
+/**
+ * Local gateway only: plays the webhook the real gateway would send for the
+ * next charge. `outcome` is "success", "failure" or "halt".
+ */
+const simulateLocalCharge = async (subscriptionId, outcome) => {
+  const handlers = {
+    success: recordSubscriptionCharge,
+    failure: recordSubscriptionFailure,
+    halt: haltSubscription,
+  };
+  if (!handlers[outcome]) {
+    throw subscriptionError(400, "outcome must be success, failure or halt");
+  }
+
+  const subscription = await loadSubscription(subscriptionId);
+  if (subscription.gateway !== "local") {
+    throw subscriptionError(400, "Charges can only be simulated for local subscriptions");
+  }
+
+  const plan = await SubscriptionPlan.findById(subscription.plan_id);
+  const payload = {
+    subscription: {
+      entity: {
+        id: subscription.gateway_subscription_id,
+        status: { success: "active", failure: "pending", halt: "halted" }[outcome],
+      },
+    },
+    payment: {
+      entity: {
+        id: `pay_local_${crypto.randomBytes(7).toString("hex")}`,
+        amount: Math.round(plan.pricing.total * 100),
+        currency: "INR",
+        method: "local",
+        created_at: Math.floor(Date.now() / 1000),
+        error_description: outcome === "success" ? undefined : "Simulated payment failure",
+      },
+    },
+  };
+
+  await handlers[outcome](payload);
+  return Subscription.findById(subscription._id);
+};
+
+module.exports = {
+  createPlan,
+  subscribe,
+  activateSubscription,
+  recordSubscriptionCharge,
+  recordSubscriptionFailure,
+  haltSubscription,
+  syncSubscriptionStatus,
+  pauseSubscription,
+  resumeSubscription,
+  cancelSubscription,
+  simulateLocalCharge,
+};
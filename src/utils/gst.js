@@ -0,0 +1,160 @@
+// src/utils/gst.js
+// GST helpers shared by invoice creation and PDF rendering. Pure functions,
+// no database access.
+
+// GST state codes as printed in GSTINs and place of supply
+const GST_STATES = {
+  "01": "Jammu and Kashmir",
+  "02": "Himachal Pradesh",
+  "03": "Punjab",
+  "04": "Chandigarh",
+  "05": "Uttarakhand",
+  "06": "Haryana",
+  "07": "Delhi",
+  "08": "Rajasthan",
+  "09": "Uttar Pradesh",
+  "10": "Bihar",
+  "11": "Sikkim",
+  "12": "Arunachal Pradesh",
+  "13": "Nagaland",
+  "14": "Manipur",
+  "15": "Mizoram",
+  "16": "Tripura",
+  "17": "Meghalaya",
+  "18": "Assam",
+  "19": "West Bengal",
+  "20": "Jharkhand",
+  "21": "Odisha",
+  "22": "Chhattisgarh",
+  "23": "Madhya Pradesh",
+  "24": "Gujarat",
+  "26": "Dadra and Nagar Haveli and Daman and Diu",
+  "27": "Maharashtra",
+  "29": "Karnataka",
+  "30": "Goa",
+  "31": "Lakshadweep",
+  "32": "Kerala",
+  "33": "Tamil Nadu",
+  "34": "Puducherry",
+  "35": "Andaman and Nicobar Islands",
+  "36": "Telangana",
+  "37": "Andhra Pradesh",
+  "38": "Ladakh",
+};
+
+const round2 = (value) => Math.round((value + Number.EPSILON) * 100) / 100;
+
+/**
+ * Resolves a state given as a GST code ("29") or a name ("karnataka").
+ * @returns {{code: string, name: string}|null}
+ */
+const resolveState = (value) => {
+  if (!value) return null;
+  const input = String(value).trim();
+  const code = input.padStart(2, "0");
+  if (GST_STATES[code]) return { code, name: GST_STATES[code] };
+
+  const match = Object.entries(GST_STATES).find(
+    ([, name]) => name.toLowerCase() === input.toLowerCase()
+  );
+  return match ? { code: match[0], name: match[1] } : null;
+};
+
+/**
+ * Indian financial year (April to March, IST) a date falls in, e.g. "2026-27".
+ */
+const financialYearOf = (date) => {
+  const ist = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+  const year = ist.getUTCFullYear();
+  const startYear = ist.getUTCMonth() >= 3 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+/**
+ * Computes the GST breakdown of a set of line items. The discount is spread
+ * across lines in proportion to their value before tax is applied. Intra-state
+ * supplies split the rate equally into CGST and SGST, inter-state supplies
+ * carry IGST.
+ *
+ * @param {Object} params
+ * @param {Object[]} params.items - { description, price, quantity, hsn_sac }
+ * @param {number} [params.discount] - Flat discount in rupees
+ * @param {number} params.gstRate - Percentage, e.g. 18
+ * @param {boolean} params.interState
+ * @param {string} [params.defaultHsnSac] - Used for lines without a code
+ * @returns {{items: Object[], subtotal: number, cgst: number, sgst: number,
+ *   igst: number, gst: number, total: number}}
+ */
+const calculateTaxes = ({ items, discount = 0, gstRate, interState, defaultHsnSac }) => {
+  const subtotal = round2(
+    items.reduce((sum, item) => sum + item.price * item.quantity, 0)
+  );
+
+  const lines = items.map((item) => {
+    const amount = item.price * item.quantity;
+    const share = subtotal > 0 ? amount / subtotal : 0;
+    const taxableValue = round2(amount - discount * share);
+    const tax = (taxableValue * gstRate) / 100;
+    const igst = interState ? round2(tax) : 0;
+    const cgst = interState ? 0 : round2(tax / 2);
+    const sgst = cgst;
+
+    return {
+      description: item.description,
+      hsn_sac: item.hsn_sac || defaultHsnSac,
+      price: item.price,
+      quantity: item.quantity,
+      gst_rate: gstRate,
+      taxable_value: taxableValue,
+      cgst,
+      sgst,
+      igst,
+      total: round2(taxableValue + cgst + sgst + igst),
+    };
+  });
+
+  const sum = (field) => round2(lines.reduce((total, line) => total + line[field], 0));
+  const cgst = sum("cgst");
+  const sgst = sum("sgst");
+  const igst = sum("igst");
+
+  return {
+    items: lines,
+    subtotal,
+    cgst,
+    sgst,
+    igst,
+    gst: round2(cgst + sgst + igst),
+    total: sum("total"),
+  };
+};
+
+/**
+ * Line-level breakdown of a stored invoice. Invoices created before the GST
+ * breakdown was stored only carry a single `gst` amount; for those the rate is
+ * derived from it and treated as intra-state, which is how they were billed.
+ */
+const lineBreakdown = (invoice) => {
+  const items = invoice.items || [];
+  if (items.every((item) => item.taxable_value !== undefined && item.taxable_value !== null)) {
+    return items;
+  }
+
+  const taxable = (invoice.subtotal || 0) - (invoice.discount || 0);
+  const gstRate = taxable > 0 ? round2(((invoice.gst || 0) * 100) / taxable) : 0;
+  return calculateTaxes({
+    items,
+    discount: invoice.discount || 0,
+    gstRate,
+    interState: false,
+  }).items;
+};
+
+module.exports = {
+  GST_STATES,
+  round2,
+  resolveState,
+  financialYearOf,
+  calculateTaxes,
+  lineBreakdown,
+};
@@ -0,0 +1,91 @@
+// test/services/attendancePolicyService.test.js
+require("../helpers/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyAttendance } = require("../../src/services/attendancePolicyService");
+
+const at = (time) => new Date(`2026-10-20T${time}:00Z`);
+const session = { start_time: at("10:00"), end_time: at("11:00") };
+const policy = { graceMinutes: 10, presentPercent: 75 };
+
+test("classifyAttendance marks a student without a clock-in absent", () => {
+  for (const record of [undefined, { clock_in_time: null }]) {
+    assert.deepEqual(classifyAttendance(session, record, policy), {
+      status: "absent",
+      late: false,
+      left_early: false,
+      attended_seconds: 0,
+      attended_percent: 0,
+    });
+  }
+});
+
+test("classifyAttendance only tells present from absent for sessions without times", () => {
+  const result = classifyAttendance({}, { clock_in_time: at("10:00") }, policy);
+  assert.equal(result.status, "present");
+  assert.equal(result.attended_seconds, null);
+  assert.equal(result.attended_percent, null);
+});
+
+test("classifyAttendance marks a full, punctual session present", () => {
+  const result = classifyAttendance(
+    session,
+    { clock_in_time: at("10:05"), clock_out_time: at("11:00") },
+    policy
+  );
+  assert.equal(result.status, "present");
+  assert.equal(result.late, false);
+  assert.equal(result.left_early, false);
+  assert.equal(result.attended_seconds, 55 * 60);
+  assert.equal(result.attended_percent, 91.7);
+});
+
+test("classifyAttendance marks enough time after the grace period late", () => {
+  const result = classifyAttendance(
+    session,
+    { clock_in_time: at("10:15"), clock_out_time: at("11:00") },
+    policy
+  );
+  assert.equal(result.status, "late");
+  assert.equal(result.late, true);
+  assert.equal(result.attended_percent, 75);
+});
+
+test("classifyAttendance marks too little time partial and flags leaving early", () => {
+  const result = classifyAttendance(
+    session,
+    { clock_in_time: at("10:00"), clock_out_time: at("10:30") },
+    policy
+  );
+  assert.equal(result.status, "partial");
+  assert.equal(result.left_early, true);
+  assert.equal(result.attended_percent, 50);
+});
+
+test("classifyAttendance counts a clock-in without clock-out until the session ended", () => {
+  const result = classifyAttendance(session, { clock_in_time: at("10:00") }, policy);
+  assert.equal(result.status, "present");
+  assert.equal(result.attended_seconds, 60 * 60);
+  assert.equal(result.left_early, false);
+});
+
+test("classifyAttendance prefers the reported duration over clock times", () => {
+  const record = { clock_in_time: at("10:00"), clock_out_time: at("11:00") };
+
+  const brief = classifyAttendance(session, { ...record, duration_seconds: 20 * 60 }, policy);
+  assert.equal(brief.status, "partial");
+  assert.equal(brief.attended_percent, 33.3);
+
+  const none = classifyAttendance(session, { ...record, duration_seconds: 0 }, policy);
+  assert.equal(none.status, "absent");
+});
+
+test("classifyAttendance caps the percentage at 100", () => {
+  const result = classifyAttendance(
+    session,
+    { clock_in_time: at("09:50"), clock_out_time: at("11:10"), duration_seconds: 80 * 60 },
+    policy
+  );
+  assert.equal(result.attended_percent, 100);
+  assert.equal(result.status, "present");
+});
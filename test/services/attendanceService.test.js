@@ -0,0 +1,51 @@
+// test/services/attendanceService.test.js
+require("../helpers/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { mergeIntervals } = require("../../src/services/attendanceService");
+
+const at = (time) => new Date(`2026-10-20T${time}:00Z`);
+const interval = (from, to) => ({ joined_at: at(from), left_at: at(to) });
+const window = { from: at("09:30"), to: at("11:30") };
+
+test("mergeIntervals joins overlapping and touching intervals", () => {
+  const merged = mergeIntervals(
+    [interval("10:00", "10:20"), interval("10:10", "10:40"), interval("10:40", "10:50")],
+    window
+  );
+  assert.deepEqual(merged, [interval("10:00", "10:50")]);
+});
+
+test("mergeIntervals counts time on two devices once", () => {
+  const merged = mergeIntervals([interval("10:00", "11:00"), interval("10:15", "10:45")], window);
+  assert.deepEqual(merged, [interval("10:00", "11:00")]);
+});
+
+test("mergeIntervals keeps gaps and sorts by join time", () => {
+  const merged = mergeIntervals([interval("10:30", "10:45"), interval("10:00", "10:15")], window);
+  assert.deepEqual(merged, [interval("10:00", "10:15"), interval("10:30", "10:45")]);
+});
+
+test("mergeIntervals clips to the window and drops what falls outside", () => {
+  const merged = mergeIntervals(
+    [interval("09:00", "09:45"), interval("11:15", "12:00"), interval("08:00", "09:00")],
+    window
+  );
+  assert.deepEqual(merged, [interval("09:30", "09:45"), interval("11:15", "11:30")]);
+});
+
+test("mergeIntervals accepts ISO strings from provider reports", () => {
+  const merged = mergeIntervals(
+    [{ joined_at: "2026-10-20T10:00:00Z", left_at: "2026-10-20T10:30:00Z" }],
+    window
+  );
+  assert.deepEqual(merged, [interval("10:00", "10:30")]);
+});
+
+test("mergeIntervals does not change the intervals it is given", () => {
+  const first = interval("10:00", "10:20");
+  const second = interval("10:10", "10:40");
+  mergeIntervals([first, second], window);
+  assert.deepEqual(first, interval("10:00", "10:20"));
+  assert.deepEqual(second, interval("10:10", "10:40"));
+});
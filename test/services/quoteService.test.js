@@ -0,0 +1,52 @@
+// test/services/quoteService.test.js
+require("../helpers/env");
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Quote = require("../../src/models/quoteModel");
+const { parseQuoteId, createQuote } = require("../../src/services/quoteService");
+
+// createQuote without a database: the document is echoed back with an id
+const issueQuote = async (t) => {
+  t.mock.method(Quote, "create", async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+  return createQuote({
+    student: { _id: new mongoose.Types.ObjectId() },
+    kind: "new",
+    pricing: { total: 1180, couponDoc: null },
+  });
+};
+
+test("a quote id issued by createQuote parses back to its document id", async (t) => {
+  const { quoteId, pricing } = await issueQuote(t);
+  const [id] = quoteId.split(".");
+
+  assert.equal(parseQuoteId(quoteId), id);
+  assert.deepEqual(pricing, { total: 1180 });
+});
+
+test("a quote id with a tampered signature is rejected", async (t) => {
+  const { quoteId } = await issueQuote(t);
+  const [id, signature] = quoteId.split(".");
+  const flipped = `${signature[0] === "A" ? "B" : "A"}${signature.slice(1)}`;
+
+  assert.equal(parseQuoteId(`${id}.${flipped}`), null);
+  assert.equal(parseQuoteId(`${id}.${signature.slice(1)}`), null);
+});
+
+test("a signature can't be moved to another quote", async (t) => {
+  const { quoteId } = await issueQuote(t);
+  const [, signature] = quoteId.split(".");
+  const otherId = new mongoose.Types.ObjectId().toString();
+
+  assert.equal(parseQuoteId(`${otherId}.${signature}`), null);
+});
+
+test("malformed quote ids are rejected", () => {
+  const id = new mongoose.Types.ObjectId().toString();
+
+  assert.equal(parseQuoteId(undefined), null);
+  assert.equal(parseQuoteId(42), null);
+  assert.equal(parseQuoteId(id), null);
+  assert.equal(parseQuoteId(`${id}.`), null);
+  assert.equal(parseQuoteId("not-an-id.signature"), null);
+});
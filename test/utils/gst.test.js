@@ -0,0 +1,95 @@
+// test/utils/gst.test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { resolveState, financialYearOf, calculateTaxes } = require("../../src/utils/gst");
+
+test("financialYearOf starts the year on April 1st in IST", () => {
+  assert.equal(financialYearOf(new Date("2026-04-01T00:00:00+05:30")), "2026-27");
+  assert.equal(financialYearOf(new Date("2026-03-31T23:59:59+05:30")), "2025-26");
+  // Still March 31st in UTC, already April 1st in India
+  assert.equal(financialYearOf(new Date("2026-03-31T19:00:00Z")), "2026-27");
+});
+
+test("financialYearOf pads the closing year across a century", () => {
+  assert.equal(financialYearOf("2099-06-15T00:00:00Z"), "2099-00");
+  assert.equal(financialYearOf("2009-06-15T00:00:00Z"), "2009-10");
+});
+
+test("resolveState accepts codes and names", () => {
+  assert.deepEqual(resolveState("29"), { code: "29", name: "Karnataka" });
+  assert.deepEqual(resolveState("7"), { code: "07", name: "Delhi" });
+  assert.deepEqual(resolveState(" karnataka "), { code: "29", name: "Karnataka" });
+  assert.equal(resolveState("Atlantis"), null);
+  assert.equal(resolveState(""), null);
+});
+
+test("calculateTaxes splits intra-state GST into CGST and SGST", () => {
+  const taxes = calculateTaxes({
+    items: [{ description: "Maths", price: 1000, quantity: 1 }],
+    gstRate: 18,
+    interState: false,
+    defaultHsnSac: "999293",
+  });
+
+  assert.equal(taxes.subtotal, 1000);
+  assert.equal(taxes.cgst, 90);
+  assert.equal(taxes.sgst, 90);
+  assert.equal(taxes.igst, 0);
+  assert.equal(taxes.gst, 180);
+  assert.equal(taxes.total, 1180);
+  assert.equal(taxes.items[0].hsn_sac, "999293");
+  assert.equal(taxes.items[0].taxable_value, 1000);
+});
+
+test("calculateTaxes charges IGST between states", () => {
+  const taxes = calculateTaxes({
+    items: [{ description: "Physics", price: 500, quantity: 2, hsn_sac: "9992" }],
+    gstRate: 18,
+    interState: true,
+  });
+
+  assert.equal(taxes.cgst, 0);
+  assert.equal(taxes.sgst, 0);
+  assert.equal(taxes.igst, 180);
+  assert.equal(taxes.total, 1180);
+  assert.equal(taxes.items[0].hsn_sac, "9992");
+});
+
+test("calculateTaxes spreads the discount by line value", () => {
+  const taxes = calculateTaxes({
+    items: [
+      { description: "Maths", price: 300, quantity: 1 },
+      { description: "Science", price: 100, quantity: 1 },
+    ],
+    discount: 100,
+    gstRate: 18,
+    interState: false,
+  });
+
+  assert.deepEqual(
+    taxes.items.map((line) => line.taxable_value),
+    [225, 75]
+  );
+  assert.equal(taxes.subtotal, 400);
+  assert.equal(taxes.gst, 54);
+  assert.equal(taxes.total, 354);
+});
+
+test("calculateTaxes rounds each line to paise", () => {
+  const taxes = calculateTaxes({
+    items: [{ description: "Odd", price: 333.33, quantity: 1 }],
+    gstRate: 18,
+    interState: false,
+  });
+
+  assert.equal(taxes.items[0].cgst, 30);
+  assert.equal(taxes.items[0].sgst, 30);
+  assert.equal(taxes.total, 393.33);
+});
+
+test("calculateTaxes handles an empty order", () => {
+  const taxes = calculateTaxes({ items: [], gstRate: 18, interState: false });
+  assert.equal(taxes.subtotal, 0);
+  assert.equal(taxes.total, 0);
+  assert.deepEqual(taxes.items, []);
+});